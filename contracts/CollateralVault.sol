@@ -4,8 +4,9 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
-contract CollateralVault is Ownable {
+contract CollateralVault is Ownable, ERC2771Context {
     using SafeERC20 for IERC20;
 
     struct Position {
@@ -31,8 +32,12 @@ contract CollateralVault is Ownable {
     /// @param _rwa The address of the RWA token contract
     /// @param _dusd The address of the DUSD token contract
     /// @param _oracle The address of the price oracle contract
+    /// @param trustedForwarder The EIP-2771 forwarder allowed to relay calls for users, or address(0) for none
     /// @dev Initializes the collateral vault with token addresses and oracle
-    constructor(address _rwa, address _dusd, address _oracle) Ownable(msg.sender) {
+    constructor(address _rwa, address _dusd, address _oracle, address trustedForwarder)
+        Ownable(msg.sender)
+        ERC2771Context(trustedForwarder)
+    {
         rwa = IERC20(_rwa);
         dusd = IERC20(_dusd);
         oracle = _oracle;
@@ -43,9 +48,10 @@ contract CollateralVault is Ownable {
     /// @dev Transfers tokens from sender and increases their collateral position
     function deposit(uint256 amount) public {
         require(amount > 0, "Amount must be > 0");
-        rwa.safeTransferFrom(msg.sender, address(this), amount);
-        positions[msg.sender].collateral += amount;
-        emit Deposit(msg.sender, amount);
+        address user = _msgSender();
+        rwa.safeTransferFrom(user, address(this), amount);
+        positions[user].collateral += amount;
+        emit Deposit(user, amount);
     }
 
     /// @notice Withdraws RWA tokens from collateral
@@ -53,12 +59,13 @@ contract CollateralVault is Ownable {
     /// @dev Checks LTV ratio and transfers tokens back to sender
     function withdraw(uint256 amount) public {
         require(amount > 0, "Amount must be > 0");
-        require(positions[msg.sender].collateral >= amount, "Insufficient collateral");
-        uint256 maxWithdraw = getMaxWithdraw(msg.sender);
+        address user = _msgSender();
+        require(positions[user].collateral >= amount, "Insufficient collateral");
+        uint256 maxWithdraw = getMaxWithdraw(user);
         require(amount <= maxWithdraw, "Would exceed LTV");
-        positions[msg.sender].collateral -= amount;
-        rwa.safeTransfer(msg.sender, amount);
-        emit Withdraw(msg.sender, amount);
+        positions[user].collateral -= amount;
+        rwa.safeTransfer(user, amount);
+        emit Withdraw(user, amount);
     }
 
     /// @notice Borrows DUSD against collateral
@@ -66,13 +73,14 @@ contract CollateralVault is Ownable {
     /// @dev Mints DUSD tokens to borrower and increases their debt position
     function borrow(uint256 amount) public {
         require(amount > 0, "Amount must be > 0");
-        uint256 maxBorrow = getMaxBorrow(msg.sender);
+        address user = _msgSender();
+        uint256 maxBorrow = getMaxBorrow(user);
         require(amount <= maxBorrow, "Exceeds max borrowable");
-        positions[msg.sender].debt += amount;
+        positions[user].debt += amount;
         // Mint dUSD to borrower
-        (bool success,) = address(dusd).call(abi.encodeWithSignature("mint(address,uint256)", msg.sender, amount));
+        (bool success,) = address(dusd).call(abi.encodeWithSignature("mint(address,uint256)", user, amount));
         require(success, "Mint failed");
-        emit Borrow(msg.sender, amount);
+        emit Borrow(user, amount);
     }
 
     /// @notice Repays borrowed DUSD
@@ -80,10 +88,11 @@ contract CollateralVault is Ownable {
     /// @dev Transfers DUSD from sender and decreases their debt position
     function repay(uint256 amount) public {
         require(amount > 0, "Amount must be > 0");
-        require(positions[msg.sender].debt >= amount, "Insufficient debt");
-        dusd.safeTransferFrom(msg.sender, address(this), amount);
-        positions[msg.sender].debt -= amount;
-        emit Repay(msg.sender, amount);
+        address user = _msgSender();
+        require(positions[user].debt >= amount, "Insufficient debt");
+        dusd.safeTransferFrom(user, address(this), amount);
+        positions[user].debt -= amount;
+        emit Repay(user, amount);
     }
 
     /// @notice Gets the maximum amount a user can borrow against their collateral
@@ -125,4 +134,19 @@ contract CollateralVault is Ownable {
         // For simplicity, not implemented in MVP
         revert("Liquidation not implemented");
     }
+
+    /// @dev Resolves the Context override between Ownable and ERC2771Context
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    /// @dev Resolves the Context override between Ownable and ERC2771Context
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    /// @dev Resolves the Context override between Ownable and ERC2771Context
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
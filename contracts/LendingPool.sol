@@ -24,15 +24,27 @@ contract LendingPool is Ownable, EIP712 {
     event Deposit(address indexed user, uint256 amount);
     event Withdraw(address indexed user, uint256 amount);
     event Accrue(uint256 newIndex);
+    event BatchItemFailed(uint256 indexed index, bytes reason);
+
+    /// @notice Reported for a batch item that is not a delegated action call
+    error BatchCallNotAllowed(bytes4 selector);
+
+    /// @notice Outcome of one call of a batch: its return data, or its revert data when it failed
+    struct BatchResult {
+        bool success;
+        bytes returnData;
+    }
 
     // EIP-712 types
     struct DepositAction {
+        address owner;
         uint256 amount;
         uint256 nonce;
         uint256 deadline;
     }
 
     struct WithdrawAction {
+        address owner;
         uint256 amount;
         uint256 nonce;
         uint256 deadline;
@@ -40,6 +52,7 @@ contract LendingPool is Ownable, EIP712 {
 
     // RWA specific actions
     struct MintRWAAction {
+        address owner;
         address to;
         uint256 amount;
         string ipfsCid;
@@ -52,6 +65,7 @@ contract LendingPool is Ownable, EIP712 {
     }
 
     struct TransferRWAAction {
+        address owner;
         address to;
         uint256 amount;
         uint256 nonce;
@@ -59,17 +73,18 @@ contract LendingPool is Ownable, EIP712 {
     }
 
     struct BurnRWAAction {
+        address owner;
         address from;
         uint256 amount;
         uint256 nonce;
         uint256 deadline;
     }
 
-    bytes32 private constant DEPOSIT_TYPEHASH = keccak256("DepositAction(uint256 amount,uint256 nonce,uint256 deadline)");
-    bytes32 private constant WITHDRAW_TYPEHASH = keccak256("WithdrawAction(uint256 amount,uint256 nonce,uint256 deadline)");
-    bytes32 private constant MINT_RWA_TYPEHASH = keccak256("MintRWAAction(address to,uint256 amount,string ipfsCid,string name,string description,uint256 valuation,bytes32 merkleRoot,uint256 nonce,uint256 deadline)");
-    bytes32 private constant TRANSFER_RWA_TYPEHASH = keccak256("TransferRWAAction(address to,uint256 amount,uint256 nonce,uint256 deadline)");
-    bytes32 private constant BURN_RWA_TYPEHASH = keccak256("BurnRWAAction(address from,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DEPOSIT_TYPEHASH = keccak256("DepositAction(address owner,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant WITHDRAW_TYPEHASH = keccak256("WithdrawAction(address owner,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant MINT_RWA_TYPEHASH = keccak256("MintRWAAction(address owner,address to,uint256 amount,string ipfsCid,string name,string description,uint256 valuation,bytes32 merkleRoot,uint256 nonce,uint256 deadline)");
+    bytes32 private constant TRANSFER_RWA_TYPEHASH = keccak256("TransferRWAAction(address owner,address to,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant BURN_RWA_TYPEHASH = keccak256("BurnRWAAction(address owner,address from,uint256 amount,uint256 nonce,uint256 deadline)");
 
     /// @notice Contract constructor
     /// @param _dusd The address of the DUSD token contract
@@ -139,50 +154,50 @@ contract LendingPool is Ownable, EIP712 {
     /// @notice Executes a delegated deposit using EIP-712 signature
     /// @param action The DepositAction struct containing deposit parameters
     /// @param signature The EIP-712 signature from the depositor
-    /// @dev Validates signature and executes deposit on behalf of signer
+    /// @dev Validates that action.owner signed the action and deposits on their behalf; msg.sender may be a relayer
     function executeDeposit(DepositAction calldata action, bytes calldata signature) external {
         require(block.timestamp <= action.deadline, "Signature expired");
-        require(action.nonce == nonces[msg.sender], "Invalid nonce");
+        require(action.nonce == nonces[action.owner], "Invalid nonce");
 
-        bytes32 structHash = keccak256(abi.encode(DEPOSIT_TYPEHASH, action.amount, action.nonce, action.deadline));
+        bytes32 structHash = keccak256(abi.encode(DEPOSIT_TYPEHASH, action.owner, action.amount, action.nonce, action.deadline));
         bytes32 digest = _hashTypedDataV4(structHash);
         address signer = ECDSA.recover(digest, signature);
-        require(signer == msg.sender, "Invalid signature");
+        require(signer == action.owner, "Invalid signature");
 
-        nonces[msg.sender]++;
+        nonces[action.owner]++;
 
         // Execute deposit
         accrue();
-        dusd.safeTransferFrom(msg.sender, address(this), action.amount);
+        dusd.safeTransferFrom(action.owner, address(this), action.amount);
         uint256 scaledAmount = (action.amount * RAY) / index;
-        scaledDeposits[msg.sender] += scaledAmount;
-        deposits[msg.sender] += action.amount;
-        emit Deposit(msg.sender, action.amount);
+        scaledDeposits[action.owner] += scaledAmount;
+        deposits[action.owner] += action.amount;
+        emit Deposit(action.owner, action.amount);
     }
 
     /// @notice Executes a delegated withdrawal using EIP-712 signature
     /// @param action The WithdrawAction struct containing withdrawal parameters
     /// @param signature The EIP-712 signature from the withdrawer
-    /// @dev Validates signature and executes withdrawal on behalf of signer
+    /// @dev Validates that action.owner signed the action and withdraws to them; msg.sender may be a relayer
     function executeWithdraw(WithdrawAction calldata action, bytes calldata signature) external {
         require(block.timestamp <= action.deadline, "Signature expired");
-        require(action.nonce == nonces[msg.sender], "Invalid nonce");
+        require(action.nonce == nonces[action.owner], "Invalid nonce");
 
-        bytes32 structHash = keccak256(abi.encode(WITHDRAW_TYPEHASH, action.amount, action.nonce, action.deadline));
+        bytes32 structHash = keccak256(abi.encode(WITHDRAW_TYPEHASH, action.owner, action.amount, action.nonce, action.deadline));
         bytes32 digest = _hashTypedDataV4(structHash);
         address signer = ECDSA.recover(digest, signature);
-        require(signer == msg.sender, "Invalid signature");
+        require(signer == action.owner, "Invalid signature");
 
-        nonces[msg.sender]++;
+        nonces[action.owner]++;
 
         // Execute withdraw
         accrue();
-        require(deposits[msg.sender] >= action.amount, "Insufficient balance");
+        require(deposits[action.owner] >= action.amount, "Insufficient balance");
         uint256 scaledAmount = (action.amount * RAY) / index;
-        scaledDeposits[msg.sender] -= scaledAmount;
-        deposits[msg.sender] -= action.amount;
-        dusd.safeTransfer(msg.sender, action.amount);
-        emit Withdraw(msg.sender, action.amount);
+        scaledDeposits[action.owner] -= scaledAmount;
+        deposits[action.owner] -= action.amount;
+        dusd.safeTransfer(action.owner, action.amount);
+        emit Withdraw(action.owner, action.amount);
     }
 
     // RWA Delegated Functions
@@ -193,10 +208,11 @@ contract LendingPool is Ownable, EIP712 {
     /// @dev Validates signature and executes RWA mint on behalf of signer
     function executeMintRWA(MintRWAAction calldata action, bytes calldata signature, address rwaToken) external {
         require(block.timestamp <= action.deadline, "Signature expired");
-        require(action.nonce == nonces[msg.sender], "Invalid nonce");
+        require(action.nonce == nonces[action.owner], "Invalid nonce");
 
         bytes32 structHash = keccak256(abi.encode(
             MINT_RWA_TYPEHASH,
+            action.owner,
             action.to,
             action.amount,
             keccak256(bytes(action.ipfsCid)),
@@ -209,9 +225,9 @@ contract LendingPool is Ownable, EIP712 {
         ));
         bytes32 digest = _hashTypedDataV4(structHash);
         address signer = ECDSA.recover(digest, signature);
-        require(signer == msg.sender, "Invalid signature");
+        require(signer == action.owner, "Invalid signature");
 
-        nonces[msg.sender]++;
+        nonces[action.owner]++;
 
         // Execute RWA mint via low-level call
         (bool success,) = rwaToken.call(
@@ -233,13 +249,14 @@ contract LendingPool is Ownable, EIP712 {
     /// @param action The TransferRWAAction struct containing transfer parameters
     /// @param signature The EIP-712 signature from the transferrer
     /// @param rwaToken The address of the RWA token contract
-    /// @dev Validates signature and executes RWA transfer on behalf of signer
+    /// @dev Validates that action.owner signed the action and transfers from the owner's balance via transferFrom
     function executeTransferRWA(TransferRWAAction calldata action, bytes calldata signature, address rwaToken) external {
         require(block.timestamp <= action.deadline, "Signature expired");
-        require(action.nonce == nonces[msg.sender], "Invalid nonce");
+        require(action.nonce == nonces[action.owner], "Invalid nonce");
 
         bytes32 structHash = keccak256(abi.encode(
             TRANSFER_RWA_TYPEHASH,
+            action.owner,
             action.to,
             action.amount,
             action.nonce,
@@ -247,14 +264,15 @@ contract LendingPool is Ownable, EIP712 {
         ));
         bytes32 digest = _hashTypedDataV4(structHash);
         address signer = ECDSA.recover(digest, signature);
-        require(signer == msg.sender, "Invalid signature");
+        require(signer == action.owner, "Invalid signature");
 
-        nonces[msg.sender]++;
+        nonces[action.owner]++;
 
-        // Execute RWA transfer via low-level call
+        // Execute RWA transfer from the owner via low-level call (requires owner allowance)
         (bool success,) = rwaToken.call(
             abi.encodeWithSignature(
-                "transfer(address,uint256)",
+                "transferFrom(address,address,uint256)",
+                action.owner,
                 action.to,
                 action.amount
             )
@@ -266,13 +284,14 @@ contract LendingPool is Ownable, EIP712 {
     /// @param action The BurnRWAAction struct containing burn parameters
     /// @param signature The EIP-712 signature from the burner
     /// @param rwaToken The address of the RWA token contract
-    /// @dev Validates signature and executes RWA burn on behalf of signer
+    /// @dev Validates that action.owner signed the action and burns from the owner's own balance
     function executeBurnRWA(BurnRWAAction calldata action, bytes calldata signature, address rwaToken) external {
         require(block.timestamp <= action.deadline, "Signature expired");
-        require(action.nonce == nonces[msg.sender], "Invalid nonce");
+        require(action.nonce == nonces[action.owner], "Invalid nonce");
 
         bytes32 structHash = keccak256(abi.encode(
             BURN_RWA_TYPEHASH,
+            action.owner,
             action.from,
             action.amount,
             action.nonce,
@@ -280,9 +299,10 @@ contract LendingPool is Ownable, EIP712 {
         ));
         bytes32 digest = _hashTypedDataV4(structHash);
         address signer = ECDSA.recover(digest, signature);
-        require(signer == msg.sender, "Invalid signature");
+        require(signer == action.owner, "Invalid signature");
+        require(action.from == action.owner, "Can only burn own tokens");
 
-        nonces[msg.sender]++;
+        nonces[action.owner]++;
 
         // Execute RWA burn via low-level call
         (bool success,) = rwaToken.call(
@@ -295,4 +315,38 @@ contract LendingPool is Ownable, EIP712 {
         );
         require(success, "RWA burn failed");
     }
+
+    // Batched delegated actions
+    /// @notice Executes several signed delegated actions in one transaction
+    /// @param calls ABI-encoded calls to executeDeposit, executeWithdraw, executeMintRWA, executeTransferRWA or executeBurnRWA
+    /// @return results The outcome of each call, in order
+    /// @dev Calls run in order and independently: one that reverts emits BatchItemFailed and does not undo the others.
+    /// Each call still checks its own signature, nonce and deadline; msg.sender may be a relayer
+    function executeBatch(bytes[] calldata calls) external returns (BatchResult[] memory results) {
+        results = new BatchResult[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            bool success;
+            bytes memory returnData;
+            bytes4 selector = calls[i].length >= 4 ? bytes4(calls[i][:4]) : bytes4(0);
+            if (_isDelegatedAction(selector)) {
+                (success, returnData) = address(this).call(calls[i]);
+            } else {
+                returnData = abi.encodeWithSelector(BatchCallNotAllowed.selector, selector);
+            }
+
+            if (!success) {
+                emit BatchItemFailed(i, returnData);
+            }
+            results[i] = BatchResult(success, returnData);
+        }
+    }
+
+    /// @notice Whether `selector` is one of the delegated action functions a batch may call
+    function _isDelegatedAction(bytes4 selector) private pure returns (bool) {
+        return selector == LendingPool.executeDeposit.selector
+            || selector == LendingPool.executeWithdraw.selector
+            || selector == LendingPool.executeMintRWA.selector
+            || selector == LendingPool.executeTransferRWA.selector
+            || selector == LendingPool.executeBurnRWA.selector;
+    }
 }
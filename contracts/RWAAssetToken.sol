@@ -5,8 +5,9 @@ import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
-contract RWAAssetToken is ERC20, Ownable, AccessControl {
+contract RWAAssetToken is ERC20, Ownable, AccessControl, ERC2771Context {
     bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
@@ -54,9 +55,12 @@ contract RWAAssetToken is ERC20, Ownable, AccessControl {
     event WhitelistUpdated(address indexed account, bool status);
     event KYCUpdated(address indexed account, bool verified, uint256 expiry);
 
-    constructor()
+    /// @notice Contract constructor
+    /// @param trustedForwarder The EIP-2771 forwarder allowed to relay calls for users, or address(0) for none
+    constructor(address trustedForwarder)
         ERC20("Real World Asset Token", "RWA")
         Ownable(msg.sender)
+        ERC2771Context(trustedForwarder)
     {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(COMPLIANCE_ROLE, msg.sender);
@@ -67,7 +71,7 @@ contract RWAAssetToken is ERC20, Ownable, AccessControl {
     /// @notice Modifier to restrict access to compliance officer functions
     /// @dev Reverts if caller does not have COMPLIANCE_ROLE
     modifier onlyCompliance() {
-        require(hasRole(COMPLIANCE_ROLE, msg.sender), "Caller is not compliance officer");
+        require(hasRole(COMPLIANCE_ROLE, _msgSender()), "Caller is not compliance officer");
         _;
     }
 
@@ -83,7 +87,7 @@ contract RWAAssetToken is ERC20, Ownable, AccessControl {
     /// @param account The address to check
     /// @dev Reverts if account is not whitelisted and caller is not compliance officer
     modifier onlyWhitelisted(address account) {
-        require(whitelist[account] || hasRole(COMPLIANCE_ROLE, msg.sender), "Account not whitelisted");
+        require(whitelist[account] || hasRole(COMPLIANCE_ROLE, _msgSender()), "Account not whitelisted");
         _;
     }
 
@@ -170,12 +174,12 @@ contract RWAAssetToken is ERC20, Ownable, AccessControl {
 
         assetAttestations[assetId].push(Attestation({
             documentHash: documentHash,
-            attestor: msg.sender,
+            attestor: _msgSender(),
             timestamp: block.timestamp,
             ipfsCid: ipfsCid
         }));
 
-        emit AttestationAdded(assetId, documentHash, msg.sender);
+        emit AttestationAdded(assetId, documentHash, _msgSender());
     }
 
     /// @notice Transfers tokens to a specified address with compliance checks
@@ -186,11 +190,11 @@ contract RWAAssetToken is ERC20, Ownable, AccessControl {
     function transfer(address to, uint256 amount)
         public
         override
-        notFrozen(msg.sender)
+        notFrozen(_msgSender())
         notFrozen(to)
-        onlyWhitelisted(msg.sender)
+        onlyWhitelisted(_msgSender())
         onlyWhitelisted(to)
-        kycValid(msg.sender)
+        kycValid(_msgSender())
         kycValid(to)
         returns (bool)
     {
@@ -359,4 +363,19 @@ contract RWAAssetToken is ERC20, Ownable, AccessControl {
                block.timestamp <= kycExpiry[to] &&
                balanceOf(from) >= amount;
     }
+
+    /// @dev Resolves the Context override between the OpenZeppelin bases and ERC2771Context
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    /// @dev Resolves the Context override between the OpenZeppelin bases and ERC2771Context
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    /// @dev Resolves the Context override between the OpenZeppelin bases and ERC2771Context
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
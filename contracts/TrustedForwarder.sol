@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/// @title TrustedForwarder
+/// @notice EIP-2771 forwarder the relayer submits users' signed ForwardRequests through
+/// @dev Target contracts must trust this forwarder (ERC2771Context) to see the signer as _msgSender()
+contract TrustedForwarder is ERC2771Forwarder {
+    /// @notice Contract constructor
+    /// @dev The EIP-712 domain is ("DeFiFlowForwarder", "1", chainId, this contract)
+    constructor() ERC2771Forwarder("DeFiFlowForwarder") {}
+}
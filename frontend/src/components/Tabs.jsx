@@ -7,13 +7,17 @@ import {
   delegatedDeposit,
   delegatedWithdraw,
   getUserNonce,
-  getDeadline
+  getSignerChainId,
+  getDeadline,
+  watchTxStatus,
+  relayErrorMessage
 } from '../lib/delegatedSigning'
 
 function Tabs({ onUpdate, selectedNetwork }) {
   const [activeTab, setActiveTab] = useState('borrow')
   const [amount, setAmount] = useState('')
   const [loading, setLoading] = useState(false)
+  const [relayStatus, setRelayStatus] = useState(null)
   const [rwaName, setRwaName] = useState('')
   const [rwaDescription, setRwaDescription] = useState('')
   const [rwaValue, setRwaValue] = useState('')
@@ -42,11 +46,13 @@ function Tabs({ onUpdate, selectedNetwork }) {
   // EIP-712 types
   const types = {
     DepositAction: [
+      { name: 'owner', type: 'address' },
       { name: 'amount', type: 'uint256' },
       { name: 'nonce', type: 'uint256' },
       { name: 'deadline', type: 'uint256' }
     ],
     WithdrawAction: [
+      { name: 'owner', type: 'address' },
       { name: 'amount', type: 'uint256' },
       { name: 'nonce', type: 'uint256' },
       { name: 'deadline', type: 'uint256' }
@@ -108,11 +114,13 @@ function Tabs({ onUpdate, selectedNetwork }) {
           break
         case 'lend':
           // Use delegated signing utilities
+          setRelayStatus(null)
           const lenderAddress = await signer.getAddress()
           const relayerUrl = process.env.REACT_APP_RELAYER_URL || 'http://localhost:3001'
 
-          // Get current nonce from relayer
-          const nonce = await getUserNonce(lenderAddress, relayerUrl)
+          // Get current nonce from relayer for the wallet's chain
+          const chainId = await getSignerChainId(signer)
+          const nonce = await getUserNonce(lenderAddress, relayerUrl, chainId)
 
           // Calculate deadline (30 minutes from now)
           const deadline = getDeadline(30)
@@ -127,7 +135,14 @@ function Tabs({ onUpdate, selectedNetwork }) {
             relayerUrl
           )
 
-          console.log('Delegated deposit successful:', result.txHash)
+          console.log('Delegated deposit queued:', result.jobId)
+
+          // Follow the relayed transaction until it is confirmed or fails
+          setRelayStatus({ status: result.status })
+          const finalStatus = await watchTxStatus(result.jobId, relayerUrl, setRelayStatus)
+          if (finalStatus.status === 'failed') {
+            throw new Error(relayErrorMessage(finalStatus.error))
+          }
           break
         case 'repay':
           contract = new ethers.Contract(networkAddresses.dusd, abis.dusd, signer)
@@ -239,11 +254,44 @@ function Tabs({ onUpdate, selectedNetwork }) {
       setAmount('')
     } catch (error) {
       console.error('Action failed:', error)
+      // Relayer rejections carry a catalog code; show them in the relay panel
+      if (activeTab === 'lend' && error.code) {
+        setRelayStatus({ status: 'failed', error: { code: error.code, message: error.message } })
+      }
     } finally {
       setLoading(false)
     }
   }
 
+  const relayStatusLabel = (status) => {
+    switch (status.status) {
+      case 'pending_approval':
+      case 'held':
+        return 'Awaiting multi-signature approval'
+      case 'queued':
+        return 'Queued at the relayer'
+      case 'submitted':
+        return status.reorgs?.length ? 'Dropped from its block by a chain reorganization, waiting to be mined again' : 'Submitted, waiting to be mined'
+      case 'mined':
+        return `Mined (${status.confirmations}/${status.requiredConfirmations} confirmations)`
+      case 'confirmed':
+        return 'Confirmed'
+      case 'failed':
+        return `Failed: ${relayErrorMessage(status.error)}`
+      default:
+        return status.status
+    }
+  }
+
+  const relayStatusPanel = relayStatus && (
+    <div className={`mt-4 p-3 rounded-lg text-sm ${relayStatus.status === 'failed' ? 'bg-red-900/40 text-red-300' : 'bg-slate-700 text-slate-200'}`}>
+      {relayStatusLabel(relayStatus)}
+      {relayStatus.txHash && (
+        <div className="mt-1 text-xs text-slate-400 break-all">{relayStatus.txHash}</div>
+      )}
+    </div>
+  )
+
   const tabs = [
     { id: 'borrow', label: 'Borrow dUSD' },
     { id: 'lend', label: 'Lend dUSD' },
@@ -336,6 +384,7 @@ function Tabs({ onUpdate, selectedNetwork }) {
                   {loading ? 'Lending...' : 'Lend dUSD'}
                 </button>
               </div>
+              {relayStatusPanel}
             </div>
           )}
 
@@ -387,6 +436,7 @@ function Tabs({ onUpdate, selectedNetwork }) {
                     {loading ? 'Lending...' : 'Lend dUSD'}
                   </button>
                 </div>
+                {relayStatusPanel}
               </div>
 
               {/* Yield Farming Section */}
@@ -3,12 +3,13 @@ export const addresses = {
   hardhat: {
     dusd: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
     oracle: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
-    rwa: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
-    vault: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9',
-    lendingPool: '0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9',
-    yieldRouter: '0x5FC8d32690cc91D4c39d9d3abcBD16989F875707',
-    rwaRegistry: '0x0165878A594ca255338adfa4d48449f69242Eb8F',
-    governance: '0xa513E6E4b8f2a923D98304ec87F64353C4D5C853'
+    forwarder: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
+    rwa: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9',
+    vault: '0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9',
+    lendingPool: '0x5FC8d32690cc91D4c39d9d3abcBD16989F875707',
+    yieldRouter: '0x0165878A594ca255338adfa4d48449f69242Eb8F',
+    rwaRegistry: '0xa513E6E4b8f2a923D98304ec87F64353C4D5C853',
+    governance: '0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6'
   },
   blockdag: {
     rwa: '0xdE5F720670C02e5542376bD3e7163529ef5c958c',  // Real deployed address
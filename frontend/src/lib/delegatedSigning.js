@@ -1,15 +1,18 @@
 import { ethers } from 'ethers'
+import errorCodes from '../../../shared/errorCodes.json'
+import relayerApi from '../../../relayer/openapi.json'
 
 // EIP-712 Domain and Types for LendingPool
 export const LENDING_POOL_DOMAIN = {
   name: "LendingPool",
   version: "1",
-  chainId: 1043, // Update based on network
+  chainId: 1043, // Default; the delegated* helpers sign for the wallet's chain
   verifyingContract: "0x0000000000000000000000000000000000000000" // Will be set dynamically
 }
 
 export const DEPOSIT_TYPES = {
   DepositAction: [
+    { name: 'owner', type: 'address' },
     { name: 'amount', type: 'uint256' },
     { name: 'nonce', type: 'uint256' },
     { name: 'deadline', type: 'uint256' }
@@ -18,6 +21,7 @@ export const DEPOSIT_TYPES = {
 
 export const WITHDRAW_TYPES = {
   WithdrawAction: [
+    { name: 'owner', type: 'address' },
     { name: 'amount', type: 'uint256' },
     { name: 'nonce', type: 'uint256' },
     { name: 'deadline', type: 'uint256' }
@@ -27,6 +31,7 @@ export const WITHDRAW_TYPES = {
 // RWA Action Types
 export const MINT_RWA_TYPES = {
   MintRWAAction: [
+    { name: 'owner', type: 'address' },
     { name: 'to', type: 'address' },
     { name: 'amount', type: 'uint256' },
     { name: 'ipfsCid', type: 'string' },
@@ -41,6 +46,7 @@ export const MINT_RWA_TYPES = {
 
 export const TRANSFER_RWA_TYPES = {
   TransferRWAAction: [
+    { name: 'owner', type: 'address' },
     { name: 'to', type: 'address' },
     { name: 'amount', type: 'uint256' },
     { name: 'nonce', type: 'uint256' },
@@ -50,6 +56,7 @@ export const TRANSFER_RWA_TYPES = {
 
 export const BURN_RWA_TYPES = {
   BurnRWAAction: [
+    { name: 'owner', type: 'address' },
     { name: 'from', type: 'address' },
     { name: 'amount', type: 'uint256' },
     { name: 'nonce', type: 'uint256' },
@@ -57,11 +64,26 @@ export const BURN_RWA_TYPES = {
   ]
 }
 
+// OpenZeppelin ERC2771Forwarder request. Its domain is the forwarder's, as
+// returned by getForwarderInfo, not the LendingPool's.
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+}
+
 // Generate EIP-712 typed message for deposit
-export async function createDepositMessage(amount, nonce, deadline, lendingPoolAddress) {
-  const domain = { ...LENDING_POOL_DOMAIN, verifyingContract: lendingPoolAddress }
+export async function createDepositMessage(owner, amount, nonce, deadline, lendingPoolAddress, chainId = LENDING_POOL_DOMAIN.chainId) {
+  const domain = { ...LENDING_POOL_DOMAIN, chainId, verifyingContract: lendingPoolAddress }
 
   const message = {
+    owner,
     amount: ethers.parseEther(amount),
     nonce: BigInt(nonce),
     deadline: BigInt(deadline)
@@ -71,10 +93,11 @@ export async function createDepositMessage(amount, nonce, deadline, lendingPoolA
 }
 
 // Generate EIP-712 typed message for withdraw
-export async function createWithdrawMessage(amount, nonce, deadline, lendingPoolAddress) {
-  const domain = { ...LENDING_POOL_DOMAIN, verifyingContract: lendingPoolAddress }
+export async function createWithdrawMessage(owner, amount, nonce, deadline, lendingPoolAddress, chainId = LENDING_POOL_DOMAIN.chainId) {
+  const domain = { ...LENDING_POOL_DOMAIN, chainId, verifyingContract: lendingPoolAddress }
 
   const message = {
+    owner,
     amount: ethers.parseEther(amount),
     nonce: BigInt(nonce),
     deadline: BigInt(deadline)
@@ -83,6 +106,12 @@ export async function createWithdrawMessage(amount, nonce, deadline, lendingPool
   return { domain, types: WITHDRAW_TYPES, message }
 }
 
+// Chain the wallet is connected to; the relayer routes the action to it
+export async function getSignerChainId(signer) {
+  const network = await signer.provider.getNetwork()
+  return Number(network.chainId)
+}
+
 // Sign typed message with wallet
 export async function signTypedMessage(signer, domain, types, message) {
   try {
@@ -94,38 +123,127 @@ export async function signTypedMessage(signer, domain, types, message) {
   }
 }
 
-// Send signed message to relayer
-export async function sendToRelayer(endpoint, payload) {
-  const response = await fetch(`${process.env.REACT_APP_RELAYER_URL}${endpoint}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(payload)
-  })
+// Send signed message to relayer. Requests that fail to reach it are retried
+// under the same Idempotency-Key, so the relayer never queues the action twice.
+export async function sendToRelayer(endpoint, payload, maxAttempts = 3) {
+  const invalid = validateRelayPayload(endpoint, payload)
+  if (invalid) {
+    const error = new Error(relayErrorMessage(invalid))
+    error.code = invalid.code
+    error.details = invalid.details
+    throw error
+  }
+
+  const idempotencyKey = crypto.randomUUID()
+  let response
+  for (let attempt = 1; !response; attempt++) {
+    try {
+      response = await fetch(`${process.env.REACT_APP_RELAYER_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+        },
+        body: JSON.stringify(payload)
+      })
+    } catch (error) {
+      if (attempt >= maxAttempts) throw error
+      await new Promise(resolve => setTimeout(resolve, 1000 * attempt))
+    }
+  }
 
   if (!response.ok) {
-    const error = await response.json()
-    throw new Error(error.error || 'Relayer request failed')
+    const body = await response.json().catch(() => ({}))
+    const error = new Error(relayErrorMessage(body))
+    error.code = body.code
+    error.details = body.details
+    throw error
   }
 
   return await response.json()
 }
 
+const resolveSchema = (schema) =>
+  schema.$ref ? resolveSchema(relayerApi.components.schemas[schema.$ref.split('/').pop()]) : schema
+
+// Required fields and field schemas of a relay route's request body, from the
+// relayer's OpenAPI document
+function relayRequestFields(endpoint) {
+  const operation = relayerApi.paths[endpoint]?.post
+  if (!operation?.requestBody) {
+    throw new Error(`Unknown relayer endpoint ${endpoint}`)
+  }
+
+  const fields = { required: [], properties: {} }
+  const collect = (schema) => {
+    schema = resolveSchema(schema)
+    for (const part of schema.allOf || []) {
+      collect(part)
+    }
+    fields.required.push(...(schema.required || []))
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      fields.properties[name] = resolveSchema(property)
+    }
+  }
+  collect(operation.requestBody.content['application/json'].schema)
+  return fields
+}
+
+// Check a relay payload against the schema the relayer validates it with.
+// Returns null, or the { error, code, details } response the relayer would send.
+export function validateRelayPayload(endpoint, payload) {
+  const { required, properties } = relayRequestFields(endpoint)
+
+  const missing = required.find(field => payload[field] === undefined || payload[field] === null)
+  if (missing) {
+    return { error: 'Missing required fields', code: 'MISSING_FIELDS', details: { field: missing } }
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    const schema = properties[field]
+    if (!schema || value === undefined) continue
+
+    const types = [].concat(schema.type || [])
+    const type = Number.isInteger(value) ? 'integer' : value === null ? 'null' : typeof value
+    if (types.length > 0 && !types.includes(type)) {
+      return { error: `Invalid ${field}`, code: 'INVALID_TYPES', details: { field } }
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+      return { error: `Invalid ${field}`, code: schema['x-error-code'] || 'INVALID_TYPES', details: { field } }
+    }
+  }
+  return null
+}
+
+// User-facing message for a relayer error ({ code, error } response or the
+// `error` of a transaction status), from the catalog shared with the relayer
+export function relayErrorMessage(error) {
+  if (error?.code && errorCodes[error.code]) {
+    return errorCodes[error.code].message
+  }
+  return error?.error || error?.message || 'Relayer request failed'
+}
+
 // Complete delegated deposit flow
 export async function delegatedDeposit(signer, amount, nonce, deadline, lendingPoolAddress, relayerUrl) {
+  // The signer is the owner the relayed action is executed on behalf of
+  const owner = await signer.getAddress()
+  const chainId = await getSignerChainId(signer)
+
   // Create typed message
-  const { domain, types, message } = await createDepositMessage(amount, nonce, deadline, lendingPoolAddress)
+  const { domain, types, message } = await createDepositMessage(owner, amount, nonce, deadline, lendingPoolAddress, chainId)
 
   // Sign with wallet
   const signature = await signTypedMessage(signer, domain, types, message)
 
   // Send to relayer
   const payload = {
+    owner,
     amount,
     nonce: nonce.toString(),
     deadline: deadline.toString(),
-    signature
+    signature,
+    chainId
   }
 
   return await sendToRelayer('/api/deposit', payload)
@@ -133,26 +251,33 @@ export async function delegatedDeposit(signer, amount, nonce, deadline, lendingP
 
 // Complete delegated withdraw flow
 export async function delegatedWithdraw(signer, amount, nonce, deadline, lendingPoolAddress, relayerUrl) {
+  // The signer is the owner the relayed action is executed on behalf of
+  const owner = await signer.getAddress()
+  const chainId = await getSignerChainId(signer)
+
   // Create typed message
-  const { domain, types, message } = await createWithdrawMessage(amount, nonce, deadline, lendingPoolAddress)
+  const { domain, types, message } = await createWithdrawMessage(owner, amount, nonce, deadline, lendingPoolAddress, chainId)
 
   // Sign with wallet
   const signature = await signTypedMessage(signer, domain, types, message)
 
   // Send to relayer
   const payload = {
+    owner,
     amount,
     nonce: nonce.toString(),
     deadline: deadline.toString(),
-    signature
+    signature,
+    chainId
   }
 
   return await sendToRelayer('/api/withdraw', payload)
 }
 
-// Get user nonce from relayer
-export async function getUserNonce(userAddress, relayerUrl) {
-  const response = await fetch(`${relayerUrl}/api/nonce/${userAddress}`)
+// Get user nonce from relayer, on the relayer's default chain unless chainId is given
+export async function getUserNonce(userAddress, relayerUrl, chainId) {
+  const query = chainId ? `?chainId=${chainId}` : ''
+  const response = await fetch(`${relayerUrl}/api/nonce/${userAddress}${query}`)
 
   if (!response.ok) {
     throw new Error('Failed to fetch nonce')
@@ -162,11 +287,99 @@ export async function getUserNonce(userAddress, relayerUrl) {
   return data.nonce
 }
 
+// Trusted forwarder of a relayer network: { address, domain, maxGas, targets },
+// where targets lists the functions the relayer forwards per contract
+export async function getForwarderInfo(relayerUrl, chainId) {
+  const query = chainId ? `?chainId=${chainId}` : ''
+  const response = await fetch(`${relayerUrl}/api/forwarder${query}`)
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}))
+    throw new Error(relayErrorMessage(body))
+  }
+
+  return await response.json()
+}
+
+// Get a user's next forwarder nonce; ForwardRequests are counted separately
+// from LendingPool actions
+export async function getForwarderNonce(userAddress, relayerUrl, chainId) {
+  const query = chainId ? `?chainId=${chainId}` : ''
+  const response = await fetch(`${relayerUrl}/api/forward/nonce/${userAddress}${query}`)
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch forwarder nonce')
+  }
+
+  const data = await response.json()
+  return data.nonce
+}
+
+// Get the status of a relayed transaction by the job ID the relayer returned
+export async function getTxStatus(jobId, relayerUrl) {
+  const response = await fetch(`${relayerUrl}/api/tx/${jobId}`)
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch transaction status')
+  }
+
+  return await response.json()
+}
+
+const isFinalStatus = (status) => status.status === 'confirmed' || status.status === 'failed'
+
+// Follow a relayed transaction until it is confirmed or fails. Every update
+// (queued, submitted, mined, confirmed, failed) is passed to onStatus.
+// Uses the relayer's Server-Sent Events stream and falls back to polling.
+export function watchTxStatus(jobId, relayerUrl, onStatus, pollIntervalMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const poll = async () => {
+      try {
+        const status = await getTxStatus(jobId, relayerUrl)
+        onStatus(status)
+        if (isFinalStatus(status)) {
+          resolve(status)
+        } else {
+          setTimeout(poll, pollIntervalMs)
+        }
+      } catch (error) {
+        reject(error)
+      }
+    }
+
+    if (typeof EventSource === 'undefined') {
+      poll()
+      return
+    }
+
+    const source = new EventSource(`${relayerUrl}/api/tx/${jobId}/events`)
+    let finished = false
+
+    source.addEventListener('status', (event) => {
+      const status = JSON.parse(event.data)
+      onStatus(status)
+      if (isFinalStatus(status)) {
+        finished = true
+        source.close()
+        resolve(status)
+      }
+    })
+
+    source.onerror = () => {
+      source.close()
+      if (!finished) {
+        poll()
+      }
+    }
+  })
+}
+
 // Generate EIP-712 typed message for RWA mint
-export async function createMintRWAMessage(to, amount, ipfsCid, name, description, valuation, merkleRoot, nonce, deadline, lendingPoolAddress) {
-  const domain = { ...LENDING_POOL_DOMAIN, verifyingContract: lendingPoolAddress }
+export async function createMintRWAMessage(owner, to, amount, ipfsCid, name, description, valuation, merkleRoot, nonce, deadline, lendingPoolAddress, chainId = LENDING_POOL_DOMAIN.chainId) {
+  const domain = { ...LENDING_POOL_DOMAIN, chainId, verifyingContract: lendingPoolAddress }
 
   const message = {
+    owner,
     to: to,
     amount: ethers.parseEther(amount),
     ipfsCid: ipfsCid,
@@ -182,10 +395,11 @@ export async function createMintRWAMessage(to, amount, ipfsCid, name, descriptio
 }
 
 // Generate EIP-712 typed message for RWA transfer
-export async function createTransferRWAMessage(to, amount, nonce, deadline, lendingPoolAddress) {
-  const domain = { ...LENDING_POOL_DOMAIN, verifyingContract: lendingPoolAddress }
+export async function createTransferRWAMessage(owner, to, amount, nonce, deadline, lendingPoolAddress, chainId = LENDING_POOL_DOMAIN.chainId) {
+  const domain = { ...LENDING_POOL_DOMAIN, chainId, verifyingContract: lendingPoolAddress }
 
   const message = {
+    owner,
     to: to,
     amount: ethers.parseEther(amount),
     nonce: BigInt(nonce),
@@ -196,10 +410,11 @@ export async function createTransferRWAMessage(to, amount, nonce, deadline, lend
 }
 
 // Generate EIP-712 typed message for RWA burn
-export async function createBurnRWAMessage(from, amount, nonce, deadline, lendingPoolAddress) {
-  const domain = { ...LENDING_POOL_DOMAIN, verifyingContract: lendingPoolAddress }
+export async function createBurnRWAMessage(owner, from, amount, nonce, deadline, lendingPoolAddress, chainId = LENDING_POOL_DOMAIN.chainId) {
+  const domain = { ...LENDING_POOL_DOMAIN, chainId, verifyingContract: lendingPoolAddress }
 
   const message = {
+    owner,
     from: from,
     amount: ethers.parseEther(amount),
     nonce: BigInt(nonce),
@@ -211,14 +426,19 @@ export async function createBurnRWAMessage(from, amount, nonce, deadline, lendin
 
 // Complete delegated RWA mint flow
 export async function delegatedMintRWA(signer, to, amount, ipfsCid, name, description, valuation, merkleRoot, nonce, deadline, lendingPoolAddress, rwaTokenAddress, relayerUrl) {
+  // The signer is the owner the relayed action is executed on behalf of
+  const owner = await signer.getAddress()
+  const chainId = await getSignerChainId(signer)
+
   // Create typed message
-  const { domain, types, message } = await createMintRWAMessage(to, amount, ipfsCid, name, description, valuation, merkleRoot, nonce, deadline, lendingPoolAddress)
+  const { domain, types, message } = await createMintRWAMessage(owner, to, amount, ipfsCid, name, description, valuation, merkleRoot, nonce, deadline, lendingPoolAddress, chainId)
 
   // Sign with wallet
   const signature = await signTypedMessage(signer, domain, types, message)
 
   // Send to relayer
   const payload = {
+    owner,
     to,
     amount,
     ipfsCid,
@@ -229,7 +449,8 @@ export async function delegatedMintRWA(signer, to, amount, ipfsCid, name, descri
     nonce: nonce.toString(),
     deadline: deadline.toString(),
     signature,
-    rwaToken: rwaTokenAddress
+    rwaToken: rwaTokenAddress,
+    chainId
   }
 
   return await sendToRelayer('/api/rwa/mint', payload)
@@ -237,20 +458,26 @@ export async function delegatedMintRWA(signer, to, amount, ipfsCid, name, descri
 
 // Complete delegated RWA transfer flow
 export async function delegatedTransferRWA(signer, to, amount, nonce, deadline, lendingPoolAddress, rwaTokenAddress, relayerUrl) {
+  // The signer is the owner the relayed action is executed on behalf of
+  const owner = await signer.getAddress()
+  const chainId = await getSignerChainId(signer)
+
   // Create typed message
-  const { domain, types, message } = await createTransferRWAMessage(to, amount, nonce, deadline, lendingPoolAddress)
+  const { domain, types, message } = await createTransferRWAMessage(owner, to, amount, nonce, deadline, lendingPoolAddress, chainId)
 
   // Sign with wallet
   const signature = await signTypedMessage(signer, domain, types, message)
 
   // Send to relayer
   const payload = {
+    owner,
     to,
     amount,
     nonce: nonce.toString(),
     deadline: deadline.toString(),
     signature,
-    rwaToken: rwaTokenAddress
+    rwaToken: rwaTokenAddress,
+    chainId
   }
 
   return await sendToRelayer('/api/rwa/transfer', payload)
@@ -258,25 +485,80 @@ export async function delegatedTransferRWA(signer, to, amount, nonce, deadline,
 
 // Complete delegated RWA burn flow
 export async function delegatedBurnRWA(signer, from, amount, nonce, deadline, lendingPoolAddress, rwaTokenAddress, relayerUrl) {
+  // The signer is the owner the relayed action is executed on behalf of
+  const owner = await signer.getAddress()
+  const chainId = await getSignerChainId(signer)
+
   // Create typed message
-  const { domain, types, message } = await createBurnRWAMessage(from, amount, nonce, deadline, lendingPoolAddress)
+  const { domain, types, message } = await createBurnRWAMessage(owner, from, amount, nonce, deadline, lendingPoolAddress, chainId)
 
   // Sign with wallet
   const signature = await signTypedMessage(signer, domain, types, message)
 
   // Send to relayer
   const payload = {
+    owner,
     from,
     amount,
     nonce: nonce.toString(),
     deadline: deadline.toString(),
     signature,
-    rwaToken: rwaTokenAddress
+    rwaToken: rwaTokenAddress,
+    chainId
   }
 
   return await sendToRelayer('/api/rwa/burn', payload)
 }
 
+// Generate EIP-712 typed message for a ForwardRequest calling `to` with `data`
+export async function createForwardRequestMessage(from, to, data, gas, nonce, deadline, forwarderDomain) {
+  const message = {
+    from,
+    to,
+    value: 0n,
+    gas: BigInt(gas),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+    data
+  }
+
+  return { domain: forwarderDomain, types: FORWARD_REQUEST_TYPES, message }
+}
+
+// Complete gasless call of an allowlisted contract function through the
+// trusted forwarder, e.g. (signer, vaultAddress, vaultAbi, 'borrow', [amount], ...).
+// The target contract sees the signer as msg.sender. `nonce` is the signer's
+// forwarder nonce (getForwarderNonce); `gas` is the gas the call may use.
+export async function delegatedForwardCall(signer, target, abi, functionName, args, nonce, deadline, relayerUrl, gas = 300000) {
+  // The signer is the account the target contract acts for
+  const from = await signer.getAddress()
+  const chainId = await getSignerChainId(signer)
+
+  const { domain: forwarderDomain } = await getForwarderInfo(relayerUrl, chainId)
+  const data = new ethers.Interface(abi).encodeFunctionData(functionName, args)
+
+  // Create typed message
+  const { domain, types, message } = await createForwardRequestMessage(from, target, data, gas, nonce, deadline, forwarderDomain)
+
+  // Sign with wallet
+  const signature = await signTypedMessage(signer, domain, types, message)
+
+  // Send to relayer
+  const payload = {
+    from,
+    to: target,
+    value: '0',
+    gas: gas.toString(),
+    nonce: nonce.toString(),
+    deadline: deadline.toString(),
+    data,
+    signature,
+    chainId
+  }
+
+  return await sendToRelayer('/api/forward', payload)
+}
+
 // Calculate deadline (current time + 30 minutes)
 export function getDeadline(minutes = 30) {
   return Math.floor(Date.now() / 1000) + (minutes * 60)
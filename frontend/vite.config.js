@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // The relayer error catalog (../shared) and API document (../relayer) are imported
+    fs: {
+      allow: ['..'],
+    },
+  },
 })
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+// Outstanding SIWE nonces per client IP, and in total
+const MAX_NONCES_PER_IP = 5;
+const MAX_NONCES = 10000;
+const HMAC_WINDOW_SECONDS = 300;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Parse an EIP-4361 (Sign-In with Ethereum) message into its fields
+function parseSiweMessage(message) {
+  const lines = message.split('\n');
+  const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+  if (!header) {
+    return null;
+  }
+
+  const fields = { domain: header[1], address: (lines[1] || '').trim() };
+  for (const line of lines.slice(2)) {
+    const match = /^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before): (.+)$/.exec(line);
+    if (match) {
+      fields[match[1]] = match[2].trim();
+    }
+  }
+  return fields;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+// Admin authentication for /api/admin/* routes. Two credentials are accepted:
+//  - SIWE: an allowlisted admin signs an EIP-4361 message and receives a
+//    short-lived bearer session token
+//  - HMAC: automation signs each request with the shared ADMIN_HMAC_SECRET
+//    (headers X-Admin-Timestamp and X-Admin-Signature)
+// Every authenticated admin request and every failed attempt is audit-logged.
+function createAdminAuth({ adminAddresses, hmacSecret, siweDomain, chainId, sessionTtlMs = 15 * 60 * 1000, logEvent }) {
+  const admins = new Set(adminAddresses.filter(address => ethers.isAddress(address)).map(address => ethers.getAddress(address)));
+  // nonce -> { expiresAt, ip }, oldest first
+  const nonces = new Map();
+  const sessions = new Map();
+  const seenHmacSignatures = new Map();
+
+  const enabled = admins.size > 0 || !!hmacSecret;
+
+  function prune(map, expiryOf = value => value) {
+    const now = Date.now();
+    for (const [key, value] of map) {
+      if (expiryOf(value) < now) {
+        map.delete(key);
+      }
+    }
+  }
+
+  // Nonces are only bounded by their TTL until they are used, so a client
+  // asking for more than MAX_NONCES_PER_IP loses its own oldest ones, and
+  // clients spread over many IPs push out the oldest of all
+  function issueNonce(ip = 'unknown') {
+    prune(nonces, entry => entry.expiresAt);
+
+    const ownNonces = [...nonces].filter(([, entry]) => entry.ip === ip).map(([nonce]) => nonce);
+    for (const nonce of ownNonces.slice(0, Math.max(ownNonces.length - MAX_NONCES_PER_IP + 1, 0))) {
+      nonces.delete(nonce);
+    }
+    if (nonces.size >= MAX_NONCES) {
+      nonces.delete(nonces.keys().next().value);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    nonces.set(nonce, { expiresAt: Date.now() + NONCE_TTL_MS, ip });
+    return nonce;
+  }
+
+  // Verify a signed SIWE message and open a session. Throws with a `code` on failure.
+  function login(message, signature) {
+    const fail = (reason) => {
+      const error = new Error(reason);
+      error.code = 'ADMIN_AUTH_FAILED';
+      throw error;
+    };
+
+    const fields = typeof message === 'string' ? parseSiweMessage(message) : null;
+    if (!fields || !ethers.isAddress(fields.address)) fail('Malformed SIWE message');
+    if (fields.domain !== siweDomain) fail('SIWE domain mismatch');
+    if (fields.Version !== '1') fail('Unsupported SIWE version');
+    if (chainId && fields['Chain ID'] !== String(chainId)) fail('SIWE chain ID mismatch');
+
+    const now = Date.now();
+    if (fields['Expiration Time'] && Date.parse(fields['Expiration Time']) < now) fail('SIWE message expired');
+    if (fields['Not Before'] && Date.parse(fields['Not Before']) > now + CLOCK_SKEW_MS) fail('SIWE message not yet valid');
+    if (!fields['Issued At'] || Date.parse(fields['Issued At']) > now + CLOCK_SKEW_MS) fail('Invalid SIWE issue time');
+
+    // Nonces are single use
+    const nonceExpiry = nonces.get(fields.Nonce)?.expiresAt;
+    nonces.delete(fields.Nonce);
+    if (!nonceExpiry || nonceExpiry < now) fail('Unknown or expired SIWE nonce');
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      fail('Malformed signature');
+    }
+
+    const address = ethers.getAddress(fields.address);
+    if (recovered !== address) fail('Signature does not match SIWE address');
+    if (!admins.has(address)) fail('Address is not an allowlisted admin');
+
+    prune(sessions, session => session.expiresAt);
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = now + sessionTtlMs;
+    sessions.set(token, { address, expiresAt });
+    return { token, address, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function authenticateSession(req) {
+    const match = /^Bearer ([0-9a-f]{64})$/.exec(req.get('Authorization') || '');
+    if (!match) return null;
+
+    const session = sessions.get(match[1]);
+    if (!session || session.expiresAt < Date.now()) {
+      sessions.delete(match[1]);
+      return null;
+    }
+    return { id: session.address, address: session.address, method: 'siwe' };
+  }
+
+  // Signature = hex HMAC-SHA256 over "timestamp\nMETHOD\n/original/url\nsha256(body)"
+  function authenticateHmac(req) {
+    const timestamp = req.get('X-Admin-Timestamp');
+    const signature = req.get('X-Admin-Signature');
+    if (!hmacSecret || !timestamp || !signature) return null;
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+    if (!(age <= HMAC_WINDOW_SECONDS)) return null;
+
+    const payload = [timestamp, req.method, req.originalUrl, sha256Hex(req.rawBody)].join('\n');
+    const expected = crypto.createHmac('sha256', hmacSecret).update(payload).digest('hex');
+    if (!safeEqual(expected, signature.toLowerCase())) return null;
+
+    // Reject replays of the same signed request inside the window
+    prune(seenHmacSignatures);
+    if (seenHmacSignatures.has(expected)) return null;
+    seenHmacSignatures.set(expected, Date.now() + HMAC_WINDOW_SECONDS * 1000);
+
+    return { id: 'hmac', address: null, method: 'hmac' };
+  }
+
+  function middleware(req, res, next) {
+    const clientIP = req.ip || 'unknown';
+
+    if (!enabled) {
+      return res.status(503).json({
+        error: 'Admin authentication is not configured',
+        code: 'ADMIN_AUTH_NOT_CONFIGURED'
+      });
+    }
+
+    const admin = authenticateSession(req) || authenticateHmac(req);
+    if (!admin) {
+      logEvent({
+        type: 'ADMIN_AUTH_FAILED',
+        method: req.method,
+        path: req.originalUrl,
+        ip: clientIP
+      });
+      return res.status(401).json({
+        error: 'Admin authentication required',
+        code: 'ADMIN_UNAUTHORIZED'
+      });
+    }
+
+    req.admin = admin;
+    res.on('finish', () => {
+      logEvent({
+        type: 'ADMIN_ACTION',
+        admin: admin.id,
+        address: admin.address,
+        authMethod: admin.method,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: clientIP
+      });
+    });
+    next();
+  }
+
+  return {
+    enabled,
+    admins: [...admins],
+    issueNonce,
+    login,
+    middleware
+  };
+}
+
+module.exports = {
+  createAdminAuth,
+  parseSiweMessage
+};
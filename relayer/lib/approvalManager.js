@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+
+// EIP-712 message an approver signs to co-sign one pending relay. It binds the
+// approval to the exact transaction the relayer will submit.
+const APPROVAL_TYPES = {
+  RelayApproval: [
+    { name: 'approvalId', type: 'string' },
+    { name: 'action', type: 'string' },
+    { name: 'owner', type: 'address' },
+    { name: 'target', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'callDataHash', type: 'bytes32' }
+  ]
+};
+
+// Terminal approvals are kept for lookups for a week, then pruned
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function approvalError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+// M-of-N approval workflow for large relayed actions. Pending approvals are
+// snapshotted to a JSON file like the job queue, so they survive a restart.
+// An approval expires when the user's own signed deadline passes.
+// `getDomain(approval)` resolves the EIP-712 domain for the approval's chain.
+//
+// Emits 'pending', 'approval' (one more signature), 'approved' (threshold met)
+// and 'expired'.
+function createApprovalManager({
+  filePath,
+  approvers,
+  threshold,
+  getDomain,
+  sweepIntervalMs = 10 * 1000,
+  retentionMs = DEFAULT_RETENTION_MS
+}) {
+  const manager = new EventEmitter();
+  const approverSet = new Set(approvers.map(address => ethers.getAddress(address)));
+  const approvals = new Map();
+  let sweepTimer = null;
+
+  function load() {
+    if (!fs.existsSync(filePath)) return;
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const approval of saved) {
+      approvals.set(approval.id, approval);
+    }
+  }
+
+  function persist() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, approval] of approvals) {
+      if (approval.status !== 'pending' && Date.parse(approval.updatedAt) < cutoff) {
+        approvals.delete(id);
+      }
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...approvals.values()], null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function update(approval, changes, eventName) {
+    Object.assign(approval, changes, { updatedAt: new Date().toISOString() });
+    persist();
+    if (eventName) {
+      manager.emit(eventName, approval);
+    }
+    return approval;
+  }
+
+  // `fields` holds the relay job fields: action, owner, amount, nonce, deadline, request
+  function create(fields) {
+    const now = new Date().toISOString();
+    const approval = {
+      ...fields,
+      id: crypto.randomUUID(),
+      status: 'pending',
+      threshold,
+      approvals: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    approvals.set(approval.id, approval);
+    persist();
+    manager.emit('pending', approval);
+    return approval;
+  }
+
+  function isExpired(approval) {
+    return approval.deadline <= Math.floor(Date.now() / 1000);
+  }
+
+  async function typedData(approval) {
+    return {
+      domain: await getDomain(approval),
+      types: APPROVAL_TYPES,
+      primaryType: 'RelayApproval',
+      message: {
+        approvalId: approval.id,
+        action: approval.action,
+        owner: approval.owner,
+        target: approval.request.to,
+        amount: ethers.parseEther(approval.amount).toString(),
+        nonce: approval.nonce,
+        deadline: approval.deadline.toString(),
+        callDataHash: ethers.keccak256(approval.request.data)
+      }
+    };
+  }
+
+  // Verify an approver's EIP-712 signature and record it. Throws with `code`
+  // and HTTP `status` when the approval cannot be accepted.
+  async function approve(id, signature) {
+    const approval = approvals.get(id);
+    if (!approval) {
+      throw approvalError('Approval not found', 'APPROVAL_NOT_FOUND', 404);
+    }
+    if (approval.status === 'pending' && isExpired(approval)) {
+      expire(approval);
+    }
+    if (approval.status === 'expired') {
+      throw approvalError('Approval expired at the signed deadline', 'APPROVAL_EXPIRED', 410);
+    }
+    if (approval.status !== 'pending') {
+      throw approvalError('Approval already reached its threshold', 'APPROVAL_NOT_PENDING', 409);
+    }
+
+    const { domain, types, message } = await typedData(approval);
+    let approver = null;
+    try {
+      approver = ethers.verifyTypedData(domain, types, message, signature);
+    } catch (error) {
+      // Malformed signature, reported below
+    }
+    if (!approver) {
+      throw approvalError('Invalid approval signature', 'INVALID_SIGNATURE', 400);
+    }
+    // Another approval may have completed or expired it while the domain resolved
+    if (approval.status !== 'pending') {
+      throw approvalError('Approval is no longer pending', 'APPROVAL_NOT_PENDING', 409);
+    }
+    if (!approverSet.has(approver)) {
+      throw approvalError('Signer is not a configured approver', 'NOT_AN_APPROVER', 403);
+    }
+    if (approval.approvals.some(entry => entry.approver === approver)) {
+      throw approvalError('Approver already signed this approval', 'ALREADY_APPROVED', 409);
+    }
+
+    const entries = [...approval.approvals, { approver, signature, approvedAt: new Date().toISOString() }];
+    update(approval, { approvals: entries }, 'approval');
+    if (entries.length >= approval.threshold) {
+      update(approval, { status: 'approved' }, 'approved');
+    }
+    return approval;
+  }
+
+  function expire(approval) {
+    update(approval, { status: 'expired' }, 'expired');
+  }
+
+  function sweep() {
+    for (const approval of approvals.values()) {
+      if (approval.status === 'pending' && isExpired(approval)) {
+        expire(approval);
+      }
+    }
+  }
+
+  function start() {
+    sweep();
+    if (!sweepTimer) {
+      sweepTimer = setInterval(sweep, sweepIntervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  function get(id) {
+    return approvals.get(id) || null;
+  }
+
+  function list(filter = () => true) {
+    return [...approvals.values()].filter(filter);
+  }
+
+  function stats() {
+    const counts = { pending: 0, approved: 0, expired: 0 };
+    for (const approval of approvals.values()) {
+      counts[approval.status] = (counts[approval.status] || 0) + 1;
+    }
+    return {
+      approvers: [...approverSet],
+      threshold,
+      counts
+    };
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  load();
+
+  return Object.assign(manager, { create, approve, update, typedData, get, list, stats, start, stop });
+}
+
+module.exports = {
+  createApprovalManager,
+  APPROVAL_TYPES
+};
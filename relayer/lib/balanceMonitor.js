@@ -0,0 +1,115 @@
+const { ethers } = require('ethers');
+
+// Watches the native balance of a chain's relayer wallet.
+//
+// check() reads the balance, keeps it as a sample and sets the level:
+// 'critical' below `criticalThreshold`, 'warning' below `warnThreshold`,
+// otherwise 'ok'. `onLevelChange(state, previousLevel)` is called whenever the
+// level changes; a failed read keeps the previous level.
+//
+// The burn rate is what the wallet spent per hour over the last `windowMs`.
+// Only decreases count, so a top-up does not hide spending. Samples restart
+// when the relayer address changes, e.g. after a key rotation.
+function createBalanceMonitor({
+  provider,
+  getAddress,
+  warnThreshold,
+  criticalThreshold,
+  windowMs = 24 * 60 * 60 * 1000,
+  onLevelChange = () => {}
+}) {
+  let address = null;
+  let samples = [];
+  let level = null;
+  let lastError = null;
+  let pendingCheck = null;
+
+  function levelOf(balance) {
+    if (balance < criticalThreshold) return 'critical';
+    if (balance < warnThreshold) return 'warning';
+    return 'ok';
+  }
+
+  // Wei spent per hour, or null until two samples are available
+  function burnRate() {
+    if (samples.length < 2) return null;
+    let spent = 0n;
+    for (let i = 1; i < samples.length; i++) {
+      const drop = samples[i - 1].balance - samples[i].balance;
+      if (drop > 0n) spent += drop;
+    }
+    const elapsedMs = samples[samples.length - 1].at - samples[0].at;
+    return elapsedMs > 0 ? (spent * 3600000n) / BigInt(elapsedMs) : null;
+  }
+
+  function state() {
+    const latest = samples[samples.length - 1] || null;
+    const rate = burnRate();
+    const untilCritical = latest && rate > 0n && latest.balance > criticalThreshold
+      ? Number(latest.balance - criticalThreshold) / Number(rate)
+      : null;
+
+    return {
+      address,
+      level,
+      balance: latest ? ethers.formatEther(latest.balance) : null,
+      checkedAt: latest ? new Date(latest.at).toISOString() : null,
+      warnThreshold: ethers.formatEther(warnThreshold),
+      criticalThreshold: ethers.formatEther(criticalThreshold),
+      burnRatePerHour: rate === null ? null : ethers.formatEther(rate),
+      hoursUntilCritical: untilCritical === null ? null : Math.round(untilCritical * 100) / 100,
+      lastError
+    };
+  }
+
+  async function runCheck() {
+    const currentAddress = getAddress();
+    if (!currentAddress) return state();
+    if (currentAddress !== address) {
+      address = currentAddress;
+      samples = [];
+    }
+
+    let balance;
+    try {
+      balance = await provider.getBalance(currentAddress);
+      lastError = null;
+    } catch (error) {
+      lastError = error.message;
+      return state();
+    }
+
+    const now = Date.now();
+    samples.push({ at: now, balance });
+    while (samples.length > 2 && samples[0].at < now - windowMs) {
+      samples.shift();
+    }
+
+    const previousLevel = level;
+    level = levelOf(balance);
+    if (level !== previousLevel) {
+      onLevelChange(state(), previousLevel);
+    }
+    return state();
+  }
+
+  // Concurrent callers share one balance read
+  function check() {
+    if (!pendingCheck) {
+      pendingCheck = runCheck().finally(() => {
+        pendingCheck = null;
+      });
+    }
+    return pendingCheck;
+  }
+
+  return {
+    check,
+    state,
+    isUnderfunded: () => level === 'critical'
+  };
+}
+
+module.exports = {
+  createBalanceMonitor
+};
@@ -0,0 +1,141 @@
+const { isTransientError } = require('./txSubmitter');
+const { decodeRevert } = require('./revertDecoder');
+
+// Relays several queued LendingPool actions in one transaction through the
+// pool's executeBatch(calls), where each call succeeds or reverts on its own.
+// A job's call is the calldata of its own request.
+//
+// Before the first broadcast the batch is simulated, and jobs whose call would
+// revert fail without paying gas. The rest are sent as one transaction by the
+// chain's submitter; every job records it as its own (txHash, fees, ...) and
+// its place in it as `batchIndex`, so a restarted relayer rebuilds the same
+// calldata. Once mined, the BatchItemFailed events of the receipt say which
+// calls reverted, and the gas used is split evenly between the jobs.
+//
+// processBatch(jobs, { update }) resolves with one { result } or { error } per
+// job. Errors that affect the whole batch, such as RPC failures, are thrown.
+function createBatchRelay({ provider, lendingPool, txSubmitter }) {
+  const poolAddress = lendingPool.target.toLowerCase();
+
+  function callError(message, data) {
+    const revert = decodeRevert({ data });
+    const error = new Error(revert?.reason ? `${message}: ${revert.reason}` : message);
+    error.code = 'CALL_EXCEPTION';
+    error.reason = revert?.reason || null;
+    error.data = data;
+    return error;
+  }
+
+  // One job's part of the batch transaction; the first also takes the gas
+  // that does not divide evenly
+  function shareOf(result, index, size, batchId) {
+    const gasUsed = BigInt(result.gasUsed);
+    const share = gasUsed / BigInt(size) + (index === 0 ? gasUsed % BigInt(size) : 0n);
+    return { ...result, gasUsed: share.toString(), batch: { id: batchId, index, size, gasUsed: result.gasUsed } };
+  }
+
+  // Calls of the batch that reverted, by index, with their revert data
+  async function failedCalls(txHash) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    const failed = new Map();
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== poolAddress) continue;
+      const parsed = lendingPool.interface.parseLog(log);
+      if (parsed?.name === 'BatchItemFailed') {
+        failed.set(Number(parsed.args.index), parsed.args.reason);
+      }
+    }
+    return failed;
+  }
+
+  // Send the batch of `items` and wait until it is mined, recording the
+  // transaction on every job
+  function submit(items, update) {
+    const view = {
+      ...items[0],
+      request: {
+        to: items[0].request.to,
+        data: lendingPool.interface.encodeFunctionData('executeBatch', [items.map(job => job.request.data)])
+      }
+    };
+    const updateAll = (changes, eventName) => {
+      Object.assign(view, changes);
+      for (const job of items) {
+        update(job, changes, eventName);
+      }
+    };
+    return txSubmitter.processJob(view, { update: updateAll });
+  }
+
+  async function processBatch(jobs, { update }) {
+    const outcomes = new Map();
+    let items = [...jobs].sort((a, b) => (a.batchIndex ?? 0) - (b.batchIndex ?? 0));
+
+    try {
+      if (!items[0].txHashes?.length) {
+        const results = await lendingPool.executeBatch.staticCall(items.map(job => job.request.data));
+        results.forEach(({ success, returnData }, i) => {
+          if (!success) {
+            outcomes.set(items[i], { error: callError('Action would revert', returnData) });
+          }
+        });
+        items = items.filter(job => !outcomes.has(job));
+        items.forEach((job, batchIndex) => update(job, { batchIndex }));
+      }
+
+      if (items.length > 0) {
+        let result;
+        try {
+          result = await submit(items, update);
+        } catch (error) {
+          // A reverted batch still cost gas; each job is charged its share
+          if (error.receipt) {
+            items.forEach((job, i) => update(job, { receipt: shareOf(error.receipt, i, items.length, job.batchId) }));
+          }
+          throw error;
+        }
+
+        const failed = await failedCalls(result.txHash);
+        items.forEach((job, i) => {
+          const share = shareOf(result, i, items.length, job.batchId);
+          if (failed.has(i)) {
+            update(job, { receipt: share });
+            outcomes.set(job, { error: callError('Transaction reverted on-chain', failed.get(i)) });
+          } else {
+            outcomes.set(job, { result: share });
+          }
+        });
+      }
+    } catch (error) {
+      if (isTransientError(error)) {
+        error.transient = true;
+      }
+      // Jobs already failed by the simulation keep their own outcome
+      if (outcomes.size === 0) {
+        throw error;
+      }
+      for (const job of items) {
+        outcomes.set(job, { error });
+      }
+    }
+
+    return jobs.map(job => outcomes.get(job));
+  }
+
+  // Whether the deployed pool has executeBatch
+  async function isSupported() {
+    try {
+      await lendingPool.executeBatch.staticCall([]);
+      return true;
+    } catch (error) {
+      if (isTransientError(error)) throw error;
+      return false;
+    }
+  }
+
+  return { processBatch, isSupported };
+}
+
+module.exports = {
+  createBatchRelay
+};
@@ -0,0 +1,113 @@
+// Confirmation depth and reorg detection for relay jobs of a queue created
+// with `awaitConfirmation`. A mined job is confirmed once its block is its
+// chain's `requiredConfirmations` deep (1 is the block itself). Until then its
+// receipt is read again on every check: when the transaction is no longer in
+// a block, or is in another block than recorded, the job is re-queued with
+// the reorg appended to `job.reorgs`. Back in the queue it waits for its
+// transaction again, so the new receipt is picked up, a dropped transaction
+// is rebroadcast and one that now reverts fails the job.
+//
+// `chainOf(job)` returns the job's { chainId, provider, requiredConfirmations },
+// or null for a network that is no longer configured. Jobs are checked every
+// `pollIntervalMs` and as soon as they are mined; the queue emits 'reorged'
+// for every re-queued job.
+function createConfirmationTracker({ jobQueue, chainOf, pollIntervalMs = 3000 }) {
+  let timer = null;
+  let checking = null;
+  let checkAgain = false;
+
+  // Jobs of one batch share a transaction, so they move together
+  function byTransaction(jobs) {
+    const groups = new Map();
+    for (const job of jobs) {
+      const txHash = job.result.txHash;
+      groups.set(txHash, [...(groups.get(txHash) || []), job]);
+    }
+    return groups;
+  }
+
+  async function checkChain(chain, jobs) {
+    const head = await chain.provider.getBlockNumber();
+    for (const [txHash, txJobs] of byTransaction(jobs)) {
+      const mined = txJobs[0].result;
+      const receipt = await chain.provider.getTransactionReceipt(txHash);
+
+      if (!receipt || receipt.blockHash !== mined.blockHash) {
+        const reorg = {
+          txHash,
+          blockNumber: mined.blockNumber,
+          blockHash: mined.blockHash,
+          newBlockNumber: receipt?.blockNumber ?? null,
+          newBlockHash: receipt?.blockHash ?? null,
+          detectedAt: new Date().toISOString()
+        };
+        for (const job of txJobs) {
+          jobQueue.requeue(job.id, { reorgs: [...(job.reorgs || []), reorg] }, 'reorged');
+        }
+        continue;
+      }
+
+      if (head - receipt.blockNumber + 1 >= chain.requiredConfirmations) {
+        for (const job of txJobs) {
+          jobQueue.confirm(job.id, { confirmedAt: new Date().toISOString() });
+        }
+      }
+    }
+  }
+
+  async function runCheck() {
+    const jobsByChain = new Map();
+    for (const job of jobQueue.list(job => job.status === 'mined')) {
+      const chain = chainOf(job);
+      if (!chain) continue;
+      jobsByChain.set(chain, [...(jobsByChain.get(chain) || []), job]);
+    }
+
+    for (const [chain, jobs] of jobsByChain) {
+      try {
+        await checkChain(chain, jobs);
+      } catch (error) {
+        console.error(`[ERROR] Confirmation check on chain ${chain.chainId} failed:`, error.message);
+      }
+    }
+  }
+
+  // One check at a time; a check requested meanwhile runs right after
+  function check() {
+    if (checking) {
+      checkAgain = true;
+      return checking;
+    }
+    checking = runCheck().finally(() => {
+      checking = null;
+      if (checkAgain) {
+        checkAgain = false;
+        check();
+      }
+    });
+    return checking;
+  }
+
+  // The jobs of a batch are mined one after another; check once all are
+  const onMined = () => setImmediate(check);
+
+  function start() {
+    jobQueue.on('mined', onMined);
+    check();
+    if (!timer) {
+      timer = setInterval(check, pollIntervalMs);
+    }
+  }
+
+  function stop() {
+    jobQueue.off('mined', onMined);
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { check, start, stop };
+}
+
+module.exports = {
+  createConfirmationTracker
+};
@@ -0,0 +1,154 @@
+const { ethers } = require('ethers');
+
+const FORWARDER_ABI = [
+  'function execute((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable',
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+const TRUSTING_TARGET_ABI = [
+  'function isTrustedForwarder(address forwarder) view returns (bool)'
+];
+
+// Times check() asks a target whether it trusts the forwarder before giving
+// up on an RPC error, and the pause before each retry
+const TRUST_CHECK_ATTEMPTS = 3;
+const TRUST_CHECK_RETRY_MS = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ethers error codes of a call that reached the target and failed there: the
+// target has no isTrustedForwarder (or no code), so it does not trust anyone
+const NOT_TRUSTING_ERRORS = new Set(['CALL_EXCEPTION', 'BAD_DATA']);
+
+// OpenZeppelin ERC2771Forwarder types; the forwarder's EIP-712 version is always "1"
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// EIP-2771 forwarder of one chain. Users sign ForwardRequests for the
+// forwarder's domain; the relayer submits them through execute(), and the
+// target contract sees the signer as _msgSender(). Only the functions listed
+// for each target in `config.targets` are relayed.
+//
+// parseCall(to, data) resolves a request's call to { target, fragment, args }
+// or null when the target or function is not allowlisted.
+// check() compares the deployed forwarder with the config and drops targets
+// that do not trust it, resolving to { name, untrusted, unverified }. Targets
+// whose check kept failing on RPC errors are unverified: parseCall rejects
+// them and re-checks them in the background until the answer is known.
+function createForwarder({ provider, chainId, config }) {
+  const contract = new ethers.Contract(config.address, FORWARDER_ABI, provider);
+  const targets = new Map(Object.entries(config.targets).map(([target, fragments]) => [target, new ethers.Interface(fragments)]));
+  // Target -> interface of targets held back until their trust is confirmed
+  const unverified = new Map();
+  // Target -> in-flight background re-check
+  const rechecks = new Map();
+
+  const domain = {
+    name: config.name || 'DeFiFlowForwarder',
+    version: '1',
+    chainId: BigInt(chainId),
+    verifyingContract: config.address
+  };
+
+  function parseCall(to, data) {
+    const target = ethers.getAddress(to);
+    if (unverified.has(target)) recheck(target);
+    const iface = targets.get(target);
+    if (!iface) return null;
+
+    try {
+      const call = iface.parseTransaction({ data });
+      return call ? { target, fragment: call.fragment, args: call.args } : null;
+    } catch (error) {
+      // Allowlisted selector with malformed arguments
+      return null;
+    }
+  }
+
+  // Allowlisted functions per target, in their human-readable form
+  function describeTargets() {
+    return Object.fromEntries([...targets].map(([target, iface]) => [
+      target,
+      iface.fragments.map(fragment => fragment.format('full').replace(/^function /, ''))
+    ]));
+  }
+
+  // Resolves to whether the target trusts the forwarder; rejects when an RPC
+  // error kept it from answering
+  async function isTrusted(target) {
+    const trusting = new ethers.Contract(target, TRUSTING_TARGET_ABI, provider);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await trusting.isTrustedForwarder(config.address);
+      } catch (error) {
+        if (NOT_TRUSTING_ERRORS.has(error.code)) return false;
+        if (attempt >= TRUST_CHECK_ATTEMPTS) throw error;
+        await sleep(TRUST_CHECK_RETRY_MS * attempt);
+      }
+    }
+  }
+
+  // Moves the target to `targets` when it trusts the forwarder, drops it when
+  // it does not, and holds it in `unverified` while the check fails
+  async function verify(target, iface) {
+    let trusted;
+    try {
+      trusted = await isTrusted(target);
+    } catch (error) {
+      targets.delete(target);
+      unverified.set(target, iface);
+      return 'unverified';
+    }
+    unverified.delete(target);
+    if (trusted) {
+      targets.set(target, iface);
+      return 'trusted';
+    }
+    targets.delete(target);
+    return 'untrusted';
+  }
+
+  function recheck(target) {
+    if (rechecks.has(target)) return rechecks.get(target);
+    const pending = verify(target, unverified.get(target)).finally(() => rechecks.delete(target));
+    rechecks.set(target, pending);
+    return pending;
+  }
+
+  async function check() {
+    const { name } = await contract.eip712Domain();
+    const result = { name, untrusted: [], unverified: [] };
+    for (const [target, iface] of [...targets, ...unverified]) {
+      const status = await verify(target, iface);
+      if (status !== 'trusted') result[status].push(target);
+    }
+    return result;
+  }
+
+  return {
+    address: config.address,
+    contract,
+    domain,
+    // Nonces of accepted ForwardRequests not yet mined, keyed by signer; the
+    // forwarder counts them separately from the LendingPool
+    pendingNonces: new Map(),
+    parseCall,
+    describeTargets,
+    check
+  };
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  createForwarder
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+
+// Entries outlive a client's retries by far, and expire before the jobs they point to
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Remembers which relay job each accepted request created, so a retried
+// request gets that job back instead of being relayed a second time.
+//
+// A request is identified by its request hash (chain, action, typed data and
+// signature), so resubmitting a signature is always caught, and optionally by
+// the client's `Idempotency-Key`, which may then never be used for a different
+// request. Entries are snapshotted to a JSON file like the job queue.
+//
+// begin() reserves a request while it is checked and queued; the caller then
+// either complete()s it with the job or release()s it so a retry can run again.
+function createIdempotencyStore({ filePath, retentionMs = DEFAULT_RETENTION_MS }) {
+  // requestHash -> { key, requestHash, jobId, chainId, action, owner, createdAt }
+  const entries = new Map();
+  // idempotency key -> requestHash
+  const keys = new Map();
+  // Reservations of requests still being processed, by hash and by key
+  const pendingHashes = new Set();
+  const pendingKeys = new Map();
+
+  function load() {
+    if (!fs.existsSync(filePath)) return;
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const entry of saved) {
+      add(entry);
+    }
+  }
+
+  function add(entry) {
+    entries.set(entry.requestHash, entry);
+    if (entry.key) {
+      keys.set(entry.key, entry.requestHash);
+    }
+  }
+
+  function remove(entry) {
+    entries.delete(entry.requestHash);
+    if (entry.key && keys.get(entry.key) === entry.requestHash) {
+      keys.delete(entry.key);
+    }
+  }
+
+  function persist() {
+    const cutoff = Date.now() - retentionMs;
+    for (const entry of [...entries.values()]) {
+      if (Date.parse(entry.createdAt) < cutoff) {
+        remove(entry);
+      }
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...entries.values()], null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function isExpired(entry) {
+    return Date.parse(entry.createdAt) < Date.now() - retentionMs;
+  }
+
+  // Returns one of:
+  //   { replay: entry }    the request was accepted before
+  //   { keyReused: true }  the key belongs to a different request
+  //   { inProgress: true } the same request or key is being processed right now
+  //   { reservation }      a new request, reserved until complete() or release()
+  function begin({ key = null, requestHash }) {
+    const keyHash = key ? keys.get(key) : undefined;
+    if (keyHash !== undefined && keyHash !== requestHash && !isExpired(entries.get(keyHash))) {
+      return { keyReused: true };
+    }
+
+    const entry = entries.get(requestHash);
+    if (entry && !isExpired(entry)) {
+      return { replay: entry };
+    }
+
+    if (key && pendingKeys.has(key)) {
+      return pendingKeys.get(key) === requestHash ? { inProgress: true } : { keyReused: true };
+    }
+    if (pendingHashes.has(requestHash)) {
+      return { inProgress: true };
+    }
+
+    pendingHashes.add(requestHash);
+    if (key) {
+      pendingKeys.set(key, requestHash);
+    }
+    return { reservation: { key, requestHash } };
+  }
+
+  function release(reservation) {
+    pendingHashes.delete(reservation.requestHash);
+    if (reservation.key) {
+      pendingKeys.delete(reservation.key);
+    }
+  }
+
+  // Record the job a reserved request created
+  function complete(reservation, { jobId, chainId, action, owner }) {
+    release(reservation);
+    const entry = {
+      key: reservation.key,
+      requestHash: reservation.requestHash,
+      jobId,
+      chainId,
+      action,
+      owner,
+      createdAt: new Date().toISOString()
+    };
+    add(entry);
+    persist();
+    return entry;
+  }
+
+  // Drop an entry whose job no longer exists
+  function forget(entry) {
+    remove(entry);
+    persist();
+  }
+
+  load();
+
+  return { begin, complete, release, forget };
+}
+
+module.exports = {
+  createIdempotencyStore
+};
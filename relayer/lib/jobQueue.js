@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const TERMINAL_STATUSES = new Set(['confirmed', 'failed']);
+
+// Terminal jobs are kept for status lookups for a week, then pruned
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The journal is folded into the snapshot once it has more entries than this
+// or than there are jobs
+const MIN_COMPACT_ENTRIES = 1000;
+
+// Journal of job changes made since the snapshot, and the journal being
+// folded into a new snapshot
+const journalPath = (filePath) => `${filePath}.journal`;
+const compactingPath = (filePath) => `${filePath}.journal.compacting`;
+
+function readJournal(file, jobs) {
+  if (!fs.existsSync(file)) return;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const job = JSON.parse(line);
+      jobs.set(job.id, job);
+    } catch (error) {
+      // Skip a partially written trailing line
+    }
+  }
+}
+
+// Jobs saved at `filePath` by id, as a queue would load them: the snapshot
+// with the journals replayed over it
+function readSavedJobs(filePath) {
+  const jobs = new Map();
+  if (fs.existsSync(filePath)) {
+    for (const job of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+      jobs.set(job.id, job);
+    }
+  }
+  readJournal(compactingPath(filePath), jobs);
+  readJournal(journalPath(filePath), jobs);
+  return jobs;
+}
+
+// Persistent FIFO job queue. Jobs live in memory; every state change appends
+// the job to a journal next to the JSON snapshot at `filePath`, so queued and
+// in-flight jobs survive a restart. The journal is compacted into the snapshot
+// as it grows, on load and on stop().
+//
+// `handler(job, { update })` runs a job and resolves with its result. It may
+// call update(changes, eventName) to persist progress. Throwing an error with
+// `transient: true` schedules a retry with exponential backoff; any other
+// error fails the job.
+//
+// Up to `concurrency` jobs run at once. Jobs sharing a `serializeBy(job)` key
+// run strictly one after another, in the order they were enqueued.
+//
+// A job enqueued with `hold: true` does not run until release(id), but still
+// blocks later jobs with the same key; fail(id) cancels it instead. Jobs for
+// which `canRun(job)` is false wait the same way until it turns true.
+//
+// Runnable jobs sharing a `batchBy(job)` key are collected for `batchWindowMs`
+// after the first of them is ready, or until `maxBatchSize` are, and then run
+// together as one batch in a single concurrency slot:
+// `batchHandler(jobs, { update })` resolves with one { result } or { error }
+// per job, and `update(job, changes, eventName)` persists one job's progress.
+// Each job is confirmed, retried or failed on its own outcome; throwing fails
+// or retries all of them. Every job of a batch gets its `batchId`. Once a
+// batch has been broadcast (its jobs have `txHashes`) its jobs only run again
+// together, without waiting for a window. A batch of one runs as a normal job.
+//
+// With `awaitConfirmation`, a job whose handler resolved becomes 'mined'
+// instead of 'confirmed': it no longer runs, but stays pending and keeps
+// blocking later jobs with its key until confirm(id), or until requeue(id)
+// sends it back to run again. A reorg that drops the job's transaction thus
+// re-runs it before anything that may depend on it is sent.
+//
+// Emits 'queued', 'released', 'retry', 'mined', 'confirmed', 'failed' plus any
+// event names the handler passes to update().
+function createJobQueue({
+  filePath,
+  handler,
+  concurrency = 1,
+  serializeBy = () => null,
+  canRun = () => true,
+  maxAttempts = 6,
+  baseBackoffMs = 1000,
+  maxBackoffMs = 60 * 1000,
+  idleIntervalMs = 1000,
+  retentionMs = DEFAULT_RETENTION_MS,
+  batchBy = () => null,
+  batchHandler = null,
+  batchWindowMs = 0,
+  maxBatchSize = 1,
+  awaitConfirmation = false
+}) {
+  const queue = new EventEmitter();
+  const jobs = new Map();
+  let running = false;
+  let timer = null;
+  const activeJobs = new Map();
+  // Jobs and batches running, each taking one concurrency slot
+  let activeRuns = 0;
+  // Batch key -> when its first job was seen ready to run
+  const batchWindows = new Map();
+
+  let journalEntries = 0;
+
+  function load() {
+    for (const [id, job] of readSavedJobs(filePath)) {
+      jobs.set(id, job);
+    }
+    compact();
+  }
+
+  // Synchronous append so a change is on disk before the job moves on
+  function persist(job) {
+    fs.appendFileSync(journalPath(filePath), JSON.stringify(job) + '\n');
+    journalEntries++;
+    if (journalEntries > Math.max(MIN_COMPACT_ENTRIES, jobs.size)) {
+      compact();
+    }
+  }
+
+  // Prune expired terminal jobs and rewrite the snapshot. The journal is set
+  // aside first and the snapshot replaced by rename, so a crash at any step
+  // still loads every change.
+  function compact() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (TERMINAL_STATUSES.has(job.status) && Date.parse(job.updatedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+
+    if (fs.existsSync(journalPath(filePath))) {
+      if (fs.existsSync(compactingPath(filePath))) {
+        // Left by a crash; its changes are in memory and go into this snapshot
+        fs.rmSync(compactingPath(filePath));
+      }
+      fs.renameSync(journalPath(filePath), compactingPath(filePath));
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...jobs.values()], null, 2));
+    fs.renameSync(tmpPath, filePath);
+    fs.rmSync(compactingPath(filePath), { force: true });
+    journalEntries = 0;
+  }
+
+  function update(job, changes, eventName) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persist(job);
+    if (eventName) {
+      queue.emit(eventName, job);
+    }
+    return job;
+  }
+
+  function enqueue(fields, { hold = false } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      ...fields,
+      id: crypto.randomUUID(),
+      status: hold ? 'held' : 'queued',
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    persist(job);
+    queue.emit('queued', job);
+    schedule(0);
+    return job;
+  }
+
+  const isPending = (job) => !TERMINAL_STATUSES.has(job.status);
+
+  // Idle jobs whose backoff has elapsed and that are first in line for their
+  // key, oldest first. Mined jobs never run but still hold their key.
+  function runnableJobs(now) {
+    const pending = [...jobs.values()]
+      .filter(isPending)
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+
+    const runnable = [];
+    const blockedKeys = new Set();
+    for (const job of pending) {
+      const key = serializeBy(job);
+      const blocked = key !== null && blockedKeys.has(key);
+      if (key !== null) {
+        blockedKeys.add(key);
+      }
+      if (blocked || activeJobs.has(job.id) || job.status === 'held' || job.status === 'mined' || job.nextAttemptAt > now || !canRun(job)) continue;
+      runnable.push(job);
+    }
+    return runnable;
+  }
+
+  // Broadcast batches keep their jobs together; others batch by batchBy()
+  const isBroadcastBatch = (job) => Boolean(job.batchId && job.txHashes?.length);
+
+  function batchKeyOf(job) {
+    if (!batchHandler) return null;
+    return isBroadcastBatch(job) ? `batch:${job.batchId}` : batchBy(job);
+  }
+
+  // Jobs to run next: a single job, or a batch whose window has closed.
+  // Resolves to { jobs } or { wakeAt } when only open batch windows remain.
+  function nextRun() {
+    const now = Date.now();
+    const runnable = runnableJobs(now);
+    const seenKeys = new Set();
+    let wakeAt = null;
+    let next = null;
+
+    for (const job of runnable) {
+      const key = batchKeyOf(job);
+      if (key === null) {
+        next = next || [job];
+        continue;
+      }
+      if (seenKeys.has(key)) continue;
+      seenKeys.add(key);
+      if (next) continue;
+
+      const members = runnable.filter(other => batchKeyOf(other) === key);
+      if (isBroadcastBatch(job)) {
+        // Every job of the broadcast transaction must be ready again
+        const pendingMembers = [...jobs.values()].filter(other => other.batchId === job.batchId && isPending(other));
+        if (members.length === pendingMembers.length) {
+          next = members;
+        }
+        continue;
+      }
+
+      const openedAt = batchWindows.get(key) ?? now;
+      batchWindows.set(key, openedAt);
+      if (members.length >= maxBatchSize || now - openedAt >= batchWindowMs) {
+        batchWindows.delete(key);
+        next = members.slice(0, maxBatchSize);
+      } else if (wakeAt === null || openedAt + batchWindowMs < wakeAt) {
+        wakeAt = openedAt + batchWindowMs;
+      }
+    }
+
+    // Windows of keys with no ready jobs start over
+    for (const key of batchWindows.keys()) {
+      if (!seenKeys.has(key)) {
+        batchWindows.delete(key);
+      }
+    }
+    return next ? { jobs: next } : { wakeAt };
+  }
+
+  // Confirm, retry or fail a job that ran
+  function finish(job, { result, error }, now = Date.now()) {
+    if (!error) {
+      const status = awaitConfirmation ? 'mined' : 'confirmed';
+      update(job, { status, result, error: null }, status);
+      return;
+    }
+
+    const attempts = job.attempts + 1;
+    if (error.transient && attempts < maxAttempts) {
+      const delay = Math.min(baseBackoffMs * 2 ** (attempts - 1), maxBackoffMs);
+      update(job, { attempts, nextAttemptAt: now + delay, lastError: error.message }, 'retry');
+    } else {
+      update(job, { attempts, status: 'failed', error: error.message, errorCode: error.code || null }, 'failed');
+    }
+  }
+
+  async function runJob(job) {
+    try {
+      const result = await handler(job, { update: (changes, eventName) => update(job, changes, eventName) });
+      finish(job, { result });
+    } catch (error) {
+      finish(job, { error });
+    }
+  }
+
+  async function runBatch(batch) {
+    if (!isBroadcastBatch(batch[0])) {
+      const batchId = crypto.randomUUID();
+      for (const job of batch) {
+        update(job, { batchId });
+      }
+    }
+
+    let outcomes;
+    try {
+      outcomes = await batchHandler(batch, { update });
+    } catch (error) {
+      outcomes = batch.map(() => ({ error }));
+    }
+    // Retried jobs of one batch become ready together
+    const now = Date.now();
+    batch.forEach((job, i) => finish(job, outcomes[i], now));
+  }
+
+  function tick() {
+    timer = null;
+    if (!running) return;
+
+    let wakeAt = null;
+    while (activeRuns < concurrency) {
+      const run = nextRun();
+      if (!run.jobs) {
+        wakeAt = run.wakeAt;
+        break;
+      }
+
+      const batch = run.jobs;
+      for (const job of batch) {
+        activeJobs.set(job.id, job);
+      }
+      activeRuns++;
+      const done = batch.length === 1 && !isBroadcastBatch(batch[0]) ? runJob(batch[0]) : runBatch(batch);
+      done.finally(() => {
+        for (const job of batch) {
+          activeJobs.delete(job.id);
+        }
+        activeRuns--;
+        schedule(0);
+      });
+    }
+
+    if (activeRuns < concurrency) {
+      schedule(wakeAt === null ? idleIntervalMs : Math.max(Math.min(wakeAt - Date.now(), idleIntervalMs), 0));
+    }
+  }
+
+  function schedule(delay) {
+    if (!running) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(tick, delay);
+  }
+
+  function start() {
+    running = true;
+    schedule(0);
+  }
+
+  function stop() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    compact();
+  }
+
+  // Let a held job run
+  function release(id) {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'held') return null;
+    update(job, { status: 'queued', releasedAt: new Date().toISOString() }, 'released');
+    schedule(0);
+    return job;
+  }
+
+  // Settle a mined job
+  function confirm(id, changes = {}) {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'mined') return null;
+    update(job, { ...changes, status: 'confirmed' }, 'confirmed');
+    schedule(0);
+    return job;
+  }
+
+  // Run a mined job again, e.g. when its transaction left the chain. It keeps
+  // its transactions, so the handler can resume waiting for them.
+  function requeue(id, changes = {}, eventName = 'requeued') {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'mined') return null;
+    update(job, { ...changes, status: 'submitted', result: null, nextAttemptAt: 0 }, eventName);
+    schedule(0);
+    return job;
+  }
+
+  // Fail a job that has not started, e.g. a held job that will never be released
+  function fail(id, message, code = null) {
+    const job = jobs.get(id);
+    if (!job || TERMINAL_STATUSES.has(job.status) || activeJobs.has(id) || job.txHashes?.length) return null;
+    update(job, { status: 'failed', error: message, errorCode: code }, 'failed');
+    schedule(0);
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function list(filter = () => true) {
+    return [...jobs.values()].filter(filter);
+  }
+
+  function stats() {
+    const counts = { held: 0, queued: 0, submitted: 0, mined: 0, confirmed: 0, failed: 0 };
+    for (const job of jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return {
+      running,
+      concurrency,
+      active: [...activeJobs.keys()],
+      batching: batchHandler ? { windowMs: batchWindowMs, maxSize: maxBatchSize, openWindows: batchWindows.size } : null,
+      depth: counts.held + counts.queued + counts.submitted,
+      counts
+    };
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  load();
+
+  return Object.assign(queue, { enqueue, release, fail, confirm, requeue, get, list, stats, start, stop, isTerminal: job => TERMINAL_STATUSES.has(job.status) });
+}
+
+module.exports = {
+  createJobQueue,
+  readSavedJobs
+};
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createRecordStore } = require('./recordStore');
+
+// A plain value transfer; contract wallets are not supported as sweep targets
+const SWEEP_GAS_LIMIT = 21000n;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function rotationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Relayer key rotation with fund sweep. Each chain of a rotation, in turn:
+//  1. stops starting new relay jobs (`isPaused`), and waits until the jobs it
+//     already broadcast are mined, so no transaction of the old key is pending
+//  2. stores the new key as an encrypted keystore under `<dataDir>/keys`
+//  3. sends the old wallet's native balance, minus gas, to the new wallet
+//  4. switches the chain's signer with `switchSigner(chain, wallet, keystoreFile)`
+// A chain that fails a step keeps its old key. Keys in use after a rotation
+// are recorded in key-rotation.json so a restart picks them up, and every
+// rotation is appended to key-rotations.jsonl.
+function createKeyRotation({
+  dataDir,
+  jobQueue,
+  chainIdOf,
+  switchSigner,
+  logEvent,
+  intervalMs = 24 * 60 * 60 * 1000,
+  drainTimeoutMs = 10 * 60 * 1000,
+  receiptTimeoutMs = 5 * 60 * 1000,
+  pollIntervalMs = 1000
+}) {
+  const statePath = path.join(dataDir, 'key-rotation.json');
+  const keysDir = path.join(dataDir, 'keys');
+  const history = createRecordStore(path.join(dataDir, 'key-rotations.jsonl'));
+  const pausedChains = new Set();
+  let state = { lastRotationAt: null, keys: {} };
+  let current = null;
+  const startedAt = Date.now();
+
+  function load() {
+    if (fs.existsSync(statePath)) {
+      state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    }
+  }
+
+  function persist() {
+    const tmpPath = `${statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, statePath);
+  }
+
+  // Without a recorded rotation the interval counts from startup
+  const lastRotationAt = () => (state.lastRotationAt ? Date.parse(state.lastRotationAt) : startedAt);
+
+  const isDue = () => intervalMs > 0 && Date.now() - lastRotationAt() > intervalMs;
+
+  // { address, keystoreFile } of the key a previous rotation moved the chain to
+  const rotatedKeyOf = (chainId) => state.keys[chainId] || null;
+
+  const isPaused = (chainId) => pausedChains.has(chainId);
+
+  async function storeKey(chainId, wallet, passphrase) {
+    fs.mkdirSync(keysDir, { recursive: true });
+    const keystoreFile = path.join(keysDir, `relayer-${chainId}-${wallet.address}.json`);
+    fs.writeFileSync(keystoreFile, await wallet.encrypt(passphrase), { mode: 0o600 });
+    return keystoreFile;
+  }
+
+  // Wait until no job of the chain is running or waiting for its receipt
+  async function drain(chainId) {
+    const deadline = Date.now() + drainTimeoutMs;
+    for (;;) {
+      const active = new Set(jobQueue.stats().active);
+      const inFlight = jobQueue.list(job => chainIdOf(job) === chainId && !jobQueue.isTerminal(job) &&
+        (active.has(job.id) || job.txHashes?.length > 0));
+      if (inFlight.length === 0) return;
+      if (Date.now() > deadline) {
+        throw rotationError(`${inFlight.length} relayed transaction(s) still pending`, 'KEY_ROTATION_DRAIN_TIMEOUT');
+      }
+      await sleep(pollIntervalMs);
+    }
+  }
+
+  // Send everything but the transfer's maximum gas cost to `to`
+  async function sweep(chain, to) {
+    const signer = chain.signer;
+    const [balance, feeData] = await Promise.all([
+      chain.provider.getBalance(signer.address),
+      chain.provider.getFeeData()
+    ]);
+    const fees = feeData.maxFeePerGas != null
+      ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+      : { gasPrice: feeData.gasPrice };
+    const value = balance - SWEEP_GAS_LIMIT * (fees.maxFeePerGas ?? fees.gasPrice);
+    if (value <= 0n) {
+      return { sweptWei: '0', sweepTxHash: null };
+    }
+
+    const nonce = await chain.nonceManager.acquire();
+    let tx;
+    try {
+      tx = await signer.sendTransaction({ to, value, nonce, gasLimit: SWEEP_GAS_LIMIT, ...fees });
+    } catch (error) {
+      chain.nonceManager.release(nonce, error);
+      throw error;
+    }
+
+    // Once broadcast the funds are on their way, so a slow receipt does not
+    // stop the switch; a reverted transfer throws
+    let receipt = null;
+    try {
+      receipt = await tx.wait(1, receiptTimeoutMs);
+      chain.nonceManager.confirm(nonce);
+    } catch (error) {
+      if (error.code !== 'TIMEOUT') throw error;
+    }
+    return { sweptWei: value.toString(), sweepTxHash: tx.hash, sweepConfirmed: !!receipt };
+  }
+
+  async function rotateChain(chain, wallet, passphrase) {
+    const result = { chainId: chain.chainId, oldAddress: chain.signer.address, newAddress: wallet.address };
+    pausedChains.add(chain.chainId);
+    try {
+      await drain(chain.chainId);
+
+      // The key must be on disk before any funds are sent to it
+      const keystoreFile = passphrase ? await storeKey(chain.chainId, wallet, passphrase) : null;
+      Object.assign(result, await sweep(chain, wallet.address));
+
+      switchSigner(chain, wallet, keystoreFile);
+      if (keystoreFile) {
+        state.keys[chain.chainId] = { address: wallet.address, keystoreFile };
+      } else {
+        // Not persisted: a restart goes back to the configured key
+        delete state.keys[chain.chainId];
+      }
+      state.lastRotationAt = new Date().toISOString();
+      persist();
+
+      return { ...result, status: 'rotated', persisted: !!keystoreFile };
+    } catch (error) {
+      return { ...result, status: 'failed', error: error.message, code: error.code || null };
+    } finally {
+      pausedChains.delete(chain.chainId);
+    }
+  }
+
+  async function run(rotation, targets) {
+    try {
+      for (const { chain, wallet, passphrase } of targets) {
+        const result = await rotateChain(chain, wallet, passphrase);
+        rotation.chains.push(result);
+        logEvent(result.status === 'rotated'
+          ? { type: 'KEY_ROTATED', rotationId: rotation.id, reason: rotation.reason, ...result }
+          : { type: 'KEY_ROTATION_FAILED', rotationId: rotation.id, reason: rotation.reason, ...result });
+      }
+
+      const rotated = rotation.chains.filter(result => result.status === 'rotated').length;
+      rotation.status = rotated === targets.length ? 'completed' : rotated > 0 ? 'partial' : 'failed';
+      rotation.completedAt = new Date().toISOString();
+      history.append(rotation);
+    } finally {
+      // A later rotation may start even when this one could not be recorded
+      current = null;
+    }
+  }
+
+  // The rotation itself failed, e.g. its history could not be written
+  function reportFailure(rotation, error) {
+    if (rotation.status === 'in_progress') {
+      rotation.status = 'failed';
+    }
+    console.error(`[ERROR] Key rotation ${rotation.id} failed:`, error.message);
+    try {
+      logEvent({ type: 'KEY_ROTATION_FAILED', rotationId: rotation.id, reason: rotation.reason, error: error.message, code: error.code || null });
+    } catch (logError) {
+      // Reported on the console above
+    }
+  }
+
+  // Rotate each target ({ chain, wallet, passphrase }) to its new wallet in
+  // the background. A null passphrase leaves the new key in memory only.
+  // Returns the rotation record right away; it is updated as each chain is
+  // processed, and listed by status() once done.
+  function start(targets, { reason, admin = null }) {
+    if (current) {
+      throw rotationError('A key rotation is already in progress', 'KEY_ROTATION_IN_PROGRESS');
+    }
+
+    const rotation = {
+      id: crypto.randomUUID(),
+      reason,
+      admin,
+      status: 'in_progress',
+      chainIds: targets.map(target => target.chain.chainId),
+      startedAt: new Date().toISOString(),
+      chains: []
+    };
+    current = rotation;
+    logEvent({ type: 'KEY_ROTATION_STARTED', rotationId: rotation.id, reason, chainIds: rotation.chainIds, admin });
+
+    run(rotation, targets).catch(error => reportFailure(rotation, error));
+    return rotation;
+  }
+
+  async function status(limit = 10) {
+    return {
+      intervalMs,
+      lastRotation: new Date(lastRotationAt()).toISOString(),
+      nextRotationAt: intervalMs > 0 ? new Date(lastRotationAt() + intervalMs).toISOString() : null,
+      inProgress: current,
+      pausedChainIds: [...pausedChains],
+      history: (await history.query({}, limit)).reverse()
+    };
+  }
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  load();
+
+  return {
+    start,
+    isDue,
+    isPaused,
+    rotatedKeyOf,
+    lastRotationAt,
+    inProgress: () => current,
+    status
+  };
+}
+
+module.exports = {
+  createKeyRotation
+};
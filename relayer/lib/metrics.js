@@ -0,0 +1,107 @@
+// Seconds; relays wait on the queue, the chain and fee bumps
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+
+// Minimal Prometheus registry rendering the text exposition format (0.0.4).
+//  - counter(name, help).inc(labels, value)
+//  - histogram(name, help, buckets).observe(labels, seconds)
+//  - gauge(name, help, collect) where collect() resolves to a number or a
+//    list of { labels, value }, read at scrape time
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, value: 0 });
+        }
+        series.get(key).value += value;
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      render: async () => {
+        const value = await collect();
+        if (value === null || value === undefined) return [];
+        const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return samples.map(sample => `${name}${formatLabels(sample.labels)} ${sample.value}`);
+      }
+    });
+  }
+
+  // A failing collector only drops its own samples from the scrape
+  async function render() {
+    const sections = await Promise.all(metrics.map(async metric => {
+      let lines;
+      try {
+        lines = await metric.render();
+      } catch (error) {
+        console.error(`[ERROR] Failed to collect metric ${metric.name}:`, error.message);
+        lines = [];
+      }
+      return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+    }));
+    return `${sections.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = {
+  createMetricsRegistry,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
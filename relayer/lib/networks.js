@@ -0,0 +1,246 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const DEFAULT_KEY_ENV = 'RELAYER_PRIVATE_KEY';
+const DEFAULT_PASSPHRASE_ENV = 'RELAYER_KEYSTORE_PASSPHRASE';
+const DEFAULT_SIGNER_TOKEN_ENV = 'RELAYER_REMOTE_SIGNER_TOKEN';
+
+function configError(message) {
+  return new Error(`Invalid network config: ${message}`);
+}
+
+function requireAddress(value, field, label) {
+  if (typeof value !== 'string' || !ethers.isAddress(value)) {
+    throw configError(`${label} needs a valid ${field} address`);
+  }
+  return ethers.getAddress(value);
+}
+
+function optionalEther(value, field, label) {
+  if (value === undefined) return undefined;
+  try {
+    return ethers.parseEther(String(value));
+  } catch (error) {
+    throw configError(`${label} has an invalid ${field}`);
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Where a network's relayer key lives:
+//   { type: 'privateKey', keyEnv }              plaintext key in an env variable
+//   { type: 'keystore', file, passphraseEnv }   encrypted JSON keystore
+//   { type: 'remote', url, address, tokenEnv }  remote signing service
+function normalizeSigner(entry, label) {
+  const signer = entry.signer || { type: 'privateKey', keyEnv: entry.relayerKeyEnv };
+  switch (signer.type) {
+    case 'privateKey':
+      return { type: 'privateKey', keyEnv: signer.keyEnv || DEFAULT_KEY_ENV };
+    case 'keystore':
+      if (typeof signer.file !== 'string' || !signer.file) {
+        throw configError(`${label} keystore signer needs a file`);
+      }
+      return { type: 'keystore', file: signer.file, passphraseEnv: signer.passphraseEnv || DEFAULT_PASSPHRASE_ENV };
+    case 'remote':
+      if (!isHttpUrl(signer.url)) {
+        throw configError(`${label} remote signer needs an http(s) url`);
+      }
+      return {
+        type: 'remote',
+        url: signer.url,
+        // Optional; when set, the service must sign for this address
+        address: signer.address === undefined ? null : requireAddress(signer.address, 'signer', label),
+        tokenEnv: signer.tokenEnv || DEFAULT_SIGNER_TOKEN_ENV
+      };
+    default:
+      throw configError(`${label} signer type must be privateKey, keystore or remote`);
+  }
+}
+
+// EIP-2771 forwarder a network relays ForwardRequests through, and the target
+// contracts and functions users may call via it:
+//   { address, name, targets: { "0xTarget": ["deposit(uint256 amount)", ...] } }
+// `name` is the forwarder's EIP-712 domain name. Targets are keyed by
+// checksummed address; functions are ethers fragments. Null when the network
+// has no forwarder.
+function normalizeForwarder(entry, label) {
+  const forwarder = entry.forwarder;
+  if (forwarder === undefined || forwarder === null) return null;
+  if (typeof forwarder !== 'object' || Array.isArray(forwarder)) {
+    throw configError(`${label} forwarder must be an object`);
+  }
+  if (!forwarder.targets || typeof forwarder.targets !== 'object' || Array.isArray(forwarder.targets)) {
+    throw configError(`${label} forwarder needs a targets object`);
+  }
+
+  const targets = {};
+  for (const [target, signatures] of Object.entries(forwarder.targets)) {
+    const address = requireAddress(target, 'forwarder target', label);
+    if (!Array.isArray(signatures) || signatures.length === 0) {
+      throw configError(`${label} forwarder target ${address} needs a list of functions`);
+    }
+    targets[address] = signatures.map(signature => {
+      try {
+        return ethers.FunctionFragment.from(signature);
+      } catch (error) {
+        throw configError(`${label} forwarder target ${address} has an invalid function ${signature}`);
+      }
+    });
+  }
+
+  if (forwarder.name !== undefined && (typeof forwarder.name !== 'string' || !forwarder.name)) {
+    throw configError(`${label} forwarder name must be a non-empty string`);
+  }
+
+  return { address: requireAddress(forwarder.address, 'forwarder', label), name: forwarder.name, targets };
+}
+
+// RPC endpoints of a network, in order of preference: `rpcUrls`, or a single `rpcUrl`
+function normalizeRpcUrls(entry, label) {
+  const rpcUrls = entry.rpcUrls ?? (entry.rpcUrl ? [entry.rpcUrl] : []);
+  if (!Array.isArray(rpcUrls) || rpcUrls.length === 0) {
+    throw configError(`${label} needs an rpcUrl or a list of rpcUrls`);
+  }
+  for (const url of rpcUrls) {
+    if (!isHttpUrl(url)) {
+      throw configError(`${label} RPC endpoint ${url} is not an http(s) URL`);
+    }
+  }
+  if (new Set(rpcUrls).size !== rpcUrls.length) {
+    throw configError(`${label} lists an RPC endpoint more than once`);
+  }
+  return rpcUrls;
+}
+
+// Validate one network entry and fill in defaults
+function normalizeNetwork(entry) {
+  const chainId = Number(entry.chainId);
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw configError(`chainId ${entry.chainId} is not a positive integer`);
+  }
+  const label = entry.name ? `${entry.name} (${chainId})` : `chain ${chainId}`;
+  const rpcUrls = normalizeRpcUrls(entry, label);
+  const rpcQuorum = entry.rpcQuorum ?? 1;
+  if (!(Number.isInteger(rpcQuorum) && rpcQuorum > 0 && rpcQuorum <= rpcUrls.length)) {
+    throw configError(`${label} rpcQuorum must be a positive integer no larger than the number of RPC endpoints`);
+  }
+  if (entry.rwaTokens !== undefined && !Array.isArray(entry.rwaTokens)) {
+    throw configError(`${label} rwaTokens must be a list`);
+  }
+  if (entry.confirmations !== undefined && !(Number.isInteger(entry.confirmations) && entry.confirmations > 0)) {
+    throw configError(`${label} confirmations must be a positive integer`);
+  }
+
+  return {
+    chainId,
+    name: entry.name || `chain-${chainId}`,
+    rpcUrls,
+    rpcQuorum,
+    lendingPool: requireAddress(entry.lendingPool, 'lendingPool', label),
+    dusd: requireAddress(entry.dusd, 'dusd', label),
+    rwaTokens: [...new Set((entry.rwaTokens || []).map(address => requireAddress(address, 'rwaTokens', label)))],
+    signer: normalizeSigner(entry, label),
+    forwarder: normalizeForwarder(entry, label),
+    confirmations: entry.confirmations,
+    dailyGasBudget: optionalEther(entry.dailyGasBudgetEth, 'dailyGasBudgetEth', label),
+    globalDailyGasCap: optionalEther(entry.globalDailyGasCapEth, 'globalDailyGasCapEth', label),
+    balanceWarn: optionalEther(entry.balanceWarnEth, 'balanceWarnEth', label),
+    balanceCritical: optionalEther(entry.balanceCriticalEth, 'balanceCriticalEth', label)
+  };
+}
+
+function legacySigner(env) {
+  if (env.RELAYER_REMOTE_SIGNER_URL) {
+    return { type: 'remote', url: env.RELAYER_REMOTE_SIGNER_URL, address: env.RELAYER_REMOTE_SIGNER_ADDRESS || undefined };
+  }
+  if (env.RELAYER_KEYSTORE_FILE) {
+    return { type: 'keystore', file: env.RELAYER_KEYSTORE_FILE };
+  }
+  return { type: 'privateKey' };
+}
+
+function legacyForwardTargets(env) {
+  try {
+    return JSON.parse(env.FORWARD_TARGETS || '{}');
+  } catch (error) {
+    throw configError('FORWARD_TARGETS must be a JSON object of target addresses to function lists');
+  }
+}
+
+// Networks the relayer serves, from the JSON file at `configFile`:
+//   { "defaultChainId": 1043, "networks": [{ "chainId", "name", "rpcUrl"
+//     (or "rpcUrls" and "rpcQuorum"), "lendingPool", "dusd", "rwaTokens",
+//     "signer" (or "relayerKeyEnv"), "forwarder", "confirmations",
+//     "dailyGasBudgetEth", "globalDailyGasCapEth", "balanceWarnEth",
+//     "balanceCriticalEth" }] }
+// Without a file, a single network is read from RPC_URL (one or more
+// comma-separated endpoints), RPC_QUORUM, CHAIN_ID,
+// LENDING_POOL_ADDRESS, DUSD_ADDRESS and RWA_TOKEN_ADDRESSES, signing with
+// RELAYER_REMOTE_SIGNER_URL, RELAYER_KEYSTORE_FILE or RELAYER_PRIVATE_KEY,
+// with an optional forwarder from FORWARDER_ADDRESS and FORWARD_TARGETS.
+// Throws when the config is incomplete or malformed.
+function loadNetworks({ configFile, env }) {
+  let config;
+  if (configFile) {
+    config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } else {
+    if (!env.RPC_URL || !env.CHAIN_ID || !env.LENDING_POOL_ADDRESS || !env.DUSD_ADDRESS) {
+      throw configError('set NETWORKS_CONFIG, or RPC_URL, CHAIN_ID, LENDING_POOL_ADDRESS and DUSD_ADDRESS');
+    }
+    config = {
+      networks: [{
+        chainId: env.CHAIN_ID,
+        name: 'default',
+        // A comma-separated list for failover
+        rpcUrls: env.RPC_URL.split(',').map(url => url.trim()).filter(Boolean),
+        rpcQuorum: env.RPC_QUORUM ? Number(env.RPC_QUORUM) : undefined,
+        lendingPool: env.LENDING_POOL_ADDRESS,
+        dusd: env.DUSD_ADDRESS,
+        // Entries that are not addresses were always ignored here
+        rwaTokens: (env.RWA_TOKEN_ADDRESSES || '').split(',').map(address => address.trim()).filter(address => ethers.isAddress(address)),
+        signer: legacySigner(env),
+        forwarder: env.FORWARDER_ADDRESS ? { address: env.FORWARDER_ADDRESS, targets: legacyForwardTargets(env) } : undefined
+      }]
+    };
+  }
+
+  if (!Array.isArray(config.networks) || config.networks.length === 0) {
+    throw configError('networks must be a non-empty list');
+  }
+
+  const networks = config.networks.map(normalizeNetwork);
+  const chainIds = networks.map(network => network.chainId);
+  if (new Set(chainIds).size !== chainIds.length) {
+    throw configError('each chainId may only be listed once');
+  }
+
+  const defaultChainId = config.defaultChainId !== undefined ? Number(config.defaultChainId) : chainIds[0];
+  if (!chainIds.includes(defaultChainId)) {
+    throw configError(`defaultChainId ${config.defaultChainId} is not one of the configured networks`);
+  }
+
+  return { defaultChainId, networks };
+}
+
+// Parse a chainId from a request body or query string; null if malformed
+function parseChainId(value) {
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) && value > 0 ? value : null;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value)) {
+    const chainId = Number(value);
+    return Number.isSafeInteger(chainId) && chainId > 0 ? chainId : null;
+  }
+  return null;
+}
+
+module.exports = {
+  loadNetworks,
+  parseChainId
+};
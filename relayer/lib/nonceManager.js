@@ -0,0 +1,101 @@
+// Hands out account nonces for the relayer wallet. Nonces are assigned one at
+// a time under a lock, so concurrent jobs never reuse a nonce. After a failed
+// broadcast the next acquire() resyncs from getTransactionCount('pending').
+function createNonceManager({ provider, getAddress }) {
+  let address = null;
+  let nextNonce = null;
+  let needsResync = true;
+  let lastSyncedAt = null;
+  let resyncCount = 0;
+  let lastError = null;
+  const inFlight = new Set();
+
+  let lock = Promise.resolve();
+  function withLock(fn) {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  async function sync() {
+    const pendingCount = await provider.getTransactionCount(address, 'pending');
+    nextNonce = pendingCount;
+    needsResync = false;
+    lastSyncedAt = new Date().toISOString();
+    resyncCount++;
+  }
+
+  // Reserve the next nonce. The caller must confirm() it once mined or
+  // release() it if the transaction was never broadcast.
+  function acquire() {
+    return withLock(async () => {
+      const currentAddress = getAddress();
+      if (currentAddress !== address) {
+        // The relayer key changed; nonces of the old wallet no longer apply
+        address = currentAddress;
+        inFlight.clear();
+        needsResync = true;
+      }
+
+      if (needsResync || nextNonce === null) {
+        await sync();
+      }
+
+      // Skip nonces still held by broadcast transactions
+      while (inFlight.has(nextNonce)) {
+        nextNonce++;
+      }
+
+      const nonce = nextNonce++;
+      inFlight.add(nonce);
+      return nonce;
+    });
+  }
+
+  // A transaction with this nonce was mined
+  function confirm(nonce) {
+    inFlight.delete(nonce);
+  }
+
+  // The transaction was never broadcast, leaving a gap: resync before the next nonce
+  function release(nonce, error) {
+    inFlight.delete(nonce);
+    needsResync = true;
+    lastError = error ? error.message : null;
+  }
+
+  // The chain disagrees with local state (e.g. nonce consumed elsewhere)
+  function invalidate(error) {
+    needsResync = true;
+    lastError = error ? error.message : null;
+  }
+
+  // Mark a nonce restored from a persisted job as in flight
+  function track(nonce, from) {
+    if (from !== getAddress()) return;
+    if (address !== from) {
+      address = from;
+      inFlight.clear();
+      needsResync = true;
+    }
+    inFlight.add(nonce);
+  }
+
+  function state() {
+    return {
+      address,
+      nextNonce,
+      inFlight: [...inFlight].sort((a, b) => a - b),
+      needsResync,
+      lastSyncedAt,
+      resyncCount,
+      lastError
+    };
+  }
+
+  return { acquire, confirm, release, invalidate, track, state };
+}
+
+module.exports = {
+  createNonceManager
+};
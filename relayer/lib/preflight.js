@@ -0,0 +1,128 @@
+const { ethers } = require('ethers');
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+];
+
+// Checks a signed action against chain state before the relayer accepts it,
+// so calls that would revert are rejected without spending gas:
+//  - the action nonce must be the owner's next one (on-chain nonce advanced
+//    past the actions already queued for them)
+//  - the owner must hold the tokens and allowance the call moves
+//  - the call is simulated with eth_call from the relayer wallet, or as the
+//    given `simulation` call, e.g. a forwarded call made by the forwarder.
+//    Skipped when earlier actions of the owner are still queued, since it
+//    would fail on the nonce; the submitter re-estimates gas right before
+//    broadcasting instead.
+//
+// `describeRevert(error)` maps a revert to { error, code, revert }.
+// check() resolves to null or a rejection { error, code, details }.
+// RPC failures are thrown to the caller.
+function createPreflight({ provider, lendingPool, dusdAddress, getRelayerAddress, describeRevert }) {
+  const poolAddress = lendingPool.target;
+  const tokenAt = (address) => new ethers.Contract(address, ERC20_ABI, provider);
+
+  function checkNonce(action, { onChainNonce, nextNonce }) {
+    if (action.nonce < onChainNonce) {
+      return {
+        error: 'Invalid nonce - already used',
+        code: 'INVALID_NONCE',
+        details: { nonce: action.nonce.toString(), expectedNonce: nextNonce.toString() }
+      };
+    }
+    if (action.nonce !== nextNonce) {
+      return {
+        error: 'Invalid nonce - does not follow the pending actions',
+        code: 'INVALID_NONCE',
+        details: { nonce: action.nonce.toString(), expectedNonce: nextNonce.toString() }
+      };
+    }
+    return null;
+  }
+
+  async function checkFunds(token, owner, amount, { balanceLabel, needsAllowance }) {
+    const [balance, allowance] = await Promise.all([
+      token.balanceOf(owner),
+      needsAllowance ? token.allowance(owner, poolAddress) : null
+    ]);
+
+    if (balance < amount) {
+      return {
+        error: `Insufficient ${balanceLabel} balance`,
+        code: 'INSUFFICIENT_BALANCE',
+        details: { balance: balance.toString(), required: amount.toString() }
+      };
+    }
+    if (needsAllowance && allowance < amount) {
+      return {
+        error: `Insufficient ${balanceLabel} allowance for the LendingPool`,
+        code: 'INSUFFICIENT_ALLOWANCE',
+        details: { allowance: allowance.toString(), required: amount.toString() }
+      };
+    }
+    return null;
+  }
+
+  async function checkBalances(actionName, action, rwaToken) {
+    switch (actionName) {
+      case 'deposit':
+        return checkFunds(tokenAt(dusdAddress), action.owner, action.amount, { balanceLabel: 'DUSD', needsAllowance: true });
+      case 'withdraw': {
+        const deposited = await lendingPool.deposits(action.owner);
+        if (deposited < action.amount) {
+          return {
+            error: 'Insufficient deposited balance',
+            code: 'INSUFFICIENT_BALANCE',
+            details: { balance: deposited.toString(), required: action.amount.toString() }
+          };
+        }
+        return null;
+      }
+      case 'rwa-transfer':
+        return checkFunds(tokenAt(rwaToken), action.owner, action.amount, { balanceLabel: 'RWA token', needsAllowance: true });
+      case 'rwa-burn':
+        return checkFunds(tokenAt(rwaToken), action.owner, action.amount, { balanceLabel: 'RWA token', needsAllowance: false });
+      default:
+        return null;
+    }
+  }
+
+  async function simulate(call) {
+    try {
+      await provider.call({ to: call.to, data: call.data, from: call.from || getRelayerAddress() });
+      return null;
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      const { error: message, code, revert } = describeRevert(error);
+      const details = {
+        reason: revert?.reason || error.shortMessage || error.message,
+        ...(revert?.name && { error: revert.name, args: revert.args })
+      };
+      return code === 'TRANSACTION_FAILED'
+        ? { error: 'Transaction simulation reverted', code: 'SIMULATION_FAILED', details }
+        : { error: message, code, details };
+    }
+  }
+
+  async function check(actionName, action, { request, simulation, rwaToken, onChainNonce, nextNonce }) {
+    const nonceRejection = checkNonce(action, { onChainNonce, nextNonce });
+    if (nonceRejection) return nonceRejection;
+
+    const balanceRejection = await checkBalances(actionName, action, rwaToken);
+    if (balanceRejection) return balanceRejection;
+
+    if (action.nonce === onChainNonce) {
+      return simulate(simulation || request);
+    }
+    return null;
+  }
+
+  return { check };
+}
+
+module.exports = {
+  createPreflight
+};
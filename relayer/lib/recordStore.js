@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+// Append-only JSONL store. Every record is one line, so the file survives
+// restarts and can be shipped to external tooling as-is. A file that reaches
+// `maxFileBytes` is rotated to `<file>.1` (the previous `.1` to `.2`, and so
+// on), and only the newest `maxFiles` rotated files are kept.
+function createRecordStore(filePath, { maxFileBytes = DEFAULT_MAX_FILE_BYTES, maxFiles = DEFAULT_MAX_FILES } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+  const rotatedPath = (index) => `${filePath}.${index}`;
+
+  function rotate() {
+    fs.rmSync(rotatedPath(maxFiles), { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(rotatedPath(index))) {
+        fs.renameSync(rotatedPath(index), rotatedPath(index + 1));
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(filePath, rotatedPath(1));
+    } else {
+      fs.rmSync(filePath);
+    }
+    size = 0;
+  }
+
+  // Synchronous append so a record is on disk before the request continues
+  function append(record) {
+    const entry = {
+      id: record.id || crypto.randomUUID(),
+      timestamp: record.timestamp || new Date().toISOString(),
+      ...record
+    };
+    const line = JSON.stringify(entry) + '\n';
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxFileBytes) {
+      rotate();
+    }
+    fs.appendFileSync(filePath, line);
+    size += bytes;
+    return entry;
+  }
+
+  // Yield matching records in chronological order, oldest rotated file first,
+  // without holding more than one line in memory
+  async function* stream(filters = {}) {
+    const files = [];
+    for (let index = maxFiles; index >= 1; index--) {
+      files.push(rotatedPath(index));
+    }
+    files.push(filePath);
+
+    for (const file of files) {
+      let fd;
+      try {
+        fd = fs.openSync(file, 'r');
+      } catch (error) {
+        // Not rotated that far yet, or rotated away since
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const input = fs.createReadStream(null, { fd });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          if (!line.trim()) continue;
+
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (error) {
+            // Skip a partially written trailing line
+            continue;
+          }
+
+          if (matchesFilters(record, filters)) {
+            yield record;
+          }
+        }
+      } finally {
+        input.destroy();
+      }
+    }
+  }
+
+  // Matching records in chronological order. `limit` keeps only the most
+  // recent matches.
+  async function query(filters = {}, limit = Infinity) {
+    const matches = [];
+    for await (const record of stream(filters)) {
+      matches.push(record);
+      if (matches.length > limit) {
+        matches.shift();
+      }
+    }
+    return matches;
+  }
+
+  return { filePath, append, query, stream };
+}
+
+// Filters: address, type, action, status, subscriptionId (exact) and from/to (epoch ms)
+function matchesFilters(record, filters) {
+  if (filters.address && (record.address || '').toLowerCase() !== filters.address.toLowerCase()) {
+    return false;
+  }
+  for (const field of ['type', 'action', 'status', 'subscriptionId']) {
+    if (filters[field] && record[field] !== filters[field]) {
+      return false;
+    }
+  }
+
+  const time = Date.parse(record.timestamp);
+  if (filters.from !== undefined && time < filters.from) return false;
+  if (filters.to !== undefined && time > filters.to) return false;
+
+  return true;
+}
+
+// Accepts an ISO date or a unix timestamp in seconds or milliseconds
+function parseTimeFilter(value) {
+  if (value === undefined || value === '') return undefined;
+  if (/^\d+$/.test(value)) {
+    const numeric = Number(value);
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// One CSV line of `values`; objects are written as JSON
+function toCSVRow(values) {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return values.map(escape).join(',') + '\n';
+}
+
+module.exports = {
+  createRecordStore,
+  parseTimeFilter,
+  toCSVRow
+};
@@ -0,0 +1,182 @@
+const Ajv2020 = require('ajv/dist/2020');
+
+const LOCATIONS = ['path', 'header', 'query'];
+
+// OpenAPI schema refs point into the document; the validator registers the
+// component schemas as their own schema and resolves refs against it
+function rewriteRefs(value) {
+  if (Array.isArray(value)) {
+    return value.map(rewriteRefs);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+      key,
+      key === '$ref' && typeof inner === 'string'
+        ? inner.replace('#/components/schemas/', 'components#/$defs/')
+        : rewriteRefs(inner)
+    ]));
+  }
+  return value;
+}
+
+// '/api/jobs/{id}' -> /^\/api\/jobs\/([^/]+)\/?$/i, matched like Express routes
+function pathPattern(template) {
+  const names = [];
+  const source = template
+    .split(/\{([^}]+)\}/)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        names.push(part);
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return { regex: new RegExp(`^${source}/?$`, 'i'), names };
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Request validation generated from the OpenAPI document: every operation's
+// path, header and query parameters and JSON body are checked against their
+// schemas before the route runs. The first failure is answered with 400 and
+// the failing schema's `x-error-code`, MISSING_FIELDS for a missing required
+// field, or INVALID_TYPES. Requests to paths the document does not describe
+// pass through untouched.
+function createRequestValidator({ spec, logEvent }) {
+  const ajv = new Ajv2020({ strict: true, allowUnionTypes: true, verbose: true });
+  ajv.addKeyword({ keyword: 'x-error-code', schemaType: 'string' });
+  ajv.addSchema({ $id: 'components', $defs: rewriteRefs(spec.components?.schemas || {}) });
+
+  const resolve = (item) => {
+    if (!item?.$ref) return item;
+    const [, section, name] = /^#\/components\/([^/]+)\/(.+)$/.exec(item.$ref) || [];
+    return spec.components?.[section]?.[name];
+  };
+
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(spec.paths || {})) {
+    const { regex, names } = pathPattern(template);
+    for (const [method, operation] of Object.entries(pathItem)) {
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolve);
+
+      // One object schema per parameter location; header names are case-insensitive
+      const validators = {};
+      for (const location of LOCATIONS) {
+        const inLocation = parameters.filter(parameter => parameter.in === location);
+        if (inLocation.length === 0) continue;
+
+        const nameOf = (parameter) => (location === 'header' ? parameter.name.toLowerCase() : parameter.name);
+        validators[location] = ajv.compile({
+          type: 'object',
+          properties: Object.fromEntries(inLocation.map(parameter => [nameOf(parameter), rewriteRefs(parameter.schema)])),
+          required: inLocation.filter(parameter => parameter.required).map(nameOf)
+        });
+        validators[location].names = inLocation.map(nameOf);
+        validators[location].labels = Object.fromEntries(inLocation.map(parameter => [nameOf(parameter), parameter.name]));
+      }
+
+      const body = operation.requestBody?.content?.['application/json'];
+      if (body) {
+        validators.body = ajv.compile(rewriteRefs(body.schema));
+        validators.bodyRequired = Boolean(operation.requestBody.required);
+      }
+
+      operations.push({ method: method.toUpperCase(), regex, names, template, validators });
+    }
+  }
+
+  function findOperation(req) {
+    for (const operation of operations) {
+      if (operation.method !== req.method) continue;
+      const match = operation.regex.exec(req.path);
+      if (match) {
+        return { operation, pathParams: Object.fromEntries(operation.names.map((name, i) => [name, decodeParam(match[i + 1])])) };
+      }
+    }
+    return null;
+  }
+
+  // The value of each location the operation declares
+  function valuesOf(req, location, validator, pathParams) {
+    switch (location) {
+      case 'path':
+        return pathParams;
+      case 'query':
+        return req.query;
+      case 'header':
+        return Object.fromEntries(validator.names
+          .filter(name => req.get(name) !== undefined)
+          .map(name => [name, req.get(name)]));
+      default:
+        return req.body;
+    }
+  }
+
+  function describe(location, error, labels = {}) {
+    const segments = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+    }
+    const field = labels[segments[0]] || segments.join('.') || null;
+
+    let code = 'INVALID_TYPES';
+    if (error.keyword === 'required') {
+      code = 'MISSING_FIELDS';
+    } else if (error.keyword !== 'type' && error.parentSchema?.['x-error-code']) {
+      code = error.parentSchema['x-error-code'];
+    }
+
+    return {
+      error: error.keyword === 'required'
+        ? 'Missing required fields'
+        : `Invalid ${location === 'body' ? '' : `${location} parameter `}${field || 'request body'}`,
+      code,
+      details: { location, field, message: error.message }
+    };
+  }
+
+  function middleware(req, res, next) {
+    const found = findOperation(req);
+    if (!found) {
+      return next();
+    }
+    const { operation, pathParams } = found;
+
+    for (const location of [...LOCATIONS, 'body']) {
+      const validator = operation.validators[location];
+      if (!validator) continue;
+      if (location === 'body' && !operation.validators.bodyRequired && (req.body === undefined || Object.keys(req.body).length === 0)) {
+        continue;
+      }
+
+      if (!validator(valuesOf(req, location, validator, pathParams))) {
+        const rejection = describe(location, validator.errors[0], validator.labels);
+        logEvent({
+          type: 'VALIDATION_ERROR',
+          error: rejection.error,
+          code: rejection.code,
+          path: operation.template,
+          location,
+          field: rejection.details.field,
+          ip: req.ip || 'unknown'
+        });
+        return res.status(400).json(rejection);
+      }
+    }
+
+    next();
+  }
+
+  return { middleware };
+}
+
+module.exports = {
+  createRequestValidator
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const ERROR_CODES = require('../../shared/errorCodes.json');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'artifacts', 'contracts');
+
+// Contracts the relayer calls, directly or through the forwarder, and the
+// tokens they move
+const RELAYED_CONTRACTS = ['LendingPool', 'TrustedForwarder', 'CollateralVault', 'RWAAssetToken', 'DUSD'];
+
+// Custom errors the relayed calls can revert with, read from the compiled
+// artifacts so an error added to a contract is decoded without changes here.
+// Error(string) and Panic(uint256) are built in.
+function loadContractErrors() {
+  const errors = new Map();
+  for (const name of RELAYED_CONTRACTS) {
+    const artifactPath = path.join(ARTIFACTS_DIR, `${name}.sol`, `${name}.json`);
+    if (!fs.existsSync(artifactPath)) {
+      throw new Error(`Missing contract artifact ${artifactPath}; run \`npm run compile\` in the repository root`);
+    }
+    const { abi } = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+    for (const fragment of new ethers.Interface(abi).fragments) {
+      if (fragment.type === 'error') {
+        errors.set(fragment.format('sighash'), fragment);
+      }
+    }
+  }
+  return new ethers.Interface([...errors.values()]);
+}
+
+const CONTRACT_ERRORS = loadContractErrors();
+
+const CUSTOM_ERROR_CODES = {
+  ECDSAInvalidSignature: 'INVALID_SIGNATURE',
+  ECDSAInvalidSignatureLength: 'INVALID_SIGNATURE',
+  ECDSAInvalidSignatureS: 'INVALID_SIGNATURE',
+  SafeERC20FailedOperation: 'TOKEN_TRANSFER_FAILED',
+  ERC2771ForwarderInvalidSigner: 'INVALID_SIGNATURE',
+  ERC2771ForwarderMismatchedValue: 'INVALID_AMOUNT',
+  ERC2771ForwarderExpiredRequest: 'SIGNATURE_EXPIRED',
+  ERC2771UntrustfulTarget: 'FORWARD_TARGET_NOT_ALLOWED',
+  // The forwarder reverts with this when the forwarded call itself reverts
+  FailedCall: 'FORWARDED_CALL_FAILED',
+  // executeBatch reports this for a call that is not a delegated action
+  BatchCallNotAllowed: 'BATCH_CALL_NOT_ALLOWED',
+  OwnableInvalidOwner: 'INVALID_ADDRESS',
+  OwnableUnauthorizedAccount: 'UNAUTHORIZED_ACCOUNT',
+  AccessControlUnauthorizedAccount: 'UNAUTHORIZED_ACCOUNT',
+  ERC20InsufficientAllowance: 'INSUFFICIENT_ALLOWANCE',
+  ERC20InsufficientBalance: 'INSUFFICIENT_BALANCE',
+  ERC20InvalidApprover: 'INVALID_ADDRESS',
+  ERC20InvalidReceiver: 'INVALID_ADDRESS',
+  ERC20InvalidSender: 'INVALID_ADDRESS',
+  ERC20InvalidSpender: 'INVALID_ADDRESS'
+};
+
+// Error(string) reasons of the require statements of the LendingPool and of
+// the CollateralVault and RWAAssetToken calls the forwarder relays
+const REASON_CODES = [
+  [/^Invalid nonce$/, 'INVALID_NONCE'],
+  [/^Invalid signature$/, 'INVALID_SIGNATURE'],
+  [/^Signature expired$/, 'SIGNATURE_EXPIRED'],
+  [/^Insufficient (balance|collateral)$/, 'INSUFFICIENT_BALANCE'],
+  [/^RWA (mint|transfer|burn) failed$/, 'RWA_CALL_FAILED'],
+  [/^Can only burn own tokens$/, 'RWA_BURN_NOT_OWNER'],
+  [/^Amount must be (> 0|greater than 0)$/, 'INVALID_AMOUNT'],
+  [/^(Exceeds max borrowable|Would exceed LTV)$/, 'EXCEEDS_BORROW_LIMIT'],
+  [/^Insufficient debt$/, 'REPAY_EXCEEDS_DEBT'],
+  [/^(Account is frozen|Account not whitelisted|KYC expired or not verified)$/, 'RWA_TRANSFER_RESTRICTED']
+];
+
+// ethers keeps the revert data on the error itself or, for some RPC and
+// signer paths, on the error it wraps
+function revertDataOf(error) {
+  for (let current = error, depth = 0; current && depth < 4; current = current.error || current.info?.error, depth++) {
+    const data = typeof current.data === 'string' ? current.data : current.data?.data;
+    if (typeof data === 'string' && ethers.isHexString(data) && data.length >= 10) {
+      return data;
+    }
+  }
+  return null;
+}
+
+const formatArg = (value) => (typeof value === 'bigint' ? value.toString() : value);
+
+function codeOfReason(reason) {
+  const match = REASON_CODES.find(([pattern]) => pattern.test(reason));
+  return match ? match[1] : null;
+}
+
+// Decode the revert of a failed call, gas estimate or mined transaction into
+// { name, args, reason, code }, where `code` is a key of the shared error
+// catalog, or null for a revert the catalog does not cover. Returns null
+// when the error is not a revert.
+function decodeRevert(error) {
+  if (!error) return null;
+
+  const data = revertDataOf(error);
+  if (data) {
+    let parsed = null;
+    try {
+      parsed = CONTRACT_ERRORS.parseError(data);
+    } catch (error) {
+      // Known selector with malformed arguments
+    }
+    if (!parsed) {
+      return { name: null, args: [], reason: `Unknown custom error ${data.slice(0, 10)}`, code: null };
+    }
+
+    const args = [...parsed.args].map(formatArg);
+    switch (parsed.name) {
+      case 'Error':
+        return { name: 'Error', args, reason: args[0], code: codeOfReason(args[0]) };
+      case 'Panic':
+        return { name: 'Panic', args, reason: `Panic(0x${BigInt(args[0]).toString(16)})`, code: 'CONTRACT_PANIC' };
+      default:
+        return { name: parsed.name, args, reason: `${parsed.name}(${args.join(', ')})`, code: CUSTOM_ERROR_CODES[parsed.name] || null };
+    }
+  }
+
+  // No revert data, e.g. a reverted transaction replayed by the submitter
+  if (error.code === 'CALL_EXCEPTION') {
+    // ethers reports an empty revert as 'require(false)', which is no reason
+    const reason = error.data === '0x' ? null : error.reason || error.revert?.args?.[0] || null;
+    return reason
+      ? { name: 'Error', args: [reason], reason, code: codeOfReason(reason) }
+      : { name: null, args: [], reason: null, code: null };
+  }
+  return null;
+}
+
+// User-facing message of a catalog code
+function errorMessage(code) {
+  return (ERROR_CODES[code] || ERROR_CODES.TRANSACTION_FAILED).message;
+}
+
+module.exports = {
+  ERROR_CODES,
+  decodeRevert,
+  errorMessage
+};
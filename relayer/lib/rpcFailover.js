@@ -0,0 +1,315 @@
+const { ethers } = require('ethers');
+
+// JSON-RPC methods whose answer must come from `quorum` endpoints that agree.
+// Reads of the pending state are left out, since every node has its own mempool.
+const QUORUM_METHODS = new Set(['eth_chainId', 'eth_call', 'eth_getBalance', 'eth_getCode', 'eth_getStorageAt', 'eth_getTransactionCount']);
+
+// Endpoint URLs often embed API keys, so only their host is shown
+function redactUrl(url) {
+  const parsed = new URL(url);
+  return `${parsed.protocol}//${parsed.host}${parsed.pathname.length > 1 || parsed.search ? '/***' : ''}`;
+}
+
+function rpcError(message, { timedOut = false, unavailable = false } = {}) {
+  const error = new Error(message);
+  // Retried by the relay queue like any other network failure
+  error.code = timedOut ? 'TIMEOUT' : 'NETWORK_ERROR';
+  error.timedOut = timedOut;
+  error.rpcUnavailable = unavailable;
+  return error;
+}
+
+// One ethers provider over a list of RPC endpoints of the same chain. Every
+// HTTP request goes to the best-scoring healthy endpoint and fails over to the
+// next when it cannot be reached, times out or answers with an HTTP error.
+// With `quorum` above 1, state reads (eth_call, balances, nonces, code) are
+// sent to several endpoints until `quorum` of them return the same answer.
+//
+// An endpoint is marked down after `failureThreshold` failures in a row, and
+// requests skip it for `cooldownMs` before trying it again. Its score (0-100)
+// is its recent success rate, lowered for slow answers and for lagging behind
+// the highest block seen. probe() checks every endpoint's chain ID and block
+// number; an endpoint serving another chain is never used.
+//
+// The circuit breaker is 'open' while no endpoint is healthy and 'closed'
+// otherwise. `onStateChange(state, previousState)` and
+// `onEndpointChange(endpoint)` report transitions. A request that no endpoint
+// answers throws a NETWORK_ERROR with `rpcUnavailable: true`.
+function createRpcFailover({
+  urls,
+  chainId,
+  quorum = 1,
+  timeoutMs = 10 * 1000,
+  failureThreshold = 3,
+  cooldownMs = 30 * 1000,
+  onStateChange = () => {},
+  onEndpointChange = () => {}
+}) {
+  const endpoints = urls.map(url => ({
+    url,
+    label: redactUrl(url),
+    healthy: true,
+    wrongChain: false,
+    consecutiveFailures: 0,
+    successRate: 1,
+    latencyMs: null,
+    blockNumber: null,
+    lastError: null,
+    downSince: null,
+    downAt: 0,
+    retryAt: 0,
+    checkedAt: null
+  }));
+  let breaker = 'closed';
+  let breakerSince = Date.now();
+
+  const highestBlock = () => Math.max(...endpoints.map(endpoint => endpoint.blockNumber ?? 0));
+
+  function scoreOf(endpoint) {
+    if (endpoint.wrongChain) return 0;
+    let score = endpoint.successRate * 100;
+    if (endpoint.latencyMs !== null) {
+      score -= Math.min(endpoint.latencyMs / 100, 20);
+    }
+    if (endpoint.blockNumber !== null) {
+      score -= Math.min((highestBlock() - endpoint.blockNumber) * 5, 40);
+    }
+    return Math.max(Math.round(score), 0);
+  }
+
+  function updateBreaker() {
+    const next = endpoints.some(endpoint => endpoint.healthy) ? 'closed' : 'open';
+    if (next === breaker) return;
+    const previous = breaker;
+    breaker = next;
+    breakerSince = Date.now();
+    onStateChange(state(), previous);
+  }
+
+  function recordSuccess(endpoint, started) {
+    const latencyMs = Date.now() - started;
+    endpoint.consecutiveFailures = 0;
+    endpoint.successRate = 0.8 * endpoint.successRate + 0.2;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(0.8 * endpoint.latencyMs + 0.2 * latencyMs);
+    endpoint.checkedAt = new Date().toISOString();
+    // A late answer to a request sent before the endpoint went down does not
+    // show that it is back
+    if (!endpoint.healthy && !endpoint.wrongChain && started >= endpoint.downAt) {
+      endpoint.healthy = true;
+      endpoint.downSince = null;
+      endpoint.downAt = 0;
+      onEndpointChange(describe(endpoint));
+      updateBreaker();
+    }
+  }
+
+  function recordFailure(endpoint, error) {
+    endpoint.consecutiveFailures++;
+    endpoint.successRate *= 0.8;
+    endpoint.lastError = error.message;
+    endpoint.checkedAt = new Date().toISOString();
+    if (!endpoint.healthy) {
+      endpoint.retryAt = Date.now() + cooldownMs;
+    } else if (endpoint.consecutiveFailures >= failureThreshold || endpoint.latencyMs === null) {
+      // An endpoint that never answered is not given the benefit of the doubt
+      endpoint.healthy = false;
+      endpoint.downAt = Date.now();
+      endpoint.downSince = new Date(endpoint.downAt).toISOString();
+      endpoint.retryAt = endpoint.downAt + cooldownMs;
+      onEndpointChange(describe(endpoint));
+      updateBreaker();
+    }
+  }
+
+  // Healthy endpoints and those whose cooldown is over, best first. While all
+  // are down every endpoint is tried, so in-flight work notices a recovery.
+  function routingOrder() {
+    const now = Date.now();
+    const candidates = endpoints.filter(endpoint => !endpoint.wrongChain);
+    const usable = candidates.filter(endpoint => endpoint.healthy || endpoint.retryAt <= now);
+    return (usable.length > 0 ? usable : candidates)
+      .map((endpoint, index) => ({ endpoint, index, score: scoreOf(endpoint) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ endpoint }) => endpoint);
+  }
+
+  // POST a JSON-RPC payload to one endpoint, resolving to an ethers GetUrlResponse
+  async function post(endpoint, body, headers) {
+    const started = Date.now();
+    let response;
+    let responseBody;
+    try {
+      response = await fetch(endpoint.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      responseBody = new Uint8Array(await response.arrayBuffer());
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError';
+      const failure = rpcError(`${endpoint.label}: ${timedOut ? `no answer within ${timeoutMs}ms` : error.cause?.code || error.message}`, { timedOut });
+      recordFailure(endpoint, failure);
+      throw failure;
+    }
+
+    if (!response.ok) {
+      const failure = rpcError(`${endpoint.label}: HTTP ${response.status}`);
+      recordFailure(endpoint, failure);
+      throw failure;
+    }
+    recordSuccess(endpoint, started);
+    return {
+      statusCode: response.status,
+      statusMessage: response.statusText,
+      headers: Object.fromEntries(response.headers),
+      body: responseBody
+    };
+  }
+
+  async function sendWithFailover(body, headers, payload) {
+    const sendsTransaction = [payload].flat().some(call => call?.method === 'eth_sendRawTransaction');
+    const errors = [];
+    for (const endpoint of routingOrder()) {
+      try {
+        return await post(endpoint, body, headers);
+      } catch (error) {
+        errors.push(error.message);
+        // A broadcast that timed out may still have reached the node; sent
+        // again elsewhere it could be rejected as already known
+        if (sendsTransaction && error.timedOut) {
+          throw error;
+        }
+      }
+    }
+    throw rpcError(`No RPC endpoint answered (${errors.join('; ')})`, { unavailable: true });
+  }
+
+  async function sendWithQuorum(body, headers, payload) {
+    const answers = new Map();
+    const errors = [];
+    let agreed = null;
+
+    const ask = async (endpoint) => {
+      try {
+        const response = await post(endpoint, body, headers);
+        const { result, error } = JSON.parse(ethers.toUtf8String(response.body));
+        const key = JSON.stringify(error ? { error } : { result });
+        const answer = answers.get(key) || { count: 0, response };
+        answer.count++;
+        answers.set(key, answer);
+        if (answer.count >= quorum) {
+          agreed = agreed || answer.response;
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    };
+
+    // Ask as many endpoints as the quorum needs at once, then one at a time
+    const order = routingOrder();
+    await Promise.all(order.slice(0, quorum).map(ask));
+    for (const endpoint of order.slice(quorum)) {
+      if (agreed) break;
+      await ask(endpoint);
+    }
+    if (agreed) {
+      return agreed;
+    }
+    throw rpcError(answers.size > 0
+      ? `RPC endpoints did not agree on ${payload.method} (${quorum} needed)`
+      : `No RPC endpoint answered (${errors.join('; ')})`, { unavailable: true });
+  }
+
+  // FetchRequest transport: the request's own URL is ignored
+  async function route(request) {
+    const body = request.body;
+    const payload = JSON.parse(ethers.toUtf8String(body));
+    const headers = { ...request.headers, 'content-type': 'application/json' };
+    const needsQuorum = quorum > 1 && !Array.isArray(payload) && QUORUM_METHODS.has(payload.method) && !payload.params?.includes('pending');
+    return needsQuorum ? sendWithQuorum(body, headers, payload) : sendWithFailover(body, headers, payload);
+  }
+
+  const connection = new ethers.FetchRequest(urls[0]);
+  connection.getUrlFunc = route;
+  const network = ethers.Network.from(chainId);
+  // The chain ID is checked per endpoint by probe(), so the provider never
+  // blocks on detecting the network while every endpoint is down. Batched
+  // calls would be answered as a whole, so quorum reads go one by one.
+  // Responses are not cached: the submitter reads a receipt again right after
+  // the nonce advances, and the nonce manager resyncs from the pending count.
+  const provider = new ethers.JsonRpcProvider(connection, network, {
+    staticNetwork: network,
+    cacheTimeout: -1,
+    ...(quorum > 1 && { batchMaxCount: 1 })
+  });
+
+  async function rpcCall(endpoint, method) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method, params: [] });
+    const response = await post(endpoint, body, { 'content-type': 'application/json' });
+    const { result, error } = JSON.parse(ethers.toUtf8String(response.body));
+    if (error || result === undefined) {
+      const failure = rpcError(`${endpoint.label}: ${method} failed${error?.message ? `: ${error.message}` : ''}`);
+      recordFailure(endpoint, failure);
+      throw failure;
+    }
+    return Number(BigInt(result));
+  }
+
+  async function probeEndpoint(endpoint) {
+    try {
+      const servedChainId = await rpcCall(endpoint, 'eth_chainId');
+      if (servedChainId !== Number(chainId)) {
+        endpoint.wrongChain = true;
+        endpoint.lastError = `serves chain ${servedChainId}, expected ${chainId}`;
+        if (endpoint.healthy) {
+          endpoint.healthy = false;
+          endpoint.downAt = Date.now();
+          endpoint.downSince = new Date(endpoint.downAt).toISOString();
+          onEndpointChange(describe(endpoint));
+          updateBreaker();
+        }
+        return;
+      }
+      endpoint.blockNumber = await rpcCall(endpoint, 'eth_blockNumber');
+    } catch (error) {
+      // Recorded by post() or rpcCall()
+    }
+  }
+
+  // Check every endpoint now; resolves to the state after the checks
+  async function probe() {
+    await Promise.all(endpoints.filter(endpoint => !endpoint.wrongChain).map(probeEndpoint));
+    return state();
+  }
+
+  function describe(endpoint) {
+    return {
+      url: endpoint.label,
+      healthy: endpoint.healthy,
+      score: scoreOf(endpoint),
+      latencyMs: endpoint.latencyMs,
+      blockNumber: endpoint.blockNumber,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      lastError: endpoint.lastError,
+      downSince: endpoint.downSince,
+      wrongChain: endpoint.wrongChain,
+      checkedAt: endpoint.checkedAt
+    };
+  }
+
+  function state() {
+    return {
+      state: breaker,
+      since: new Date(breakerSince).toISOString(),
+      quorum,
+      endpoints: endpoints.map(describe)
+    };
+  }
+
+  return {
+    provider,
+    probe,
+    state,
+    isAvailable: () => breaker === 'closed'
+  };
+}
+
+module.exports = {
+  createRpcFailover
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+function signerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Read a passphrase from the terminal without echoing it
+function promptPassphrase(question) {
+  return new Promise((resolve, reject) => {
+    const { stdin, stdout } = process;
+    if (!stdin.isTTY) {
+      reject(new Error('No terminal to read the passphrase from'));
+      return;
+    }
+
+    let passphrase = '';
+    const finish = (error) => {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write('\n');
+      if (error) reject(error);
+      else resolve(passphrase);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') return finish();
+        if (char === '\u0003') return finish(new Error('Passphrase entry cancelled'));
+        passphrase = char === '\u007f' || char === '\b' ? passphrase.slice(0, -1) : passphrase + char;
+      }
+    };
+
+    stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+// Decrypt an ethers/geth JSON keystore. A wrong passphrase throws.
+async function loadKeystore(file, passphrase) {
+  const json = fs.readFileSync(file, 'utf8');
+  return ethers.Wallet.fromEncryptedJson(json, passphrase);
+}
+
+// Relayer signer backed by a remote signing service, so the key never enters
+// this process. It covers what the relayer needs from an ethers Wallet:
+// `address`, `estimateGas`, `signTransaction`, `sendTransaction` and `connect`.
+//
+// The service is called with `Authorization: Bearer <authToken>`:
+//   GET  /address           -> { address }
+//   POST /sign-transaction  { chainId, transaction: <unsigned serialized tx> }
+//                           -> { signedTransaction }
+// The signed transaction must be the one sent and come from `address`.
+function createRemoteSigner({ url, address, authToken, provider, timeoutMs = 10 * 1000 }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const signerAddress = ethers.getAddress(address);
+
+  async function call(method, pathname, body) {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken && { Authorization: `Bearer ${authToken}` })
+        },
+        body: body && JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      // NETWORK_ERROR is retried by the relay queue
+      throw signerError(`Remote signer unreachable: ${error.message}`, 'NETWORK_ERROR');
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw signerError(
+        `Remote signer responded with HTTP ${response.status}${payload.error ? `: ${payload.error}` : ''}`,
+        response.status >= 500 ? 'SERVER_ERROR' : 'REMOTE_SIGNER_REJECTED'
+      );
+    }
+    return payload;
+  }
+
+  // Fill in what the caller left out, as Wallet.populateTransaction would
+  async function populate(tx) {
+    const { from, ...request } = tx;
+    const populated = { ...request, chainId: (await provider.getNetwork()).chainId };
+    if (populated.nonce == null) {
+      populated.nonce = await provider.getTransactionCount(signerAddress, 'pending');
+    }
+    if (populated.gasLimit == null) {
+      populated.gasLimit = await provider.estimateGas({ ...request, from: signerAddress });
+    }
+    if (populated.gasPrice == null && populated.maxFeePerGas == null) {
+      const feeData = await provider.getFeeData();
+      if (feeData.maxFeePerGas != null) {
+        populated.maxFeePerGas = feeData.maxFeePerGas;
+        populated.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+      } else {
+        populated.gasPrice = feeData.gasPrice;
+      }
+    }
+    populated.type = populated.gasPrice != null ? 0 : 2;
+    return populated;
+  }
+
+  async function signTransaction(tx) {
+    const unsigned = ethers.Transaction.from(await populate(tx));
+    const { signedTransaction } = await call('POST', '/sign-transaction', {
+      chainId: unsigned.chainId.toString(),
+      transaction: unsigned.unsignedSerialized
+    });
+
+    let signed;
+    try {
+      signed = ethers.Transaction.from(signedTransaction);
+    } catch (error) {
+      throw signerError('Remote signer returned an invalid transaction', 'REMOTE_SIGNER_MISMATCH');
+    }
+    if (signed.unsignedHash !== unsigned.unsignedHash || signed.from !== signerAddress) {
+      throw signerError('Remote signer returned a different transaction or signer', 'REMOTE_SIGNER_MISMATCH');
+    }
+    return signedTransaction;
+  }
+
+  return {
+    address: signerAddress,
+    provider,
+    getAddress: async () => signerAddress,
+    estimateGas: (tx) => provider.estimateGas({ ...tx, from: signerAddress }),
+    signTransaction,
+    sendTransaction: async (tx) => provider.broadcastTransaction(await signTransaction(tx)),
+    connect: (newProvider) => createRemoteSigner({ url, address: signerAddress, authToken, provider: newProvider, timeoutMs }),
+    // Reports the service's address; checked at startup
+    remoteAddress: async () => ethers.getAddress((await call('GET', '/address')).address)
+  };
+}
+
+// Connect to a remote signer, taking its address from the service unless
+// one is configured, in which case the service must sign for it
+async function connectRemoteSigner({ url, address, authToken, provider, timeoutMs }) {
+  const probe = createRemoteSigner({ url, address: address || ethers.ZeroAddress, authToken, provider, timeoutMs });
+  const remoteAddress = await probe.remoteAddress();
+  if (address && remoteAddress !== ethers.getAddress(address)) {
+    throw signerError(`Remote signer signs for ${remoteAddress}, expected ${address}`, 'REMOTE_SIGNER_MISMATCH');
+  }
+  return createRemoteSigner({ url, address: remoteAddress, authToken, provider, timeoutMs });
+}
+
+module.exports = {
+  promptPassphrase,
+  loadKeystore,
+  createRemoteSigner,
+  connectRemoteSigner
+};
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Gas units reserved per action until the real receipt is known
+const ESTIMATED_GAS_UNITS = {
+  deposit: 150000n,
+  withdraw: 150000n,
+  'rwa-mint': 400000n,
+  'rwa-transfer': 150000n,
+  'rwa-burn': 150000n,
+  forward: 250000n
+};
+const DEFAULT_ESTIMATED_GAS_UNITS = 300000n;
+
+const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+function nextUtcMidnight() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+// Gas sponsorship quotas keyed by owner (the signer of the action):
+//  - a daily gas budget per owner, in wei actually spent by the relayer
+//  - a daily maximum number of actions per action type per owner
+//  - a global daily gas cap across all owners
+// `defaultPolicy` is { dailyGasBudget (wei), actionLimits: { [action]: count } };
+// `policies` overrides fields of it for individual addresses.
+//
+// Accepted actions reserve an estimated cost, which settle() replaces with the
+// receipt's actual cost. Usage resets at UTC midnight and is snapshotted to a
+// JSON file so restarts do not reset quotas.
+function createSponsorship({ filePath, defaultPolicy, policies = {}, globalDailyGasCap }) {
+  const overrides = new Map(Object.entries(policies).map(([address, policy]) => [ethers.getAddress(address), policy]));
+
+  let day = utcDay();
+  let globalSpent = 0n;
+  const users = new Map();
+  const reservations = new Map();
+
+  function load() {
+    if (!fs.existsSync(filePath)) return;
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    for (const [jobId, reservation] of Object.entries(saved.reservations || {})) {
+      reservations.set(jobId, { ...reservation, cost: BigInt(reservation.cost) });
+    }
+    if (saved.day !== day) return;
+
+    globalSpent = BigInt(saved.globalSpent);
+    for (const [address, usage] of Object.entries(saved.users)) {
+      users.set(address, { gasSpent: BigInt(usage.gasSpent), actions: usage.actions });
+    }
+  }
+
+  function persist() {
+    const snapshot = {
+      day,
+      globalSpent: globalSpent.toString(),
+      users: Object.fromEntries([...users].map(([address, usage]) => [address, {
+        gasSpent: usage.gasSpent.toString(),
+        actions: usage.actions
+      }])),
+      reservations: Object.fromEntries([...reservations].map(([jobId, reservation]) => [jobId, {
+        ...reservation,
+        cost: reservation.cost.toString()
+      }]))
+    };
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // Daily counters reset at UTC midnight; in-flight reservations carry over
+  function rollover() {
+    const today = utcDay();
+    if (today === day) return;
+    day = today;
+    globalSpent = 0n;
+    users.clear();
+    persist();
+  }
+
+  function usageOf(address) {
+    if (!users.has(address)) {
+      users.set(address, { gasSpent: 0n, actions: {} });
+    }
+    return users.get(address);
+  }
+
+  function policyFor(address) {
+    const override = overrides.get(address) || {};
+    return {
+      dailyGasBudget: override.dailyGasBudget ?? defaultPolicy.dailyGasBudget,
+      actionLimits: { ...defaultPolicy.actionLimits, ...override.actionLimits }
+    };
+  }
+
+  function reservedBy(address) {
+    return sum([...reservations.values()].filter(reservation => reservation.owner === address).map(reservation => reservation.cost));
+  }
+
+  function estimateCost(action, feeData) {
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    return (ESTIMATED_GAS_UNITS[action] ?? DEFAULT_ESTIMATED_GAS_UNITS) * gasPrice;
+  }
+
+  // Returns null, or a rejection { status, error, code, details }
+  function check(owner, action, estimatedCost) {
+    rollover();
+    const policy = policyFor(owner);
+    const usage = usageOf(owner);
+
+    const limit = policy.actionLimits[action] ?? 0;
+    const used = usage.actions[action] || 0;
+    if (used >= limit) {
+      return {
+        status: 429,
+        error: `Daily ${action} quota reached`,
+        code: 'ACTION_QUOTA_EXCEEDED',
+        details: { action, limit, used, resetsAt: nextUtcMidnight() }
+      };
+    }
+
+    const committed = usage.gasSpent + reservedBy(owner);
+    if (committed + estimatedCost > policy.dailyGasBudget) {
+      return {
+        status: 429,
+        error: 'Daily gas sponsorship budget exhausted',
+        code: 'GAS_BUDGET_EXCEEDED',
+        details: {
+          budget: policy.dailyGasBudget.toString(),
+          committed: committed.toString(),
+          estimatedCost: estimatedCost.toString(),
+          resetsAt: nextUtcMidnight()
+        }
+      };
+    }
+
+    const globalCommitted = globalSpent + sum([...reservations.values()].map(reservation => reservation.cost));
+    if (globalCommitted + estimatedCost > globalDailyGasCap) {
+      return {
+        status: 503,
+        error: 'Relayer daily gas sponsorship cap reached',
+        code: 'GLOBAL_GAS_CAP_REACHED',
+        details: { resetsAt: nextUtcMidnight() }
+      };
+    }
+
+    return null;
+  }
+
+  // Count an accepted action and reserve its estimated cost until it settles
+  function reserve(jobId, owner, action, estimatedCost) {
+    rollover();
+    const usage = usageOf(owner);
+    usage.actions[action] = (usage.actions[action] || 0) + 1;
+    reservations.set(jobId, { owner, action, cost: estimatedCost });
+    persist();
+  }
+
+  // Replace a job's reservation with what its transaction actually cost
+  function settle(jobId, actualCost = 0n) {
+    rollover();
+    const reservation = reservations.get(jobId);
+    if (!reservation) return;
+
+    reservations.delete(jobId);
+    usageOf(reservation.owner).gasSpent += actualCost;
+    globalSpent += actualCost;
+    persist();
+  }
+
+  // Drop reservations of jobs that settled while the relayer was down
+  function reconcile(isJobActive) {
+    let changed = false;
+    for (const jobId of reservations.keys()) {
+      if (!isJobActive(jobId)) {
+        reservations.delete(jobId);
+        changed = true;
+      }
+    }
+    if (changed) persist();
+  }
+
+  function quota(address) {
+    rollover();
+    const policy = policyFor(address);
+    const usage = users.get(address) || { gasSpent: 0n, actions: {} };
+    const reserved = reservedBy(address);
+    const remainingGas = policy.dailyGasBudget - usage.gasSpent - reserved;
+
+    return {
+      address,
+      day,
+      resetsAt: nextUtcMidnight(),
+      gas: {
+        budget: policy.dailyGasBudget.toString(),
+        spent: usage.gasSpent.toString(),
+        reserved: reserved.toString(),
+        remaining: (remainingGas > 0n ? remainingGas : 0n).toString()
+      },
+      actions: Object.fromEntries(Object.entries(policy.actionLimits).map(([action, limit]) => {
+        const used = usage.actions[action] || 0;
+        return [action, { limit, used, remaining: Math.max(limit - used, 0) }];
+      }))
+    };
+  }
+
+  function stats() {
+    rollover();
+    return {
+      day,
+      globalSpent: globalSpent.toString(),
+      globalReserved: sum([...reservations.values()].map(reservation => reservation.cost)).toString(),
+      globalDailyGasCap: globalDailyGasCap.toString(),
+      sponsoredAddresses: users.size
+    };
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  load();
+
+  return { estimateCost, check, reserve, settle, reconcile, quota, stats };
+}
+
+module.exports = {
+  createSponsorship
+};
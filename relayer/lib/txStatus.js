@@ -0,0 +1,152 @@
+// Job events that change what a client sees
+const JOB_EVENTS = ['queued', 'released', 'submitted', 'replaced', 'retry', 'mined', 'reorged', 'confirmed', 'failed'];
+
+// Client-facing transaction status for relay jobs, plus change notifications.
+// A job moves through pending_approval -> queued -> submitted -> mined ->
+// confirmed (after its chain's `requiredConfirmations` blocks), or ends in failed.
+// A reorg takes a mined job back to submitted; `reorgs` lists the blocks it
+// was reorged out of.
+//
+// `chainOf(job)` returns the job's { chainId, provider, requiredConfirmations },
+// or null for a network that is no longer configured. Block numbers are only
+// polled on chains with a subscribed job.
+function createTxStatusTracker({ jobQueue, chainOf }) {
+  const subscribers = new Map();
+  // chainId -> { provider, latestBlock, onBlock }
+  const blockWatches = new Map();
+
+  function statusOf(job) {
+    return job.status === 'held' ? 'pending_approval' : job.status;
+  }
+
+  const isMined = (job) => job.status === 'mined' || job.status === 'confirmed';
+
+  function latestBlockOf(job) {
+    const chain = chainOf(job);
+    return (chain && blockWatches.get(chain.chainId)?.latestBlock) ?? null;
+  }
+
+  function view(job, blockNumber = latestBlockOf(job)) {
+    const chain = chainOf(job);
+    const requiredConfirmations = chain?.requiredConfirmations ?? 1;
+    const mined = job.result || job.receipt || null;
+    const confirmations = mined && blockNumber !== null ? Math.max(blockNumber - mined.blockNumber + 1, 1) : mined ? 1 : 0;
+
+    return {
+      id: job.id,
+      chainId: chain?.chainId ?? job.chainId ?? null,
+      action: job.action,
+      owner: job.owner,
+      nonce: job.nonce,
+      status: statusOf(job),
+      txHash: mined?.txHash || job.txHash || null,
+      txHashes: job.txHashes || [],
+      blockNumber: mined?.blockNumber ?? null,
+      confirmations,
+      requiredConfirmations,
+      reorgs: job.reorgs || [],
+      revertReason: job.revertReason || null,
+      error: job.status === 'failed' ? { message: job.error, code: job.errorCode } : null,
+      approvalId: job.approvalId || null,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  // Current status, reading the chain head when the job has been mined
+  async function get(id) {
+    const job = jobQueue.get(id);
+    if (!job) return null;
+
+    const chain = chainOf(job);
+    let blockNumber = latestBlockOf(job);
+    if (isMined(job) && blockNumber === null && chain) {
+      blockNumber = await chain.provider.getBlockNumber();
+    }
+    return view(job, blockNumber);
+  }
+
+  function isFinal(status) {
+    return status.status === 'confirmed' || status.status === 'failed';
+  }
+
+  function notify(job) {
+    const listeners = subscribers.get(job.id);
+    if (!listeners) return;
+    const status = view(job);
+    for (const listener of listeners) {
+      listener(status);
+    }
+  }
+
+  function onBlock(chainId, blockNumber) {
+    blockWatches.get(chainId).latestBlock = blockNumber;
+    for (const id of subscribers.keys()) {
+      const job = jobQueue.get(id);
+      if (job && isMined(job) && chainOf(job)?.chainId === chainId) {
+        notify(job);
+      }
+    }
+  }
+
+  // Watch new blocks on exactly the chains that have subscribed jobs
+  function updateBlockWatches() {
+    const needed = new Map();
+    for (const id of subscribers.keys()) {
+      const chain = jobQueue.get(id) && chainOf(jobQueue.get(id));
+      if (chain) needed.set(chain.chainId, chain.provider);
+    }
+
+    for (const [chainId, provider] of needed) {
+      if (blockWatches.has(chainId)) continue;
+      const watch = { provider, latestBlock: null, onBlock: blockNumber => onBlock(chainId, blockNumber) };
+      blockWatches.set(chainId, watch);
+      provider.on('block', watch.onBlock);
+    }
+    for (const [chainId, watch] of blockWatches) {
+      if (needed.has(chainId)) continue;
+      watch.provider.off('block', watch.onBlock);
+      blockWatches.delete(chainId);
+    }
+  }
+
+  // Call `listener(status)` on every change of the job until unsubscribed.
+  // Rejects, leaving nothing subscribed, when the chain head cannot be read.
+  async function subscribe(id, listener) {
+    if (!subscribers.has(id)) {
+      subscribers.set(id, new Set());
+    }
+    subscribers.get(id).add(listener);
+    updateBlockWatches();
+
+    const unsubscribe = () => {
+      const listeners = subscribers.get(id);
+      listeners?.delete(listener);
+      if (listeners?.size === 0) {
+        subscribers.delete(id);
+      }
+      updateBlockWatches();
+    };
+
+    const job = jobQueue.get(id);
+    const watch = job && blockWatches.get(chainOf(job)?.chainId);
+    if (watch && watch.latestBlock === null) {
+      try {
+        watch.latestBlock = await watch.provider.getBlockNumber();
+      } catch (error) {
+        unsubscribe();
+        throw error;
+      }
+    }
+    return unsubscribe;
+  }
+
+  for (const eventName of JOB_EVENTS) {
+    jobQueue.on(eventName, notify);
+  }
+
+  return { get, view, subscribe, isFinal };
+}
+
+module.exports = {
+  createTxStatusTracker
+};
@@ -0,0 +1,236 @@
+// RPC failures worth retrying; contract reverts and bad requests are not
+const TRANSIENT_ERROR_CODES = new Set(['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'REPLACEMENT_UNDERPRICED']);
+const TRANSIENT_ERROR_PATTERN = /ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up|rate limit|too many requests/i;
+
+function isTransientError(error) {
+  return TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_ERROR_PATTERN.test(error.message || '');
+}
+
+function markTransient(error) {
+  if (isTransientError(error)) {
+    error.transient = true;
+  }
+  return error;
+}
+
+// A replacement rejected because the transaction it replaces was mined in the
+// meantime ("nonce too low"), or because the node already has that transaction
+function isSupersededReplacement(error) {
+  const nodeMessage = error.info?.error?.message || error.error?.message || '';
+  return error.code === 'NONCE_EXPIRED' || /already known/i.test(`${error.message} ${nodeMessage}`);
+}
+
+// Revert reason of a failed call or gas estimate, when the node returned one
+function revertReasonOf(error) {
+  if (error.code !== 'CALL_EXCEPTION') return null;
+  return error.reason || error.revert?.args?.[0] || null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+// Fees for the next broadcast. Replacements must beat the previous fees by
+// `bumpPercent` (geth requires at least 10%) and never go below current network fees.
+function nextFees(feeData, previous, bumpPercent) {
+  const bump = (value) => (BigInt(value) * BigInt(100 + bumpPercent)) / 100n;
+
+  if (feeData.maxFeePerGas != null) {
+    let maxFeePerGas = feeData.maxFeePerGas;
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+    if (previous?.maxFeePerGas) {
+      maxFeePerGas = maxBigInt(maxFeePerGas, bump(previous.maxFeePerGas));
+      maxPriorityFeePerGas = maxBigInt(maxPriorityFeePerGas, bump(previous.maxPriorityFeePerGas));
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  let gasPrice = feeData.gasPrice;
+  if (previous?.gasPrice) {
+    gasPrice = maxBigInt(gasPrice, bump(previous.gasPrice));
+  }
+  return { gasPrice };
+}
+
+function serializeFees(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]));
+}
+
+// Submits a job's transaction request ({ to, data }) from the relayer wallet,
+// replaces it with a higher fee while it is stuck in the mempool, and resolves
+// once one of its broadcasts is mined.
+function createTxSubmitter({
+  provider,
+  getSigner,
+  nonceManager,
+  stuckTimeoutMs = 2 * 60 * 1000,
+  feeBumpPercent = 15,
+  maxFeeBumps = 5,
+  pollIntervalMs = 3000,
+  gasLimitBufferPercent = 20
+}) {
+  async function broadcast(job, update, isReplacement) {
+    const signer = getSigner();
+    const fees = nextFees(await provider.getFeeData(), isReplacement ? job.fees : null, feeBumpPercent);
+
+    // Estimating gas also simulates the call against current state, so a job
+    // that would now revert fails here instead of paying for a reverted tx
+    let gasLimit = job.gasLimit;
+    if (!gasLimit) {
+      const estimate = await signer.estimateGas({ ...job.request, from: signer.address });
+      gasLimit = ((estimate * BigInt(100 + gasLimitBufferPercent)) / 100n).toString();
+    }
+
+    // Replacements reuse the job's nonce; first broadcasts take a fresh one
+    const txNonce = job.txNonce ?? await nonceManager.acquire();
+
+    let tx;
+    try {
+      tx = await signer.sendTransaction({
+        ...job.request,
+        nonce: txNonce,
+        gasLimit: BigInt(gasLimit),
+        ...fees
+      });
+    } catch (error) {
+      if (!isReplacement) {
+        nonceManager.release(txNonce, error);
+      }
+      // Remember the rejected fees so the next replacement bumps from them
+      if (error.code === 'REPLACEMENT_UNDERPRICED') {
+        update({ fees: serializeFees(fees) });
+      }
+      throw error;
+    }
+
+    update({
+      status: 'submitted',
+      from: signer.address,
+      txNonce,
+      gasLimit,
+      fees: serializeFees(fees),
+      txHash: tx.hash,
+      txHashes: [...(job.txHashes || []), tx.hash],
+      feeBumps: isReplacement ? (job.feeBumps || 0) + 1 : job.feeBumps || 0,
+      submittedAt: Date.now()
+    }, isReplacement ? 'replaced' : 'submitted');
+  }
+
+  async function findReceipt(job) {
+    for (const hash of job.txHashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  // Re-run a reverted transaction as an eth_call on its parent block to recover its revert
+  async function replayRevert(job, receipt) {
+    try {
+      await provider.call({ ...job.request, from: job.from, blockTag: receipt.blockNumber - 1 });
+      return null;
+    } catch (error) {
+      return error.code === 'CALL_EXCEPTION' ? error : null;
+    }
+  }
+
+  async function receiptResult(job, receipt, update) {
+    const result = {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      gasUsed: receipt.gasUsed.toString(),
+      effectiveGasPrice: (receipt.gasPrice ?? 0n).toString()
+    };
+
+    if (receipt.status !== 1) {
+      // Keep the receipt: a reverted transaction still cost gas
+      update({ receipt: result });
+      const revert = await replayRevert(job, receipt);
+      const reason = revert && revertReasonOf(revert);
+      const error = new Error(reason ? `Transaction reverted on-chain: ${reason}` : 'Transaction reverted on-chain');
+      error.code = 'CALL_EXCEPTION';
+      error.reason = reason;
+      // Raw revert data, so custom errors can be decoded
+      error.data = revert?.data ?? null;
+      error.receipt = result;
+      throw error;
+    }
+    return result;
+  }
+
+  async function waitForMining(job, update) {
+    for (;;) {
+      let receipt = await findReceipt(job);
+      if (receipt) {
+        nonceManager.confirm(job.txNonce);
+        return receiptResult(job, receipt, update);
+      }
+
+      // Our nonce was mined but none of our hashes were: something else used it
+      const minedNonce = await provider.getTransactionCount(job.from, 'latest');
+      if (minedNonce > job.txNonce) {
+        receipt = await findReceipt(job);
+        nonceManager.confirm(job.txNonce);
+        if (receipt) {
+          return receiptResult(job, receipt, update);
+        }
+        const error = new Error('Relayer nonce was consumed by another transaction');
+        nonceManager.invalidate(error);
+        error.code = 'NONCE_CONSUMED';
+        throw error;
+      }
+
+      // Replace stuck transactions, but only while the same key is active
+      const signer = getSigner();
+      const stuck = Date.now() - job.submittedAt > stuckTimeoutMs;
+      if (stuck && signer?.address === job.from && (job.feeBumps || 0) < maxFeeBumps) {
+        try {
+          await broadcast(job, update, true);
+        } catch (error) {
+          // The next poll finds the receipt, or the nonce taken, instead of
+          // failing a job whose transaction landed
+          if (!isSupersededReplacement(error)) throw error;
+        }
+      }
+
+      await sleep(pollIntervalMs);
+    }
+  }
+
+  async function processJob(job, { update }) {
+    try {
+      if (!job.txHashes?.length) {
+        if (!getSigner()) {
+          const error = new Error('Relayer signer not configured');
+          error.code = 'RELAYER_NOT_CONFIGURED';
+          throw error;
+        }
+        try {
+          await broadcast(job, update, false);
+        } catch (error) {
+          // Another transaction took the nonce before ours landed; retry with a fresh one
+          if (error.code === 'NONCE_EXPIRED') {
+            error.transient = true;
+          }
+          throw error;
+        }
+      }
+
+      return await waitForMining(job, update);
+    } catch (error) {
+      const revertReason = revertReasonOf(error);
+      if (revertReason) {
+        update({ revertReason });
+      }
+      throw markTransient(error);
+    }
+  }
+
+  return { processJob };
+}
+
+module.exports = {
+  createTxSubmitter,
+  isTransientError
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createJobQueue } = require('./jobQueue');
+const { createRecordStore } = require('./recordStore');
+
+// '*' subscribes to every event except per-request access logs
+const WILDCARD_EXCLUDED_EVENTS = new Set(['API_ACCESS']);
+const EVENT_TYPE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// 408 and 429 are worth retrying; other 4xx responses will not change
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Outbound webhooks for security and transaction lifecycle events.
+//
+// Subscriptions ({ url, events, secret }) are snapshotted to a JSON file.
+// Each published event becomes one delivery job per matching subscription on
+// a persistent job queue, so retries with backoff survive restarts. Deliveries
+// to the same subscription are made in order. The queue only journals each
+// change, and finished deliveries leave it at its next compaction; their
+// outcome is kept in the delivery log.
+//
+// Requests carry X-Webhook-Timestamp and X-Webhook-Signature, the hex
+// HMAC-SHA256 of "<timestamp>.<raw body>" keyed by the subscription secret.
+// Every attempt is appended to the delivery log.
+function createWebhookService({ dataDir, maxAttempts = 8, timeoutMs = 10 * 1000 }) {
+  const filePath = path.join(dataDir, 'webhooks.json');
+  const subscriptions = new Map();
+  const deliveryLog = createRecordStore(path.join(dataDir, 'webhook-deliveries.jsonl'));
+
+  function load() {
+    if (!fs.existsSync(filePath)) return;
+    for (const subscription of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+      subscriptions.set(subscription.id, subscription);
+    }
+  }
+
+  function persist() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...subscriptions.values()], null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function logAttempt(job, fields) {
+    deliveryLog.append({
+      subscriptionId: job.subscriptionId,
+      deliveryId: job.id,
+      eventId: job.payload.id,
+      type: job.payload.type,
+      attempt: job.attempts + 1,
+      ...fields
+    });
+  }
+
+  async function deliver(job) {
+    const subscription = subscriptions.get(job.subscriptionId);
+    if (!subscription) {
+      const error = new Error('Subscription was removed');
+      error.code = 'SUBSCRIPTION_REMOVED';
+      throw error;
+    }
+
+    const body = JSON.stringify(job.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    const isLastAttempt = job.attempts + 1 >= maxAttempts;
+
+    let response;
+    try {
+      response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LendingPool-Relayer-Webhooks',
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Delivery': job.id,
+          'X-Webhook-Event': job.payload.type,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      logAttempt(job, { status: isLastAttempt ? 'failed' : 'retrying', error: error.message, durationMs: Date.now() - startedAt });
+      const deliveryError = new Error(`Delivery failed: ${error.message}`);
+      deliveryError.code = 'DELIVERY_FAILED';
+      deliveryError.transient = true;
+      throw deliveryError;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    if (!response.ok) {
+      const retryable = isRetryableStatus(response.status);
+      logAttempt(job, { status: retryable && !isLastAttempt ? 'retrying' : 'failed', responseStatus: response.status, durationMs });
+      const error = new Error(`Subscriber responded with HTTP ${response.status}`);
+      error.code = 'DELIVERY_REJECTED';
+      error.transient = retryable;
+      throw error;
+    }
+
+    logAttempt(job, { status: 'delivered', responseStatus: response.status, durationMs });
+    return { responseStatus: response.status, durationMs };
+  }
+
+  const deliveries = createJobQueue({
+    filePath: path.join(dataDir, 'webhook-queue.json'),
+    handler: deliver,
+    concurrency: 4,
+    serializeBy: job => job.subscriptionId,
+    maxAttempts,
+    baseBackoffMs: 2000,
+    maxBackoffMs: 10 * 60 * 1000,
+    retentionMs: 0
+  });
+
+  function matches(subscription, type) {
+    return subscription.events.includes(type) ||
+      (subscription.events.includes('*') && !WILDCARD_EXCLUDED_EVENTS.has(type));
+  }
+
+  // Queue `data` for every subscription to `type`
+  function publish(type, data) {
+    const targets = [...subscriptions.values()].filter(subscription => matches(subscription, type));
+    if (targets.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+    for (const subscription of targets) {
+      deliveries.enqueue({ subscriptionId: subscription.id, payload });
+    }
+  }
+
+  // Returns { subscription } or { error } for an invalid request
+  function subscribe({ url, events, description }) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return { error: 'Invalid webhook URL' };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return { error: 'Webhook URL must use http or https' };
+    }
+    if (!Array.isArray(events) || events.length === 0 ||
+      !events.every(event => event === '*' || EVENT_TYPE_PATTERN.test(event))) {
+      return { error: "events must be a non-empty list of event types or '*'" };
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: parsedUrl.toString(),
+      events: [...new Set(events)],
+      description: typeof description === 'string' ? description : '',
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+    subscriptions.set(subscription.id, subscription);
+    persist();
+    return { subscription };
+  }
+
+  function unsubscribe(id) {
+    const removed = subscriptions.delete(id);
+    if (!removed) return false;
+
+    persist();
+    for (const job of deliveries.list(job => job.subscriptionId === id && !deliveries.isTerminal(job))) {
+      deliveries.fail(job.id, 'Subscription was removed', 'SUBSCRIPTION_REMOVED');
+    }
+    return true;
+  }
+
+  // Public view; the secret is only returned when the subscription is created
+  function describe(subscription) {
+    const { secret, ...rest } = subscription;
+    const pending = deliveries.list(job => job.subscriptionId === subscription.id && !deliveries.isTerminal(job)).length;
+    return { ...rest, pendingDeliveries: pending };
+  }
+
+  function list() {
+    return [...subscriptions.values()].map(describe);
+  }
+
+  function get(id) {
+    const subscription = subscriptions.get(id);
+    return subscription ? describe(subscription) : null;
+  }
+
+  function deliveryHistory(id, { status, type } = {}, limit = 100) {
+    return deliveryLog.query({ subscriptionId: id, status, type }, limit);
+  }
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  load();
+
+  return {
+    publish,
+    subscribe,
+    unsubscribe,
+    list,
+    get,
+    deliveryHistory,
+    start: () => deliveries.start(),
+    stop: () => deliveries.stop(),
+    stats: () => ({ subscriptions: subscriptions.size, queue: deliveries.stats() })
+  };
+}
+
+module.exports = {
+  createWebhookService
+};
@@ -5,6 +5,33 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createRecordStore, parseTimeFilter, toCSVRow } = require('./lib/recordStore');
+const { createJobQueue } = require('./lib/jobQueue');
+const { createTxSubmitter } = require('./lib/txSubmitter');
+const { createNonceManager } = require('./lib/nonceManager');
+const { createAdminAuth } = require('./lib/adminAuth');
+const { createApprovalManager } = require('./lib/approvalManager');
+const { createPreflight } = require('./lib/preflight');
+const { createSponsorship } = require('./lib/sponsorship');
+const { createTxStatusTracker } = require('./lib/txStatus');
+const { createConfirmationTracker } = require('./lib/confirmations');
+const { createWebhookService } = require('./lib/webhooks');
+const { createMetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { loadNetworks, parseChainId } = require('./lib/networks');
+const { promptPassphrase, loadKeystore, connectRemoteSigner } = require('./lib/signers');
+const { createKeyRotation } = require('./lib/keyRotation');
+const { createBalanceMonitor } = require('./lib/balanceMonitor');
+const { createIdempotencyStore } = require('./lib/idempotency');
+const { decodeRevert, errorMessage } = require('./lib/revertDecoder');
+const { createRequestValidator } = require('./lib/requestValidator');
+const { createForwarder, FORWARD_REQUEST_TYPES } = require('./lib/forwarder');
+const { createBatchRelay } = require('./lib/batchRelay');
+const { createRpcFailover } = require('./lib/rpcFailover');
+const openapiSpec = require('./openapi.json');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -12,7 +39,34 @@ const PORT = process.env.PORT || 3001;
 // Security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for HMAC-signed admin requests
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+
+// Prometheus metrics, served on /metrics
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter('relayer_http_requests_total', 'HTTP requests by route, status and error code');
+
+// Count every response, including ones rejected by the rate limiter or admin auth
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.errorCode = body?.code;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    httpRequests.inc({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+      code: res.statusCode >= 400 ? res.locals.errorCode || '' : ''
+    });
+  });
+  next();
+});
 
 // Rate limiting - Production ready
 const limiter = rateLimit({
@@ -27,10 +81,32 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Transaction monitoring
+// Transaction monitoring - recent events are kept in memory, every event but
+// API_ACCESS is persisted
 const transactionLog = [];
 const MAX_LOG_ENTRIES = 1000;
 
+// Logged for every /api request; kept out of the persistent log so it does
+// not grow with traffic
+const UNPERSISTED_EVENT_TYPES = new Set(['API_ACCESS']);
+
+// Durable append-only stores for compliance review, rotated at LOG_MAX_FILE_MB
+// with LOG_MAX_FILES rotated files kept
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LOG_STORE_OPTIONS = {
+  maxFileBytes: parseInt(process.env.LOG_MAX_FILE_MB || '50') * 1024 * 1024,
+  maxFiles: parseInt(process.env.LOG_MAX_FILES || '5')
+};
+const securityEventStore = createRecordStore(path.join(DATA_DIR, 'security-events.jsonl'), LOG_STORE_OPTIONS);
+const transactionStore = createRecordStore(path.join(DATA_DIR, 'transactions.jsonl'), LOG_STORE_OPTIONS);
+
+// Outbound webhooks for back-office systems, fed by logSecurityEvent
+const webhooks = createWebhookService({
+  dataDir: DATA_DIR,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000')
+});
+
 // Security event logging
 function logSecurityEvent(event) {
   const logEntry = {
@@ -46,85 +122,192 @@ function logSecurityEvent(event) {
   }
 
   console.log(`[SECURITY] ${JSON.stringify(logEntry)}`);
+
+  if (!UNPERSISTED_EVENT_TYPES.has(event.type)) {
+    try {
+      securityEventStore.append({
+        timestamp: logEntry.timestamp,
+        type: event.type,
+        action: event.action,
+        address: event.owner || event.address,
+        ip: logEntry.ip,
+        userAgent: logEntry.userAgent,
+        event: event
+      });
+    } catch (error) {
+      console.error('[ERROR] Failed to persist security event:', error.message);
+    }
+  }
+
+  try {
+    webhooks.publish(event.type, logEntry);
+  } catch (error) {
+    console.error('[ERROR] Failed to queue webhook deliveries:', error.message);
+  }
+}
+
+// Record a relayed transaction state change (submitted/confirmed/failed)
+function recordTransaction(record) {
+  try {
+    transactionStore.append({
+      ...record,
+      address: record.owner
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to persist transaction record:', error.message);
+  }
 }
 
-// Key rotation mechanism
-let currentRelayerKey = null;
-let keyRotationTimestamp = Date.now();
-const KEY_ROTATION_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+// Key rotation mechanism: once KEY_ROTATION_INTERVAL_MS has passed (0
+// disables it), chains with a local key move to a new key (lib/keyRotation.js)
+const KEY_ROTATION_INTERVAL = process.env.KEY_ROTATION_INTERVAL_MS
+  ? parseInt(process.env.KEY_ROTATION_INTERVAL_MS) || 0
+  : 24 * 60 * 60 * 1000; // 24 hours
+
+// Passphrase each chain's next key is encrypted with: KEY_ROTATION_PASSPHRASE,
+// or the passphrase of the chain's keystore. Filled in as signers load.
+const rotationPassphrases = new Map();
 
 function shouldRotateKey() {
-  return Date.now() - keyRotationTimestamp > KEY_ROTATION_INTERVAL;
+  return keyRotation.isDue();
+}
+
+// Chains whose key can be replaced: a generated key is only used when it can
+// be stored encrypted, since losing it on restart would strand the swept funds
+function rotatableChains({ generatesKey }) {
+  return [...chains.values()].filter(chain => chain.signer && chain.signerType !== 'remote' &&
+    (!generatesKey || rotationPassphrases.has(chain.chainId)));
 }
 
 function rotateRelayerKey() {
-  if (shouldRotateKey()) {
-    console.log('[SECURITY] Key rotation triggered - implement manual key rotation');
+  if (!shouldRotateKey() || keyRotation.inProgress()) return;
+
+  const targets = rotatableChains({ generatesKey: true });
+  if (targets.length === 0) {
+    console.log('[SECURITY] Key rotation due, but no chain can store a new key - set KEY_ROTATION_PASSPHRASE');
     logSecurityEvent({
       type: 'KEY_ROTATION_TRIGGERED',
-      message: 'Key rotation interval reached'
+      message: 'Key rotation interval reached; no chain can be rotated automatically'
     });
-    // In production, this would trigger automated key rotation
-    // For now, we log the event for manual intervention
+    return;
   }
-}
 
-// Load environment variables
-const RPC_URL = process.env.RPC_URL;
-const CHAIN_ID = parseInt(process.env.CHAIN_ID);
-const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
-const LENDING_POOL_ADDRESS = process.env.LENDING_POOL_ADDRESS;
-const DUSD_ADDRESS = process.env.DUSD_ADDRESS;
+  console.log(`[SECURITY] Key rotation interval reached - rotating chains ${targets.map(chain => chain.chainId).join(', ')}`);
+  keyRotation.start(targets.map(chain => ({
+    chain,
+    wallet: ethers.Wallet.createRandom(),
+    passphrase: rotationPassphrases.get(chain.chainId)
+  })), { reason: 'scheduled' });
+}
 
-// Validate critical environment variables
-if (!RPC_URL || !LENDING_POOL_ADDRESS || !DUSD_ADDRESS) {
-  console.error('❌ Missing required environment variables');
-  console.error('Required: RPC_URL, LENDING_POOL_ADDRESS, DUSD_ADDRESS');
+// Networks the relayer serves: NETWORKS_CONFIG, or a single chain from
+// RPC_URL, CHAIN_ID, LENDING_POOL_ADDRESS, DUSD_ADDRESS and RWA_TOKEN_ADDRESSES.
+// Requests pick a network with `chainId`; without one they go to DEFAULT_CHAIN_ID.
+let NETWORK_CONFIG;
+try {
+  NETWORK_CONFIG = loadNetworks({ configFile: process.env.NETWORKS_CONFIG, env: process.env });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
+const DEFAULT_CHAIN_ID = NETWORK_CONFIG.defaultChainId;
 
-// Setup provider and signer with security checks
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-let signer = null;
+// Admin access: allowlisted SIWE signers and/or a shared HMAC secret for automation
+const ADMIN_ADDRESSES = (process.env.ADMIN_ADDRESSES || '')
+  .split(',')
+  .map(address => address.trim())
+  .filter(Boolean);
+const ADMIN_HMAC_SECRET = process.env.ADMIN_HMAC_SECRET || null;
+const ADMIN_SIWE_DOMAIN = process.env.ADMIN_SIWE_DOMAIN || `localhost:${PORT}`;
+const ADMIN_SESSION_TTL_MS = parseInt(process.env.ADMIN_SESSION_TTL_MS) || 15 * 60 * 1000;
 
-if (RELAYER_PRIVATE_KEY && RELAYER_PRIVATE_KEY !== '0xYOUR_RELAYER_PRIVATE_KEY_HERE') {
-  try {
-    signer = new ethers.Wallet(RELAYER_PRIVATE_KEY, provider);
-    currentRelayerKey = RELAYER_PRIVATE_KEY;
-    console.log('✅ Relayer wallet initialized');
-    console.log(`📍 Relayer address: ${signer.address}`);
-
-    // Check relayer balance
-    provider.getBalance(signer.address).then(balance => {
-      const balanceEth = ethers.formatEther(balance);
-      console.log(`💰 Relayer balance: ${balanceEth} ETH`);
-
-      if (parseFloat(balanceEth) < 0.01) {
-        console.warn('⚠️  WARNING: Relayer balance is low (< 0.01 ETH)');
-        console.warn('Fund the relayer address with sufficient ETH for gas fees');
-        logSecurityEvent({
-          type: 'LOW_BALANCE_WARNING',
-          balance: balanceEth,
-          address: signer.address
-        });
-      }
-    });
+// Gas sponsorship: daily gas budget and per-action quotas for each owner, plus
+// a global daily cap. SPONSORSHIP_POLICY_FILE may override them per address:
+// { "0x...": { "dailyGasBudgetEth": "1", "actionLimits": { "deposit": 500 } } }
+const SPONSORED_ACTIONS = ['deposit', 'withdraw', 'rwa-mint', 'rwa-transfer', 'rwa-burn', 'forward'];
 
-  } catch (error) {
-    console.error('❌ Invalid relayer private key:', error.message);
-    process.exit(1);
+// "deposit:20,rwa-mint:5" -> { deposit: 20, 'rwa-mint': 5 }
+function parseActionLimits(value) {
+  return Object.fromEntries(
+    (value || '')
+      .split(',')
+      .map(entry => entry.trim().split(':'))
+      .filter(([action, limit]) => SPONSORED_ACTIONS.includes(action) && /^\d+$/.test(limit || ''))
+      .map(([action, limit]) => [action, parseInt(limit)])
+  );
+}
+
+const ACTION_DAILY_LIMIT = parseInt(process.env.ACTION_DAILY_LIMIT) || 50;
+const DEFAULT_SPONSORSHIP_POLICY = {
+  dailyGasBudget: ethers.parseEther(process.env.USER_DAILY_GAS_BUDGET_ETH || '0.05'),
+  actionLimits: {
+    ...Object.fromEntries(SPONSORED_ACTIONS.map(action => [action, ACTION_DAILY_LIMIT])),
+    ...parseActionLimits(process.env.ACTION_DAILY_LIMITS)
   }
-} else {
-  console.log('⚠️  Relayer private key not configured - some features will be disabled');
-  console.log('To enable relayer functionality:');
-  console.log('1. Set RELAYER_PRIVATE_KEY in relayer/.env');
-  console.log('2. Or use AWS KMS/Azure Key Vault for production');
+};
+const GLOBAL_DAILY_GAS_CAP = ethers.parseEther(process.env.GLOBAL_DAILY_GAS_CAP_ETH || '2');
+
+// Relayer wallet balance watchdog. Below BALANCE_CRITICAL_ETH a chain stops
+// accepting relay requests until the wallet is topped up. Networks may
+// override both thresholds.
+const BALANCE_WARN = ethers.parseEther(process.env.BALANCE_WARN_ETH || '0.1');
+const BALANCE_CRITICAL = ethers.parseEther(process.env.BALANCE_CRITICAL_ETH || '0.01');
+const BALANCE_CHECK_INTERVAL_MS = parseInt(process.env.BALANCE_CHECK_INTERVAL_MS) || 60 * 1000;
+const BALANCE_BURN_RATE_WINDOW_MS = parseInt(process.env.BALANCE_BURN_RATE_WINDOW_MS) || 24 * 60 * 60 * 1000;
+
+// How long a relay request is remembered for replays by Idempotency-Key or signature
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Batching: LendingPool actions queued on one chain within BATCH_WINDOW_MS of
+// each other are relayed together, up to BATCH_MAX_SIZE per transaction.
+// Forwarded calls go to the forwarder, so they are always relayed one by one.
+const BATCH_WINDOW_MS = parseInt(process.env.BATCH_WINDOW_MS) || 0;
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE) || 20;
+
+// RPC failover: an endpoint is skipped for RPC_COOLDOWN_MS after
+// RPC_FAILURE_THRESHOLD failed requests in a row. A chain stops accepting
+// relay requests while all of its endpoints are down.
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS) || 10 * 1000;
+const RPC_FAILURE_THRESHOLD = parseInt(process.env.RPC_FAILURE_THRESHOLD) || 3;
+const RPC_COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS) || 30 * 1000;
+const RPC_PROBE_INTERVAL_MS = parseInt(process.env.RPC_PROBE_INTERVAL_MS) || 15 * 1000;
+
+function loadSponsorshipPolicies(filePath) {
+  if (!filePath) return {};
+  const entries = Object.entries(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  return Object.fromEntries(entries.map(([address, policy]) => [address, {
+    dailyGasBudget: policy.dailyGasBudgetEth !== undefined ? ethers.parseEther(String(policy.dailyGasBudgetEth)) : undefined,
+    actionLimits: policy.actionLimits
+  }]));
+}
+
+let SPONSORSHIP_POLICIES;
+try {
+  SPONSORSHIP_POLICIES = loadSponsorshipPolicies(process.env.SPONSORSHIP_POLICY_FILE);
+} catch (error) {
+  console.error('❌ Invalid SPONSORSHIP_POLICY_FILE:', error.message);
+  process.exit(1);
+}
+
+// Actions of MULTI_SIG_THRESHOLD tokens or more wait for APPROVAL_THRESHOLD
+// co-signatures from APPROVER_ADDRESSES before they are relayed
+const MULTI_SIG_THRESHOLD = ethers.parseEther(process.env.MULTI_SIG_THRESHOLD || '100');
+const APPROVER_ADDRESSES = [...new Set(
+  (process.env.APPROVER_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(address => ethers.isAddress(address))
+    .map(address => ethers.getAddress(address))
+)];
+const APPROVAL_THRESHOLD = parseInt(process.env.APPROVAL_THRESHOLD) || APPROVER_ADDRESSES.length;
+
+if (APPROVAL_THRESHOLD > APPROVER_ADDRESSES.length) {
+  console.error(`❌ APPROVAL_THRESHOLD (${APPROVAL_THRESHOLD}) exceeds the number of APPROVER_ADDRESSES (${APPROVER_ADDRESSES.length})`);
+  process.exit(1);
 }
 
-// Production security: Multi-signature check (placeholder)
 function checkMultiSigRequirement(amount) {
-  const threshold = ethers.parseEther('100'); // Example: Require multi-sig for large amounts
-  return amount >= threshold;
+  return amount >= MULTI_SIG_THRESHOLD;
 }
 
 // Load contract ABIs
@@ -134,6 +317,7 @@ const lendingPoolAbi = [
     "inputs": [
       {
         "components": [
+          {"internalType": "address", "name": "owner", "type": "address"},
           {"internalType": "uint256", "name": "amount", "type": "uint256"},
           {"internalType": "uint256", "name": "nonce", "type": "uint256"},
           {"internalType": "uint256", "name": "deadline", "type": "uint256"}
@@ -154,6 +338,7 @@ const lendingPoolAbi = [
     "inputs": [
       {
         "components": [
+          {"internalType": "address", "name": "owner", "type": "address"},
           {"internalType": "uint256", "name": "amount", "type": "uint256"},
           {"internalType": "uint256", "name": "nonce", "type": "uint256"},
           {"internalType": "uint256", "name": "deadline", "type": "uint256"}
@@ -174,6 +359,7 @@ const lendingPoolAbi = [
     "inputs": [
       {
         "components": [
+          {"internalType": "address", "name": "owner", "type": "address"},
           {"internalType": "address", "name": "to", "type": "address"},
           {"internalType": "uint256", "name": "amount", "type": "uint256"},
           {"internalType": "string", "name": "ipfsCid", "type": "string"},
@@ -201,6 +387,7 @@ const lendingPoolAbi = [
     "inputs": [
       {
         "components": [
+          {"internalType": "address", "name": "owner", "type": "address"},
           {"internalType": "address", "name": "to", "type": "address"},
           {"internalType": "uint256", "name": "amount", "type": "uint256"},
           {"internalType": "uint256", "name": "nonce", "type": "uint256"},
@@ -223,6 +410,7 @@ const lendingPoolAbi = [
     "inputs": [
       {
         "components": [
+          {"internalType": "address", "name": "owner", "type": "address"},
           {"internalType": "address", "name": "from", "type": "address"},
           {"internalType": "uint256", "name": "amount", "type": "uint256"},
           {"internalType": "uint256", "name": "nonce", "type": "uint256"},
@@ -240,6 +428,34 @@ const lendingPoolAbi = [
     "stateMutability": "nonpayable",
     "type": "function"
   },
+  // executeBatch
+  {
+    "inputs": [{"internalType": "bytes[]", "name": "calls", "type": "bytes[]"}],
+    "name": "executeBatch",
+    "outputs": [
+      {
+        "components": [
+          {"internalType": "bool", "name": "success", "type": "bool"},
+          {"internalType": "bytes", "name": "returnData", "type": "bytes"}
+        ],
+        "internalType": "struct LendingPool.BatchResult[]",
+        "name": "results",
+        "type": "tuple[]"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  // BatchItemFailed
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "index", "type": "uint256"},
+      {"indexed": false, "internalType": "bytes", "name": "reason", "type": "bytes"}
+    ],
+    "name": "BatchItemFailed",
+    "type": "event"
+  },
   // nonces
   {
     "inputs": [{"internalType": "address", "name": "", "type": "address"}],
@@ -247,10 +463,151 @@ const lendingPoolAbi = [
     "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
     "stateMutability": "view",
     "type": "function"
+  },
+  // deposits
+  {
+    "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+    "name": "deposits",
+    "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+    "stateMutability": "view",
+    "type": "function"
   }
 ];
 
-const lendingPool = new ethers.Contract(LENDING_POOL_ADDRESS, lendingPoolAbi, signer || provider);
+// EIP-712 types for each relayed action (must match LendingPool typehashes,
+// and the forwarder's for ForwardRequests)
+const ACTION_TYPES = {
+  deposit: {
+    DepositAction: [
+      { name: 'owner', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  withdraw: {
+    WithdrawAction: [
+      { name: 'owner', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  'rwa-mint': {
+    MintRWAAction: [
+      { name: 'owner', type: 'address' },
+      { name: 'to', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'ipfsCid', type: 'string' },
+      { name: 'name', type: 'string' },
+      { name: 'description', type: 'string' },
+      { name: 'valuation', type: 'uint256' },
+      { name: 'merkleRoot', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  'rwa-transfer': {
+    TransferRWAAction: [
+      { name: 'owner', type: 'address' },
+      { name: 'to', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  'rwa-burn': {
+    BurnRWAAction: [
+      { name: 'owner', type: 'address' },
+      { name: 'from', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  forward: FORWARD_REQUEST_TYPES
+};
+
+// EIP-712 domain of a network's LendingPool
+function signingDomainOf(network) {
+  return {
+    name: 'LendingPool',
+    version: '1',
+    chainId: BigInt(network.chainId),
+    verifyingContract: network.lendingPool
+  };
+}
+
+// EIP-712 domain `actionName` is signed for on `chain`: the forwarder's for
+// ForwardRequests, the LendingPool's otherwise. Null when the chain has no forwarder.
+function signingDomain(chain, actionName) {
+  if (actionName === 'forward') {
+    return chain.forwarder?.domain || null;
+  }
+  return chain.domain;
+}
+
+// Recover the address that signed `action` as the typed data for `actionName` on `chain`
+function recoverActionSigner(chain, actionName, action, signature) {
+  return ethers.verifyTypedData(signingDomain(chain, actionName), ACTION_TYPES[actionName], action, signature);
+}
+
+// Another configured chain whose domain `signature` was made for, if any.
+// Lets a signature for the wrong chainId be reported as such instead of as invalid.
+function findSigningChain(chain, actionName, action, signature) {
+  for (const other of chains.values()) {
+    if (other === chain || !signingDomain(other, actionName)) continue;
+    try {
+      if (recoverActionSigner(other, actionName, action, signature) === action.owner) {
+        return other;
+      }
+    } catch (error) {
+      // Malformed signature
+    }
+  }
+  return null;
+}
+
+// Nonces of signed actions accepted by the relayer but not yet mined, per chain
+// and keyed by owner address. ForwardRequests count the forwarder's nonces,
+// which are separate from the LendingPool's.
+function pendingNoncesOf(chain, actionName) {
+  return actionName === 'forward' ? chain.forwarder?.pendingNonces : chain.pendingNonces;
+}
+
+function isNoncePending(chain, actionName, address, nonce) {
+  return pendingNoncesOf(chain, actionName)?.get(address)?.has(nonce) || false;
+}
+
+function addPendingNonce(chain, actionName, address, nonce) {
+  const pendingNonces = pendingNoncesOf(chain, actionName);
+  if (!pendingNonces.has(address)) {
+    pendingNonces.set(address, new Set());
+  }
+  pendingNonces.get(address).add(nonce);
+}
+
+function releasePendingNonce(chain, actionName, address, nonce) {
+  const pendingNonces = pendingNoncesOf(chain, actionName);
+  const nonces = pendingNonces?.get(address);
+  if (!nonces) return;
+  nonces.delete(nonce);
+  if (nonces.size === 0) {
+    pendingNonces.delete(address);
+  }
+}
+
+// Next nonce a user should sign: the on-chain nonce advanced past any pending actions
+async function getNextUserNonce(chain, actionName, address) {
+  const onChainNonce = actionName === 'forward'
+    ? await chain.forwarder.contract.nonces(address)
+    : await chain.lendingPool.nonces(address);
+  let nextNonce = onChainNonce;
+  while (isNoncePending(chain, actionName, address, nextNonce)) {
+    nextNonce++;
+  }
+  return { onChainNonce, nextNonce };
+}
 
 // Transaction monitoring middleware
 app.use('/api/*', (req, res, next) => {
@@ -269,251 +626,2076 @@ app.use('/api/*', (req, res, next) => {
   next();
 });
 
-// API Routes with enhanced security
-app.post('/api/deposit', async (req, res) => {
-  const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
+const adminAuth = createAdminAuth({
+  adminAddresses: ADMIN_ADDRESSES,
+  hmacSecret: ADMIN_HMAC_SECRET,
+  siweDomain: ADMIN_SIWE_DOMAIN,
+  chainId: DEFAULT_CHAIN_ID,
+  sessionTtlMs: ADMIN_SESSION_TTL_MS,
+  logEvent: logSecurityEvent
+});
+
+// Validates parameters and bodies against openapi.json (served on /api/docs)
+// before a route runs, so routes only check what a schema cannot express
+const requestValidator = createRequestValidator({
+  spec: openapiSpec,
+  logEvent: logSecurityEvent
+});
+
+// SIWE login: fetch a nonce, sign an EIP-4361 message containing it, exchange it for a session token
+app.post('/api/admin/auth/nonce', (req, res) => {
+  res.json({
+    nonce: adminAuth.issueNonce(req.ip),
+    domain: ADMIN_SIWE_DOMAIN,
+    chainId: DEFAULT_CHAIN_ID
+  });
+});
+
+app.post('/api/admin/auth/login', requestValidator.middleware, (req, res) => {
+  const { message, signature } = req.body;
 
   try {
-    const { amount, nonce, deadline, signature } = req.body;
+    const session = adminAuth.login(message, signature);
 
-    // Input validation
-    if (!amount || !nonce || !deadline || !signature) {
-      logSecurityEvent({
-        type: 'VALIDATION_ERROR',
-        error: 'Missing required fields',
-        ip: clientIP
-      });
-      return res.status(400).json({
-        error: 'Missing required fields',
-        code: 'MISSING_FIELDS'
-      });
-    }
+    logSecurityEvent({
+      type: 'ADMIN_LOGIN',
+      address: session.address,
+      expiresAt: session.expiresAt,
+      ip: req.ip
+    });
 
-    // Validate input types
-    if (typeof amount !== 'string' || typeof nonce !== 'string' || typeof deadline !== 'string' || typeof signature !== 'string') {
-      logSecurityEvent({
-        type: 'VALIDATION_ERROR',
-        error: 'Invalid input types',
-        ip: clientIP
-      });
-      return res.status(400).json({
-        error: 'Invalid input types',
-        code: 'INVALID_TYPES'
-      });
-    }
+    res.json({ success: true, ...session });
+  } catch (error) {
+    logSecurityEvent({
+      type: 'ADMIN_AUTH_FAILED',
+      error: error.message,
+      path: req.originalUrl,
+      ip: req.ip
+    });
 
-    // Validate amount
-    const parsedAmount = ethers.parseEther(amount);
-    if (parsedAmount <= 0n) {
-      logSecurityEvent({
-        type: 'VALIDATION_ERROR',
-        error: 'Invalid amount',
-        amount: amount,
-        ip: clientIP
-      });
-      return res.status(400).json({
-        error: 'Amount must be greater than 0',
-        code: 'INVALID_AMOUNT'
-      });
-    }
+    res.status(401).json({
+      error: error.message,
+      code: error.code || 'ADMIN_AUTH_FAILED'
+    });
+  }
+});
 
-    // Check for multi-signature requirement
-    if (checkMultiSigRequirement(parsedAmount)) {
-      logSecurityEvent({
-        type: 'MULTI_SIG_REQUIRED',
-        amount: amount,
-        ip: clientIP
-      });
-      return res.status(400).json({
-        error: 'Large transaction requires multi-signature approval',
-        code: 'MULTI_SIG_REQUIRED'
-      });
-    }
+// Every other admin route requires an authenticated admin
+app.use('/api/admin', adminAuth.middleware);
 
-    // Validate deadline (must be in future)
-    const currentTime = Math.floor(Date.now() / 1000);
-    const deadlineNum = parseInt(deadline);
-    if (deadlineNum <= currentTime) {
-      logSecurityEvent({
-        type: 'VALIDATION_ERROR',
-        error: 'Signature expired',
-        deadline: deadlineNum,
-        currentTime: currentTime,
-        ip: clientIP
-      });
-      return res.status(400).json({
-        error: 'Signature has expired',
-        code: 'SIGNATURE_EXPIRED'
-      });
-    }
+app.use(requestValidator.middleware);
 
-    // Validate deadline is not too far in future (max 1 hour)
-    if (deadlineNum > currentTime + 3600) {
-      logSecurityEvent({
-        type: 'VALIDATION_ERROR',
-        error: 'Deadline too far in future',
-        ip: clientIP
-      });
-      return res.status(400).json({
-        error: 'Deadline too far in future',
-        code: 'DEADLINE_TOO_FAR'
-      });
-    }
+// Maximum validity window accepted for signed actions (1 hour)
+const MAX_DEADLINE_WINDOW = 3600;
 
-    // Check key rotation
-    rotateRelayerKey();
+// Mirrors RWAAssetToken.MAX_VALUATION ($1B in USD cents)
+const MAX_RWA_VALUATION = 1_000_000_000n * 100n;
 
-    // Convert to proper types
-    const action = {
-      amount: parsedAmount,
-      nonce: BigInt(nonce),
-      deadline: BigInt(deadline)
-    };
+// Owners whose RWA mints are relayed. The LendingPool mints with its own
+// MINTER_ROLE for whoever signs, so the relayer is the only gate.
+const RWA_MINTER_ADDRESSES = new Set(
+  (process.env.RWA_MINTER_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(address => ethers.isAddress(address))
+    .map(address => ethers.getAddress(address))
+);
+
+function rejectValidation(clientIP, error, code, details = {}) {
+  logSecurityEvent({
+    type: 'VALIDATION_ERROR',
+    error: error,
+    ...details,
+    ip: clientIP
+  });
+  return { rejection: { error, code } };
+}
+
+// Validate the fields shared by every signed amount-based action. Presence and
+// format of the fields are already checked against the request schema.
+// Returns { rejection } describing the 400 response, or the parsed owner and amount.
+function validateAmountAction(body, clientIP) {
+  // The account the contract acts on behalf of
+  const owner = parseAddressField(body.owner);
+  if (!owner || owner === ethers.ZeroAddress) {
+    return rejectValidation(clientIP, 'Invalid owner address', 'INVALID_ADDRESS', { owner: body.owner });
+  }
+
+  // Validate amount
+  const parsedAmount = ethers.parseEther(body.amount);
+  if (parsedAmount <= 0n) {
+    return rejectValidation(clientIP, 'Amount must be greater than 0', 'INVALID_AMOUNT', { amount: body.amount });
+  }
+
+  const deadlineRejection = validateDeadline(body.deadline, clientIP);
+  if (deadlineRejection) {
+    return { rejection: deadlineRejection };
+  }
+
+  return { owner, parsedAmount };
+}
 
-    console.log(`[TRANSACTION] Executing deposit: ${amount} tokens`);
+// Validate that a signed deadline is in the future but within MAX_DEADLINE_WINDOW
+function validateDeadline(deadline, clientIP) {
+  // Validate deadline (must be in future)
+  const currentTime = Math.floor(Date.now() / 1000);
+  const deadlineNum = parseInt(deadline);
+  if (!(deadlineNum > currentTime)) {
     logSecurityEvent({
-      type: 'TRANSACTION_START',
-      action: 'deposit',
-      amount: amount,
-      nonce: nonce,
+      type: 'VALIDATION_ERROR',
+      error: 'Signature expired',
+      deadline: deadlineNum,
+      currentTime: currentTime,
       ip: clientIP
     });
+    return { error: 'Signature has expired', code: 'SIGNATURE_EXPIRED' };
+  }
 
-    // Execute the transaction
-    const tx = await lendingPool.executeDeposit(action, signature);
-    const receipt = await tx.wait();
-
-    // Log successful transaction
+  // Validate deadline is not too far in future (max 1 hour)
+  if (deadlineNum > currentTime + MAX_DEADLINE_WINDOW) {
     logSecurityEvent({
-      type: 'TRANSACTION_SUCCESS',
-      action: 'deposit',
-      txHash: tx.hash,
-      amount: amount,
+      type: 'VALIDATION_ERROR',
+      error: 'Deadline too far in future',
       ip: clientIP
     });
+    return { error: 'Deadline too far in future', code: 'DEADLINE_TOO_FAR' };
+  }
 
-    res.json({
-      success: true,
-      txHash: tx.hash,
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
-      message: 'Deposit executed successfully',
-      timestamp: new Date().toISOString()
-    });
+  return null;
+}
 
-  } catch (error) {
-    console.error('[ERROR] Deposit failed:', error);
+// DepositAction / WithdrawAction
+function validateLendingAction(body, clientIP) {
+  const { rejection, owner, parsedAmount } = validateAmountAction(body, clientIP);
+  if (rejection) {
+    return { rejection };
+  }
+
+  return {
+    action: {
+      owner,
+      amount: parsedAmount,
+      nonce: BigInt(body.nonce),
+      deadline: BigInt(body.deadline)
+    }
+  };
+}
 
+// Only forward RWA calls to token contracts on the chain's RWA token allowlist
+function validateRWAToken(chain, rwaToken, clientIP) {
+  if (!ethers.isAddress(rwaToken) || !chain.rwaTokens.has(ethers.getAddress(rwaToken))) {
     logSecurityEvent({
-      type: 'TRANSACTION_FAILED',
-      action: 'deposit',
-      error: error.message,
+      type: 'RWA_TOKEN_REJECTED',
+      chainId: chain.chainId,
+      rwaToken: rwaToken,
       ip: clientIP
     });
+    return { error: 'RWA token contract is not allowlisted', code: 'RWA_TOKEN_NOT_ALLOWED' };
+  }
+  return null;
+}
 
-    // Handle specific error types
-    if (error.message.includes('Invalid nonce')) {
-      return res.status(400).json({
-        error: 'Invalid nonce - possible replay attack',
-        code: 'INVALID_NONCE'
-      });
-    }
-    if (error.message.includes('Invalid signature')) {
-      return res.status(400).json({
-        error: 'Invalid signature',
-        code: 'INVALID_SIGNATURE'
-      });
-    }
-    if (error.message.includes('Signature expired')) {
-      return res.status(400).json({
-        error: 'Signature has expired',
-        code: 'SIGNATURE_EXPIRED'
-      });
-    }
+// Validate an address field, returning the checksummed address or null
+function parseAddressField(value) {
+  return typeof value === 'string' && ethers.isAddress(value) ? ethers.getAddress(value) : null;
+}
+
+function validateMintRWAAction(body, clientIP, chain) {
+  const { rejection, owner, parsedAmount } = validateAmountAction(body, clientIP);
+  if (rejection) {
+    return { rejection };
+  }
 
-    res.status(500).json({
-      error: 'Transaction failed',
-      details: error.message,
-      code: 'TRANSACTION_FAILED'
+  if (!RWA_MINTER_ADDRESSES.has(owner)) {
+    logSecurityEvent({
+      type: 'RWA_MINT_UNAUTHORIZED',
+      chainId: chain.chainId,
+      owner: owner,
+      ip: clientIP
     });
+    return { rejection: { status: 403, error: 'Owner is not authorized to mint RWA tokens', code: 'RWA_MINTER_NOT_AUTHORIZED' } };
   }
-});
 
-// Security monitoring endpoint
-app.get('/api/security/status', (req, res) => {
-  const status = {
-    relayerAddress: signer?.address || null,
-    keyRotationStatus: shouldRotateKey() ? 'ROTATION_NEEDED' : 'OK',
-    lastRotation: new Date(keyRotationTimestamp).toISOString(),
-    transactionCount: transactionLog.length,
-    recentSecurityEvents: transactionLog.slice(-10), // Last 10 events
-    timestamp: new Date().toISOString()
+  const to = parseAddressField(body.to);
+  if (!to || to === ethers.ZeroAddress) {
+    return rejectValidation(clientIP, 'Invalid recipient address', 'INVALID_ADDRESS', { to: body.to });
+  }
+
+  if (BigInt(body.valuation) === 0n || BigInt(body.valuation) > MAX_RWA_VALUATION) {
+    return rejectValidation(clientIP, 'Valuation must be between 1 and 100000000000 USD cents', 'INVALID_VALUATION', { valuation: body.valuation });
+  }
+
+  const tokenRejection = validateRWAToken(chain, body.rwaToken, clientIP);
+  if (tokenRejection) {
+    return { rejection: tokenRejection };
+  }
+
+  return {
+    action: {
+      owner,
+      to,
+      amount: parsedAmount,
+      ipfsCid: body.ipfsCid,
+      name: body.name,
+      description: body.description || '',
+      valuation: BigInt(body.valuation),
+      merkleRoot: body.merkleRoot,
+      nonce: BigInt(body.nonce),
+      deadline: BigInt(body.deadline)
+    }
   };
+}
 
-  res.json(status);
-});
+function validateTransferRWAAction(body, clientIP, chain) {
+  const { rejection, owner, parsedAmount } = validateAmountAction(body, clientIP);
+  if (rejection) {
+    return { rejection };
+  }
 
-// Key rotation endpoint (admin only)
-app.post('/api/admin/rotate-key', (req, res) => {
-  // In production, this would require authentication
-  const { newPrivateKey } = req.body;
+  const to = parseAddressField(body.to);
+  if (!to || to === ethers.ZeroAddress) {
+    return rejectValidation(clientIP, 'Invalid recipient address', 'INVALID_ADDRESS', { to: body.to });
+  }
 
-  if (!newPrivateKey) {
-    return res.status(400).json({
-      error: 'New private key required',
-      code: 'MISSING_KEY'
-    });
+  const tokenRejection = validateRWAToken(chain, body.rwaToken, clientIP);
+  if (tokenRejection) {
+    return { rejection: tokenRejection };
   }
 
-  try {
-    // Validate new key
-    const newWallet = new ethers.Wallet(newPrivateKey);
+  return {
+    action: {
+      owner,
+      to,
+      amount: parsedAmount,
+      nonce: BigInt(body.nonce),
+      deadline: BigInt(body.deadline)
+    }
+  };
+}
 
-    // Update signer
-    signer = new ethers.Wallet(newPrivateKey, provider);
-    currentRelayerKey = newPrivateKey;
-    keyRotationTimestamp = Date.now();
+function validateBurnRWAAction(body, clientIP, chain) {
+  const { rejection, owner, parsedAmount } = validateAmountAction(body, clientIP);
+  if (rejection) {
+    return { rejection };
+  }
 
-    logSecurityEvent({
-      type: 'KEY_ROTATED',
-      newAddress: newWallet.address,
-      ip: req.ip
-    });
+  // LendingPool only burns from the owner's own balance
+  const from = parseAddressField(body.from);
+  if (from !== owner) {
+    return rejectValidation(clientIP, 'Burn holder must be the signing owner', 'INVALID_ADDRESS', { from: body.from });
+  }
 
-    res.json({
-      success: true,
-      newAddress: newWallet.address,
-      timestamp: new Date().toISOString()
+  const tokenRejection = validateRWAToken(chain, body.rwaToken, clientIP);
+  if (tokenRejection) {
+    return { rejection: tokenRejection };
+  }
+
+  return {
+    action: {
+      owner,
+      from,
+      amount: parsedAmount,
+      nonce: BigInt(body.nonce),
+      deadline: BigInt(body.deadline)
+    }
+  };
+}
+
+// Most gas a ForwardRequest may give its call; the relayer pays for all of it
+const FORWARD_MAX_GAS = BigInt(process.env.FORWARD_MAX_GAS || '1000000');
+
+// ForwardRequest for the chain's EIP-2771 forwarder. The call must be to an
+// allowlisted target and function, and cannot send value, which the relayer
+// would pay. An `amount` argument of the call counts towards the multi-sig
+// threshold, and preflight simulates the call as the forwarder makes it: from
+// the forwarder, with the signer appended to the calldata.
+function validateForwardRequest(body, clientIP, chain) {
+  if (!chain.forwarder) {
+    return rejectValidation(clientIP, 'No trusted forwarder is configured on this chain', 'FORWARDER_NOT_CONFIGURED', { chainId: chain.chainId });
+  }
+
+  const from = parseAddressField(body.from);
+  if (!from || from === ethers.ZeroAddress) {
+    return rejectValidation(clientIP, 'Invalid from address', 'INVALID_ADDRESS', { from: body.from });
+  }
+
+  if (BigInt(body.value ?? 0) !== 0n) {
+    return rejectValidation(clientIP, 'Forwarded calls cannot send value', 'INVALID_AMOUNT', { value: body.value });
+  }
+
+  const gas = BigInt(body.gas);
+  if (gas > FORWARD_MAX_GAS) {
+    return rejectValidation(clientIP, `Forwarded calls may use at most ${FORWARD_MAX_GAS} gas`, 'FORWARD_GAS_TOO_HIGH', { gas: body.gas });
+  }
+
+  const deadlineRejection = validateDeadline(body.deadline, clientIP);
+  if (deadlineRejection) {
+    return { rejection: deadlineRejection };
+  }
+
+  const call = chain.forwarder.parseCall(body.to, body.data);
+  if (!call) {
+    logSecurityEvent({
+      type: 'FORWARD_TARGET_REJECTED',
+      chainId: chain.chainId,
+      from,
+      to: body.to,
+      selector: body.data.slice(0, 10),
+      ip: clientIP
+    });
+    return { rejection: { error: 'Target contract or function is not allowlisted for forwarding', code: 'FORWARD_TARGET_NOT_ALLOWED' } };
+  }
+
+  const amountIndex = call.fragment.inputs.findIndex(input => input.name === 'amount' && input.type === 'uint256');
+  const data = ethers.hexlify(body.data);
+
+  return {
+    action: {
+      owner: from,
+      from,
+      to: call.target,
+      value: 0n,
+      gas,
+      nonce: BigInt(body.nonce),
+      deadline: BigInt(body.deadline),
+      data,
+      amount: amountIndex === -1 ? 0n : call.args[amountIndex],
+      simulation: {
+        from: chain.forwarder.address,
+        to: call.target,
+        data: ethers.concat([data, from])
+      }
+    }
+  };
+}
+
+// Map a relay failure to a client-facing error and a code of the shared
+// catalog (shared/errorCodes.json). Contract reverts are decoded from their
+// revert data; `revert` is the decoded revert, or null for other failures.
+function describeRelayError(error) {
+  if (error.rpcUnavailable) {
+    return { status: 503, error: errorMessage('RPC_UNAVAILABLE'), code: 'RPC_UNAVAILABLE', revert: null };
+  }
+  const revert = decodeRevert(error);
+  if (revert?.code) {
+    return { status: 400, error: errorMessage(revert.code), code: revert.code, revert };
+  }
+  return { status: 500, error: errorMessage('TRANSACTION_FAILED'), code: 'TRANSACTION_FAILED', revert };
+}
+
+// Details of a decoded revert for API responses and job records
+function revertDetails(revert) {
+  return { reason: revert.reason, error: revert.name, args: revert.args };
+}
+
+// Map a failed relay to a client response, logging the failure
+function handleRelayError(res, error, actionName, clientIP) {
+  console.error(`[ERROR] ${actionName} failed:`, error);
+
+  logSecurityEvent({
+    type: 'TRANSACTION_FAILED',
+    action: actionName,
+    error: error.message,
+    ip: clientIP
+  });
+
+  const { status, error: message, code, revert } = describeRelayError(error);
+  res.status(status).json({
+    error: message,
+    ...(revert ? { details: revertDetails(revert) } : { details: error.message }),
+    code
+  });
+}
+
+// Decrypted keystores and their passphrases by path, so networks sharing one only prompt once
+const keystores = new Map();
+
+async function unlockKeystore(file, passphraseEnv) {
+  const keystorePath = path.resolve(file);
+  if (!keystores.has(keystorePath)) {
+    const passphrase = process.env[passphraseEnv] ||
+      await promptPassphrase(`🔐 Passphrase for relayer keystore ${keystorePath}: `);
+    keystores.set(keystorePath, { wallet: await loadKeystore(keystorePath, passphrase), passphrase });
+  }
+  return keystores.get(keystorePath);
+}
+
+// Relayer signer of a network: a plaintext key from an env variable, an
+// encrypted keystore unlocked with a passphrase from the environment or the
+// terminal, or a remote signing service. A key a previous rotation moved the
+// chain to takes precedence over the configured local key.
+// Resolves to { signer, signerType }; signer is null when no key is
+// configured. Exits when a configured signer cannot be loaded.
+async function loadRelayerSigner(network, provider) {
+  const config = network.signer;
+  const label = `${network.name} (${network.chainId})`;
+  const rotationPassphraseEnv = process.env.KEY_ROTATION_PASSPHRASE ? 'KEY_ROTATION_PASSPHRASE' : null;
+  const rotated = keyRotation.rotatedKeyOf(network.chainId);
+  try {
+    if (rotated && config.type !== 'remote') {
+      const { wallet, passphrase } = await unlockKeystore(rotated.keystoreFile, rotationPassphraseEnv || config.passphraseEnv);
+      rotationPassphrases.set(network.chainId, passphrase);
+      console.log(`🔄 ${label} uses rotated key ${wallet.address}`);
+      return { signer: wallet.connect(provider), signerType: 'keystore' };
+    }
+
+    switch (config.type) {
+      case 'keystore': {
+        const { wallet, passphrase } = await unlockKeystore(config.file, config.passphraseEnv);
+        rotationPassphrases.set(network.chainId, rotationPassphraseEnv ? process.env.KEY_ROTATION_PASSPHRASE : passphrase);
+        return { signer: wallet.connect(provider), signerType: 'keystore' };
+      }
+      case 'remote':
+        return {
+          signer: await connectRemoteSigner({
+            url: config.url,
+            address: config.address,
+            authToken: process.env[config.tokenEnv],
+            provider
+          }),
+          signerType: 'remote'
+        };
+      default: {
+        const privateKey = process.env[config.keyEnv];
+        if (!privateKey || privateKey === '0xYOUR_RELAYER_PRIVATE_KEY_HERE') {
+          console.log(`⚠️  ${config.keyEnv} not configured for ${label} - relaying disabled on this chain`);
+          return { signer: null, signerType: config.type };
+        }
+        if (rotationPassphraseEnv) {
+          rotationPassphrases.set(network.chainId, process.env.KEY_ROTATION_PASSPHRASE);
+        }
+        return { signer: new ethers.Wallet(privateKey, provider), signerType: 'privateKey' };
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Failed to load the ${config.type} relayer signer of ${label}:`, error.message);
+    process.exit(1);
+  }
+}
+
+// Provider, relayer wallet, contracts and relay services of one network
+function createChain(network) {
+  const rpc = createRpcFailover({
+    urls: network.rpcUrls,
+    chainId: network.chainId,
+    quorum: network.rpcQuorum,
+    timeoutMs: RPC_TIMEOUT_MS,
+    failureThreshold: RPC_FAILURE_THRESHOLD,
+    cooldownMs: RPC_COOLDOWN_MS,
+    onStateChange: (state, previousState) => onRpcStateChange(chain, state, previousState),
+    onEndpointChange: endpoint => onRpcEndpointChange(chain, endpoint)
+  });
+  const provider = rpc.provider;
+  const chain = {
+    chainId: network.chainId,
+    name: network.name,
+    provider,
+    rpc,
+    // Loaded at startup
+    signer: null,
+    signerType: network.signer.type,
+    lendingPool: new ethers.Contract(network.lendingPool, lendingPoolAbi, provider),
+    dusdAddress: network.dusd,
+    rwaTokens: new Set(network.rwaTokens),
+    domain: signingDomainOf(network),
+    forwarder: network.forwarder ? createForwarder({ provider, chainId: network.chainId, config: network.forwarder }) : null,
+    requiredConfirmations: network.confirmations || parseInt(process.env.TX_CONFIRMATIONS) || 1,
+    // Turned off at startup if the deployed LendingPool has no executeBatch
+    batching: BATCH_WINDOW_MS > 0,
+    pendingNonces: new Map()
+  };
+
+  // Chain-state checks and eth_call simulation run before an action is accepted
+  chain.preflight = createPreflight({
+    provider,
+    lendingPool: chain.lendingPool,
+    dusdAddress: chain.dusdAddress,
+    getRelayerAddress: () => chain.signer?.address,
+    describeRevert: describeRelayError
+  });
+
+  // Account nonces of the relayer wallet, shared by every submission on this chain
+  chain.nonceManager = createNonceManager({
+    provider,
+    getAddress: () => chain.signer?.address || null
+  });
+
+  chain.txSubmitter = createTxSubmitter({
+    provider,
+    getSigner: () => chain.signer,
+    nonceManager: chain.nonceManager,
+    stuckTimeoutMs: parseInt(process.env.STUCK_TX_TIMEOUT_MS) || 2 * 60 * 1000,
+    feeBumpPercent: parseInt(process.env.FEE_BUMP_PERCENT) || 15,
+    maxFeeBumps: parseInt(process.env.MAX_FEE_BUMPS) || 5,
+    pollIntervalMs: parseInt(process.env.RECEIPT_POLL_INTERVAL_MS) || 3000
+  });
+
+  chain.batchRelay = createBatchRelay({
+    provider,
+    lendingPool: chain.lendingPool,
+    txSubmitter: chain.txSubmitter
+  });
+
+  chain.balanceMonitor = createBalanceMonitor({
+    provider,
+    getAddress: () => chain.signer?.address || null,
+    warnThreshold: network.balanceWarn ?? BALANCE_WARN,
+    criticalThreshold: network.balanceCritical ?? BALANCE_CRITICAL,
+    windowMs: BALANCE_BURN_RATE_WINDOW_MS,
+    onLevelChange: (state, previousLevel) => onBalanceLevelChange(chain, state, previousLevel)
+  });
+
+  // Gas is paid in each chain's native token, so quotas are kept per chain
+  chain.sponsorship = createSponsorship({
+    filePath: path.join(DATA_DIR, `sponsorship-${network.chainId}.json`),
+    defaultPolicy: {
+      ...DEFAULT_SPONSORSHIP_POLICY,
+      dailyGasBudget: network.dailyGasBudget ?? DEFAULT_SPONSORSHIP_POLICY.dailyGasBudget
+    },
+    policies: SPONSORSHIP_POLICIES,
+    globalDailyGasCap: network.globalDailyGasCap ?? GLOBAL_DAILY_GAS_CAP
+  });
+
+  return chain;
+}
+
+const chains = new Map(NETWORK_CONFIG.networks.map(network => [network.chainId, createChain(network)]));
+const defaultChain = chains.get(DEFAULT_CHAIN_ID);
+
+// Network a request targets by its `chainId` (body or query), defaulting to
+// DEFAULT_CHAIN_ID. Returns { chain } or a 400 { rejection }.
+function resolveChain(value) {
+  if (value === undefined || value === null || value === '') {
+    return { chain: defaultChain };
+  }
+  const chain = chains.get(parseChainId(value));
+  if (!chain) {
+    return {
+      rejection: {
+        error: 'Unsupported chainId',
+        code: 'UNSUPPORTED_CHAIN',
+        supportedChainIds: [...chains.keys()]
+      }
+    };
+  }
+  return { chain };
+}
+
+// Jobs and approvals created before multi-chain support have no chainId and
+// ran on the default chain
+const chainIdOf = (record) => record.chainId ?? DEFAULT_CHAIN_ID;
+const chainOfJob = (job) => chains.get(chainIdOf(job)) || null;
+
+// Startup check of a network: every RPC endpoint must serve the configured
+// chain, the forwarder's targets must trust it, batching needs the
+// LendingPool's executeBatch, and the relayer wallet needs gas money
+async function checkChain(chain) {
+  // Unreachable endpoints are reported by onRpcEndpointChange
+  const { endpoints } = await chain.rpc.probe();
+  const mismatched = endpoints.find(endpoint => endpoint.wrongChain);
+  if (mismatched) {
+    console.error(`❌ RPC ${mismatched.url} for ${chain.name} ${mismatched.lastError}`);
+    process.exit(1);
+  }
+  if (!chain.rpc.isAvailable()) return;
+
+  if (chain.forwarder) {
+    const { name, untrusted, unverified } = await chain.forwarder.check();
+    if (name !== chain.forwarder.domain.name) {
+      console.error(`❌ Forwarder on ${chain.name} signs for domain "${name}", configured as "${chain.forwarder.domain.name}"`);
+      process.exit(1);
+    }
+    for (const target of untrusted) {
+      console.warn(`⚠️  ${target} on ${chain.name} does not trust the forwarder - not forwarding calls to it`);
+    }
+    for (const target of unverified) {
+      console.warn(`⚠️  Could not check whether ${target} on ${chain.name} trusts the forwarder - not forwarding calls to it until it is confirmed`);
+    }
+  }
+
+  if (chain.batching && !(await chain.batchRelay.isSupported())) {
+    chain.batching = false;
+    console.warn(`⚠️  LendingPool on ${chain.name} has no executeBatch - relaying its actions one per transaction`);
+  }
+  if (!chain.signer) return;
+
+  const { balance } = await chain.balanceMonitor.check();
+  console.log(`💰 Relayer balance on ${chain.name} (${chain.chainId}): ${balance}`);
+}
+
+// Alert on every balance level change. Relay routes reject requests with
+// RELAYER_UNDERFUNDED while the level is critical.
+function onBalanceLevelChange(chain, state, previousLevel) {
+  const event = {
+    chainId: chain.chainId,
+    address: state.address,
+    balance: state.balance,
+    level: state.level,
+    previousLevel,
+    burnRatePerHour: state.burnRatePerHour,
+    hoursUntilCritical: state.hoursUntilCritical
+  };
+
+  if (state.level === 'critical') {
+    console.error(`🚨 Relayer balance on ${chain.name} is critical (${state.balance} < ${state.criticalThreshold}) - relay requests paused until topped up`);
+    logSecurityEvent({ type: 'LOW_BALANCE_CRITICAL', ...event });
+  } else if (previousLevel === 'critical' || (previousLevel === 'warning' && state.level === 'ok')) {
+    console.log(`✅ Relayer balance on ${chain.name} recovered (${state.balance})${previousLevel === 'critical' ? ' - relay requests resumed' : ''}`);
+    logSecurityEvent({ type: 'BALANCE_RECOVERED', ...event });
+  } else if (state.level === 'warning') {
+    console.warn(`⚠️  WARNING: Relayer balance on ${chain.name} is low (${state.balance} < ${state.warnThreshold})`);
+    console.warn('Fund the relayer address with sufficient native tokens for gas fees');
+    logSecurityEvent({ type: 'LOW_BALANCE_WARNING', ...event });
+  }
+}
+
+// Alert when a chain loses or regains all of its RPC endpoints. Relay routes
+// reject requests with RPC_UNAVAILABLE and queued jobs wait while the circuit
+// breaker is open.
+function onRpcStateChange(chain, state, previousState) {
+  const event = {
+    chainId: chain.chainId,
+    state: state.state,
+    previousState,
+    endpoints: state.endpoints.map(endpoint => ({ url: endpoint.url, lastError: endpoint.lastError }))
+  };
+
+  if (state.state === 'open') {
+    console.error(`🚨 All RPC endpoints of ${chain.name} are down - relay requests paused until one recovers`);
+    logSecurityEvent({ type: 'RPC_UNAVAILABLE', ...event });
+  } else {
+    console.log(`✅ RPC of ${chain.name} recovered - relay requests resumed`);
+    logSecurityEvent({ type: 'RPC_RECOVERED', ...event });
+  }
+}
+
+function onRpcEndpointChange(chain, endpoint) {
+  const event = { chainId: chain.chainId, url: endpoint.url, score: endpoint.score, lastError: endpoint.lastError };
+  if (endpoint.healthy) {
+    console.log(`✅ RPC ${endpoint.url} for ${chain.name} is back up`);
+    logSecurityEvent({ type: 'RPC_ENDPOINT_RECOVERED', ...event });
+  } else {
+    console.warn(`⚠️  RPC ${endpoint.url} for ${chain.name} is down (${endpoint.lastError}) - failing over`);
+    logSecurityEvent({ type: 'RPC_ENDPOINT_DOWN', ...event });
+  }
+}
+
+// Error codes raised by the submitter itself rather than by a contract revert
+const RELAY_JOB_ERROR_CODES = new Set(['RELAYER_NOT_CONFIGURED', 'NONCE_CONSUMED']);
+
+// Failed jobs carry the same error codes the HTTP routes use. ethers errors are
+// read-only, so the mapped code goes on a new error; `update` records the
+// revert reason on the job.
+function relayJobError(error, update) {
+  const { code, revert } = describeRelayError(error);
+  if (revert?.reason) {
+    update({ revertReason: revert.reason });
+  }
+  const relayError = new Error(error.shortMessage || error.message);
+  relayError.code = code === 'TRANSACTION_FAILED' && RELAY_JOB_ERROR_CODES.has(error.code) ? error.code : code;
+  relayError.transient = error.transient;
+  return relayError;
+}
+
+function unsupportedChainError(job) {
+  const error = new Error(`Chain ${job.chainId} is no longer configured`);
+  error.code = 'UNSUPPORTED_CHAIN';
+  return error;
+}
+
+async function processRelayJob(job, context) {
+  const chain = chainOfJob(job);
+  if (!chain) {
+    throw unsupportedChainError(job);
+  }
+
+  try {
+    return await chain.txSubmitter.processJob(job, context);
+  } catch (error) {
+    throw relayJobError(error, context.update);
+  }
+}
+
+// LendingPool actions that share a batch transaction
+function batchKeyOf(job) {
+  const chain = chainOfJob(job);
+  if (!chain?.batching || ethers.getAddress(job.request.to) !== chain.lendingPool.target) {
+    return null;
+  }
+  return `${chain.chainId}:${chain.lendingPool.target}`;
+}
+
+// Each job of a batch is confirmed or failed on its own call's outcome
+async function processRelayBatch(jobs, { update }) {
+  const chain = chainOfJob(jobs[0]);
+  if (!chain) {
+    throw unsupportedChainError(jobs[0]);
+  }
+
+  let outcomes;
+  try {
+    outcomes = await chain.batchRelay.processBatch(jobs, { update });
+  } catch (error) {
+    throw relayJobError(error, changes => jobs.forEach(job => update(job, changes)));
+  }
+  return outcomes.map((outcome, i) => (outcome.error
+    ? { error: relayJobError(outcome.error, changes => update(jobs[i], changes)) }
+    : outcome));
+}
+
+const jobQueue = createJobQueue({
+  filePath: path.join(DATA_DIR, 'jobs.json'),
+  handler: processRelayJob,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 4,
+  // A user's actions must land in nonce order, so run them one at a time per
+  // chain; a mined job holds the key until confirmed in case a reorg drops it
+  serializeBy: job => `${chainIdOf(job)}:${job.owner}`,
+  // Jobs wait while all RPC endpoints of their chain are down. While a chain's
+  // key rotates, only jobs already broadcast may continue.
+  canRun: job => (chainOfJob(job)?.rpc.isAvailable() ?? true) &&
+    (!keyRotation.isPaused(chainIdOf(job)) || job.txHashes?.length > 0),
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 6,
+  batchBy: batchKeyOf,
+  batchHandler: processRelayBatch,
+  batchWindowMs: BATCH_WINDOW_MS,
+  maxBatchSize: BATCH_MAX_SIZE,
+  // Mined jobs are confirmed by confirmationTracker
+  awaitConfirmation: true
+});
+
+const keyRotation = createKeyRotation({
+  dataDir: DATA_DIR,
+  jobQueue,
+  chainIdOf,
+  switchSigner: (chain, wallet, keystoreFile) => {
+    chain.signer = wallet.connect(chain.provider);
+    chain.signerType = keystoreFile ? 'keystore' : 'privateKey';
+    chain.balanceMonitor.check();
+  },
+  logEvent: logSecurityEvent,
+  intervalMs: KEY_ROTATION_INTERVAL,
+  drainTimeoutMs: parseInt(process.env.KEY_ROTATION_DRAIN_TIMEOUT_MS) || 10 * 60 * 1000
+});
+
+// Jobs restored from disk still hold their owners' nonces, and the relayer's
+// (tracked by trackRestoredRelayerNonces() once the signers are loaded). Jobs
+// for a network removed from the config fail unless already broadcast.
+for (const job of jobQueue.list(job => !jobQueue.isTerminal(job))) {
+  const chain = chainOfJob(job);
+  if (!chain) {
+    jobQueue.fail(job.id, `Chain ${job.chainId} is no longer configured`, 'UNSUPPORTED_CHAIN');
+    continue;
+  }
+  if (job.action === 'forward' && !chain.forwarder) {
+    jobQueue.fail(job.id, `Chain ${job.chainId} no longer has a forwarder configured`, 'FORWARDER_NOT_CONFIGURED');
+    continue;
+  }
+  addPendingNonce(chain, job.action, job.owner, BigInt(job.nonce));
+}
+
+// Relayer nonces of restored jobs stay in flight until their transactions are
+// mined. The nonce manager only tracks nonces of its chain's current signer,
+// so this runs after the signers are loaded and before the queue starts.
+function trackRestoredRelayerNonces() {
+  for (const job of jobQueue.list(job => !jobQueue.isTerminal(job) && job.txNonce !== undefined && job.status !== 'mined')) {
+    chainOfJob(job)?.nonceManager.track(job.txNonce, job.from);
+  }
+}
+
+// Client-facing status of relayed transactions, polled or streamed
+const txStatus = createTxStatusTracker({
+  jobQueue,
+  chainOf: chainOfJob
+});
+
+// Mined jobs are confirmed at their chain's requiredConfirmations depth, and
+// re-queued if a reorg takes their transaction out of its block
+const confirmationTracker = createConfirmationTracker({
+  jobQueue,
+  chainOf: chainOfJob,
+  pollIntervalMs: parseInt(process.env.RECEIPT_POLL_INTERVAL_MS) || 3000
+});
+
+// Drop sponsorship reservations of jobs that settled while the relayer was down
+for (const chain of chains.values()) {
+  chain.sponsorship.reconcile(jobId => {
+    const job = jobQueue.get(jobId);
+    return !!job && !jobQueue.isTerminal(job);
+  });
+}
+
+// Wei paid for a mined transaction; zero when it was never mined
+function receiptCost(receipt) {
+  return receipt ? BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice) : 0n;
+}
+
+const relaySubmitLatency = metrics.histogram('relayer_relay_submit_latency_seconds', 'Time from a relay job being queued to its first broadcast');
+const relayDuration = metrics.histogram('relayer_relay_duration_seconds', 'Time from a relay job being queued to it being confirmed or failing');
+const gasSpent = metrics.counter('relayer_gas_spent_eth_total', 'Gas paid for relayed transactions in the chain\'s native token, including reverted ones');
+const gasUsed = metrics.counter('relayer_gas_used_total', 'Gas units used by relayed transactions');
+const reorgedJobs = metrics.counter('relayer_reorged_jobs_total', 'Mined relay jobs re-queued because a reorg took their transaction out of its block');
+
+// Approval waits are not relay latency, so held jobs count from their release
+const secondsSinceQueued = (job) => (Date.now() - Date.parse(job.releasedAt || job.createdAt)) / 1000;
+
+function recordRelayMetrics(job, status, receipt) {
+  const chainId = chainIdOf(job);
+  relayDuration.observe({ chainId, action: job.action, status }, secondsSinceQueued(job));
+  if (receipt) {
+    gasSpent.inc({ chainId, action: job.action }, Number(ethers.formatEther(receiptCost(receipt))));
+    gasUsed.inc({ chainId, action: job.action }, Number(receipt.gasUsed));
+  }
+}
+
+function jobTransactionRecord(job, status, extra = {}) {
+  return {
+    relayId: job.id,
+    approvalId: job.approvalId,
+    chainId: chainIdOf(job),
+    action: job.action,
+    owner: job.owner,
+    amount: job.amount,
+    nonce: job.nonce,
+    batchId: job.batchId,
+    txHash: job.txHash || null,
+    status: status,
+    ip: job.ip,
+    ...extra
+  };
+}
+
+jobQueue.on('submitted', job => {
+  console.log(`[TRANSACTION] ${job.action} job ${job.id} submitted: ${job.txHash}`);
+  if (job.txHashes.length === 1) {
+    relaySubmitLatency.observe({ chainId: chainIdOf(job), action: job.action }, secondsSinceQueued(job));
+  }
+  recordTransaction(jobTransactionRecord(job, 'submitted'));
+});
+
+jobQueue.on('replaced', job => {
+  logSecurityEvent({
+    type: 'TRANSACTION_REPLACED',
+    action: job.action,
+    owner: job.owner,
+    jobId: job.id,
+    txHash: job.txHash,
+    fees: job.fees,
+    ip: job.ip
+  });
+  recordTransaction(jobTransactionRecord(job, 'replaced', { fees: job.fees }));
+});
+
+jobQueue.on('retry', job => {
+  logSecurityEvent({
+    type: 'TRANSACTION_RETRY',
+    action: job.action,
+    owner: job.owner,
+    jobId: job.id,
+    attempts: job.attempts,
+    error: job.lastError,
+    ip: job.ip
+  });
+});
+
+jobQueue.on('mined', job => {
+  console.log(`[TRANSACTION] ${job.action} job ${job.id} mined in block ${job.result.blockNumber}: ${job.result.txHash}`);
+  recordTransaction(jobTransactionRecord(job, 'mined', {
+    txHash: job.result.txHash,
+    blockNumber: job.result.blockNumber,
+    blockHash: job.result.blockHash
+  }));
+});
+
+// The job waits for its transaction again, so its relayer nonce is in flight
+// once more. A transaction found in another block is `remined`; one in no
+// block at all is `dropped` and rebroadcast if it does not come back.
+jobQueue.on('reorged', job => {
+  const chain = chainOfJob(job);
+  const reorg = job.reorgs[job.reorgs.length - 1];
+  const outcome = reorg.newBlockHash ? 'remined' : 'dropped';
+  chain?.nonceManager.track(job.txNonce, job.from);
+  reorgedJobs.inc({ chainId: chainIdOf(job), action: job.action });
+
+  console.warn(`⚠️  Reorg on chain ${chainIdOf(job)}: ${job.action} job ${job.id} left block ${reorg.blockNumber} (${outcome}) - re-queued`);
+  logSecurityEvent({
+    type: 'TRANSACTION_REORGED',
+    chainId: chainIdOf(job),
+    action: job.action,
+    owner: job.owner,
+    jobId: job.id,
+    outcome,
+    ...reorg,
+    reorgCount: job.reorgs.length,
+    ip: job.ip
+  });
+  recordTransaction(jobTransactionRecord(job, 'reorged', { txHash: reorg.txHash, blockNumber: reorg.blockNumber, outcome }));
+});
+
+// Free the owner's nonce and settle sponsorship once a job is final
+function settleJob(job, receipt) {
+  const chain = chainOfJob(job);
+  if (!chain) return;
+  releasePendingNonce(chain, job.action, job.owner, BigInt(job.nonce));
+  chain.sponsorship.settle(job.id, receiptCost(receipt));
+  // The relayer paid gas, so the balance may have crossed a threshold
+  if (receipt) {
+    chain.balanceMonitor.check();
+  }
+}
+
+jobQueue.on('confirmed', job => {
+  settleJob(job, job.result);
+  recordRelayMetrics(job, 'confirmed', job.result);
+  logSecurityEvent({
+    type: 'TRANSACTION_SUCCESS',
+    chainId: chainIdOf(job),
+    action: job.action,
+    owner: job.owner,
+    jobId: job.id,
+    txHash: job.result.txHash,
+    amount: job.amount,
+    ip: job.ip
+  });
+  recordTransaction(jobTransactionRecord(job, 'confirmed', {
+    txHash: job.result.txHash,
+    blockNumber: job.result.blockNumber,
+    gasUsed: job.result.gasUsed
+  }));
+});
+
+jobQueue.on('failed', job => {
+  settleJob(job, job.receipt);
+  recordRelayMetrics(job, 'failed', job.receipt);
+  console.error(`[ERROR] ${job.action} job ${job.id} failed: ${job.error}`);
+  logSecurityEvent({
+    type: 'TRANSACTION_FAILED',
+    chainId: chainIdOf(job),
+    action: job.action,
+    owner: job.owner,
+    jobId: job.id,
+    error: job.error,
+    code: job.errorCode,
+    ip: job.ip
+  });
+  recordTransaction(jobTransactionRecord(job, 'failed', { error: job.error, code: job.errorCode }));
+});
+
+// Log a job that is ready to run: newly enqueued, or released after approval
+function logQueuedJob(job) {
+  console.log(`[TRANSACTION] Queued ${job.action}: ${job.amount} tokens (job ${job.id})`);
+  logSecurityEvent({
+    type: 'TRANSACTION_QUEUED',
+    chainId: chainIdOf(job),
+    action: job.action,
+    owner: job.owner,
+    jobId: job.id,
+    approvalId: job.approvalId,
+    amount: job.amount,
+    nonce: job.nonce,
+    ip: job.ip
+  });
+  recordTransaction(jobTransactionRecord(job, 'queued'));
+}
+
+// Enqueue a validated action; the owner's nonce must already be reserved
+function enqueueRelayJob(fields) {
+  const job = jobQueue.enqueue(fields);
+  logQueuedJob(job);
+  return job;
+}
+
+jobQueue.on('released', logQueuedJob);
+
+// Large actions wait here for approver co-signatures
+const approvalManager = createApprovalManager({
+  filePath: path.join(DATA_DIR, 'approvals.json'),
+  approvers: APPROVER_ADDRESSES,
+  threshold: APPROVAL_THRESHOLD,
+  // Separate domain name so an approval can never be replayed as a user action
+  getDomain: async (approval) => ({ ...(chainOfJob(approval) || defaultChain).domain, name: 'LendingPoolRelayer' })
+});
+
+// A large action is queued as a held job, so it keeps the owner's nonce and
+// later actions of the same owner wait behind it until it is approved or expires
+function holdForApproval(fields) {
+  const approval = approvalManager.create(fields);
+  const job = jobQueue.enqueue({ ...fields, approvalId: approval.id }, { hold: true });
+  approvalManager.update(approval, { jobId: job.id });
+  return { approval, job };
+}
+
+function expireApprovalJob(approval) {
+  jobQueue.fail(approval.jobId, 'Multi-signature approval expired before the threshold was met', 'APPROVAL_EXPIRED');
+}
+
+// Settle held jobs whose approval completed or expired while the relayer was down
+for (const approval of approvalManager.list(approval => approval.status !== 'pending')) {
+  if (approval.status === 'approved') {
+    jobQueue.release(approval.jobId);
+  } else {
+    expireApprovalJob(approval);
+  }
+}
+
+approvalManager.on('approval', approval => {
+  const latest = approval.approvals[approval.approvals.length - 1];
+  logSecurityEvent({
+    type: 'APPROVAL_SIGNED',
+    action: approval.action,
+    owner: approval.owner,
+    approvalId: approval.id,
+    approver: latest.approver,
+    approvals: approval.approvals.length,
+    threshold: approval.threshold
+  });
+});
+
+approvalManager.on('approved', approval => {
+  logSecurityEvent({
+    type: 'APPROVAL_THRESHOLD_MET',
+    action: approval.action,
+    owner: approval.owner,
+    approvalId: approval.id,
+    approvers: approval.approvals.map(entry => entry.approver)
+  });
+  jobQueue.release(approval.jobId);
+});
+
+approvalManager.on('expired', approval => {
+  logSecurityEvent({
+    type: 'APPROVAL_EXPIRED',
+    action: approval.action,
+    owner: approval.owner,
+    approvalId: approval.id,
+    approvals: approval.approvals.length,
+    threshold: approval.threshold,
+    ip: approval.ip
+  });
+  expireApprovalJob(approval);
+});
+
+// Public view of a pending approval
+function serializeApproval(approval) {
+  return {
+    approvalId: approval.id,
+    chainId: chainIdOf(approval),
+    action: approval.action,
+    owner: approval.owner,
+    amount: approval.amount,
+    nonce: approval.nonce,
+    status: approval.status,
+    threshold: approval.threshold,
+    approvals: approval.approvals.map(({ approver, approvedAt }) => ({ approver, approvedAt })),
+    expiresAt: new Date(approval.deadline * 1000).toISOString(),
+    jobId: approval.jobId || null,
+    createdAt: approval.createdAt,
+    updatedAt: approval.updatedAt
+  };
+}
+
+// Public view of a relay job
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    chainId: chainIdOf(job),
+    action: job.action,
+    owner: job.owner,
+    nonce: job.nonce,
+    status: job.status,
+    attempts: job.attempts,
+    txHash: job.txHash || null,
+    txHashes: job.txHashes || [],
+    batchId: job.batchId || null,
+    result: job.result || null,
+    reorgs: job.reorgs || [],
+    error: job.status === 'failed' ? { message: job.error, code: job.errorCode } : null,
+    approvalId: job.approvalId || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Retried relay requests get their original job back instead of a second relay
+const idempotency = createIdempotencyStore({
+  filePath: path.join(DATA_DIR, 'idempotency.json'),
+  retentionMs: IDEMPOTENCY_TTL_MS
+});
+
+// Identifies a signed action independently of how the request body is
+// formatted: the EIP-712 digest covers the chain, LendingPool (or forwarder)
+// and action fields
+function relayRequestHash(chain, actionName, action, body) {
+  const digest = ethers.TypedDataEncoder.hash(signingDomain(chain, actionName), ACTION_TYPES[actionName], action);
+  return ethers.id(JSON.stringify([
+    actionName,
+    digest,
+    String(body.signature).toLowerCase(),
+    String(body.rwaToken || '').toLowerCase()
+  ]));
+}
+
+// Respond to a replayed request with the current state of its original job
+function replayRelayJob(res, job, { actionName, key, clientIP }) {
+  logSecurityEvent({
+    type: 'DUPLICATE_REQUEST_REPLAYED',
+    chainId: chainIdOf(job),
+    action: actionName,
+    owner: job.owner,
+    jobId: job.id,
+    idempotencyKey: key,
+    ip: clientIP
+  });
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(jobQueue.isTerminal(job) ? 200 : 202).json({
+    success: job.status !== 'failed',
+    replayed: true,
+    ...serializeJob(job),
+    message: 'This request was already accepted; returning its original job',
+    timestamp: new Date().toISOString()
+  });
+}
+
+function rejectNonceInUse(res, chain, actionName, action, clientIP) {
+  logSecurityEvent({
+    type: 'NONCE_IN_USE',
+    chainId: chain.chainId,
+    action: actionName,
+    owner: action.owner,
+    nonce: action.nonce.toString(),
+    ip: clientIP
+  });
+  return res.status(409).json({
+    error: 'An action with this nonce is already pending',
+    code: 'NONCE_IN_USE'
+  });
+}
+
+// Validate a signed action and enqueue it for relay on the chain named by its
+// `chainId`, responding with the job ID. A request repeating an accepted one,
+// by `Idempotency-Key` header or by signature, gets the original job back.
+// `validate(body, clientIP, chain)` returns { rejection } (a 400 unless it
+// carries another `status`) or { action }, where an action may carry a `simulation` call for preflight to run in place of
+// the transaction; `buildRequest(chain, action, body)` populates the
+// LendingPool or forwarder transaction.
+async function relaySignedAction(req, res, actionName, successMessage, validate, buildRequest) {
+  const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
+  const idempotencyKey = req.get('Idempotency-Key') ?? null;
+  let reservation = null;
+
+  try {
+    const { chain, rejection: chainRejection } = resolveChain(req.body.chainId);
+    if (chainRejection) {
+      logSecurityEvent({
+        type: 'VALIDATION_ERROR',
+        error: 'Unsupported chainId',
+        chainId: req.body.chainId,
+        ip: clientIP
+      });
+      return res.status(400).json(chainRejection);
+    }
+
+    if (!chain.signer) {
+      return res.status(503).json({
+        error: 'Relayer wallet is not configured',
+        code: 'RELAYER_NOT_CONFIGURED'
+      });
+    }
+
+    const { rejection, action } = validate(req.body, clientIP, chain);
+    if (rejection) {
+      const { status = 400, ...body } = rejection;
+      return res.status(status).json(body);
+    }
+    // ForwardRequests carry no amount field; theirs is decoded from the call
+    const amount = req.body.amount ?? ethers.formatEther(action.amount);
+
+    // Replays are answered before any check that could reject the retry
+    const requestHash = relayRequestHash(chain, actionName, action, req.body);
+    let claim = idempotency.begin({ key: idempotencyKey, requestHash });
+    if (claim.replay && !jobQueue.get(claim.replay.jobId)) {
+      idempotency.forget(claim.replay);
+      claim = idempotency.begin({ key: idempotencyKey, requestHash });
+    }
+    if (claim.replay) {
+      return replayRelayJob(res, jobQueue.get(claim.replay.jobId), { actionName, key: idempotencyKey, clientIP });
+    }
+    if (claim.keyReused) {
+      logSecurityEvent({
+        type: 'IDEMPOTENCY_KEY_REUSED',
+        chainId: chain.chainId,
+        action: actionName,
+        owner: action.owner,
+        idempotencyKey,
+        ip: clientIP
+      });
+      return res.status(422).json({
+        error: 'Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+    if (claim.inProgress) {
+      return res.status(409).json({
+        error: 'An identical request is still being processed',
+        code: 'REQUEST_IN_PROGRESS'
+      });
+    }
+    reservation = claim.reservation;
+
+    if (chain.balanceMonitor.isUnderfunded()) {
+      const { balance, criticalThreshold } = chain.balanceMonitor.state();
+      return res.status(503).json({
+        error: 'Relayer wallet is underfunded; relaying is paused until it is topped up',
+        code: 'RELAYER_UNDERFUNDED',
+        details: { chainId: chain.chainId, balance, criticalThreshold }
+      });
+    }
+    if (!chain.rpc.isAvailable()) {
+      return res.status(503).json({
+        error: errorMessage('RPC_UNAVAILABLE'),
+        code: 'RPC_UNAVAILABLE',
+        details: { chainId: chain.chainId, since: chain.rpc.state().since }
+      });
+    }
+
+    // The contract acts for action.owner, so it must be the address that signed
+    // the action for this chain's LendingPool (or forwarder) domain
+    let actionSigner = null;
+    try {
+      actionSigner = recoverActionSigner(chain, actionName, action, req.body.signature);
+    } catch (error) {
+      // Malformed signature, reported below
+    }
+    if (actionSigner !== action.owner) {
+      const signingChain = findSigningChain(chain, actionName, action, req.body.signature);
+      if (signingChain) {
+        logSecurityEvent({
+          type: 'VALIDATION_ERROR',
+          error: 'Signature domain chainId does not match',
+          owner: action.owner,
+          chainId: chain.chainId,
+          signedChainId: signingChain.chainId,
+          ip: clientIP
+        });
+        return res.status(400).json({
+          error: `Signature was made for chain ${signingChain.chainId}, not ${chain.chainId}`,
+          code: 'CHAIN_ID_MISMATCH'
+        });
+      }
+
+      logSecurityEvent({
+        type: 'VALIDATION_ERROR',
+        error: 'Signature does not match owner',
+        owner: action.owner,
+        ip: clientIP
+      });
+      return res.status(400).json({
+        error: 'Invalid signature',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    // Reserve the owner's nonce so concurrent intents cannot reuse it
+    if (isNoncePending(chain, actionName, action.owner, action.nonce)) {
+      return rejectNonceInUse(res, chain, actionName, action, clientIP);
+    }
+
+    // Check key rotation
+    rotateRelayerKey();
+
+    const requiresApproval = checkMultiSigRequirement(action.amount);
+    if (requiresApproval && APPROVER_ADDRESSES.length === 0) {
+      logSecurityEvent({
+        type: 'MULTI_SIG_REQUIRED',
+        action: actionName,
+        owner: action.owner,
+        amount: amount,
+        ip: clientIP
+      });
+      return res.status(400).json({
+        error: 'Large transaction requires multi-signature approval, but no approvers are configured',
+        code: 'MULTI_SIG_REQUIRED'
+      });
+    }
+
+    const request = await buildRequest(chain, action, req.body);
+
+    // Reject calls that would revert before paying gas for them
+    const { onChainNonce, nextNonce } = await getNextUserNonce(chain, actionName, action.owner);
+    const preflightRejection = await chain.preflight.check(actionName, action, {
+      request,
+      simulation: action.simulation,
+      rwaToken: req.body.rwaToken,
+      onChainNonce,
+      nextNonce
+    });
+    if (preflightRejection) {
+      logSecurityEvent({
+        type: 'PREFLIGHT_REJECTED',
+        chainId: chain.chainId,
+        action: actionName,
+        owner: action.owner,
+        error: preflightRejection.error,
+        code: preflightRejection.code,
+        details: preflightRejection.details,
+        ip: clientIP
+      });
+      return res.status(400).json(preflightRejection);
+    }
+
+    const estimatedCost = chain.sponsorship.estimateCost(actionName, await chain.provider.getFeeData());
+
+    // Another request may have reserved the nonce while the checks ran
+    if (isNoncePending(chain, actionName, action.owner, action.nonce)) {
+      return rejectNonceInUse(res, chain, actionName, action, clientIP);
+    }
+
+    // Sponsorship quotas are checked and reserved without awaiting in between
+    const quotaRejection = chain.sponsorship.check(action.owner, actionName, estimatedCost);
+    if (quotaRejection) {
+      const { status, ...body } = quotaRejection;
+      logSecurityEvent({
+        type: 'SPONSORSHIP_QUOTA_EXCEEDED',
+        chainId: chain.chainId,
+        action: actionName,
+        owner: action.owner,
+        code: body.code,
+        details: body.details,
+        ip: clientIP
+      });
+      return res.status(status).json(body);
+    }
+
+    const fields = {
+      chainId: chain.chainId,
+      action: actionName,
+      owner: action.owner,
+      amount: amount,
+      nonce: action.nonce.toString(),
+      deadline: Number(action.deadline),
+      request: { to: request.to, data: request.data },
+      ip: clientIP
+    };
+
+    addPendingNonce(chain, actionName, action.owner, action.nonce);
+
+    if (requiresApproval) {
+      const { approval, job } = holdForApproval(fields);
+      chain.sponsorship.reserve(job.id, action.owner, actionName, estimatedCost);
+      idempotency.complete(reservation, { jobId: job.id, chainId: chain.chainId, action: actionName, owner: action.owner });
+      reservation = null;
+
+      logSecurityEvent({
+        type: 'APPROVAL_REQUIRED',
+        chainId: chain.chainId,
+        action: actionName,
+        owner: action.owner,
+        approvalId: approval.id,
+        jobId: job.id,
+        amount: amount,
+        threshold: approval.threshold,
+        ip: clientIP
+      });
+      recordTransaction(jobTransactionRecord(job, 'pending_approval'));
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        chainId: chain.chainId,
+        approvalId: approval.id,
+        status: job.status,
+        requiredApprovals: approval.threshold,
+        expiresAt: new Date(approval.deadline * 1000).toISOString(),
+        message: `${successMessage}; awaiting ${approval.threshold} approver signature(s)`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const job = enqueueRelayJob(fields);
+    chain.sponsorship.reserve(job.id, action.owner, actionName, estimatedCost);
+    idempotency.complete(reservation, { jobId: job.id, chainId: chain.chainId, action: actionName, owner: action.owner });
+    reservation = null;
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      chainId: chain.chainId,
+      status: job.status,
+      message: successMessage,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleRelayError(res, error, actionName, clientIP);
+  } finally {
+    // A request that was not queued may be retried
+    if (reservation) {
+      idempotency.release(reservation);
+    }
+  }
+}
+
+// API Routes with enhanced security
+app.post('/api/deposit', (req, res) => relaySignedAction(
+  req, res, 'deposit', 'Deposit queued for relay', validateLendingAction,
+  (chain, action, body) => chain.lendingPool.executeDeposit.populateTransaction(action, body.signature)
+));
+
+app.post('/api/withdraw', (req, res) => relaySignedAction(
+  req, res, 'withdraw', 'Withdraw queued for relay', validateLendingAction,
+  (chain, action, body) => chain.lendingPool.executeWithdraw.populateTransaction(action, body.signature)
+));
+
+// RWA relay routes - rwaToken must be on the chain's RWA token allowlist
+app.post('/api/rwa/mint', (req, res) => relaySignedAction(
+  req, res, 'rwa-mint', 'RWA mint queued for relay', validateMintRWAAction,
+  (chain, action, body) => chain.lendingPool.executeMintRWA.populateTransaction(action, body.signature, body.rwaToken)
+));
+
+app.post('/api/rwa/transfer', (req, res) => relaySignedAction(
+  req, res, 'rwa-transfer', 'RWA transfer queued for relay', validateTransferRWAAction,
+  (chain, action, body) => chain.lendingPool.executeTransferRWA.populateTransaction(action, body.signature, body.rwaToken)
+));
+
+app.post('/api/rwa/burn', (req, res) => relaySignedAction(
+  req, res, 'rwa-burn', 'RWA burn queued for relay', validateBurnRWAAction,
+  (chain, action, body) => chain.lendingPool.executeBurnRWA.populateTransaction(action, body.signature, body.rwaToken)
+));
+
+// EIP-2771 ForwardRequests, executed through the chain's trusted forwarder.
+// Only allowlisted target functions are relayed.
+app.post('/api/forward', (req, res) => relaySignedAction(
+  req, res, 'forward', 'Forwarded call queued for relay', validateForwardRequest,
+  (chain, action, body) => chain.forwarder.contract.execute.populateTransaction({
+    from: action.from,
+    to: action.to,
+    value: action.value,
+    gas: action.gas,
+    deadline: action.deadline,
+    data: action.data,
+    signature: body.signature
+  })
+));
+
+// Relay job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+  res.json(serializeJob(job));
+});
+
+// Approvals of large actions; approvers co-sign the RelayApproval typed data
+app.get('/api/approvals', (req, res) => {
+  const { status = 'pending' } = req.query;
+  const approvals = approvalManager.list(approval => status === 'all' || approval.status === status);
+
+  res.json({
+    ...approvalManager.stats(),
+    approvals: approvals.map(serializeApproval)
+  });
+});
+
+app.get('/api/approvals/:id', async (req, res) => {
+  const approval = approvalManager.get(req.params.id);
+  if (!approval) {
+    return res.status(404).json({
+      error: 'Approval not found',
+      code: 'APPROVAL_NOT_FOUND'
+    });
+  }
+
+  const typedData = await approvalManager.typedData(approval);
+  res.json({
+    ...serializeApproval(approval),
+    typedData: {
+      ...typedData,
+      domain: { ...typedData.domain, chainId: Number(typedData.domain.chainId) }
+    }
+  });
+});
+
+app.post('/api/approvals/:id/approve', async (req, res) => {
+  const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
+  const { signature } = req.body;
+
+  try {
+    const approval = await approvalManager.approve(req.params.id, signature);
+    res.json({
+      success: true,
+      ...serializeApproval(approval)
     });
   } catch (error) {
+    if (!error.status) {
+      console.error('[ERROR] Approval failed:', error);
+      return res.status(500).json({ error: 'Failed to record approval', code: 'APPROVAL_FAILED' });
+    }
+
     logSecurityEvent({
-      type: 'KEY_ROTATION_FAILED',
+      type: 'APPROVAL_REJECTED',
+      approvalId: req.params.id,
+      error: error.message,
+      code: error.code,
+      ip: clientIP
+    });
+    res.status(error.status).json({
       error: error.message,
+      code: error.code
+    });
+  }
+});
+
+// Status of a relayed transaction by job ID
+app.get('/api/tx/:id', async (req, res) => {
+  try {
+    const status = await txStatus.get(req.params.id);
+    if (!status) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+    res.json(status);
+  } catch (error) {
+    console.error('[ERROR] Transaction status lookup failed:', error);
+    res.status(502).json({
+      error: 'Failed to read transaction status',
+      code: 'STATUS_LOOKUP_FAILED'
+    });
+  }
+});
+
+// Server-Sent Events stream of status changes; closes once confirmed or failed
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+app.get('/api/tx/:id/events', async (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Transaction not found',
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+
+  function send(status) {
+    if (closed) return;
+    res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+    if (txStatus.isFinal(status)) {
+      close();
+    }
+  }
+
+  req.on('close', close);
+
+  try {
+    unsubscribe = await txStatus.subscribe(job.id, send);
+    if (closed) {
+      unsubscribe();
+      return;
+    }
+    send(txStatus.view(job));
+  } catch (error) {
+    console.error('[ERROR] Transaction status stream failed:', error);
+    close();
+  }
+});
+
+// Networks the relayer serves, for clients building EIP-712 domains
+app.get('/api/networks', (req, res) => {
+  res.json({
+    defaultChainId: DEFAULT_CHAIN_ID,
+    networks: [...chains.values()].map(chain => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      lendingPool: chain.domain.verifyingContract,
+      dusd: chain.dusdAddress,
+      rwaTokens: [...chain.rwaTokens],
+      forwarder: chain.forwarder?.address || null,
+      relayerAddress: chain.signer?.address || null,
+      requiredConfirmations: chain.requiredConfirmations
+    }))
+  });
+});
+
+// OpenAPI document of every route; request validation is generated from it
+app.get('/api/docs', (req, res) => {
+  res.json(openapiSpec);
+});
+
+// Remaining gas sponsorship and action quotas for an owner today (?chainId=)
+app.get('/api/quota/:address', (req, res) => {
+  const { address } = req.params;
+
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({
+      error: 'Invalid address',
+      code: 'INVALID_ADDRESS'
+    });
+  }
+
+  const { chain, rejection } = resolveChain(req.query.chainId);
+  if (rejection) {
+    return res.status(400).json(rejection);
+  }
+
+  res.json({ chainId: chain.chainId, ...chain.sponsorship.quota(ethers.getAddress(address)) });
+});
+
+// Next nonce for a user, including actions accepted by the relayer but not
+// yet mined (?chainId=). Every LendingPool action shares one nonce; the
+// forwarder counts ForwardRequests separately.
+async function sendNextNonce(req, res, actionName) {
+  const { address } = req.params;
+
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({
+      error: 'Invalid address',
+      code: 'INVALID_ADDRESS'
+    });
+  }
+
+  const { chain, rejection } = resolveChain(req.query.chainId);
+  if (rejection) {
+    return res.status(400).json(rejection);
+  }
+  if (actionName === 'forward' && !chain.forwarder) {
+    return res.status(400).json({
+      error: 'No trusted forwarder is configured on this chain',
+      code: 'FORWARDER_NOT_CONFIGURED'
+    });
+  }
+
+  try {
+    const userAddress = ethers.getAddress(address);
+    const { onChainNonce, nextNonce } = await getNextUserNonce(chain, actionName, userAddress);
+
+    res.json({
+      address: userAddress,
+      chainId: chain.chainId,
+      nonce: nextNonce.toString(),
+      onChainNonce: onChainNonce.toString(),
+      pendingCount: pendingNoncesOf(chain, actionName).get(userAddress)?.size || 0
+    });
+  } catch (error) {
+    console.error('[ERROR] Nonce lookup failed:', error);
+    if (error.rpcUnavailable) {
+      return res.status(503).json({
+        error: errorMessage('RPC_UNAVAILABLE'),
+        code: 'RPC_UNAVAILABLE',
+        details: { chainId: chain.chainId }
+      });
+    }
+    res.status(502).json({
+      error: 'Failed to read nonce from chain',
+      code: 'NONCE_LOOKUP_FAILED'
+    });
+  }
+}
+
+app.get('/api/nonce/:address', (req, res) => sendNextNonce(req, res, 'deposit'));
+
+app.get('/api/forward/nonce/:address', (req, res) => sendNextNonce(req, res, 'forward'));
+
+// Trusted forwarder of a network (?chainId=): its EIP-712 domain for signing
+// ForwardRequests and the target functions the relayer forwards
+app.get('/api/forwarder', (req, res) => {
+  const { chain, rejection } = resolveChain(req.query.chainId);
+  if (rejection) {
+    return res.status(400).json(rejection);
+  }
+  if (!chain.forwarder) {
+    return res.status(400).json({
+      error: 'No trusted forwarder is configured on this chain',
+      code: 'FORWARDER_NOT_CONFIGURED'
+    });
+  }
+
+  const { domain } = chain.forwarder;
+  res.json({
+    chainId: chain.chainId,
+    address: chain.forwarder.address,
+    domain: { ...domain, chainId: Number(domain.chainId) },
+    maxGas: FORWARD_MAX_GAS.toString(),
+    targets: chain.forwarder.describeTargets()
+  });
+});
+
+// Public status: only whether each network is relaying. Everything else
+// about keys, nonces, sponsorship and webhooks is for admins.
+app.get('/api/security/status', (req, res) => {
+  res.json({
+    relayerAddress: defaultChain.signer?.address || null,
+    networks: [...chains.values()].map(chain => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      relayerAddress: chain.signer?.address || null,
+      relayPaused: chain.balanceMonitor.isUnderfunded() || !chain.rpc.isAvailable()
+    })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Security monitoring for admins
+app.get('/api/admin/status', async (req, res) => {
+  const status = {
+    relayerAddress: defaultChain.signer?.address || null,
+    keyRotationStatus: keyRotation.inProgress() ? 'IN_PROGRESS' : shouldRotateKey() ? 'ROTATION_NEEDED' : 'OK',
+    lastRotation: new Date(keyRotation.lastRotationAt()).toISOString(),
+    keyRotation: await keyRotation.status(),
+    transactionCount: transactionLog.length,
+    queue: jobQueue.stats(),
+    networks: [...chains.values()].map(chain => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      relayerAddress: chain.signer?.address || null,
+      signerType: chain.signerType,
+      relayerNonce: chain.nonceManager.state(),
+      balance: chain.balanceMonitor.state(),
+      sponsorship: chain.sponsorship.stats()
+    })),
+    approvals: approvalManager.stats(),
+    webhooks: webhooks.stats(),
+    recentSecurityEvents: transactionLog.slice(-10), // Last 10 events
+    timestamp: new Date().toISOString()
+  };
+
+  res.json(status);
+});
+
+// Persistent log queries for ops and compliance review
+const LOG_KINDS = {
+  security: {
+    store: securityEventStore,
+    columns: ['id', 'timestamp', 'type', 'action', 'address', 'ip', 'userAgent', 'event']
+  },
+  transactions: {
+    store: transactionStore,
+    columns: ['id', 'timestamp', 'relayId', 'action', 'status', 'address', 'amount', 'nonce', 'txHash', 'blockNumber', 'gasUsed', 'error', 'ip']
+  }
+};
+const DEFAULT_LOG_QUERY_LIMIT = 100;
+const MAX_LOG_QUERY_LIMIT = 5000;
+
+// Build store filters from query params: address, type, action, status, from, to
+function parseLogFilters(query) {
+  const filters = {
+    address: query.address,
+    type: query.type,
+    action: query.action,
+    status: query.status,
+    from: parseTimeFilter(query.from),
+    to: parseTimeFilter(query.to)
+  };
+
+  if (filters.address && !ethers.isAddress(filters.address)) {
+    return { error: 'Invalid address filter', code: 'INVALID_ADDRESS' };
+  }
+  if (filters.from === null || filters.to === null) {
+    return { error: 'Invalid time range, use ISO dates or unix timestamps', code: 'INVALID_TIME_RANGE' };
+  }
+
+  return { filters };
+}
+
+app.get('/api/admin/logs/:kind', async (req, res) => {
+  const kind = LOG_KINDS[req.params.kind];
+  if (!kind) {
+    return res.status(404).json({ error: 'Unknown log type', code: 'UNKNOWN_LOG' });
+  }
+
+  const { filters, error, code } = parseLogFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error, code });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LOG_QUERY_LIMIT, MAX_LOG_QUERY_LIMIT);
+
+  try {
+    const records = await kind.store.query(filters, limit);
+    res.json({ count: records.length, records });
+  } catch (error) {
+    console.error('[ERROR] Log query failed:', error);
+    res.status(500).json({ error: 'Failed to query logs', code: 'LOG_QUERY_FAILED' });
+  }
+});
+
+// Full export (no limit) for compliance reviews, streamed from the store so
+// a large log is never held in memory
+app.get('/api/admin/logs/:kind/export', async (req, res) => {
+  const kind = LOG_KINDS[req.params.kind];
+  if (!kind) {
+    return res.status(404).json({ error: 'Unknown log type', code: 'UNKNOWN_LOG' });
+  }
+
+  const format = req.query.format || 'json';
+
+  const { filters, error, code } = parseLogFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error, code });
+  }
+
+  const filename = `${req.params.kind}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+  let count = 0;
+
+  async function* exportChunks() {
+    yield format === 'csv' ? toCSVRow(kind.columns) : '[';
+    for await (const record of kind.store.stream(filters)) {
+      if (format === 'csv') {
+        yield toCSVRow(kind.columns.map(column => record[column]));
+      } else {
+        yield `${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`;
+      }
+      count++;
+    }
+    if (format !== 'csv') {
+      yield `${count > 0 ? '\n' : ''}]\n`;
+    }
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+  try {
+    await pipeline(Readable.from(exportChunks()), res);
+
+    logSecurityEvent({
+      type: 'LOG_EXPORT',
+      kind: req.params.kind,
+      admin: req.admin.id,
+      format: format,
+      count: count,
       ip: req.ip
     });
+  } catch (error) {
+    // pipeline() has aborted the response, so the client sees a truncated download
+    console.error('[ERROR] Log export failed:', error);
+  }
+});
+
+// Key rotation endpoint (admin only). Rotates the key of one network when
+// `chainId` is given, otherwise of every network with a local key. Uses
+// `newPrivateKey` when given, else generates a key per network. The rotation
+// drains and sweeps in the background; follow it in /api/admin/status.
+app.post('/api/admin/rotate-key', (req, res) => {
+  const { newPrivateKey, chainId } = req.body;
+
+  const { chain, rejection } = chainId === undefined ? {} : resolveChain(chainId);
+  if (rejection) {
+    return res.status(400).json(rejection);
+  }
+
+  let newWallet = null;
+  if (newPrivateKey !== undefined) {
+    try {
+      // Validate new key
+      newWallet = new ethers.Wallet(newPrivateKey);
+    } catch (error) {
+      logSecurityEvent({
+        type: 'KEY_ROTATION_FAILED',
+        error: error.message,
+        admin: req.admin.id,
+        ip: req.ip
+      });
+
+      return res.status(400).json({
+        error: 'Invalid private key',
+        code: 'INVALID_KEY'
+      });
+    }
+  }
+
+  const rotatable = rotatableChains({ generatesKey: !newWallet });
+  const targets = chain ? rotatable.filter(candidate => candidate === chain) : rotatable;
+  if (targets.length === 0) {
+    return res.status(400).json({
+      error: chain && chain.signerType === 'remote'
+        ? 'Keys of a remote signer are rotated by the signing service'
+        : chain && !chain.signer
+          ? 'Relayer signer not configured on this chain'
+          : 'No chain can store a generated key; set KEY_ROTATION_PASSPHRASE or pass newPrivateKey',
+      code: 'KEY_ROTATION_UNSUPPORTED'
+    });
+  }
 
-    res.status(400).json({
-      error: 'Invalid private key',
-      code: 'INVALID_KEY'
+  let rotation;
+  try {
+    rotation = keyRotation.start(targets.map(target => ({
+      chain: target,
+      wallet: newWallet || ethers.Wallet.createRandom(),
+      passphrase: rotationPassphrases.get(target.chainId) || null
+    })), { reason: 'admin', admin: req.admin.id });
+  } catch (error) {
+    return res.status(409).json({
+      error: error.message,
+      code: error.code
     });
   }
+
+  res.status(202).json({
+    success: true,
+    rotationId: rotation.id,
+    status: rotation.status,
+    newAddress: newWallet?.address || null,
+    chainIds: rotation.chainIds,
+    timestamp: rotation.startedAt
+  });
+});
+
+// Webhook subscriptions (admin only). The signing secret is only returned on creation.
+app.get('/api/admin/webhooks', (req, res) => {
+  res.json({ subscriptions: webhooks.list() });
+});
+
+app.post('/api/admin/webhooks', (req, res) => {
+  const { url, events, description } = req.body;
+  const { subscription, error } = webhooks.subscribe({ url, events, description });
+  if (error) {
+    return res.status(400).json({ error, code: 'INVALID_WEBHOOK' });
+  }
+
+  logSecurityEvent({
+    type: 'WEBHOOK_CREATED',
+    subscriptionId: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    admin: req.admin.id,
+    ip: req.ip
+  });
+
+  res.status(201).json({ ...webhooks.get(subscription.id), secret: subscription.secret });
+});
+
+app.get('/api/admin/webhooks/:id', (req, res) => {
+  const subscription = webhooks.get(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Webhook not found', code: 'WEBHOOK_NOT_FOUND' });
+  }
+  res.json(subscription);
+});
+
+app.delete('/api/admin/webhooks/:id', (req, res) => {
+  if (!webhooks.unsubscribe(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found', code: 'WEBHOOK_NOT_FOUND' });
+  }
+
+  logSecurityEvent({
+    type: 'WEBHOOK_DELETED',
+    subscriptionId: req.params.id,
+    admin: req.admin.id,
+    ip: req.ip
+  });
+
+  res.json({ success: true, id: req.params.id });
+});
+
+// Delivery attempts for one subscriber, filterable by status and event type
+app.get('/api/admin/webhooks/:id/deliveries', async (req, res) => {
+  if (!webhooks.get(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found', code: 'WEBHOOK_NOT_FOUND' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LOG_QUERY_LIMIT, MAX_LOG_QUERY_LIMIT);
+  try {
+    const deliveries = await webhooks.deliveryHistory(req.params.id, { status: req.query.status, type: req.query.type }, limit);
+    res.json({ count: deliveries.length, deliveries });
+  } catch (error) {
+    console.error('[ERROR] Webhook delivery query failed:', error);
+    res.status(500).json({ error: 'Failed to query webhook deliveries', code: 'LOG_QUERY_FAILED' });
+  }
+});
+
+metrics.gauge('relayer_wallet_balance_eth', 'Native token balance of the relayer wallet on each chain', async () => {
+  const configured = [...chains.values()].filter(chain => chain.signer);
+  const balances = await Promise.all(configured.map(chain => chain.provider.getBalance(chain.signer.address)));
+  return configured.map((chain, index) => ({
+    labels: { chainId: chain.chainId, address: chain.signer.address },
+    value: Number(ethers.formatEther(balances[index]))
+  }));
+});
+metrics.gauge('relayer_balance_burn_rate_eth_per_hour', 'Relayer wallet spending per hour over BALANCE_BURN_RATE_WINDOW_MS', () =>
+  [...chains.values()]
+    .map(chain => ({ chain, rate: chain.balanceMonitor.state().burnRatePerHour }))
+    .filter(({ rate }) => rate !== null)
+    .map(({ chain, rate }) => ({ labels: { chainId: chain.chainId }, value: Number(rate) })));
+metrics.gauge('relayer_underfunded', '1 while a chain rejects relay requests with RELAYER_UNDERFUNDED', () =>
+  [...chains.values()].map(chain => ({ labels: { chainId: chain.chainId }, value: chain.balanceMonitor.isUnderfunded() ? 1 : 0 })));
+metrics.gauge('relayer_rpc_unavailable', '1 while all RPC endpoints of a chain are down and relay requests are rejected with RPC_UNAVAILABLE', () =>
+  [...chains.values()].map(chain => ({ labels: { chainId: chain.chainId }, value: chain.rpc.isAvailable() ? 0 : 1 })));
+metrics.gauge('relayer_rpc_endpoint_score', 'Health score (0-100) of each RPC endpoint; 0 while it is down', () =>
+  [...chains.values()].flatMap(chain => chain.rpc.state().endpoints.map(endpoint => ({
+    labels: { chainId: chain.chainId, endpoint: endpoint.url },
+    value: endpoint.healthy ? endpoint.score : 0
+  }))));
+metrics.gauge('relayer_queue_depth', 'Relay jobs held, queued or submitted', () => jobQueue.stats().depth);
+metrics.gauge('relayer_queue_jobs', 'Relay jobs by status', () =>
+  Object.entries(jobQueue.stats().counts).map(([status, value]) => ({ labels: { status }, value })));
+metrics.gauge('relayer_key_rotation_seconds_remaining', 'Seconds until KEY_ROTATION_INTERVAL is reached; negative when overdue', () =>
+  (KEY_ROTATION_INTERVAL > 0 ? (keyRotation.lastRotationAt() + KEY_ROTATION_INTERVAL - Date.now()) / 1000 : null));
+
+// Prometheus scrape endpoint, outside /api so it is not rate limited.
+// Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const provided = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ error: 'Metrics token required', code: 'METRICS_UNAUTHORIZED' });
+    }
+  }
+
+  res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
 });
 
 // Health check with security status
 app.get('/health', (req, res) => {
   const healthStatus = {
-    status: 'OK',
+    // DEGRADED while some chain has no reachable RPC endpoint
+    status: [...chains.values()].every(chain => chain.rpc.isAvailable()) ? 'OK' : 'DEGRADED',
     timestamp: new Date().toISOString(),
     relayer: {
-      configured: !!signer,
-      address: signer?.address || null,
-      balance: signer ? 'Check logs for balance' : null
+      configured: !!defaultChain.signer,
+      address: defaultChain.signer?.address || null,
+      balance: defaultChain.balanceMonitor.state().balance
     },
+    networks: [...chains.values()].map(chain => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      configured: !!chain.signer,
+      address: chain.signer?.address || null,
+      balanceLevel: chain.balanceMonitor.state().level,
+      relayPaused: chain.balanceMonitor.isUnderfunded() || !chain.rpc.isAvailable(),
+      batching: chain.batching,
+      rpc: chain.rpc.state()
+    })),
     security: {
       keyRotationNeeded: shouldRotateKey(),
       transactionLogSize: transactionLog.length,
       rateLimitStatus: 'Active'
-    }
+    },
+    queue: jobQueue.stats()
   };
 
   res.json(healthStatus);
@@ -521,6 +2703,20 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  // Request bodies that are not JSON never reach the schema validation
+  if (error.type === 'entity.parse.failed') {
+    logSecurityEvent({
+      type: 'VALIDATION_ERROR',
+      error: 'Malformed JSON body',
+      path: req.path,
+      ip: req.ip
+    });
+    return res.status(400).json({
+      error: 'Request body is not valid JSON',
+      code: 'INVALID_JSON'
+    });
+  }
+
   console.error('[ERROR] Unhandled error:', error);
 
   logSecurityEvent({
@@ -554,17 +2750,70 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server once every network's signer is loaded. One at a time, so
+// keystore passphrase prompts do not overlap.
+async function startServer() {
+  for (const network of NETWORK_CONFIG.networks) {
+    const chain = chains.get(network.chainId);
+    Object.assign(chain, await loadRelayerSigner(network, chain.provider));
+  }
+  trackRestoredRelayerNonces();
+
+  app.listen(PORT, onListening);
+}
+
+function onListening() {
   console.log(`🔒 Secure Relayer server running on port ${PORT}`);
-  console.log(`🌐 Connected to network: ${CHAIN_ID}`);
-  console.log(`📋 LendingPool contract: ${LENDING_POOL_ADDRESS}`);
+  for (const chain of chains.values()) {
+    console.log(`🌐 Network ${chain.name} (${chain.chainId})${chain.chainId === DEFAULT_CHAIN_ID ? ' [default]' : ''}`);
+    console.log(`   📋 LendingPool contract: ${chain.domain.verifyingContract}`);
+    const rpc = chain.rpc.state();
+    console.log(`   🔌 RPC endpoints: ${rpc.endpoints.map(endpoint => endpoint.url).join(', ')}${rpc.quorum > 1 ? ` (quorum ${rpc.quorum} for reads)` : ''}`);
+    console.log(`   ⛓️  Confirmations required: ${chain.requiredConfirmations}`);
+    console.log(`   📍 Relayer address: ${chain.signer ? `${chain.signer.address} (${chain.signerType})` : 'not configured'}`);
+    console.log(`   🏠 Allowlisted RWA tokens: ${chain.rwaTokens.size ? [...chain.rwaTokens].join(', ') : 'none (RWA routes disabled)'}`);
+    console.log(`   📨 Trusted forwarder: ${chain.forwarder ? `${chain.forwarder.address} (${Object.keys(chain.forwarder.describeTargets()).length} target(s))` : 'none (forward route disabled)'}`);
+    checkChain(chain).catch(error => {
+      console.error(`[ERROR] Startup check of ${chain.name} (${chain.chainId}) failed:`, error.message);
+    });
+  }
   console.log(`🛡️  Security features: ACTIVE`);
   console.log(`📊 Monitoring: ENABLED`);
-  console.log(`🔄 Key rotation: ${KEY_ROTATION_INTERVAL / (24 * 60 * 60 * 1000)} days`);
-});
+  console.log(`🔑 Admin auth: ${adminAuth.enabled ? `${adminAuth.admins.length} SIWE admin(s)${ADMIN_HMAC_SECRET ? ', HMAC enabled' : ''}` : 'not configured (admin routes disabled)'}`);
+  console.log(`🔄 Key rotation: ${KEY_ROTATION_INTERVAL > 0 ? `every ${KEY_ROTATION_INTERVAL / (24 * 60 * 60 * 1000)} days on chain(s) ${rotatableChains({ generatesKey: true }).map(chain => chain.chainId).join(', ') || 'none (set KEY_ROTATION_PASSPHRASE)'}` : 'disabled'}`);
+
+  jobQueue.start();
+  confirmationTracker.start();
+  approvalManager.start();
+  webhooks.start();
+  console.log(`🪝 Webhooks: ${webhooks.stats().subscriptions} subscription(s)`);
+  console.log(`🏭 RWA minters: ${RWA_MINTER_ADDRESSES.size ? [...RWA_MINTER_ADDRESSES].join(', ') : 'none (RWA mints rejected)'}`);
+  console.log(`✍️  Multi-sig: ${APPROVER_ADDRESSES.length ? `${APPROVAL_THRESHOLD}-of-${APPROVER_ADDRESSES.length} approvals for ${ethers.formatEther(MULTI_SIG_THRESHOLD)}+ tokens` : 'no approvers configured (large actions rejected)'}`);
+  console.log(`📬 Relay queue: ${jobQueue.stats().depth} pending job(s) restored`);
+  console.log(`📦 Batching: ${BATCH_WINDOW_MS > 0 ? `up to ${BATCH_MAX_SIZE} LendingPool actions per transaction, ${BATCH_WINDOW_MS}ms window` : 'disabled'}`);
+}
+
+startServer();
 
 // Periodic security checks
 setInterval(() => {
   rotateRelayerKey();
-}, 60 * 60 * 1000); // Check every hour
+}, KEY_ROTATION_INTERVAL > 0 ? Math.min(KEY_ROTATION_INTERVAL, 60 * 60 * 1000) : 60 * 60 * 1000); // Check every hour
+
+// A rotating chain's old wallet is emptied by the sweep, so its balance is
+// only checked again once the new key is in place
+setInterval(() => {
+  for (const chain of chains.values()) {
+    if (!keyRotation.isPaused(chain.chainId)) {
+      chain.balanceMonitor.check();
+    }
+  }
+}, BALANCE_CHECK_INTERVAL_MS);
+
+// Endpoints that are down are probed as well, so a recovery is noticed even
+// while no requests are relayed
+setInterval(() => {
+  for (const chain of chains.values()) {
+    chain.rpc.probe();
+  }
+}, RPC_PROBE_INTERVAL_MS);
@@ -0,0 +1,93 @@
+// Local stand-in for a remote signing service (KMS, HSM or signing API), for
+// development and tests. It speaks the protocol of lib/signers.js:
+//   GET  /address           -> { address }
+//   POST /sign-transaction  { chainId, transaction } -> { signedTransaction }
+//
+// Configuration:
+//   LOCAL_SIGNER_KEYSTORE    encrypted keystore to sign with (passphrase from
+//                            LOCAL_SIGNER_PASSPHRASE or the terminal), or
+//   LOCAL_SIGNER_PRIVATE_KEY plaintext key
+//   LOCAL_SIGNER_TOKEN       bearer token required from callers (optional)
+//   LOCAL_SIGNER_CHAIN_IDS   comma-separated chain IDs it will sign for (optional)
+//   LOCAL_SIGNER_PORT        default 3902; listens on 127.0.0.1 only
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const { promptPassphrase, loadKeystore } = require('../lib/signers');
+
+const PORT = parseInt(process.env.LOCAL_SIGNER_PORT) || 3902;
+const TOKEN = process.env.LOCAL_SIGNER_TOKEN || null;
+const CHAIN_IDS = (process.env.LOCAL_SIGNER_CHAIN_IDS || '')
+  .split(',')
+  .map(chainId => chainId.trim())
+  .filter(Boolean);
+
+async function loadWallet() {
+  if (process.env.LOCAL_SIGNER_KEYSTORE) {
+    const passphrase = process.env.LOCAL_SIGNER_PASSPHRASE ||
+      await promptPassphrase(`🔐 Passphrase for ${process.env.LOCAL_SIGNER_KEYSTORE}: `);
+    return loadKeystore(process.env.LOCAL_SIGNER_KEYSTORE, passphrase);
+  }
+  if (process.env.LOCAL_SIGNER_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.LOCAL_SIGNER_PRIVATE_KEY);
+  }
+  throw new Error('Set LOCAL_SIGNER_KEYSTORE or LOCAL_SIGNER_PRIVATE_KEY');
+}
+
+function isAuthorized(req) {
+  if (!TOKEN) return true;
+  const expected = Buffer.from(`Bearer ${TOKEN}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function createApp(wallet) {
+  const app = express();
+  app.use(express.json({ limit: '64kb' }));
+
+  app.use((req, res, next) => {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ error: 'Unauthorized', code: 'UNAUTHORIZED' });
+    }
+    next();
+  });
+
+  app.get('/address', (req, res) => {
+    res.json({ address: wallet.address });
+  });
+
+  app.post('/sign-transaction', (req, res) => {
+    const { chainId, transaction } = req.body;
+
+    let tx;
+    try {
+      tx = ethers.Transaction.from(transaction);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid unsigned transaction', code: 'INVALID_TRANSACTION' });
+    }
+    if (tx.signature || String(tx.chainId) !== String(chainId)) {
+      return res.status(400).json({ error: 'Transaction is signed or for another chain', code: 'INVALID_TRANSACTION' });
+    }
+    if (CHAIN_IDS.length && !CHAIN_IDS.includes(tx.chainId.toString())) {
+      return res.status(403).json({ error: `Chain ${tx.chainId} is not allowed`, code: 'CHAIN_NOT_ALLOWED' });
+    }
+
+    tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+    console.log(`[SIGNED] chain ${tx.chainId} nonce ${tx.nonce} to ${tx.to} ${tx.hash}`);
+    res.json({ signedTransaction: tx.serialized });
+  });
+
+  return app;
+}
+
+loadWallet()
+  .then(wallet => {
+    createApp(wallet).listen(PORT, '127.0.0.1', () => {
+      console.log(`🖊️  Local signer for ${wallet.address} on http://127.0.0.1:${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error('❌ Failed to start local signer:', error.message);
+    process.exit(1);
+  });
@@ -31,10 +31,18 @@ async function main() {
   deployedAddresses.oracle = await oracle.getAddress();
   console.log("✅ PriceOracleMock deployed to:", deployedAddresses.oracle);
 
+  // Deploy TrustedForwarder (EIP-2771) for gasless calls to the vault and RWA token
+  console.log("\n📨 Deploying TrustedForwarder...");
+  const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+  const forwarder = await TrustedForwarder.deploy();
+  await forwarder.waitForDeployment();
+  deployedAddresses.forwarder = await forwarder.getAddress();
+  console.log("✅ TrustedForwarder deployed to:", deployedAddresses.forwarder);
+
   // Deploy RWAAssetToken
   console.log("\n🏛️ Deploying RWAAssetToken...");
   const RWAAssetToken = await ethers.getContractFactory("RWAAssetToken");
-  const rwa = await RWAAssetToken.deploy();
+  const rwa = await RWAAssetToken.deploy(deployedAddresses.forwarder);
   await rwa.waitForDeployment();
   deployedAddresses.rwa = await rwa.getAddress();
   console.log("✅ RWAAssetToken deployed to:", deployedAddresses.rwa);
@@ -42,7 +50,7 @@ async function main() {
   // Deploy CollateralVault
   console.log("\n🏦 Deploying CollateralVault...");
   const CollateralVault = await ethers.getContractFactory("CollateralVault");
-  const vault = await CollateralVault.deploy(deployedAddresses.rwa, deployedAddresses.dusd, deployedAddresses.oracle);
+  const vault = await CollateralVault.deploy(deployedAddresses.rwa, deployedAddresses.dusd, deployedAddresses.oracle, deployedAddresses.forwarder);
   await vault.waitForDeployment();
   deployedAddresses.vault = await vault.getAddress();
   console.log("✅ CollateralVault deployed to:", deployedAddresses.vault);
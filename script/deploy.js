@@ -6,9 +6,15 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
+  // Deploy the EIP-2771 forwarder the relayer submits ForwardRequests through
+  const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+  const forwarder = await TrustedForwarder.deploy();
+  await forwarder.waitForDeployment();
+  console.log("TrustedForwarder deployed to:", await forwarder.getAddress());
+
   // Deploy RWA
   const RWAAssetToken = await ethers.getContractFactory("RWAAssetToken");
-  const rwa = await RWAAssetToken.deploy();
+  const rwa = await RWAAssetToken.deploy(await forwarder.getAddress());
   await rwa.waitForDeployment();
   console.log("RWA deployed to:", await rwa.getAddress());
 
@@ -29,7 +35,8 @@ async function main() {
   const vault = await CollateralVault.deploy(
     await rwa.getAddress(),
     await dusd.getAddress(),
-    await oracle.getAddress()
+    await oracle.getAddress(),
+    await forwarder.getAddress()
   );
   await vault.waitForDeployment();
   console.log("Vault deployed to:", await vault.getAddress());
@@ -48,24 +55,32 @@ async function main() {
 
   // Deploy YieldRouter
   const YieldRouter = await ethers.getContractFactory("YieldRouter");
-  const yieldRouter = await YieldRouter.deploy(await dusd.getAddress());
+  const yieldRouter = await YieldRouter.deploy();
   await yieldRouter.waitForDeployment();
   console.log("YieldRouter deployed to:", await yieldRouter.getAddress());
 
   // Deploy RWARegistry
   const RWARegistry = await ethers.getContractFactory("RWARegistry");
-  const rwaRegistry = await RWARegistry.deploy(await rwa.getAddress());
+  const rwaRegistry = await RWARegistry.deploy();
   await rwaRegistry.waitForDeployment();
   console.log("RWARegistry deployed to:", await rwaRegistry.getAddress());
 
   // Deploy Governance
   const Governance = await ethers.getContractFactory("Governance");
-  const governance = await Governance.deploy();
+  const governance = await Governance.deploy(await dusd.getAddress());
   await governance.waitForDeployment();
   console.log("Governance deployed to:", await governance.getAddress());
 
   // Seed demo
-  await rwa.mint(deployer.address, ethers.parseEther("100000"));
+  await rwa.mintAsset(
+    deployer.address,
+    ethers.parseEther("100000"),
+    "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+    "Demo Asset",
+    "Seed balance for local testing",
+    100000n * 100n,
+    ethers.ZeroHash
+  );
   console.log("Minted 100000 RWA to deployer");
 
   console.log("Deployment complete!");
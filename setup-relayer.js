@@ -1,20 +1,27 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const { promptPassphrase } = require('./relayer/lib/signers');
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Keystore passphrase from RELAYER_KEYSTORE_PASSPHRASE, or typed twice
+async function readNewPassphrase() {
+  if (process.env.RELAYER_KEYSTORE_PASSPHRASE) {
+    return process.env.RELAYER_KEYSTORE_PASSPHRASE;
+  }
+  const passphrase = await promptPassphrase('🔐 Passphrase for the relayer keystore: ');
+  if (passphrase !== await promptPassphrase('🔐 Repeat the passphrase: ')) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
 
 async function setupRelayer() {
   console.log('🔑 Setting up Delegated Signing Relayer');
   console.log('=====================================\n');
 
-  // Generate new wallet
-  const wallet = ethers.Wallet.createRandom();
-
-  console.log('✅ New relayer wallet generated:');
-  console.log('================================');
-  console.log(`Address: ${wallet.address}`);
-  console.log(`Private Key: ${wallet.privateKey}`);
-  console.log(`Mnemonic: ${wallet.mnemonic.phrase}\n`);
-
   // Check if relayer directory exists
   const relayerDir = path.join(__dirname, 'relayer');
   if (!fs.existsSync(relayerDir)) {
@@ -22,6 +29,28 @@ async function setupRelayer() {
     console.log('📁 Created relayer directory');
   }
 
+  // Never overwrite a keystore: it may hold the only copy of a funded key
+  const keystorePath = path.join(relayerDir, 'keystore.json');
+  if (fs.existsSync(keystorePath)) {
+    throw new Error(`${keystorePath} already exists; move it away to generate a new relayer key`);
+  }
+
+  const passphrase = await readNewPassphrase();
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The keystore passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  // Generate new wallet. The private key and mnemonic are only written
+  // encrypted; back up the keystore file and passphrase separately.
+  const wallet = ethers.Wallet.createRandom();
+  console.log('⏳ Encrypting keystore...');
+  fs.writeFileSync(keystorePath, await wallet.encrypt(passphrase), { mode: 0o600 });
+
+  console.log('✅ New relayer wallet generated:');
+  console.log('================================');
+  console.log(`Address: ${wallet.address}`);
+  console.log(`Keystore: ${keystorePath}\n`);
+
   // Create .env content
   const envContent = `# Relayer Configuration for Delegated Signing
 # Generated on: ${new Date().toISOString()}
@@ -30,34 +59,28 @@ async function setupRelayer() {
 RPC_URL=http://127.0.0.1:8545
 CHAIN_ID=31337
 
-# Relayer Wallet (KEEP THIS SECURE - Never commit to version control)
-RELAYER_PRIVATE_KEY=${wallet.privateKey}
+# Relayer Wallet: encrypted keystore. The relayer asks for the passphrase at
+# startup, or reads it from RELAYER_KEYSTORE_PASSPHRASE (e.g. from a secret store)
+RELAYER_KEYSTORE_FILE=./keystore.json
 
 # Contract Addresses (Update after deployment)
 LENDING_POOL_ADDRESS=0x0000000000000000000000000000000000000000
 DUSD_ADDRESS=0x0000000000000000000000000000000000000000
 
-# Server Configuration
-PORT=3001
-`;
+# Comma-separated RWA token contracts the relayer may forward mint/transfer/burn calls to
+RWA_TOKEN_ADDRESSES=
 
-  const envPath = path.join(relayerDir, '.env');
-  fs.writeFileSync(envPath, envContent);
-  console.log('✅ Created relayer/.env file');
+# Admin API (/api/admin/*): SIWE admin addresses and a shared secret for HMAC-signed requests
+ADMIN_ADDRESSES=
+ADMIN_HMAC_SECRET=${crypto.randomBytes(32).toString('hex')}
 
-  // Create .env.example for reference
-  const exampleContent = `# Relayer Configuration Template
-RPC_URL=http://127.0.0.1:8545
-CHAIN_ID=31337
-RELAYER_PRIVATE_KEY=your_relayer_private_key_here
-LENDING_POOL_ADDRESS=0x...
-DUSD_ADDRESS=0x...
+# Server Configuration
 PORT=3001
 `;
 
-  const examplePath = path.join(relayerDir, '.env.example');
-  fs.writeFileSync(examplePath, exampleContent);
-  console.log('✅ Created relayer/.env.example template\n');
+  const envPath = path.join(relayerDir, '.env');
+  fs.writeFileSync(envPath, envContent, { mode: 0o600 });
+  console.log('✅ Created relayer/.env file (see relayer/.env.example for all options)\n');
 
   console.log('🎯 Next Steps:');
   console.log('==============');
@@ -67,12 +90,15 @@ PORT=3001
   console.log('3. 🚀 Start the relayer: cd relayer && npm start');
   console.log('4. 🧪 Test the delegated signing flow');
   console.log('\n⚠️  Security Reminder:');
-  console.log('   - Never commit .env files to version control');
-  console.log('   - Keep your mnemonic phrase safe for wallet recovery');
+  console.log('   - Never commit .env or keystore files to version control');
+  console.log('   - Back up keystore.json and its passphrase separately; both are needed to recover the wallet');
   console.log('   - Use different keys for development and production');
   console.log('   - Regularly rotate relayer keys\n');
 
   console.log('📚 For more information, see: DELEGATED_SIGNING_README.md');
 }
 
-setupRelayer().catch(console.error);
+setupRelayer().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
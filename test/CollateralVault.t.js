@@ -8,7 +8,7 @@ describe("CollateralVault", function () {
     [owner, user] = await ethers.getSigners();
 
     const RWAAssetToken = await ethers.getContractFactory("RWAAssetToken");
-    rwa = await RWAAssetToken.deploy();
+    rwa = await RWAAssetToken.deploy(ethers.ZeroAddress);
     await rwa.waitForDeployment();
 
     const DUSD = await ethers.getContractFactory("DUSD");
@@ -23,7 +23,8 @@ describe("CollateralVault", function () {
     vault = await CollateralVault.deploy(
       await rwa.getAddress(),
       await dusd.getAddress(),
-      await oracle.getAddress()
+      await oracle.getAddress(),
+      ethers.ZeroAddress
     );
     await vault.waitForDeployment();
 
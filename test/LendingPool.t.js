@@ -2,11 +2,11 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
 describe("LendingPool", function () {
-  let dusd, lendingPool, owner, user;
+  let dusd, lendingPool, owner, user, relayer;
   const ratePerSecond = ethers.parseUnits("1", 9); // very small rate for test (1e9 ray)
 
   beforeEach(async function () {
-    [owner, user] = await ethers.getSigners();
+    [owner, user, relayer] = await ethers.getSigners();
 
     const DUSD = await ethers.getContractFactory("DUSD");
     dusd = await DUSD.deploy();
@@ -43,7 +43,7 @@ describe("LendingPool", function () {
   });
 
   describe("Delegated Signing", function () {
-    it("should execute delegated deposit with valid signature", async function () {
+    it("should execute delegated deposit submitted by a relayer", async function () {
       const amount = ethers.parseEther("10");
       const nonce = await lendingPool.nonces(user.address);
       const deadline = (await ethers.provider.getBlock('latest')).timestamp + 3600; // 1 hour from now
@@ -58,6 +58,7 @@ describe("LendingPool", function () {
 
       const types = {
         DepositAction: [
+          { name: 'owner', type: 'address' },
           { name: 'amount', type: 'uint256' },
           { name: 'nonce', type: 'uint256' },
           { name: 'deadline', type: 'uint256' }
@@ -65,6 +66,7 @@ describe("LendingPool", function () {
       };
 
       const message = {
+        owner: user.address,
         amount: amount,
         nonce: nonce,
         deadline: deadline
@@ -72,17 +74,19 @@ describe("LendingPool", function () {
 
       const signature = await user.signTypedData(domain, types, message);
 
-      // Execute delegated deposit
+      // Relayer submits the deposit on the user's behalf
       await dusd.connect(user).approve(await lendingPool.getAddress(), amount);
-      await lendingPool.connect(user).executeDeposit(
-        { amount, nonce, deadline },
+      await lendingPool.connect(relayer).executeDeposit(
+        { owner: user.address, amount, nonce, deadline },
         signature
       );
 
       expect(await lendingPool.deposits(user.address)).to.equal(amount);
+      expect(await lendingPool.deposits(relayer.address)).to.equal(0);
+      expect(await lendingPool.nonces(user.address)).to.equal(nonce + 1n);
     });
 
-    it("should execute delegated withdraw with valid signature", async function () {
+    it("should execute delegated withdraw submitted by a relayer", async function () {
       // First deposit some funds
       await dusd.connect(user).approve(await lendingPool.getAddress(), ethers.parseEther("50"));
       await lendingPool.connect(user).deposit(ethers.parseEther("50"));
@@ -101,6 +105,7 @@ describe("LendingPool", function () {
 
       const types = {
         WithdrawAction: [
+          { name: 'owner', type: 'address' },
           { name: 'amount', type: 'uint256' },
           { name: 'nonce', type: 'uint256' },
           { name: 'deadline', type: 'uint256' }
@@ -108,6 +113,7 @@ describe("LendingPool", function () {
       };
 
       const message = {
+        owner: user.address,
         amount: amount,
         nonce: nonce,
         deadline: deadline
@@ -115,13 +121,15 @@ describe("LendingPool", function () {
 
       const signature = await user.signTypedData(domain, types, message);
 
-      // Execute delegated withdraw
-      await lendingPool.connect(user).executeWithdraw(
-        { amount, nonce, deadline },
+      // Relayer submits the withdrawal; funds go to the user, not the relayer
+      await lendingPool.connect(relayer).executeWithdraw(
+        { owner: user.address, amount, nonce, deadline },
         signature
       );
 
       expect(await lendingPool.deposits(user.address)).to.equal(ethers.parseEther("30"));
+      expect(await dusd.balanceOf(user.address)).to.equal(ethers.parseEther("70"));
+      expect(await dusd.balanceOf(relayer.address)).to.equal(0);
     });
 
     it("should reject delegated transaction with invalid nonce", async function () {
@@ -138,6 +146,7 @@ describe("LendingPool", function () {
 
       const types = {
         DepositAction: [
+          { name: 'owner', type: 'address' },
           { name: 'amount', type: 'uint256' },
           { name: 'nonce', type: 'uint256' },
           { name: 'deadline', type: 'uint256' }
@@ -145,6 +154,7 @@ describe("LendingPool", function () {
       };
 
       const message = {
+        owner: user.address,
         amount: amount,
         nonce: invalidNonce,
         deadline: deadline
@@ -154,7 +164,7 @@ describe("LendingPool", function () {
 
       await expect(
         lendingPool.connect(owner).executeDeposit(
-          { amount, nonce: invalidNonce, deadline },
+          { owner: user.address, amount, nonce: invalidNonce, deadline },
           signature
         )
       ).to.be.revertedWith("Invalid nonce");
@@ -174,6 +184,7 @@ describe("LendingPool", function () {
 
       const types = {
         DepositAction: [
+          { name: 'owner', type: 'address' },
           { name: 'amount', type: 'uint256' },
           { name: 'nonce', type: 'uint256' },
           { name: 'deadline', type: 'uint256' }
@@ -181,6 +192,7 @@ describe("LendingPool", function () {
       };
 
       const message = {
+        owner: user.address,
         amount: amount,
         nonce: nonce,
         deadline: expiredDeadline
@@ -190,10 +202,140 @@ describe("LendingPool", function () {
 
       await expect(
         lendingPool.connect(owner).executeDeposit(
-          { amount, nonce, deadline: expiredDeadline },
+          { owner: user.address, amount, nonce, deadline: expiredDeadline },
           signature
         )
       ).to.be.revertedWith("Signature expired");
     });
+
+    it("should reject delegated transaction whose owner did not sign it", async function () {
+      const amount = ethers.parseEther("10");
+      const nonce = await lendingPool.nonces(user.address);
+      const deadline = (await ethers.provider.getBlock('latest')).timestamp + 3600;
+
+      const domain = {
+        name: "LendingPool",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await lendingPool.getAddress()
+      };
+
+      const types = {
+        DepositAction: [
+          { name: 'owner', type: 'address' },
+          { name: 'amount', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' }
+        ]
+      };
+
+      // Relayer signs an action claiming to act for the user
+      const message = {
+        owner: user.address,
+        amount: amount,
+        nonce: nonce,
+        deadline: deadline
+      };
+
+      const signature = await relayer.signTypedData(domain, types, message);
+
+      await dusd.connect(user).approve(await lendingPool.getAddress(), amount);
+      await expect(
+        lendingPool.connect(relayer).executeDeposit(
+          { owner: user.address, amount, nonce, deadline },
+          signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("Batched Delegated Actions", function () {
+    const types = {
+      DepositAction: [
+        { name: 'owner', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    };
+
+    // executeDeposit calldata for a deposit signed by `signer`
+    async function signedDeposit(signer, amount, overrides = {}) {
+      const domain = {
+        name: "LendingPool",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await lendingPool.getAddress()
+      };
+
+      const action = {
+        owner: signer.address,
+        amount,
+        nonce: await lendingPool.nonces(signer.address),
+        deadline: (await ethers.provider.getBlock('latest')).timestamp + 3600,
+        ...overrides
+      };
+
+      const signature = await signer.signTypedData(domain, types, action);
+      return lendingPool.interface.encodeFunctionData("executeDeposit", [action, signature]);
+    }
+
+    let other;
+
+    beforeEach(async function () {
+      other = (await ethers.getSigners())[3];
+      await dusd.mint(other.address, ethers.parseEther("100"));
+      await dusd.connect(user).approve(await lendingPool.getAddress(), ethers.parseEther("100"));
+      await dusd.connect(other).approve(await lendingPool.getAddress(), ethers.parseEther("100"));
+    });
+
+    it("should execute several users' deposits in one transaction", async function () {
+      const calls = [
+        await signedDeposit(user, ethers.parseEther("10")),
+        await signedDeposit(other, ethers.parseEther("20"))
+      ];
+
+      await expect(lendingPool.connect(relayer).executeBatch(calls))
+        .to.emit(lendingPool, "Deposit").withArgs(user.address, ethers.parseEther("10"))
+        .and.to.emit(lendingPool, "Deposit").withArgs(other.address, ethers.parseEther("20"))
+        .and.not.to.emit(lendingPool, "BatchItemFailed");
+
+      expect(await lendingPool.deposits(user.address)).to.equal(ethers.parseEther("10"));
+      expect(await lendingPool.deposits(other.address)).to.equal(ethers.parseEther("20"));
+      expect(await lendingPool.nonces(user.address)).to.equal(1n);
+      expect(await lendingPool.nonces(other.address)).to.equal(1n);
+    });
+
+    it("should report a failing item without undoing the others", async function () {
+      const calls = [
+        await signedDeposit(user, ethers.parseEther("10"), { nonce: 5n }),
+        await signedDeposit(other, ethers.parseEther("20"))
+      ];
+
+      const reason = lendingPool.interface.encodeErrorResult("Error", ["Invalid nonce"]);
+      const results = await lendingPool.connect(relayer).executeBatch.staticCall(calls);
+      expect(results.map(result => result.success)).to.deep.equal([false, true]);
+      expect(results[0].returnData).to.equal(reason);
+
+      await expect(lendingPool.connect(relayer).executeBatch(calls))
+        .to.emit(lendingPool, "BatchItemFailed").withArgs(0, reason);
+
+      expect(await lendingPool.deposits(user.address)).to.equal(0);
+      expect(await lendingPool.nonces(user.address)).to.equal(0);
+      expect(await lendingPool.deposits(other.address)).to.equal(ethers.parseEther("20"));
+    });
+
+    it("should only call the delegated action functions", async function () {
+      const call = lendingPool.interface.encodeFunctionData("deposit", [ethers.parseEther("10")]);
+      const selector = lendingPool.interface.getFunction("deposit").selector;
+
+      await expect(lendingPool.connect(relayer).executeBatch([call, "0x"]))
+        .to.emit(lendingPool, "BatchItemFailed")
+        .withArgs(0, lendingPool.interface.encodeErrorResult("BatchCallNotAllowed", [selector]))
+        .and.to.emit(lendingPool, "BatchItemFailed")
+        .withArgs(1, lendingPool.interface.encodeErrorResult("BatchCallNotAllowed", ["0x00000000"]));
+
+      expect(await lendingPool.deposits(await lendingPool.getAddress())).to.equal(0);
+    });
   });
 });
@@ -8,7 +8,7 @@ describe("RWAAssetToken", function () {
     [owner, compliance, minter, burner, user1, user2] = await ethers.getSigners();
 
     const RWAAssetToken = await ethers.getContractFactory("RWAAssetToken");
-    rwaToken = await RWAAssetToken.deploy();
+    rwaToken = await RWAAssetToken.deploy(ethers.ZeroAddress);
 
     // Setup roles
     await rwaToken.connect(owner).grantRole(await rwaToken.COMPLIANCE_ROLE(), compliance.address);
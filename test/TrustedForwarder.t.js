@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TrustedForwarder", function () {
+  let forwarder, rwa, dusd, oracle, vault, owner, user, other, relayer;
+
+  const types = {
+    ForwardRequest: [
+      { name: 'from', type: 'address' },
+      { name: 'to', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'gas', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint48' },
+      { name: 'data', type: 'bytes' }
+    ]
+  };
+
+  // Sign a ForwardRequest for `target.functionName(...args)` as `signer`
+  async function signRequest(signer, target, functionName, args, overrides = {}) {
+    const domain = {
+      name: "DeFiFlowForwarder",
+      version: "1",
+      chainId: 31337,
+      verifyingContract: await forwarder.getAddress()
+    };
+
+    const request = {
+      from: signer.address,
+      to: await target.getAddress(),
+      value: 0n,
+      gas: 300000n,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: (await ethers.provider.getBlock('latest')).timestamp + 3600,
+      data: target.interface.encodeFunctionData(functionName, args),
+      ...overrides
+    };
+
+    const signature = await signer.signTypedData(domain, types, request);
+    return { ...request, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, user, other, relayer] = await ethers.getSigners();
+
+    const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+    forwarder = await TrustedForwarder.deploy();
+    await forwarder.waitForDeployment();
+
+    const RWAAssetToken = await ethers.getContractFactory("RWAAssetToken");
+    rwa = await RWAAssetToken.deploy(await forwarder.getAddress());
+    await rwa.waitForDeployment();
+
+    const DUSD = await ethers.getContractFactory("DUSD");
+    dusd = await DUSD.deploy();
+    await dusd.waitForDeployment();
+
+    const PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
+    oracle = await PriceOracleMock.deploy();
+    await oracle.waitForDeployment();
+
+    const CollateralVault = await ethers.getContractFactory("CollateralVault");
+    vault = await CollateralVault.deploy(
+      await rwa.getAddress(),
+      await dusd.getAddress(),
+      await oracle.getAddress(),
+      await forwarder.getAddress()
+    );
+    await vault.waitForDeployment();
+
+    await dusd.setVault(await vault.getAddress());
+    await rwa.mintAsset(user.address, ethers.parseEther("1000"), "test-ipfs-cid", "Test RWA", "Test Description", 1000000, ethers.ZeroHash);
+
+    for (const account of [user.address, other.address, await vault.getAddress()]) {
+      await rwa.updateWhitelist(account, true);
+      await rwa.updateKYC(account, true);
+    }
+  });
+
+  it("should trust the forwarder in the vault and the RWA token", async function () {
+    expect(await vault.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+    expect(await rwa.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+    expect(await vault.isTrustedForwarder(relayer.address)).to.equal(false);
+  });
+
+  it("should forward a vault deposit, borrow and repay for the signer", async function () {
+    const vaultAddress = await vault.getAddress();
+
+    await forwarder.connect(relayer).execute(await signRequest(user, rwa, "approve", [vaultAddress, ethers.parseEther("100")]));
+    await forwarder.connect(relayer).execute(await signRequest(user, vault, "deposit", [ethers.parseEther("100")]));
+    expect((await vault.positions(user.address)).collateral).to.equal(ethers.parseEther("100"));
+    expect((await vault.positions(relayer.address)).collateral).to.equal(0);
+
+    await forwarder.connect(relayer).execute(await signRequest(user, vault, "borrow", [ethers.parseEther("50")]));
+    expect((await vault.positions(user.address)).debt).to.equal(ethers.parseEther("50"));
+    expect(await dusd.balanceOf(user.address)).to.equal(ethers.parseEther("50"));
+
+    // DUSD does not trust the forwarder, so the repay allowance is given directly
+    await dusd.connect(user).approve(vaultAddress, ethers.parseEther("20"));
+    await forwarder.connect(relayer).execute(await signRequest(user, vault, "repay", [ethers.parseEther("20")]));
+    expect((await vault.positions(user.address)).debt).to.equal(ethers.parseEther("30"));
+    expect(await forwarder.nonces(user.address)).to.equal(4n);
+  });
+
+  it("should forward an RWA transfer with compliance checks on the signer", async function () {
+    await forwarder.connect(relayer).execute(await signRequest(user, rwa, "transfer", [other.address, ethers.parseEther("10")]));
+    expect(await rwa.balanceOf(other.address)).to.equal(ethers.parseEther("10"));
+
+    await rwa.freezeAccount(user.address);
+    await expect(
+      forwarder.connect(relayer).execute(await signRequest(user, rwa, "transfer", [other.address, ethers.parseEther("10")]))
+    ).to.be.revertedWithCustomError(forwarder, "FailedCall");
+  });
+
+  it("should reject a request signed by someone other than `from`", async function () {
+    const request = await signRequest(other, vault, "deposit", [ethers.parseEther("100")]);
+    await expect(
+      forwarder.connect(relayer).execute({ ...request, from: user.address })
+    ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+  });
+
+  it("should reject an expired request", async function () {
+    const deadline = (await ethers.provider.getBlock('latest')).timestamp - 1;
+    const request = await signRequest(user, vault, "deposit", [ethers.parseEther("100")], { deadline });
+    await expect(
+      forwarder.connect(relayer).execute(request)
+    ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest");
+  });
+
+  it("should reject a target that does not trust the forwarder", async function () {
+    const request = await signRequest(user, dusd, "approve", [await vault.getAddress(), ethers.parseEther("1")]);
+    await expect(
+      forwarder.connect(relayer).execute(request)
+    ).to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+  });
+
+  it("should keep direct calls working", async function () {
+    await rwa.connect(user).approve(await vault.getAddress(), ethers.parseEther("100"));
+    await vault.connect(user).deposit(ethers.parseEther("100"));
+    expect((await vault.positions(user.address)).collateral).to.equal(ethers.parseEther("100"));
+  });
+});
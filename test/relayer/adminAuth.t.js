@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { expect } = require("chai");
+const { ethers, relayerLib } = require("./helpers");
+
+const { createAdminAuth, parseSiweMessage } = relayerLib("adminAuth");
+
+const DOMAIN = "relayer.test";
+const SECRET = "hmac-secret";
+
+// Minimal Express request/response pair for the middleware
+function adminRequest({ method = "POST", url = "/api/admin/pause", headers = {}, rawBody = "" } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = { method, originalUrl: url, rawBody, ip: "127.0.0.1", get: name => lower[name.toLowerCase()] };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.emit("finish"); return this; }
+  });
+  return { req, res };
+}
+
+function hmacHeaders({ method = "POST", url = "/api/admin/pause", rawBody = "", timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const bodyHash = crypto.createHash("sha256").update(rawBody).digest("hex");
+  const signature = crypto.createHmac("sha256", SECRET).update([timestamp, method, url, bodyHash].join("\n")).digest("hex");
+  return { "X-Admin-Timestamp": String(timestamp), "X-Admin-Signature": signature };
+}
+
+function siweMessage(address, nonce, { domain = DOMAIN, chainId = 31337 } = {}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to the relayer admin API",
+    "",
+    `URI: https://${domain}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join("\n");
+}
+
+describe("Relayer admin authentication", function () {
+  let admin, stranger, events, auth;
+
+  beforeEach(function () {
+    admin = ethers.Wallet.createRandom();
+    stranger = ethers.Wallet.createRandom();
+    events = [];
+    auth = createAdminAuth({
+      adminAddresses: [admin.address, "not-an-address"],
+      hmacSecret: SECRET,
+      siweDomain: DOMAIN,
+      chainId: 31337,
+      logEvent: event => events.push(event)
+    });
+  });
+
+  function run({ req, res }) {
+    let passed = false;
+    auth.middleware(req, res, () => { passed = true; });
+    return passed;
+  }
+
+  it("should parse the fields of a SIWE message", function () {
+    const fields = parseSiweMessage(siweMessage(admin.address, "abc"));
+    expect(fields).to.include({ domain: DOMAIN, address: admin.address, Version: "1", "Chain ID": "31337", Nonce: "abc" });
+    expect(parseSiweMessage("hello")).to.equal(null);
+  });
+
+  it("should open a session for an allowlisted admin and accept its token", async function () {
+    const message = siweMessage(admin.address, auth.issueNonce());
+    const session = auth.login(message, await admin.signMessage(message));
+    expect(session.address).to.equal(admin.address);
+
+    const request = adminRequest({ headers: { Authorization: `Bearer ${session.token}` } });
+    expect(run(request)).to.equal(true);
+    expect(request.req.admin).to.deep.equal({ id: admin.address, address: admin.address, method: "siwe" });
+
+    request.res.status(200).json({ paused: true });
+    expect(events).to.deep.include({
+      type: "ADMIN_ACTION", admin: admin.address, address: admin.address, authMethod: "siwe",
+      method: "POST", path: "/api/admin/pause", status: 200, ip: "127.0.0.1"
+    });
+  });
+
+  it("should reject reused nonces, other domains and addresses off the allowlist", async function () {
+    const nonce = auth.issueNonce();
+    const message = siweMessage(admin.address, nonce);
+    auth.login(message, await admin.signMessage(message));
+
+    const loginError = async (signer, text) => {
+      try {
+        auth.login(text, await signer.signMessage(text));
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    expect((await loginError(admin, message)).message).to.equal("Unknown or expired SIWE nonce");
+    expect((await loginError(admin, siweMessage(admin.address, auth.issueNonce(), { domain: "evil.test" }))).message).to.equal("SIWE domain mismatch");
+    expect((await loginError(admin, siweMessage(admin.address, auth.issueNonce(), { chainId: 1 }))).message).to.equal("SIWE chain ID mismatch");
+    const strangerError = await loginError(stranger, siweMessage(stranger.address, auth.issueNonce()));
+    expect(strangerError.code).to.equal("ADMIN_AUTH_FAILED");
+    expect(strangerError.message).to.equal("Address is not an allowlisted admin");
+    expect((await loginError(stranger, siweMessage(admin.address, auth.issueNonce()))).message).to.equal("Signature does not match SIWE address");
+  });
+
+  it("should keep a few outstanding nonces per IP, dropping the oldest", async function () {
+    const login = async (nonce) => {
+      const message = siweMessage(admin.address, nonce);
+      return auth.login(message, await admin.signMessage(message));
+    };
+    const other = auth.issueNonce("10.0.0.2");
+    const issued = [];
+    for (let i = 0; i < 6; i++) issued.push(auth.issueNonce("10.0.0.1"));
+
+    try {
+      await login(issued[0]);
+      expect.fail("dropped nonce accepted");
+    } catch (error) {
+      expect(error.message).to.equal("Unknown or expired SIWE nonce");
+    }
+    expect((await login(issued[1])).address).to.equal(admin.address);
+    expect((await login(other)).address).to.equal(admin.address);
+  });
+
+  it("should accept a signed HMAC request once", function () {
+    const rawBody = JSON.stringify({ reason: "maintenance" });
+    const headers = hmacHeaders({ rawBody });
+
+    const first = adminRequest({ headers, rawBody });
+    expect(run(first)).to.equal(true);
+    expect(first.req.admin.method).to.equal("hmac");
+
+    const replay = adminRequest({ headers, rawBody });
+    expect(run(replay)).to.equal(false);
+    expect(replay.res.statusCode).to.equal(401);
+    expect(replay.res.body.code).to.equal("ADMIN_UNAUTHORIZED");
+    expect(events.at(-1)).to.include({ type: "ADMIN_AUTH_FAILED", path: "/api/admin/pause" });
+  });
+
+  it("should reject HMAC requests that are stale or signed over another body", function () {
+    const stale = hmacHeaders({ timestamp: Math.floor(Date.now() / 1000) - 600 });
+    expect(run(adminRequest({ headers: stale }))).to.equal(false);
+
+    const tampered = adminRequest({ headers: hmacHeaders({ rawBody: "{}" }), rawBody: "{\"amount\":1}" });
+    expect(run(tampered)).to.equal(false);
+    expect(tampered.res.statusCode).to.equal(401);
+  });
+
+  it("should refuse every request when no credential is configured", function () {
+    auth = createAdminAuth({ adminAddresses: [], siweDomain: DOMAIN, logEvent: () => {} });
+    const request = adminRequest({ headers: hmacHeaders() });
+    expect(auth.enabled).to.equal(false);
+    expect(run(request)).to.equal(false);
+    expect(request.res.statusCode).to.equal(503);
+    expect(request.res.body.code).to.equal("ADMIN_AUTH_NOT_CONFIGURED");
+  });
+});
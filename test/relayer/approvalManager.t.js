@@ -0,0 +1,120 @@
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, tmpDir, relayerLib } = require("./helpers");
+
+const { createApprovalManager } = relayerLib("approvalManager");
+
+describe("Relayer approval manager", function () {
+  const domain = { name: "LendingPool", version: "1", chainId: 31337, verifyingContract: "0x" + "11".repeat(20) };
+  let filePath, approvers, managers;
+
+  function manager(options = {}) {
+    const approvalManager = createApprovalManager({
+      filePath,
+      approvers: approvers.map(approver => approver.address),
+      threshold: 2,
+      getDomain: async () => domain,
+      ...options
+    });
+    managers.push(approvalManager);
+    return approvalManager;
+  }
+
+  function pendingFields(deadline = Math.floor(Date.now() / 1000) + 3600) {
+    return {
+      action: "withdraw",
+      owner: "0x" + "22".repeat(20),
+      amount: "5000",
+      nonce: "0",
+      deadline,
+      request: { to: domain.verifyingContract, data: "0x1234" }
+    };
+  }
+
+  async function sign(approvalManager, approval, signer) {
+    const { domain, types, message } = await approvalManager.typedData(approval);
+    return signer.signTypedData(domain, types, message);
+  }
+
+  async function approveError(approvalManager, id, signature) {
+    return approvalManager.approve(id, signature).then(() => null, error => error);
+  }
+
+  beforeEach(function () {
+    filePath = path.join(tmpDir(), "approvals.json");
+    approvers = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    managers = [];
+  });
+
+  afterEach(function () {
+    for (const approvalManager of managers) approvalManager.stop();
+  });
+
+  it("should approve once the threshold of distinct approvers signs", async function () {
+    const approvalManager = manager();
+    const events = [];
+    for (const name of ["pending", "approval", "approved"]) approvalManager.on(name, () => events.push(name));
+
+    const approval = approvalManager.create(pendingFields());
+    await approvalManager.approve(approval.id, await sign(approvalManager, approval, approvers[0]));
+    expect(approval.status).to.equal("pending");
+
+    const repeat = await approveError(approvalManager, approval.id, await sign(approvalManager, approval, approvers[0]));
+    expect(repeat.code).to.equal("ALREADY_APPROVED");
+
+    await approvalManager.approve(approval.id, await sign(approvalManager, approval, approvers[1]));
+    expect(approval.status).to.equal("approved");
+    expect(approval.approvals.map(entry => entry.approver)).to.deep.equal([approvers[0].address, approvers[1].address]);
+    expect(events).to.deep.equal(["pending", "approval", "approval", "approved"]);
+
+    const late = await approveError(approvalManager, approval.id, await sign(approvalManager, approval, approvers[2]));
+    expect(late).to.include({ code: "APPROVAL_NOT_PENDING", status: 409 });
+  });
+
+  it("should reject signatures from strangers and over other transactions", async function () {
+    const approvalManager = manager();
+    const approval = approvalManager.create(pendingFields());
+
+    const stranger = await approveError(approvalManager, approval.id, await sign(approvalManager, approval, ethers.Wallet.createRandom()));
+    expect(stranger).to.include({ code: "NOT_AN_APPROVER", status: 403 });
+
+    const other = approvalManager.create({ ...pendingFields(), request: { to: domain.verifyingContract, data: "0xabcd" } });
+    const signatureForOther = await sign(approvalManager, other, approvers[0]);
+    const mismatch = await approveError(approvalManager, approval.id, signatureForOther);
+    expect(mismatch.code).to.equal("NOT_AN_APPROVER");
+
+    expect((await approveError(approvalManager, approval.id, "0x1234")).code).to.equal("INVALID_SIGNATURE");
+    expect((await approveError(approvalManager, "missing", "0x")).status).to.equal(404);
+    expect(approval.approvals).to.deep.equal([]);
+  });
+
+  it("should expire approvals whose signed deadline passed", async function () {
+    const approvalManager = manager();
+    const expired = [];
+    approvalManager.on("expired", approval => expired.push(approval.id));
+
+    const approval = approvalManager.create(pendingFields(Math.floor(Date.now() / 1000) - 1));
+    const error = await approveError(approvalManager, approval.id, await sign(approvalManager, approval, approvers[0]));
+    expect(error).to.include({ code: "APPROVAL_EXPIRED", status: 410 });
+    expect(expired).to.deep.equal([approval.id]);
+
+    const swept = approvalManager.create(pendingFields(Math.floor(Date.now() / 1000) - 1));
+    approvalManager.start();
+    expect(swept.status).to.equal("expired");
+  });
+
+  it("should restore pending approvals and their signatures after a restart", async function () {
+    const first = manager();
+    const approval = first.create(pendingFields());
+    await first.approve(approval.id, await sign(first, approval, approvers[0]));
+
+    const second = manager();
+    const restored = second.get(approval.id);
+    expect(restored.status).to.equal("pending");
+    expect(restored.approvals).to.have.length(1);
+    expect(second.stats().counts).to.deep.equal({ pending: 1, approved: 0, expired: 0 });
+
+    await second.approve(approval.id, await sign(second, restored, approvers[2]));
+    expect(second.get(approval.id).status).to.equal("approved");
+  });
+});
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { ethers, relayerLib } = require("./helpers");
+
+const { createBalanceMonitor } = relayerLib("balanceMonitor");
+
+describe("Relayer balance monitor", function () {
+  const eth = (value) => ethers.parseEther(value);
+  const HOUR = 60 * 60 * 1000;
+  const realNow = Date.now;
+  let balances, reads, address, changes, now;
+
+  // Answers each balance read with the next entry of `balances`; an Error entry fails the read
+  const provider = {
+    getBalance: async (of) => {
+      reads.push(of);
+      const next = balances.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  };
+
+  function monitor(options = {}) {
+    return createBalanceMonitor({
+      provider,
+      getAddress: () => address,
+      warnThreshold: eth("1"),
+      criticalThreshold: eth("0.1"),
+      onLevelChange: (state, previousLevel) => changes.push([previousLevel, state.level]),
+      ...options
+    });
+  }
+
+  beforeEach(function () {
+    balances = [];
+    reads = [];
+    address = "0x0000000000000000000000000000000000000001";
+    changes = [];
+    now = 1700000000000;
+    Date.now = () => now;
+  });
+
+  afterEach(function () {
+    Date.now = realNow;
+  });
+
+  it("should report level changes and a failed read without changing the level", async function () {
+    balances = [eth("2"), eth("0.5"), eth("0.5"), new Error("rpc down"), eth("0.05")];
+    const balanceMonitor = monitor();
+
+    expect((await balanceMonitor.check()).level).to.equal("ok");
+    expect((await balanceMonitor.check()).level).to.equal("warning");
+    await balanceMonitor.check();
+    const failed = await balanceMonitor.check();
+    expect(failed).to.include({ level: "warning", balance: "0.5", lastError: "rpc down" });
+    expect(balanceMonitor.isUnderfunded()).to.equal(false);
+
+    expect(await balanceMonitor.check()).to.include({ level: "critical", lastError: null });
+    expect(balanceMonitor.isUnderfunded()).to.equal(true);
+    expect(changes).to.deep.equal([[null, "ok"], ["ok", "warning"], ["warning", "critical"]]);
+  });
+
+  it("should count only spending in the burn rate, over the window", async function () {
+    balances = [eth("5"), eth("4"), eth("10"), eth("9"), eth("7")];
+    const balanceMonitor = monitor({ windowMs: 3 * HOUR });
+
+    expect((await balanceMonitor.check()).burnRatePerHour).to.equal(null);
+    for (let i = 0; i < 3; i++) {
+      now += HOUR;
+      await balanceMonitor.check();
+    }
+    // Two ether spent in three hours; the top-up does not offset it
+    expect(balanceMonitor.state()).to.include({ burnRatePerHour: "0.666666666666666666", hoursUntilCritical: 13.35 });
+
+    // The first two samples leave the window: three ether spent in the last three hours
+    now += 2 * HOUR;
+    expect((await balanceMonitor.check()).burnRatePerHour).to.equal("1.0");
+  });
+
+  it("should restart its samples for a new relayer address", async function () {
+    balances = [eth("5"), eth("4"), eth("3")];
+    const balanceMonitor = monitor();
+    await balanceMonitor.check();
+    now += HOUR;
+    await balanceMonitor.check();
+    expect(balanceMonitor.state().burnRatePerHour).to.not.equal(null);
+
+    address = "0x0000000000000000000000000000000000000002";
+    const state = await balanceMonitor.check();
+    expect(state).to.include({ address, balance: "3.0", burnRatePerHour: null });
+    expect(reads.at(-1)).to.equal(address);
+  });
+
+  it("should share one balance read between concurrent checks", async function () {
+    balances = [eth("2")];
+    const balanceMonitor = monitor();
+
+    const [first, second] = await Promise.all([balanceMonitor.check(), balanceMonitor.check()]);
+    expect(first).to.deep.equal(second);
+    expect(reads).to.have.length(1);
+  });
+
+  it("should not read a balance before there is a relayer address", async function () {
+    address = null;
+    expect((await monitor().check()).level).to.equal(null);
+    expect(reads).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, wallet, startRpcServer, rpcProvider, deploy, relayerContract, relayerLib } = require("./helpers");
+
+const { createBatchRelay } = relayerLib("batchRelay");
+const { decodeRevert, errorMessage } = relayerLib("revertDecoder");
+const { createTxSubmitter } = relayerLib("txSubmitter");
+const { createNonceManager } = relayerLib("nonceManager");
+
+describe("Relayer batch relay", function () {
+  const amount = ethers.parseEther("10");
+  let rpc, provider, relayer, users, lendingPool, batchRelay;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+    relayer = wallet(19, provider);
+  });
+
+  after(async function () {
+    provider.destroy();
+    await rpc.close();
+  });
+
+  beforeEach(async function () {
+    const [owner, , , ...others] = await hre.ethers.getSigners();
+    users = others.slice(0, 2);
+    const dusdAddress = await deploy("DUSD");
+    const poolAddress = await deploy("LendingPool", dusdAddress, ethers.parseUnits("1", 9));
+    const dusd = await hre.ethers.getContractAt("DUSD", dusdAddress);
+    await dusd.setVault(owner.address);
+    for (const user of users) {
+      await dusd.mint(user.address, amount);
+      await dusd.connect(user).approve(poolAddress, amount);
+    }
+
+    lendingPool = relayerContract("LendingPool", poolAddress, relayer);
+    const nonceManager = createNonceManager({ provider, getAddress: () => relayer.address });
+    const txSubmitter = createTxSubmitter({ provider, getSigner: () => relayer, nonceManager, pollIntervalMs: 20 });
+    batchRelay = createBatchRelay({ provider, lendingPool, txSubmitter });
+  });
+
+  // Job relaying a deposit signed by `user`
+  async function depositJob(user, { deadlineOffset = 3600 } = {}) {
+    const action = {
+      owner: user.address,
+      amount,
+      nonce: await lendingPool.nonces(user.address),
+      deadline: (await provider.getBlock("latest")).timestamp + deadlineOffset
+    };
+    const domain = { name: "LendingPool", version: "1", chainId: 31337, verifyingContract: lendingPool.target };
+    const types = {
+      DepositAction: [
+        { name: "owner", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const signature = await user.signTypedData(domain, types, action);
+    return { id: user.address, batchId: "batch-1", request: { to: lendingPool.target, data: lendingPool.interface.encodeFunctionData("executeDeposit", [action, signature]) } };
+  }
+
+  const update = (job, changes) => Object.assign(job, changes);
+
+  it("should send the actions in one transaction and split its gas", async function () {
+    const jobs = [await depositJob(users[0]), await depositJob(users[1])];
+    const outcomes = await batchRelay.processBatch(jobs, { update });
+
+    const receipt = await provider.getTransactionReceipt(outcomes[0].result.txHash);
+    expect(receipt.status).to.equal(1);
+    expect(outcomes.map(({ result }) => result.txHash)).to.deep.equal([receipt.hash, receipt.hash]);
+    expect(outcomes.map(({ result }) => result.batch)).to.deep.equal([
+      { id: "batch-1", index: 0, size: 2, gasUsed: receipt.gasUsed.toString() },
+      { id: "batch-1", index: 1, size: 2, gasUsed: receipt.gasUsed.toString() }
+    ]);
+    expect(outcomes.reduce((total, { result }) => total + BigInt(result.gasUsed), 0n)).to.equal(receipt.gasUsed);
+    expect(jobs.map(job => job.batchIndex)).to.deep.equal([0, 1]);
+    for (const user of users) expect(await lendingPool.deposits(user.address)).to.equal(amount);
+  });
+
+  it("should fail the actions that would revert before sending the rest", async function () {
+    const expired = await depositJob(users[0], { deadlineOffset: -60 });
+    const valid = await depositJob(users[1]);
+    const [failed, relayed] = await batchRelay.processBatch([expired, valid], { update });
+
+    expect(failed.error).to.include({ code: "CALL_EXCEPTION", reason: "Signature expired", message: "Action would revert: Signature expired" });
+    expect(expired.txHashes).to.equal(undefined);
+    expect(relayed.result.batch).to.include({ index: 0, size: 1 });
+    expect(valid.batchIndex).to.equal(0);
+  });
+
+  it("should report a call that is not a delegated action with its own code", async function () {
+    const job = { id: "job-1", request: { to: lendingPool.target, data: lendingPool.interface.encodeFunctionData("nonces", [users[0].address]) } };
+    const [{ error }] = await batchRelay.processBatch([job], { update });
+
+    const selector = lendingPool.interface.getFunction("nonces").selector;
+    expect(decodeRevert(error)).to.deep.equal({
+      name: "BatchCallNotAllowed",
+      args: [selector],
+      reason: `BatchCallNotAllowed(${selector})`,
+      code: "BATCH_CALL_NOT_ALLOWED"
+    });
+    expect(errorMessage("BATCH_CALL_NOT_ALLOWED")).to.equal("Only signed LendingPool actions can be relayed in a batch.");
+  });
+
+  it("should tell whether the pool can batch", async function () {
+    expect(await batchRelay.isSupported()).to.equal(true);
+
+    const withoutBatching = relayerContract("LendingPool", await deploy("DUSD"), relayer);
+    const txSubmitter = createTxSubmitter({ provider, getSigner: () => relayer, nonceManager: createNonceManager({ provider, getAddress: () => relayer.address }) });
+    expect(await createBatchRelay({ provider, lendingPool: withoutBatching, txSubmitter }).isSupported()).to.equal(false);
+  });
+});
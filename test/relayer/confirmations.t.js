@@ -0,0 +1,89 @@
+const path = require("path");
+const { expect } = require("chai");
+const { network } = require("hardhat");
+const { wallet, tmpDir, waitFor, startRpcServer, rpcProvider, mine, relayerLib } = require("./helpers");
+
+const { createJobQueue } = relayerLib("jobQueue");
+const { createConfirmationTracker } = relayerLib("confirmations");
+
+describe("Relayer confirmations", function () {
+  let rpc, provider, sender, chain, jobQueue, tracker, reorged;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+    sender = wallet(15, provider);
+  });
+
+  after(async function () {
+    provider.destroy();
+    await rpc.close();
+  });
+
+  beforeEach(function () {
+    chain = { chainId: 31337, provider, requiredConfirmations: 2 };
+    // Each run of a job sends a transaction and resolves once it is mined
+    jobQueue = createJobQueue({
+      filePath: path.join(tmpDir(), "jobs.json"),
+      awaitConfirmation: true,
+      baseBackoffMs: 10,
+      idleIntervalMs: 10,
+      handler: async () => {
+        const receipt = await (await sender.sendTransaction({ to: sender.address })).wait();
+        return { txHash: receipt.hash, blockNumber: receipt.blockNumber, blockHash: receipt.blockHash };
+      }
+    });
+    tracker = createConfirmationTracker({ jobQueue, chainOf: job => (job.chainId === 31337 ? chain : null), pollIntervalMs: 20 });
+    reorged = [];
+    jobQueue.on("reorged", job => reorged.push(job.id));
+    jobQueue.start();
+    tracker.start();
+  });
+
+  afterEach(function () {
+    tracker.stop();
+    jobQueue.stop();
+  });
+
+  const withStatus = (id, status) => waitFor(() => jobQueue.get(id).status === status && jobQueue.get(id));
+
+  it("should confirm a job once its block is deep enough", async function () {
+    const { id } = jobQueue.enqueue({ chainId: 31337 });
+    await withStatus(id, "mined");
+    await tracker.check();
+    expect(jobQueue.get(id).status).to.equal("mined");
+
+    await mine();
+    const job = await withStatus(id, "confirmed");
+    expect(job.confirmedAt).to.be.a("string");
+    expect(job.reorgs).to.equal(undefined);
+  });
+
+  it("should re-queue a job whose block was reorged away and confirm it in its new block", async function () {
+    const snapshot = await network.provider.request({ method: "evm_snapshot", params: [] });
+    const { id } = jobQueue.enqueue({ chainId: 31337 });
+    const mined = (await withStatus(id, "mined")).result;
+
+    // The chain switches to a fork without the transaction's block
+    await network.provider.request({ method: "evm_revert", params: [snapshot] });
+    await mine();
+    await waitFor(() => reorged.length > 0);
+    await waitFor(() => jobQueue.get(id).status === "mined" && jobQueue.get(id).result.blockHash !== mined.blockHash);
+    await mine();
+
+    const job = await withStatus(id, "confirmed");
+    expect(reorged).to.deep.equal([id]);
+    expect(job.reorgs).to.have.length(1);
+    expect(job.reorgs[0]).to.include({ txHash: mined.txHash, blockHash: mined.blockHash, newBlockHash: null });
+    expect(job.result.blockHash).to.not.equal(mined.blockHash);
+    expect((await provider.getTransactionReceipt(job.result.txHash)).blockHash).to.equal(job.result.blockHash);
+  });
+
+  it("should leave jobs of an unconfigured network mined", async function () {
+    const { id } = jobQueue.enqueue({ chainId: 1 });
+    await withStatus(id, "mined");
+    await mine(2);
+    await tracker.check();
+    expect(jobQueue.get(id).status).to.equal("mined");
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { ethers, waitFor, startRpcServer, rpcProvider, deploy, relayerContract, relayerLib } = require("./helpers");
+
+const { FORWARD_REQUEST_TYPES, createForwarder } = relayerLib("forwarder");
+
+describe("Relayer forwarder", function () {
+  const token = new ethers.Interface(["function transfer(address to, uint256 value)", "function approve(address spender, uint256 value)"]);
+  let rpc, provider, forwarderAddress, rwaAddress, dusdAddress, forwarder;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+    forwarderAddress = await deploy("TrustedForwarder");
+    rwaAddress = await deploy("RWAAssetToken", forwarderAddress);
+    dusdAddress = await deploy("DUSD");
+  });
+
+  after(async function () {
+    provider.destroy();
+    await rpc.close();
+  });
+
+  beforeEach(function () {
+    forwarder = createForwarder({
+      provider,
+      chainId: 31337,
+      config: {
+        address: forwarderAddress,
+        targets: {
+          [rwaAddress]: [token.getFunction("transfer")],
+          [dusdAddress]: [token.getFunction("transfer")]
+        }
+      }
+    });
+  });
+
+  const transferData = (to, value) => token.encodeFunctionData("transfer", [to, value]);
+
+  it("should drop the targets that do not trust the forwarder", async function () {
+    expect(await forwarder.check()).to.deep.equal({ name: "DeFiFlowForwarder", untrusted: [dusdAddress], unverified: [] });
+    expect(forwarder.describeTargets()).to.deep.equal({ [rwaAddress]: ["transfer(address to, uint256 value)"] });
+    expect(forwarder.parseCall(dusdAddress, transferData(rwaAddress, 1n))).to.equal(null);
+  });
+
+  it("should hold back a target it cannot check and re-check it on request", async function () {
+    const flaky = rpcProvider(rpc.url);
+    let failing = true;
+    flaky.call = async (tx) => {
+      if (failing && tx.to.toLowerCase() === rwaAddress.toLowerCase()) {
+        throw ethers.makeError("request timed out", "TIMEOUT");
+      }
+      return ethers.JsonRpcProvider.prototype.call.call(flaky, tx);
+    };
+    forwarder = createForwarder({
+      provider: flaky,
+      chainId: 31337,
+      config: { address: forwarderAddress, targets: { [rwaAddress]: [token.getFunction("transfer")] } }
+    });
+
+    try {
+      expect(await forwarder.check()).to.deep.equal({ name: "DeFiFlowForwarder", untrusted: [], unverified: [rwaAddress] });
+      expect(forwarder.parseCall(rwaAddress, transferData(dusdAddress, 1n))).to.equal(null);
+      expect(forwarder.describeTargets()).to.deep.equal({});
+
+      failing = false;
+      expect(forwarder.parseCall(rwaAddress, transferData(dusdAddress, 1n))).to.equal(null);
+      await waitFor(() => Object.keys(forwarder.describeTargets()).length > 0);
+      expect(forwarder.parseCall(rwaAddress, transferData(dusdAddress, 1n)).target).to.equal(rwaAddress);
+      expect(await forwarder.check()).to.deep.equal({ name: "DeFiFlowForwarder", untrusted: [], unverified: [] });
+    } finally {
+      flaky.destroy();
+    }
+  });
+
+  it("should only parse allowlisted calls with well-formed arguments", function () {
+    const call = forwarder.parseCall(rwaAddress.toLowerCase(), transferData(dusdAddress, 5n));
+    expect(call.target).to.equal(rwaAddress);
+    expect(call.fragment.name).to.equal("transfer");
+    expect([...call.args]).to.deep.equal([dusdAddress, 5n]);
+
+    expect(forwarder.parseCall(rwaAddress, token.encodeFunctionData("approve", [dusdAddress, 5n]))).to.equal(null);
+    expect(forwarder.parseCall(rwaAddress, transferData(dusdAddress, 5n).slice(0, 20))).to.equal(null);
+    expect(forwarder.parseCall(forwarderAddress, transferData(dusdAddress, 5n))).to.equal(null);
+  });
+
+  it("should sign requests for the deployed forwarder's domain", async function () {
+    const user = ethers.Wallet.createRandom();
+    const request = {
+      from: user.address,
+      to: rwaAddress,
+      value: 0n,
+      gas: 100000n,
+      nonce: await forwarder.contract.nonces(user.address),
+      deadline: (await provider.getBlock("latest")).timestamp + 3600,
+      data: transferData(dusdAddress, 0n)
+    };
+    const signature = await user.signTypedData(forwarder.domain, FORWARD_REQUEST_TYPES, request);
+
+    const deployed = relayerContract("TrustedForwarder", forwarderAddress, provider);
+    expect(await deployed.verify({ ...request, signature })).to.equal(true);
+    expect(await deployed.verify({ ...request, gas: 1n, signature })).to.equal(false);
+  });
+});
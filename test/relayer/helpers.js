@@ -0,0 +1,117 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const hre = require("hardhat");
+
+const { network } = hre;
+
+const RELAYER_DIR = path.join(__dirname, "..", "..", "relayer");
+
+// The relayer's own ethers, so providers and errors are the ones its modules see
+const { ethers } = require(require.resolve("ethers", { paths: [RELAYER_DIR] }));
+
+const MNEMONIC = "test test test test test test test test test test test junk";
+const CHAIN_ID = 31337;
+
+// Hardhat account `index` as a relayer-side wallet
+function wallet(index, provider) {
+  return ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`).connect(provider);
+}
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "relayer-test-"));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll `check` until it returns something truthy
+async function waitFor(check, { timeoutMs = 10000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await sleep(intervalMs);
+  }
+}
+
+// JSON-RPC over HTTP to the in-process Hardhat network, as `hardhat node`
+// serves it. While `setDown(true)` is in effect every connection is dropped.
+async function startRpcServer() {
+  let down = false;
+
+  async function answer({ id, method, params }) {
+    try {
+      return { jsonrpc: "2.0", id, result: await network.provider.request({ method, params }) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id, error: { code: error.code ?? -32603, message: error.message, data: error.data } };
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (down) {
+      req.socket.destroy();
+      return;
+    }
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const payload = JSON.parse(body);
+    const response = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload);
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(response));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    setDown: (value) => {
+      down = value;
+      if (down) server.closeAllConnections();
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Relayer-side provider for an RPC server; nothing is cached, so every read
+// sees the chain as it is now
+function rpcProvider(url) {
+  return new ethers.JsonRpcProvider(url, CHAIN_ID, { staticNetwork: true, cacheTimeout: -1 });
+}
+
+const mine = (blocks = 1) => network.provider.request({ method: "hardhat_mine", params: [ethers.toQuantity(blocks)] });
+const setAutomine = (enabled) => network.provider.request({ method: "evm_setAutomine", params: [enabled] });
+
+// Deploy a contract with the default Hardhat signer; resolves to its address
+async function deploy(name, ...args) {
+  const contract = await hre.ethers.deployContract(name, args);
+  await contract.waitForDeployment();
+  return contract.getAddress();
+}
+
+// Relayer-side contract instance from the compiled ABI
+function relayerContract(name, address, runner) {
+  return new ethers.Contract(address, hre.artifacts.readArtifactSync(name).abi, runner);
+}
+
+// Relayer module by its path under relayer/lib
+const relayerLib = (name) => require(path.join(RELAYER_DIR, "lib", name));
+
+module.exports = {
+  ethers,
+  CHAIN_ID,
+  wallet,
+  tmpDir,
+  sleep,
+  waitFor,
+  startRpcServer,
+  rpcProvider,
+  mine,
+  setAutomine,
+  deploy,
+  relayerContract,
+  relayerLib
+};
@@ -0,0 +1,50 @@
+const path = require("path");
+const { expect } = require("chai");
+const { tmpDir, relayerLib } = require("./helpers");
+
+const { createIdempotencyStore } = relayerLib("idempotency");
+
+describe("Relayer idempotency store", function () {
+  const job = { jobId: "job-1", chainId: 31337, action: "deposit", owner: "0x01" };
+  let filePath;
+
+  beforeEach(function () {
+    filePath = path.join(tmpDir(), "idempotency.json");
+  });
+
+  it("should replay a completed request by its hash or key, also after a restart", function () {
+    const store = createIdempotencyStore({ filePath });
+    const { reservation } = store.begin({ key: "key-1", requestHash: "0xaa" });
+    store.complete(reservation, job);
+
+    const restarted = createIdempotencyStore({ filePath });
+    expect(restarted.begin({ requestHash: "0xaa" }).replay).to.include({ jobId: "job-1", key: "key-1" });
+    expect(restarted.begin({ key: "key-1", requestHash: "0xaa" }).replay.jobId).to.equal("job-1");
+    expect(restarted.begin({ key: "key-1", requestHash: "0xbb" })).to.deep.equal({ keyReused: true });
+  });
+
+  it("should hold a request while it is processed and free it on release", function () {
+    const store = createIdempotencyStore({ filePath });
+    const { reservation } = store.begin({ key: "key-1", requestHash: "0xaa" });
+
+    expect(store.begin({ requestHash: "0xaa" })).to.deep.equal({ inProgress: true });
+    expect(store.begin({ key: "key-1", requestHash: "0xaa" })).to.deep.equal({ inProgress: true });
+    expect(store.begin({ key: "key-1", requestHash: "0xbb" })).to.deep.equal({ keyReused: true });
+
+    store.release(reservation);
+    expect(store.begin({ key: "key-1", requestHash: "0xaa" })).to.have.property("reservation");
+  });
+
+  it("should let expired and forgotten entries be requested again", async function () {
+    const store = createIdempotencyStore({ filePath, retentionMs: 20 });
+    store.complete(store.begin({ key: "key-1", requestHash: "0xaa" }).reservation, job);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(store.begin({ key: "key-1", requestHash: "0xbb" })).to.have.property("reservation");
+
+    const other = createIdempotencyStore({ filePath: path.join(tmpDir(), "idempotency.json") });
+    other.complete(other.begin({ requestHash: "0xcc" }).reservation, job);
+    other.forget(other.begin({ requestHash: "0xcc" }).replay);
+    expect(other.begin({ requestHash: "0xcc" })).to.have.property("reservation");
+  });
+});
@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { tmpDir, waitFor, relayerLib } = require("./helpers");
+
+const { createJobQueue, readSavedJobs } = relayerLib("jobQueue");
+
+describe("Relayer job queue", function () {
+  let filePath, queues;
+
+  // Queue on this test's file; stopped after the test
+  function queue(options) {
+    const jobQueue = createJobQueue({ filePath, baseBackoffMs: 10, idleIntervalMs: 10, ...options });
+    queues.push(jobQueue);
+    return jobQueue;
+  }
+
+  function transientError(message) {
+    const error = new Error(message);
+    error.transient = true;
+    return error;
+  }
+
+  const settled = (jobQueue, id) => waitFor(() => jobQueue.isTerminal(jobQueue.get(id)) && jobQueue.get(id));
+
+  beforeEach(function () {
+    filePath = path.join(tmpDir(), "jobs.json");
+    queues = [];
+  });
+
+  afterEach(function () {
+    for (const jobQueue of queues) jobQueue.stop();
+  });
+
+  it("should retry transient errors with backoff and then confirm", async function () {
+    let calls = 0;
+    const jobQueue = queue({
+      handler: async () => {
+        calls++;
+        if (calls < 3) throw transientError("socket hang up");
+        return { txHash: "0x01" };
+      }
+    });
+    const retries = [];
+    jobQueue.on("retry", job => retries.push(job.lastError));
+    jobQueue.start();
+
+    const job = await settled(jobQueue, jobQueue.enqueue({ action: "deposit" }).id);
+    expect(job.status).to.equal("confirmed");
+    expect(job.result).to.deep.equal({ txHash: "0x01" });
+    expect(job.attempts).to.equal(2);
+    expect(retries).to.deep.equal(["socket hang up", "socket hang up"]);
+  });
+
+  it("should fail a job once maxAttempts transient errors are used up", async function () {
+    const jobQueue = queue({ maxAttempts: 2, handler: async () => { throw transientError("ETIMEDOUT"); } });
+    jobQueue.start();
+
+    const job = await settled(jobQueue, jobQueue.enqueue({ action: "deposit" }).id);
+    expect(job.status).to.equal("failed");
+    expect(job.attempts).to.equal(2);
+    expect(job.error).to.equal("ETIMEDOUT");
+  });
+
+  it("should fail at once on a permanent error, keeping its code", async function () {
+    let calls = 0;
+    const jobQueue = queue({
+      handler: async () => {
+        calls++;
+        const error = new Error("Transaction reverted on-chain");
+        error.code = "INSUFFICIENT_ALLOWANCE";
+        throw error;
+      }
+    });
+    jobQueue.start();
+
+    const job = await settled(jobQueue, jobQueue.enqueue({ action: "deposit" }).id);
+    expect(calls).to.equal(1);
+    expect(job.status).to.equal("failed");
+    expect(job.errorCode).to.equal("INSUFFICIENT_ALLOWANCE");
+  });
+
+  it("should persist handler progress and emit its events", async function () {
+    const jobQueue = queue({
+      handler: async (job, { update }) => {
+        update({ status: "submitted", txHash: "0xabc", txHashes: ["0xabc"] }, "submitted");
+        update({ txHash: "0xdef", txHashes: ["0xabc", "0xdef"], feeBumps: 1 }, "replaced");
+        return { txHash: "0xdef" };
+      }
+    });
+    const events = [];
+    for (const name of ["queued", "submitted", "replaced", "confirmed"]) {
+      jobQueue.on(name, () => events.push(name));
+    }
+    jobQueue.start();
+
+    const job = await settled(jobQueue, jobQueue.enqueue({ action: "deposit" }).id);
+    expect(events).to.deep.equal(["queued", "submitted", "replaced", "confirmed"]);
+    expect(job.txHashes).to.deep.equal(["0xabc", "0xdef"]);
+    expect(job.feeBumps).to.equal(1);
+  });
+
+  it("should run jobs with the same serializeBy key one at a time, in order", async function () {
+    const running = new Set();
+    const order = [];
+    let overlapped = false;
+    const jobQueue = queue({
+      concurrency: 4,
+      serializeBy: job => job.owner,
+      handler: async (job) => {
+        if (running.has(job.owner)) overlapped = true;
+        running.add(job.owner);
+        order.push(job.n);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running.delete(job.owner);
+        return {};
+      }
+    });
+
+    const ids = [1, 2, 3].map(n => jobQueue.enqueue({ owner: "0xA", n }).id);
+    ids.push(jobQueue.enqueue({ owner: "0xB", n: 4 }).id);
+    jobQueue.start();
+    for (const id of ids) await settled(jobQueue, id);
+
+    expect(overlapped).to.equal(false);
+    expect(order.filter(n => n !== 4)).to.deep.equal([1, 2, 3]);
+  });
+
+  it("should keep held jobs until released and let fail() cancel them", async function () {
+    const ran = [];
+    const jobQueue = queue({ serializeBy: job => job.owner, handler: async (job) => { ran.push(job.n); return {}; } });
+    jobQueue.start();
+
+    const held = jobQueue.enqueue({ owner: "0xA", n: 1 }, { hold: true });
+    const next = jobQueue.enqueue({ owner: "0xA", n: 2 });
+    const cancelled = jobQueue.enqueue({ owner: "0xB", n: 3 }, { hold: true });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(ran).to.deep.equal([]);
+    expect(jobQueue.get(held.id).status).to.equal("held");
+
+    jobQueue.release(held.id);
+    await settled(jobQueue, next.id);
+    expect(ran).to.deep.equal([1, 2]);
+
+    expect(jobQueue.fail(cancelled.id, "Approval expired", "APPROVAL_EXPIRED").status).to.equal("failed");
+    expect(jobQueue.fail(next.id, "too late")).to.equal(null);
+  });
+
+  it("should hold a mined job's key until it is confirmed, re-running it first when re-queued", async function () {
+    const ran = [];
+    const jobQueue = queue({
+      awaitConfirmation: true,
+      serializeBy: job => job.owner,
+      handler: async (job) => { ran.push(job.n); return { txHash: `0x0${job.n}` }; }
+    });
+    jobQueue.start();
+
+    const first = jobQueue.enqueue({ owner: "0xA", n: 1 });
+    const second = jobQueue.enqueue({ owner: "0xA", n: 2 });
+    await waitFor(() => jobQueue.get(first.id).status === "mined");
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(ran).to.deep.equal([1]);
+    expect(jobQueue.get(second.id).status).to.equal("queued");
+
+    // A reorg sends the mined job back; it runs again before the next one
+    jobQueue.requeue(first.id, {}, "reorged");
+    await waitFor(() => jobQueue.get(first.id).status === "mined");
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(ran).to.deep.equal([1, 1]);
+
+    jobQueue.confirm(first.id);
+    await waitFor(() => jobQueue.get(second.id).status === "mined");
+    expect(ran).to.deep.equal([1, 1, 2]);
+  });
+
+  it("should wait while canRun() is false", async function () {
+    let allowed = false;
+    const jobQueue = queue({ canRun: () => allowed, handler: async () => ({}) });
+    jobQueue.start();
+
+    const { id } = jobQueue.enqueue({ action: "deposit" });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(jobQueue.get(id).status).to.equal("queued");
+
+    allowed = true;
+    expect((await settled(jobQueue, id)).status).to.equal("confirmed");
+  });
+
+  it("should batch jobs of one key, settling each on its own outcome", async function () {
+    const batches = [];
+    const singles = [];
+    const jobQueue = queue({
+      batchBy: job => job.chain,
+      batchWindowMs: 50,
+      maxBatchSize: 2,
+      handler: async (job) => { singles.push(job.n); return {}; },
+      batchHandler: async (jobs) => {
+        batches.push(jobs.map(job => job.n));
+        return jobs.map(job => (job.n === 2 ? { error: Object.assign(new Error("Action would revert"), { code: "CALL_EXCEPTION" }) } : { result: {} }));
+      }
+    });
+
+    const ids = [["A", 1], ["A", 2], ["A", 3], ["B", 4]].map(([chain, n]) => jobQueue.enqueue({ chain, n }).id);
+    jobQueue.start();
+    const [first, second, third, other] = await Promise.all(ids.map(id => settled(jobQueue, id)));
+
+    expect(batches).to.deep.equal([[1, 2]]);
+    expect(singles.sort()).to.deep.equal([3, 4]);
+    expect(first.status).to.equal("confirmed");
+    expect(second).to.include({ status: "failed", errorCode: "CALL_EXCEPTION" });
+    expect(first.batchId).to.be.a("string").and.equal(second.batchId);
+    expect(third.batchId ?? null).to.equal(null);
+    expect(other.status).to.equal("confirmed");
+  });
+
+  describe("restart recovery", function () {
+    it("should resume queued and submitted jobs from the snapshot", async function () {
+      const first = queue({ handler: async () => ({}) });
+      const queued = first.enqueue({ action: "deposit" });
+      const submitted = first.enqueue({ action: "withdraw" });
+      first.stop();
+      // A crash after broadcasting, before the receipt
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      Object.assign(saved.find(job => job.id === submitted.id), { status: "submitted", txHash: "0xabc", txHashes: ["0xabc"], txNonce: 7 });
+      fs.writeFileSync(filePath, JSON.stringify(saved));
+
+      const resumed = [];
+      const second = queue({
+        handler: async (job) => {
+          resumed.push({ action: job.action, txHashes: job.txHashes || [] });
+          return {};
+        }
+      });
+      expect(second.get(submitted.id).txNonce).to.equal(7);
+      expect(second.stats().counts.submitted).to.equal(1);
+      second.start();
+
+      await settled(second, queued.id);
+      await settled(second, submitted.id);
+      expect(resumed).to.deep.include({ action: "withdraw", txHashes: ["0xabc"] });
+      expect(resumed).to.deep.include({ action: "deposit", txHashes: [] });
+    });
+
+    it("should journal changes and fold them into the snapshot on stop", function () {
+      const first = queue({ handler: async () => ({}) });
+      const snapshot = fs.readFileSync(filePath, "utf8");
+      const deposit = first.enqueue({ action: "deposit" });
+      first.enqueue({ action: "withdraw" });
+
+      expect(fs.readFileSync(filePath, "utf8")).to.equal(snapshot);
+      expect(fs.readFileSync(`${filePath}.journal`, "utf8").trim().split("\n")).to.have.length(2);
+      expect(readSavedJobs(filePath).get(deposit.id)).to.deep.equal(deposit);
+
+      first.stop();
+      expect(fs.existsSync(`${filePath}.journal`)).to.equal(false);
+      expect(JSON.parse(fs.readFileSync(filePath, "utf8")).map(job => job.action)).to.deep.equal(["deposit", "withdraw"]);
+    });
+
+    it("should compact the journal once it outgrows the jobs", async function () {
+      const jobQueue = queue({ handler: async () => ({}), concurrency: 50 });
+      const ids = [];
+      for (let i = 0; i < 600; i++) ids.push(jobQueue.enqueue({ action: "deposit" }).id);
+      expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).to.have.length(0);
+
+      // Queued and confirmed: two entries per job, compacted at the 1001st
+      jobQueue.start();
+      await waitFor(() => ids.every(id => jobQueue.get(id).status === "confirmed"));
+      const snapshot = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      expect(snapshot).to.have.length(600);
+      expect(snapshot.filter(job => job.status === "confirmed")).to.have.length(401);
+      expect(fs.readFileSync(`${filePath}.journal`, "utf8").trim().split("\n")).to.have.length(199);
+    });
+
+    it("should load the changes of a compaction cut short by a crash", function () {
+      const first = queue({ handler: async () => ({}) });
+      const submitted = first.enqueue({ action: "deposit" });
+      const failed = first.enqueue({ action: "withdraw" });
+      first.stop();
+
+      // Crashed after setting the journal aside, with newer changes journaled since
+      fs.writeFileSync(`${filePath}.journal.compacting`, JSON.stringify({ ...submitted, status: "submitted", txHashes: ["0xabc"] }) + "\n");
+      fs.writeFileSync(`${filePath}.journal`, JSON.stringify({ ...failed, status: "failed" }) + "\n{\"id\":");
+
+      const second = queue({ handler: async () => ({}) });
+      expect(second.get(submitted.id)).to.include({ status: "submitted" });
+      expect(second.get(failed.id)).to.include({ status: "failed" });
+      expect(fs.existsSync(`${filePath}.journal.compacting`)).to.equal(false);
+      expect(readSavedJobs(filePath).get(submitted.id).txHashes).to.deep.equal(["0xabc"]);
+    });
+
+    it("should keep terminal jobs for lookups and prune them after retentionMs", async function () {
+      const first = queue({ handler: async () => ({ txHash: "0x01" }) });
+      first.start();
+      const done = await settled(first, first.enqueue({ action: "deposit" }).id);
+      first.stop();
+
+      expect(queue({ handler: async () => ({}) }).get(done.id).status).to.equal("confirmed");
+
+      const pruning = queue({ handler: async () => ({}), retentionMs: -1 });
+      pruning.enqueue({ action: "deposit" });
+      expect(pruning.get(done.id)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, wallet, tmpDir, waitFor, startRpcServer, rpcProvider, relayerLib } = require("./helpers");
+
+const { createJobQueue } = relayerLib("jobQueue");
+const { createNonceManager } = relayerLib("nonceManager");
+const { createKeyRotation } = relayerLib("keyRotation");
+
+describe("Relayer key rotation", function () {
+  let rpc, provider, dataDir, jobQueue, events;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+  });
+
+  after(async function () {
+    provider.destroy();
+    await rpc.close();
+  });
+
+  beforeEach(function () {
+    dataDir = tmpDir();
+    jobQueue = createJobQueue({ filePath: path.join(dataDir, "jobs.json"), handler: async () => ({}) });
+    events = [];
+  });
+
+  function keyRotation(options = {}) {
+    return createKeyRotation({
+      dataDir,
+      jobQueue,
+      chainIdOf: job => job.chainId,
+      switchSigner: (chain, newWallet) => { chain.signer = newWallet.connect(provider); },
+      logEvent: event => events.push(event),
+      pollIntervalMs: 10,
+      ...options
+    });
+  }
+
+  function chainWith(signer) {
+    return { chainId: 31337, provider, signer, nonceManager: createNonceManager({ provider, getAddress: () => signer.address }) };
+  }
+
+  const finished = (rotations) => waitFor(() => rotations.inProgress() === null);
+
+  it("should sweep the old wallet's funds to the new key and switch to it", async function () {
+    this.timeout(30000);
+    const rotations = keyRotation();
+    const chain = chainWith(wallet(18, provider));
+    const oldAddress = chain.signer.address;
+    const newWallet = ethers.Wallet.createRandom();
+
+    const rotation = rotations.start([{ chain, wallet: newWallet, passphrase: "rotate me" }], { reason: "admin", admin: "0xadmin" });
+    expect(rotation.status).to.equal("in_progress");
+    expect(() => rotations.start([], { reason: "admin" })).to.throw("A key rotation is already in progress");
+    await finished(rotations);
+
+    expect(rotation.status).to.equal("completed");
+    expect(chain.signer.address).to.equal(newWallet.address);
+    const [result] = rotation.chains;
+    expect(result).to.include({ status: "rotated", persisted: true, oldAddress, newAddress: newWallet.address, sweepConfirmed: true });
+    expect(await provider.getBalance(newWallet.address)).to.equal(BigInt(result.sweptWei));
+
+    const stored = rotations.rotatedKeyOf(31337);
+    expect(stored.address).to.equal(newWallet.address);
+    expect((await ethers.Wallet.fromEncryptedJson(fs.readFileSync(stored.keystoreFile, "utf8"), "rotate me")).address).to.equal(newWallet.address);
+    expect(events.map(event => event.type)).to.deep.equal(["KEY_ROTATION_STARTED", "KEY_ROTATED"]);
+    expect((await rotations.status()).history.map(entry => entry.id)).to.deep.equal([rotation.id]);
+  });
+
+  it("should keep the old key when the chain's jobs do not drain", async function () {
+    jobQueue.enqueue({ chainId: 31337, txHashes: ["0x01"] });
+    const rotations = keyRotation({ drainTimeoutMs: 50 });
+    const chain = chainWith(ethers.Wallet.createRandom().connect(provider));
+    const oldAddress = chain.signer.address;
+
+    const rotation = rotations.start([{ chain, wallet: ethers.Wallet.createRandom(), passphrase: null }], { reason: "scheduled" });
+    expect(rotations.isPaused(31337)).to.equal(true);
+    await finished(rotations);
+
+    expect(rotation.status).to.equal("failed");
+    expect(rotation.chains[0]).to.include({ status: "failed", code: "KEY_ROTATION_DRAIN_TIMEOUT" });
+    expect(chain.signer.address).to.equal(oldAddress);
+    expect(rotations.isPaused(31337)).to.equal(false);
+  });
+
+  describe("when the rotation itself fails", function () {
+    let unhandled;
+    const onUnhandled = (reason) => unhandled.push(reason);
+
+    beforeEach(function () {
+      unhandled = [];
+      process.on("unhandledRejection", onUnhandled);
+    });
+
+    afterEach(function () {
+      process.off("unhandledRejection", onUnhandled);
+    });
+
+    async function rotateOnce(rotations) {
+      const chain = chainWith(ethers.Wallet.createRandom().connect(provider));
+      const rotation = rotations.start([{ chain, wallet: ethers.Wallet.createRandom(), passphrase: null }], { reason: "scheduled" });
+      await finished(rotations);
+      // Let a rejection nobody handles surface
+      await new Promise(resolve => setImmediate(resolve));
+      return rotation;
+    }
+
+    it("should log KEY_ROTATION_FAILED and allow the next rotation when the history cannot be written", async function () {
+      fs.mkdirSync(path.join(dataDir, "key-rotations.jsonl"));
+      const rotations = keyRotation();
+
+      const rotation = await rotateOnce(rotations);
+      expect(unhandled).to.deep.equal([]);
+      expect(rotation.chains[0].status).to.equal("rotated");
+      expect(events.at(-1)).to.include({ type: "KEY_ROTATION_FAILED", rotationId: rotation.id });
+      expect(events.at(-1).error).to.match(/EISDIR/);
+
+      expect((await rotateOnce(rotations)).chains).to.have.length(1);
+    });
+
+    it("should not leave the rotation in progress when logging an event throws", async function () {
+      const rotations = keyRotation({
+        logEvent: event => {
+          if (event.type === "KEY_ROTATED") throw new Error("security log unavailable");
+          events.push(event);
+        }
+      });
+
+      const rotation = await rotateOnce(rotations);
+      expect(unhandled).to.deep.equal([]);
+      expect(rotations.inProgress()).to.equal(null);
+      expect(rotation.status).to.equal("failed");
+      expect(events.at(-1)).to.include({ type: "KEY_ROTATION_FAILED", error: "security log unavailable" });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { relayerLib } = require("./helpers");
+
+const { createMetricsRegistry } = relayerLib("metrics");
+
+describe("Relayer metrics registry", function () {
+  let registry;
+
+  beforeEach(function () {
+    registry = createMetricsRegistry();
+  });
+
+  it("should render counters per label set", async function () {
+    const relays = registry.counter("relayer_relays_total", "Relays by outcome");
+    relays.inc({ action: "deposit", outcome: "confirmed" });
+    relays.inc({ outcome: "confirmed", action: "deposit" }, 2);
+    relays.inc({ action: "withdraw", outcome: "failed" });
+
+    expect(await registry.render()).to.equal([
+      "# HELP relayer_relays_total Relays by outcome",
+      "# TYPE relayer_relays_total counter",
+      'relayer_relays_total{action="deposit",outcome="confirmed"} 3',
+      'relayer_relays_total{action="withdraw",outcome="failed"} 1',
+      ""
+    ].join("\n"));
+  });
+
+  it("should render cumulative histogram buckets", async function () {
+    const latency = registry.histogram("relayer_relay_seconds", "Relay latency", [1, 5]);
+    latency.observe({ action: "deposit" }, 0.5);
+    latency.observe({ action: "deposit" }, 3);
+    latency.observe({ action: "deposit" }, 9);
+
+    const lines = (await registry.render()).split("\n");
+    expect(lines).to.include.members([
+      'relayer_relay_seconds_bucket{action="deposit",le="1"} 1',
+      'relayer_relay_seconds_bucket{action="deposit",le="5"} 2',
+      'relayer_relay_seconds_bucket{action="deposit",le="+Inf"} 3',
+      'relayer_relay_seconds_sum{action="deposit"} 12.5',
+      'relayer_relay_seconds_count{action="deposit"} 3'
+    ]);
+  });
+
+  it("should collect gauges at scrape time and escape label values", async function () {
+    let depth = 1;
+    registry.gauge("relayer_queue_depth", "Jobs waiting", () => depth);
+    registry.gauge("relayer_balance_eth", "Relayer balance", async () => [{ labels: { network: 'main "net"\n' }, value: 2 }]);
+
+    depth = 4;
+    const text = await registry.render();
+    expect(text).to.include("relayer_queue_depth 4\n");
+    expect(text).to.include('relayer_balance_eth{network="main \\"net\\"\\n"} 2');
+  });
+
+  it("should drop only the samples of a failing collector", async function () {
+    registry.gauge("relayer_rpc_up", "RPC reachable", async () => { throw new Error("RPC down"); });
+    registry.counter("relayer_errors_total", "Errors").inc();
+
+    const originalError = console.error;
+    console.error = () => {};
+    let text;
+    try {
+      text = await registry.render();
+    } finally {
+      console.error = originalError;
+    }
+    expect(text).to.include("# TYPE relayer_rpc_up gauge\n");
+    expect(text).to.not.match(/^relayer_rpc_up /m);
+    expect(text).to.include("relayer_errors_total 1\n");
+  });
+});
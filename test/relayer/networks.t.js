@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, tmpDir, relayerLib } = require("./helpers");
+
+const { loadNetworks, parseChainId } = relayerLib("networks");
+
+describe("Relayer network config", function () {
+  const address = (byte) => ethers.getAddress("0x" + byte.repeat(20));
+  const base = { chainId: 31337, rpcUrl: "http://127.0.0.1:8545", lendingPool: address("11"), dusd: address("22") };
+
+  function fromFile(config) {
+    const configFile = path.join(tmpDir(), "networks.json");
+    fs.writeFileSync(configFile, JSON.stringify(config));
+    return loadNetworks({ configFile, env: {} });
+  }
+
+  const configError = (config) => {
+    try {
+      fromFile(config);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+
+  it("should read the legacy single-network environment", function () {
+    const { defaultChainId, networks } = loadNetworks({
+      env: {
+        RPC_URL: "http://a.test, http://b.test",
+        CHAIN_ID: "1043",
+        LENDING_POOL_ADDRESS: base.lendingPool.toLowerCase(),
+        DUSD_ADDRESS: base.dusd,
+        RWA_TOKEN_ADDRESSES: `${address("33")},not-an-address`,
+        RELAYER_KEYSTORE_FILE: "keystore.json"
+      }
+    });
+    expect(defaultChainId).to.equal(1043);
+    expect(networks[0]).to.include({ chainId: 1043, name: "default", lendingPool: base.lendingPool, rpcQuorum: 1, forwarder: null });
+    expect(networks[0].rpcUrls).to.deep.equal(["http://a.test", "http://b.test"]);
+    expect(networks[0].rwaTokens).to.deep.equal([address("33")]);
+    expect(networks[0].signer).to.deep.equal({ type: "keystore", file: "keystore.json", passphraseEnv: "RELAYER_KEYSTORE_PASSPHRASE" });
+
+    expect(() => loadNetworks({ env: { RPC_URL: "http://a.test" } })).to.throw(/set NETWORKS_CONFIG/);
+  });
+
+  it("should read several networks and their options from a file", function () {
+    const { defaultChainId, networks } = fromFile({
+      defaultChainId: 1043,
+      networks: [
+        { ...base, name: "local", confirmations: 2, dailyGasBudgetEth: "0.5", relayerKeyEnv: "LOCAL_KEY" },
+        {
+          ...base,
+          chainId: 1043,
+          rpcUrl: undefined,
+          rpcUrls: ["https://a.test", "https://b.test"],
+          rpcQuorum: 2,
+          signer: { type: "remote", url: "https://signer.test", address: address("44") },
+          forwarder: { address: address("55"), name: "TrustedForwarder", targets: { [address("11")]: ["deposit(uint256 amount)"] } }
+        }
+      ]
+    });
+
+    expect(defaultChainId).to.equal(1043);
+    expect(networks[0]).to.include({ name: "local", confirmations: 2, dailyGasBudget: ethers.parseEther("0.5") });
+    expect(networks[0].signer).to.deep.equal({ type: "privateKey", keyEnv: "LOCAL_KEY" });
+    expect(networks[1]).to.include({ name: "chain-1043", rpcQuorum: 2 });
+    expect(networks[1].signer).to.deep.equal({ type: "remote", url: "https://signer.test", address: address("44"), tokenEnv: "RELAYER_REMOTE_SIGNER_TOKEN" });
+    expect(networks[1].forwarder.targets[address("11")][0].format()).to.equal("deposit(uint256)");
+  });
+
+  it("should reject malformed networks with the entry that is wrong", function () {
+    expect(configError({ networks: [] })).to.match(/networks must be a non-empty list/);
+    expect(configError({ networks: [base, base] })).to.match(/each chainId may only be listed once/);
+    expect(configError({ defaultChainId: 1, networks: [base] })).to.match(/defaultChainId 1 is not one/);
+    expect(configError({ networks: [{ ...base, lendingPool: "0x1234" }] })).to.equal("Invalid network config: chain 31337 needs a valid lendingPool address");
+    expect(configError({ networks: [{ ...base, rpcUrl: "ws://127.0.0.1" }] })).to.match(/is not an http\(s\) URL/);
+    expect(configError({ networks: [{ ...base, rpcQuorum: 2 }] })).to.match(/rpcQuorum must be/);
+    expect(configError({ networks: [{ ...base, confirmations: 0 }] })).to.match(/confirmations must be a positive integer/);
+    expect(configError({ networks: [{ ...base, signer: { type: "hsm" } }] })).to.match(/signer type must be/);
+    expect(configError({ networks: [{ ...base, forwarder: { address: address("55"), targets: { [address("11")]: ["not a function"] } } }] })).to.match(/has an invalid function/);
+  });
+
+  it("should parse chain IDs from bodies and query strings", function () {
+    expect(parseChainId(1043)).to.equal(1043);
+    expect(parseChainId("31337")).to.equal(31337);
+    expect(parseChainId("0x7a69")).to.equal(null);
+    expect(parseChainId(-1)).to.equal(null);
+    expect(parseChainId(undefined)).to.equal(null);
+  });
+});
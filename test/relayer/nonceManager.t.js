@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { wallet, startRpcServer, rpcProvider, mine, setAutomine, relayerLib } = require("./helpers");
+
+const { createNonceManager } = relayerLib("nonceManager");
+
+describe("Relayer nonce manager", function () {
+  let rpc, provider, relayer, other;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+    relayer = wallet(12, provider);
+    other = wallet(13, provider);
+  });
+
+  after(async function () {
+    provider.destroy();
+    await rpc.close();
+  });
+
+  afterEach(async function () {
+    await setAutomine(true);
+    await mine();
+  });
+
+  it("should hand out distinct consecutive nonces to concurrent callers", async function () {
+    const nonceManager = createNonceManager({ provider, getAddress: () => relayer.address });
+    const start = await provider.getTransactionCount(relayer.address, "pending");
+
+    const nonces = await Promise.all([1, 2, 3, 4].map(() => nonceManager.acquire()));
+    expect(nonces).to.deep.equal([start, start + 1, start + 2, start + 3]);
+    expect(nonceManager.state().inFlight).to.deep.equal(nonces);
+    expect(nonceManager.state().resyncCount).to.equal(1);
+  });
+
+  it("should resync from the pending count after a release", async function () {
+    const nonceManager = createNonceManager({ provider, getAddress: () => relayer.address });
+    const nonce = await nonceManager.acquire();
+    nonceManager.release(nonce, new Error("insufficient funds"));
+    expect(nonceManager.state().needsResync).to.equal(true);
+    expect(nonceManager.state().lastError).to.equal("insufficient funds");
+
+    // The gap is reused instead of leaving the wallet stuck behind it
+    expect(await nonceManager.acquire()).to.equal(nonce);
+    expect(nonceManager.state().resyncCount).to.equal(2);
+  });
+
+  it("should pick up nonces consumed elsewhere after invalidate()", async function () {
+    const nonceManager = createNonceManager({ provider, getAddress: () => relayer.address });
+    const nonce = await nonceManager.acquire();
+    nonceManager.release(nonce);
+    await relayer.sendTransaction({ to: relayer.address, nonce });
+
+    nonceManager.invalidate(new Error("nonce too low"));
+    expect(await nonceManager.acquire()).to.equal(nonce + 1);
+  });
+
+  it("should skip nonces of transactions still in flight when resyncing", async function () {
+    await setAutomine(false);
+    const nonceManager = createNonceManager({ provider, getAddress: () => relayer.address });
+    const pending = await nonceManager.acquire();
+    const held = await nonceManager.acquire();
+    await relayer.sendTransaction({ to: relayer.address, nonce: pending });
+
+    // `held` was never broadcast yet; a resync must not hand it out again
+    nonceManager.invalidate();
+    expect(await nonceManager.acquire()).to.equal(held + 1);
+  });
+
+  it("should skip nonces tracked from persisted jobs", async function () {
+    const nonceManager = createNonceManager({ provider, getAddress: () => relayer.address });
+    const start = await provider.getTransactionCount(relayer.address, "pending");
+
+    nonceManager.track(start, relayer.address);
+    nonceManager.track(start + 1, other.address);
+    expect(await nonceManager.acquire()).to.equal(start + 1);
+    expect(nonceManager.state().inFlight).to.deep.equal([start, start + 1]);
+  });
+
+  it("should start over when the relayer key changes", async function () {
+    let current = relayer;
+    const nonceManager = createNonceManager({ provider, getAddress: () => current.address });
+    await nonceManager.acquire();
+
+    current = other;
+    const otherStart = await provider.getTransactionCount(other.address, "pending");
+    expect(await nonceManager.acquire()).to.equal(otherStart);
+    expect(nonceManager.state().address).to.equal(other.address);
+    expect(nonceManager.state().inFlight).to.deep.equal([otherStart]);
+  });
+});
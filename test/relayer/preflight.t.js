@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, startRpcServer, rpcProvider, deploy, relayerContract, relayerLib } = require("./helpers");
+
+const { createPreflight } = relayerLib("preflight");
+const { decodeRevert, errorMessage } = relayerLib("revertDecoder");
+
+// The server's mapping, without the HTTP status
+function describeRevert(error) {
+  const revert = decodeRevert(error);
+  const code = revert?.code || "TRANSACTION_FAILED";
+  return { error: errorMessage(code), code, revert };
+}
+
+describe("Relayer preflight checks", function () {
+  const amount = ethers.parseEther("10");
+  let rpc, provider, dusd, lendingPool, user, preflight;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+  });
+
+  after(async function () {
+    provider.destroy();
+    await rpc.close();
+  });
+
+  beforeEach(async function () {
+    const [owner, , , signer] = await hre.ethers.getSigners();
+    user = signer;
+    const dusdAddress = await deploy("DUSD");
+    const poolAddress = await deploy("LendingPool", dusdAddress, ethers.parseUnits("1", 9));
+    dusd = await hre.ethers.getContractAt("DUSD", dusdAddress);
+    await dusd.setVault(owner.address);
+    await dusd.mint(user.address, amount);
+
+    lendingPool = relayerContract("LendingPool", poolAddress, provider);
+    preflight = createPreflight({
+      provider,
+      lendingPool,
+      dusdAddress,
+      getRelayerAddress: () => owner.address,
+      describeRevert
+    });
+  });
+
+  // A signed deposit and its relay call
+  async function signedDeposit(value = amount, deadlineOffset = 3600) {
+    const nonce = await lendingPool.nonces(user.address);
+    const deadline = (await provider.getBlock("latest")).timestamp + deadlineOffset;
+    const action = { owner: user.address, amount: value, nonce, deadline };
+    const domain = { name: "LendingPool", version: "1", chainId: 31337, verifyingContract: lendingPool.target };
+    const types = {
+      DepositAction: [
+        { name: "owner", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const signature = await user.signTypedData(domain, types, action);
+    const request = {
+      to: lendingPool.target,
+      data: lendingPool.interface.encodeFunctionData("executeDeposit", [action, signature])
+    };
+    return { action, request, context: { request, onChainNonce: nonce, nextNonce: nonce } };
+  }
+
+  it("should accept a deposit that would succeed", async function () {
+    await dusd.connect(user).approve(lendingPool.target, amount);
+    const { action, context } = await signedDeposit();
+    expect(await preflight.check("deposit", action, context)).to.equal(null);
+  });
+
+  it("should reject a deposit without allowance or balance", async function () {
+    const { action, context } = await signedDeposit();
+    const noAllowance = await preflight.check("deposit", action, context);
+    expect(noAllowance.code).to.equal("INSUFFICIENT_ALLOWANCE");
+    expect(noAllowance.details).to.deep.equal({ allowance: "0", required: amount.toString() });
+
+    const tooMuch = await signedDeposit(amount * 2n);
+    expect((await preflight.check("deposit", tooMuch.action, tooMuch.context)).code).to.equal("INSUFFICIENT_BALANCE");
+  });
+
+  it("should reject used and out-of-order nonces", async function () {
+    const { action, context } = await signedDeposit();
+    const used = await preflight.check("deposit", action, { ...context, onChainNonce: action.nonce + 1n, nextNonce: action.nonce + 1n });
+    expect(used.code).to.equal("INVALID_NONCE");
+    expect(used.error).to.equal("Invalid nonce - already used");
+
+    const gap = await preflight.check("deposit", { ...action, nonce: action.nonce + 2n }, { ...context, nextNonce: action.nonce + 1n });
+    expect(gap.details).to.deep.equal({ nonce: (action.nonce + 2n).toString(), expectedNonce: (action.nonce + 1n).toString() });
+  });
+
+  it("should report the decoded revert of a failing simulation", async function () {
+    await dusd.connect(user).approve(lendingPool.target, amount);
+    const { action, context } = await signedDeposit(amount, -60);
+    const rejection = await preflight.check("deposit", action, context);
+    expect(rejection.code).to.equal("SIGNATURE_EXPIRED");
+    expect(rejection.details).to.deep.equal({ reason: "Signature expired", error: "Error", args: ["Signature expired"] });
+  });
+
+  it("should not simulate while earlier actions of the owner are queued", async function () {
+    await dusd.connect(user).approve(lendingPool.target, amount);
+    const { action, context } = await signedDeposit(amount, -60);
+    const queuedBehind = { ...action, nonce: action.nonce + 1n };
+    expect(await preflight.check("deposit", queuedBehind, { ...context, nextNonce: action.nonce + 1n })).to.equal(null);
+  });
+
+  it("should reject a withdrawal above the deposited balance", async function () {
+    const { action, context } = await signedDeposit();
+    const rejection = await preflight.check("withdraw", action, context);
+    expect(rejection).to.deep.equal({
+      error: "Insufficient deposited balance",
+      code: "INSUFFICIENT_BALANCE",
+      details: { balance: "0", required: amount.toString() }
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { tmpDir, relayerLib } = require("./helpers");
+
+const { createRecordStore, parseTimeFilter, toCSVRow } = relayerLib("recordStore");
+
+describe("Relayer record store", function () {
+  let filePath;
+
+  beforeEach(function () {
+    filePath = path.join(tmpDir(), "logs", "events.jsonl");
+  });
+
+  async function collect(records) {
+    const collected = [];
+    for await (const record of records) collected.push(record);
+    return collected;
+  }
+
+  it("should append one JSON line per record, also across restarts", function () {
+    const store = createRecordStore(filePath);
+    const entry = store.append({ type: "A" });
+    expect(entry.id).to.be.a("string");
+    expect(Date.parse(entry.timestamp)).to.not.be.NaN;
+
+    createRecordStore(filePath).append({ id: "b", timestamp: "2024-01-01T00:00:00.000Z", type: "B" });
+    const lines = fs.readFileSync(filePath, "utf8").trim().split("\n").map(line => JSON.parse(line));
+    expect(lines).to.deep.equal([entry, { id: "b", timestamp: "2024-01-01T00:00:00.000Z", type: "B" }]);
+  });
+
+  it("should filter by address, fields and time range", async function () {
+    const store = createRecordStore(filePath);
+    store.append({ id: "1", timestamp: "2024-01-01T00:00:00.000Z", type: "A", address: "0xAbC", status: "mined" });
+    store.append({ id: "2", timestamp: "2024-01-02T00:00:00.000Z", type: "B", address: "0xabc", status: "failed" });
+    store.append({ id: "3", timestamp: "2024-01-03T00:00:00.000Z", type: "A", address: "0xdef", action: "deposit" });
+    const ids = async (filters) => (await store.query(filters)).map(record => record.id);
+
+    expect(await ids({ address: "0xABC" })).to.deep.equal(["1", "2"]);
+    expect(await ids({ type: "A" })).to.deep.equal(["1", "3"]);
+    expect(await ids({ status: "failed" })).to.deep.equal(["2"]);
+    expect(await ids({ action: "deposit" })).to.deep.equal(["3"]);
+    expect(await ids({ from: parseTimeFilter("2024-01-02"), to: parseTimeFilter("1704240000") })).to.deep.equal(["2", "3"]);
+    expect(parseTimeFilter("yesterday")).to.equal(null);
+  });
+
+  it("should keep the most recent matches in chronological order under a limit", async function () {
+    const store = createRecordStore(filePath);
+    for (let index = 1; index <= 5; index++) store.append({ id: String(index), type: index % 2 ? "odd" : "even" });
+    fs.appendFileSync(filePath, "{\"id\":\"partial");
+
+    expect((await store.query({}, 3)).map(record => record.id)).to.deep.equal(["3", "4", "5"]);
+    expect((await store.query({ type: "odd" }, 2)).map(record => record.id)).to.deep.equal(["3", "5"]);
+    expect(await createRecordStore(path.join(tmpDir(), "missing.jsonl")).query()).to.deep.equal([]);
+  });
+
+  it("should rotate full files and read the kept ones oldest first", async function () {
+    const record = (id) => ({ id, timestamp: "2024-01-01T00:00:00.000Z", type: "A" });
+    const lineBytes = JSON.stringify(record("1")).length + 1;
+    const store = createRecordStore(filePath, { maxFileBytes: 2 * lineBytes, maxFiles: 2 });
+    for (let index = 1; index <= 9; index++) store.append(record(String(index)));
+
+    expect(fs.existsSync(`${filePath}.2`)).to.equal(true);
+    expect(fs.existsSync(`${filePath}.3`)).to.equal(false);
+    // .2 holds 5-6, .1 holds 7-8 and the current file 9
+    expect((await store.query()).map(entry => entry.id)).to.deep.equal(["5", "6", "7", "8", "9"]);
+    expect((await collect(store.stream({ type: "A" }))).map(entry => entry.id)).to.deep.equal(["5", "6", "7", "8", "9"]);
+  });
+
+  it("should stop reading when a stream is abandoned", async function () {
+    const store = createRecordStore(filePath);
+    for (let index = 1; index <= 3; index++) store.append({ id: String(index) });
+
+    const read = [];
+    for await (const record of store.stream()) {
+      read.push(record.id);
+      if (read.length === 2) break;
+    }
+    expect(read).to.deep.equal(["1", "2"]);
+  });
+
+  it("should write CSV rows with escaped values", function () {
+    expect(toCSVRow(["id", "note", "event"])).to.equal("id,note,event\n");
+    expect(toCSVRow(["1", "say \"hi\", twice", { type: "A" }, undefined])).to.equal("1,\"say \"\"hi\"\", twice\",\"{\"\"type\"\":\"\"A\"\"}\",\n");
+  });
+});
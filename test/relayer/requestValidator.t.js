@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const { relayerLib } = require("./helpers");
+
+const { createRequestValidator } = relayerLib("requestValidator");
+const spec = require("../../relayer/openapi.json");
+
+describe("Relayer request validator", function () {
+  const owner = "0x" + "11".repeat(20);
+  const deposit = { owner, amount: "1.5", nonce: "0", deadline: "1800000000", signature: "0x" + "ab".repeat(65) };
+  let events, validator;
+
+  beforeEach(function () {
+    events = [];
+    validator = createRequestValidator({ spec, logEvent: event => events.push(event) });
+  });
+
+  // Runs the middleware as Express would; resolves to the rejection, or null when the route runs
+  function validate({ method = "POST", path, query = {}, headers = {}, body }) {
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = { method, path, query, body, ip: "127.0.0.1", get: (name) => lowerHeaders[name.toLowerCase()] };
+    let rejection = null;
+    const res = {
+      status(status) {
+        return { json: (payload) => { rejection = { status, ...payload }; } };
+      }
+    };
+    let passed = false;
+    validator.middleware(req, res, () => { passed = true; });
+    expect(passed).to.equal(rejection === null);
+    return rejection;
+  }
+
+  it("should pass a valid request to the route", function () {
+    expect(validate({ path: "/api/deposit", body: deposit, headers: { "Idempotency-Key": "key-1" } })).to.equal(null);
+    expect(validate({ path: "/api/deposit/", body: { ...deposit, chainId: 31337 } })).to.equal(null);
+    expect(validate({ method: "GET", path: `/api/nonce/${owner}`, query: { chainId: "31337" } })).to.equal(null);
+    expect(events).to.deep.equal([]);
+  });
+
+  it("should reject a body with the failing field's code", function () {
+    const missing = validate({ path: "/api/deposit", body: { ...deposit, signature: undefined } });
+    expect(missing).to.deep.include({ status: 400, error: "Missing required fields", code: "MISSING_FIELDS" });
+    expect(missing.details).to.include({ location: "body", field: "signature" });
+
+    expect(validate({ path: "/api/deposit", body: { ...deposit, amount: "1.2.3" } })).to.include({ error: "Invalid amount", code: "INVALID_AMOUNT" });
+    expect(validate({ path: "/api/deposit", body: { ...deposit, amount: 1 } })).to.include({ code: "INVALID_TYPES" });
+    expect(events[0]).to.include({ type: "VALIDATION_ERROR", code: "MISSING_FIELDS", path: "/api/deposit", location: "body", field: "signature" });
+  });
+
+  it("should check path, query and header parameters", function () {
+    expect(validate({ method: "GET", path: "/api/nonce/0x1234" })).to.include({ error: "Invalid path parameter address", code: "INVALID_ADDRESS" });
+    expect(validate({ method: "GET", path: `/api/nonce/${owner}`, query: { chainId: "main" } })).to.include({ code: "UNSUPPORTED_CHAIN" });
+    expect(validate({ path: "/api/deposit", body: deposit, headers: { "Idempotency-Key": "k".repeat(256) } }))
+      .to.include({ error: "Invalid header parameter Idempotency-Key", code: "INVALID_IDEMPOTENCY_KEY" });
+  });
+
+  it("should leave paths the document does not describe alone", function () {
+    expect(validate({ path: "/api/unknown", body: { anything: true } })).to.equal(null);
+    expect(validate({ method: "DELETE", path: "/api/deposit" })).to.equal(null);
+  });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, startRpcServer, rpcProvider, deploy, relayerLib } = require("./helpers");
+
+const { ERROR_CODES, decodeRevert, errorMessage } = relayerLib("revertDecoder");
+
+describe("Relayer revert decoder", function () {
+  const builtIn = new ethers.Interface(["error Error(string reason)", "error Panic(uint256 code)"]);
+
+  it("should decode every custom error of the relayed contracts into a catalog code", async function () {
+    for (const name of ["LendingPool", "TrustedForwarder", "CollateralVault", "RWAAssetToken", "DUSD"]) {
+      const iface = new ethers.Interface((await hre.artifacts.readArtifact(name)).abi);
+      for (const fragment of iface.fragments.filter(fragment => fragment.type === "error")) {
+        const data = iface.encodeErrorResult(fragment, fragment.inputs.map(input => ethers.AbiCoder.defaultAbiCoder().getDefaultValue([input])[0]));
+        const revert = decodeRevert({ data });
+        expect(revert.name, `${name}.${fragment.name}`).to.equal(fragment.name);
+        if (revert.code !== null) expect(ERROR_CODES, revert.code).to.have.property(revert.code);
+      }
+    }
+  });
+
+  it("should decode a revert reported by the relayer's provider", async function () {
+    const rpc = await startRpcServer();
+    const provider = rpcProvider(rpc.url);
+    try {
+      const dusd = new ethers.Contract(await deploy("DUSD"), ["function transfer(address to, uint256 value) returns (bool)"], provider);
+      const sender = ethers.Wallet.createRandom().address;
+      const error = await dusd.transfer.estimateGas(sender, 5n, { from: sender }).catch(error => error);
+
+      expect(decodeRevert(error)).to.deep.equal({
+        name: "ERC20InsufficientBalance",
+        args: [sender, "0", "5"],
+        reason: `ERC20InsufficientBalance(${sender}, 0, 5)`,
+        code: "INSUFFICIENT_BALANCE"
+      });
+    } finally {
+      provider.destroy();
+      await rpc.close();
+    }
+  });
+
+  it("should map require reasons and panics", function () {
+    expect(decodeRevert({ data: builtIn.encodeErrorResult("Error", ["Would exceed LTV"]) }))
+      .to.deep.equal({ name: "Error", args: ["Would exceed LTV"], reason: "Would exceed LTV", code: "EXCEEDS_BORROW_LIMIT" });
+    expect(decodeRevert({ data: builtIn.encodeErrorResult("Error", ["Something else"]) }).code).to.equal(null);
+    expect(decodeRevert({ data: builtIn.encodeErrorResult("Panic", [0x11]) })).to.include({ reason: "Panic(0x11)", code: "CONTRACT_PANIC" });
+  });
+
+  it("should report reverts it cannot decode", function () {
+    expect(decodeRevert({ data: "0xdeadbeef" })).to.deep.equal({ name: null, args: [], reason: "Unknown custom error 0xdeadbeef", code: null });
+    expect(decodeRevert({ data: builtIn.encodeErrorResult("Panic", [1]).slice(0, 20) }).reason).to.match(/^Unknown custom error/);
+    expect(decodeRevert({ code: "CALL_EXCEPTION", data: "0x", reason: "require(false)" })).to.deep.equal({ name: null, args: [], reason: null, code: null });
+    expect(decodeRevert({ code: "CALL_EXCEPTION", reason: "Invalid nonce" }).code).to.equal("INVALID_NONCE");
+  });
+
+  it("should return null for errors that are not reverts", function () {
+    expect(decodeRevert(null)).to.equal(null);
+    expect(decodeRevert(Object.assign(new Error("connection refused"), { code: "NETWORK_ERROR" }))).to.equal(null);
+  });
+
+  it("should fall back to the generic message for codes outside the catalog", function () {
+    expect(errorMessage("INSUFFICIENT_BALANCE")).to.equal(ERROR_CODES.INSUFFICIENT_BALANCE.message);
+    expect(errorMessage("NOT_A_CODE")).to.equal(ERROR_CODES.TRANSACTION_FAILED.message);
+  });
+});
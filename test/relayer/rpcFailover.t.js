@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { wallet, startRpcServer, sleep, mine, setAutomine, relayerLib } = require("./helpers");
+
+const { createRpcFailover } = relayerLib("rpcFailover");
+
+describe("Relayer RPC failover", function () {
+  let primary, secondary, failovers;
+
+  function failover(options = {}) {
+    const rpc = createRpcFailover({ urls: [primary.url, secondary.url], chainId: 31337, ...options });
+    failovers.push(rpc);
+    return rpc;
+  }
+
+  beforeEach(async function () {
+    primary = await startRpcServer();
+    secondary = await startRpcServer();
+    failovers = [];
+  });
+
+  afterEach(async function () {
+    for (const rpc of failovers) rpc.provider.destroy();
+    await primary.close();
+    await secondary.close();
+    await setAutomine(true);
+  });
+
+  it("should read the chain as it is now, not a cached answer", async function () {
+    const { provider } = failover();
+    const sender = wallet(17);
+    await setAutomine(false);
+    const tx = await sender.connect(provider).sendTransaction({ to: sender.address });
+    expect(await provider.getTransactionReceipt(tx.hash)).to.equal(null);
+
+    await mine();
+    expect((await provider.getTransactionReceipt(tx.hash)).status).to.equal(1);
+  });
+
+  it("should fail over to the next endpoint while one is down", async function () {
+    const changes = [];
+    const rpc = failover({ onEndpointChange: endpoint => changes.push([endpoint.url, endpoint.healthy]) });
+    primary.setDown(true);
+
+    expect(await rpc.provider.getBlockNumber()).to.be.a("number");
+    const [first, second] = rpc.state().endpoints;
+    expect(first).to.include({ healthy: false, consecutiveFailures: 1 });
+    expect(second).to.include({ healthy: true, consecutiveFailures: 0 });
+    expect(changes).to.deep.equal([[first.url, false]]);
+    expect(rpc.isAvailable()).to.equal(true);
+  });
+
+  it("should open the breaker while no endpoint answers and close it once one is back", async function () {
+    const states = [];
+    const rpc = failover({ cooldownMs: 50, onStateChange: (state, previous) => states.push([previous, state.state]) });
+    await rpc.probe();
+    primary.setDown(true);
+    secondary.setDown(true);
+
+    // Endpoints that answered before are only marked down after three failures in a row
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      expect(rpc.isAvailable()).to.equal(true);
+      const error = await rpc.provider.getBlockNumber().catch(error => error);
+      expect(error).to.include({ code: "NETWORK_ERROR", rpcUnavailable: true });
+      expect(error.message).to.match(/^No RPC endpoint answered/);
+    }
+    expect(rpc.isAvailable()).to.equal(false);
+    expect(rpc.state().state).to.equal("open");
+
+    secondary.setDown(false);
+    await sleep(60);
+    expect((await rpc.probe()).state).to.equal("closed");
+    expect(rpc.state().endpoints.map(endpoint => endpoint.healthy)).to.deep.equal([false, true]);
+    expect(states).to.deep.equal([["closed", "open"], ["open", "closed"]]);
+  });
+
+  it("should never use an endpoint serving another chain", async function () {
+    const rpc = failover({ chainId: 1 });
+    const { state, endpoints } = await rpc.probe();
+    expect(state).to.equal("open");
+    expect(endpoints.map(endpoint => endpoint.wrongChain)).to.deep.equal([true, true]);
+    expect(endpoints[0].lastError).to.equal("serves chain 31337, expected 1");
+  });
+
+  it("should need a quorum of endpoints for state reads", async function () {
+    const rpc = failover({ quorum: 2 });
+    const address = wallet(17).address;
+    expect(await rpc.provider.getBalance(address)).to.be.a("bigint");
+
+    secondary.setDown(true);
+    const error = await rpc.provider.getBalance(address).catch(error => error);
+    expect(error.message).to.equal("RPC endpoints did not agree on eth_getBalance (2 needed)");
+    expect(await rpc.provider.getBlockNumber()).to.be.a("number");
+  });
+});
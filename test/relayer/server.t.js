@@ -0,0 +1,405 @@
+const crypto = require("crypto");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, wallet, tmpDir, waitFor, startRpcServer, mine, setAutomine, deploy, relayerLib } = require("./helpers");
+
+const { readSavedJobs } = relayerLib("jobQueue");
+
+const SERVER = path.join(__dirname, "..", "..", "relayer", "server.js");
+const ADMIN_SECRET = "admin-secret";
+
+function freePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+describe("Relayer server", function () {
+  this.timeout(60000);
+
+  const amount = ethers.parseEther("10");
+  let rpc, env, dataDir, relayer, dusdAddress, poolAddress, rwaAddress, users, server;
+
+  // relayer/server.js as its own process; resolves once it serves requests
+  async function startRelayer() {
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], { cwd: dataDir, env: { ...env, PORT: String(port) }, stdio: ["ignore", "pipe", "pipe"] });
+    let output = "";
+    child.stdout.on("data", chunk => { output += chunk; });
+    child.stderr.on("data", chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once("exit", resolve));
+
+    const url = `http://127.0.0.1:${port}`;
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`Relayer exited:\n${output}`);
+      return fetch(`${url}/health`).then(response => response.ok, () => false);
+    }, { timeoutMs: 30000, intervalMs: 100 });
+    await waitFor(() => output.includes("Relay queue:"));
+
+    return {
+      url,
+      stop: async () => {
+        if (child.exitCode === null) child.kill("SIGTERM");
+        await exited;
+      }
+    };
+  }
+
+  // Job as persisted by the relayer
+  const savedJob = (id) => readSavedJobs(path.join(dataDir, "jobs.json")).get(id);
+
+  const AMOUNT_ACTION = [
+    { name: "owner", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ];
+  const ACTION_TYPES = {
+    DepositAction: AMOUNT_ACTION,
+    WithdrawAction: AMOUNT_ACTION,
+    MintRWAAction: [
+      { name: "owner", type: "address" },
+      { name: "to", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "ipfsCid", type: "string" },
+      { name: "name", type: "string" },
+      { name: "description", type: "string" },
+      { name: "valuation", type: "uint256" },
+      { name: "merkleRoot", type: "bytes32" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ],
+    TransferRWAAction: [
+      { name: "owner", type: "address" },
+      { name: "to", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ],
+    BurnRWAAction: [
+      { name: "owner", type: "address" },
+      { name: "from", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Request body of a LendingPool `type` action signed by `signer`, by default
+  // for its own account and the current nonce
+  async function signedAction(signer, type, fields = {}) {
+    const lendingPool = await hre.ethers.getContractAt("LendingPool", poolAddress);
+    const owner = fields.owner ?? signer.address;
+    const action = {
+      owner,
+      amount,
+      nonce: await lendingPool.nonces(owner),
+      deadline: Math.floor(Date.now() / 1000) + 1800,
+      ...fields
+    };
+    const domain = { name: "LendingPool", version: "1", chainId: 31337, verifyingContract: poolAddress };
+    const signature = await signer.signTypedData(domain, { [type]: ACTION_TYPES[type] }, action);
+    const body = Object.fromEntries(Object.entries(action).map(([key, value]) => [key, key === "amount" ? ethers.formatEther(value) : String(value)]));
+    return { ...body, signature };
+  }
+
+  const signedDeposit = (user) => signedAction(user, "DepositAction");
+
+  async function post(route, body, headers = {}) {
+    const response = await fetch(`${server.url}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  const postDeposit = (body, headers) => post("/api/deposit", body, headers);
+
+  async function get(route) {
+    const response = await fetch(`${server.url}${route}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  // GET an admin route as an HMAC-signed request
+  function adminGet(route) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const bodyHash = crypto.createHash("sha256").update("").digest("hex");
+    const signature = crypto.createHmac("sha256", ADMIN_SECRET).update([timestamp, "GET", route, bodyHash].join("\n")).digest("hex");
+    return fetch(`${server.url}${route}`, { headers: { "X-Admin-Timestamp": String(timestamp), "X-Admin-Signature": signature } });
+  }
+
+  async function relayDeposit(user) {
+    const response = await postDeposit(await signedDeposit(user));
+    expect(response.status, JSON.stringify(response.body)).to.equal(202);
+    return response.body.jobId;
+  }
+
+  const submitted = (id) => waitFor(() => savedJob(id)?.txHashes?.length && savedJob(id));
+  const mined = (id) => waitFor(() => savedJob(id)?.result?.blockNumber && savedJob(id));
+
+  before(async function () {
+    // Earlier suites moved the chain's clock ahead of this process's, which
+    // the relayer checks signed deadlines against
+    await hre.network.provider.request({ method: "hardhat_reset", params: [] });
+
+    const [owner, , , ...others] = await hre.ethers.getSigners();
+    users = others.slice(0, 7);
+    dusdAddress = await deploy("DUSD");
+    poolAddress = await deploy("LendingPool", dusdAddress, ethers.parseUnits("1", 9));
+    const dusd = await hre.ethers.getContractAt("DUSD", dusdAddress);
+    await dusd.setVault(owner.address);
+    for (const user of users) {
+      await dusd.mint(user.address, amount);
+      await dusd.connect(user).approve(poolAddress, amount);
+    }
+
+    // The pool mints and burns RWA tokens for signers; holders need KYC to transfer
+    rwaAddress = await deploy("RWAAssetToken", ethers.ZeroAddress);
+    const rwaToken = await hre.ethers.getContractAt("RWAAssetToken", rwaAddress);
+    await rwaToken.grantRole(await rwaToken.MINTER_ROLE(), poolAddress);
+    await rwaToken.grantRole(await rwaToken.BURNER_ROLE(), poolAddress);
+    for (const user of users) {
+      await rwaToken.updateWhitelist(user.address, true);
+      await rwaToken.updateKYC(user.address, true);
+    }
+
+    rpc = await startRpcServer();
+    relayer = wallet(16);
+  });
+
+  beforeEach(function () {
+    dataDir = tmpDir();
+    env = {
+      PATH: process.env.PATH,
+      RPC_URL: rpc.url,
+      CHAIN_ID: "31337",
+      LENDING_POOL_ADDRESS: poolAddress,
+      DUSD_ADDRESS: dusdAddress,
+      RWA_TOKEN_ADDRESSES: rwaAddress,
+      RWA_MINTER_ADDRESSES: users[5].address,
+      RELAYER_PRIVATE_KEY: relayer.privateKey,
+      DATA_DIR: dataDir,
+      ADMIN_HMAC_SECRET: ADMIN_SECRET,
+      RECEIPT_POLL_INTERVAL_MS: "100",
+      STUCK_TX_TIMEOUT_MS: "1000"
+    };
+  });
+
+  afterEach(async function () {
+    await server?.stop();
+    server = null;
+    await setAutomine(true);
+    await mine();
+  });
+
+  after(async function () {
+    await rpc.close();
+  });
+
+  it("should not reuse the nonce of a job broadcast before the restart", async function () {
+    server = await startRelayer();
+    await setAutomine(false);
+    const before = await submitted(await relayDeposit(users[0]));
+
+    // The relayer goes down, and its transaction leaves the node's pool, so
+    // the pending nonce count no longer covers it
+    await server.stop();
+    await hre.network.provider.request({ method: "hardhat_dropTransaction", params: [before.txHashes[0]] });
+    expect(await hre.ethers.provider.getTransactionCount(relayer.address, "pending")).to.equal(before.txNonce);
+
+    server = await startRelayer();
+    const after = await submitted(await relayDeposit(users[1]));
+    expect(after.txNonce).to.equal(before.txNonce + 1);
+
+    // The restored job rebroadcasts its nonce once stuck, unblocking both
+    await waitFor(() => savedJob(before.id).txHashes.length > 1);
+    await mine();
+    expect((await mined(before.id)).status).to.be.oneOf(["mined", "confirmed"]);
+    expect((await mined(after.id)).status).to.be.oneOf(["mined", "confirmed"]);
+  });
+
+  it("should answer a retried request with its original job, also after a restart", async function () {
+    server = await startRelayer();
+    const body = await signedDeposit(users[2]);
+    const first = await postDeposit(body, { "Idempotency-Key": "deposit-1" });
+    expect(first.status, JSON.stringify(first.body)).to.equal(202);
+
+    const retry = await postDeposit(body);
+    expect(retry.status).to.equal(202);
+    expect(retry.headers.get("Idempotent-Replayed")).to.equal("true");
+    expect(retry.body).to.include({ replayed: true, jobId: first.body.jobId });
+
+    await server.stop();
+    server = await startRelayer();
+    const afterRestart = await postDeposit(body, { "Idempotency-Key": "deposit-1" });
+    expect(afterRestart.status).to.equal(202);
+    expect(afterRestart.body).to.include({ replayed: true, jobId: first.body.jobId });
+
+    const reused = await postDeposit(await signedDeposit(users[0]), { "Idempotency-Key": "deposit-1" });
+    expect(reused.status).to.equal(422);
+    expect(reused.body.code).to.equal("IDEMPOTENCY_KEY_REUSED");
+  });
+
+  it("should relay a signed withdraw", async function () {
+    const [user] = users.slice(3);
+    const lendingPool = await hre.ethers.getContractAt("LendingPool", poolAddress, user);
+    await lendingPool.deposit(amount);
+    const dusd = await hre.ethers.getContractAt("DUSD", dusdAddress);
+    const balance = await dusd.balanceOf(user.address);
+
+    server = await startRelayer();
+    const response = await post("/api/withdraw", await signedAction(user, "WithdrawAction"));
+    expect(response.status, JSON.stringify(response.body)).to.equal(202);
+
+    expect((await mined(response.body.jobId)).status).to.be.oneOf(["mined", "confirmed"]);
+    expect(await lendingPool.deposits(user.address)).to.equal(0n);
+    expect(await dusd.balanceOf(user.address)).to.equal(balance + amount);
+  });
+
+  it("should reject a withdraw with a bad signature or amount", async function () {
+    const [depositor, other] = users.slice(3);
+    server = await startRelayer();
+
+    const forged = await post("/api/withdraw", await signedAction(other, "WithdrawAction", { owner: depositor.address }));
+    expect(forged.status).to.equal(400);
+    expect(forged.body.code).to.equal("INVALID_SIGNATURE");
+
+    const zero = await post("/api/withdraw", await signedAction(other, "WithdrawAction", { amount: 0n }));
+    expect(zero.status).to.equal(400);
+    expect(zero.body.code).to.equal("INVALID_AMOUNT");
+
+    // `other` never deposited
+    const overdrawn = await post("/api/withdraw", await signedAction(other, "WithdrawAction"));
+    expect(overdrawn.status).to.equal(400);
+    expect(overdrawn.body.code).to.equal("INSUFFICIENT_BALANCE");
+  });
+
+  it("should count a queued but unmined action in the next nonce", async function () {
+    const user = users[4];
+    const lendingPool = await hre.ethers.getContractAt("LendingPool", poolAddress);
+    const onChainNonce = await lendingPool.nonces(user.address);
+    server = await startRelayer();
+
+    const idle = await get(`/api/nonce/${user.address}`);
+    expect(idle.status).to.equal(200);
+    expect(idle.body).to.include({ nonce: onChainNonce.toString(), onChainNonce: onChainNonce.toString(), pendingCount: 0 });
+
+    await setAutomine(false);
+    await submitted(await relayDeposit(user));
+    const queued = await get(`/api/nonce/${user.address}`);
+    expect(queued.body).to.include({ nonce: (onChainNonce + 1n).toString(), onChainNonce: onChainNonce.toString(), pendingCount: 1 });
+  });
+
+  it("should serve and export the persistent logs to admins", async function () {
+    server = await startRelayer();
+    const rejected = await postDeposit({ ...await signedDeposit(users[0]), amount: "0" });
+    expect(rejected.body.code).to.equal("INVALID_AMOUNT");
+
+    expect((await get("/api/admin/logs/security")).status).to.equal(401);
+    const unknown = await adminGet("/api/admin/logs/unknown");
+    expect(unknown.status).to.equal(404);
+    expect((await unknown.json()).code).to.equal("UNKNOWN_LOG");
+
+    const response = await adminGet("/api/admin/logs/security?type=VALIDATION_ERROR&limit=5");
+    expect(response.status).to.equal(200);
+    const { count, records } = await response.json();
+    expect(count).to.equal(1);
+    expect(records[0].event).to.include({ type: "VALIDATION_ERROR", amount: "0" });
+
+    // Per-request access events are not persisted
+    const all = await (await adminGet("/api/admin/logs/security")).json();
+    expect(all.records.map(record => record.type)).to.not.include("API_ACCESS");
+
+    const exported = await adminGet("/api/admin/logs/security/export?type=VALIDATION_ERROR");
+    expect(exported.headers.get("content-disposition")).to.match(/^attachment; filename="security-.*\.json"$/);
+    expect(await exported.json()).to.deep.equal(records);
+
+    const csv = await (await adminGet("/api/admin/logs/security/export?format=csv&type=VALIDATION_ERROR")).text();
+    const [header, row, end] = csv.split("\n");
+    expect(header).to.equal("id,timestamp,type,action,address,ip,userAgent,event");
+    expect(row).to.match(new RegExp(`^${records[0].id},`));
+    expect(end).to.equal("");
+  });
+
+  it("should keep relayer internals out of the public status", async function () {
+    server = await startRelayer();
+
+    const status = await get("/api/security/status");
+    expect(status.body).to.have.all.keys("relayerAddress", "networks", "timestamp");
+    expect(status.body.networks).to.deep.equal([{ chainId: 31337, name: status.body.networks[0].name, relayerAddress: relayer.address, relayPaused: false }]);
+
+    expect((await get("/api/admin/status")).status).to.equal(401);
+    const response = await adminGet("/api/admin/status");
+    expect(response.status).to.equal(200);
+    const adminStatus = await response.json();
+    expect(adminStatus).to.include.keys("keyRotation", "queue", "approvals", "webhooks", "recentSecurityEvents");
+    expect(adminStatus.networks[0]).to.include.keys("relayerNonce", "balance", "sponsorship");
+  });
+
+  describe("RWA routes", function () {
+    const tokens = ethers.parseEther("5");
+    let minter, holder, rwaToken;
+
+    const mintRWA = (signer, fields = {}) => signedAction(signer, "MintRWAAction", {
+      to: signer.address,
+      amount: tokens,
+      ipfsCid: "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+      name: "Warehouse Receipt #42",
+      description: "",
+      valuation: 1000000n,
+      merkleRoot: ethers.ZeroHash,
+      ...fields
+    });
+
+    async function relayed(route, body) {
+      const response = await post(route, { ...body, rwaToken: body.rwaToken ?? rwaAddress });
+      expect(response.status, JSON.stringify(response.body)).to.equal(202);
+      return mined(response.body.jobId);
+    }
+
+    before(async function () {
+      [minter, holder] = users.slice(5);
+      rwaToken = await hre.ethers.getContractAt("RWAAssetToken", rwaAddress);
+    });
+
+    it("should relay mints of authorized minters only", async function () {
+      server = await startRelayer();
+      expect((await relayed("/api/rwa/mint", await mintRWA(minter))).status).to.be.oneOf(["mined", "confirmed"]);
+      expect(await rwaToken.balanceOf(minter.address)).to.equal(tokens);
+
+      const unauthorized = await post("/api/rwa/mint", { ...await mintRWA(holder), rwaToken: rwaAddress });
+      expect(unauthorized.status).to.equal(403);
+      expect(unauthorized.body.code).to.equal("RWA_MINTER_NOT_AUTHORIZED");
+      expect(await rwaToken.balanceOf(holder.address)).to.equal(0n);
+    });
+
+    it("should relay transfers and burns of the owner's tokens", async function () {
+      await rwaToken.connect(minter).approve(poolAddress, tokens);
+      server = await startRelayer();
+
+      const transfer = await signedAction(minter, "TransferRWAAction", { to: holder.address, amount: ethers.parseEther("2") });
+      expect((await relayed("/api/rwa/transfer", transfer)).status).to.be.oneOf(["mined", "confirmed"]);
+      const burn = await signedAction(minter, "BurnRWAAction", { from: minter.address, amount: ethers.parseEther("1") });
+      expect((await relayed("/api/rwa/burn", burn)).status).to.be.oneOf(["mined", "confirmed"]);
+
+      expect(await rwaToken.balanceOf(minter.address)).to.equal(ethers.parseEther("2"));
+      expect(await rwaToken.balanceOf(holder.address)).to.equal(ethers.parseEther("2"));
+    });
+
+    it("should reject tokens that are not allowlisted", async function () {
+      server = await startRelayer();
+      const body = await signedAction(minter, "TransferRWAAction", { to: holder.address, amount: ethers.parseEther("1") });
+
+      const response = await post("/api/rwa/transfer", { ...body, rwaToken: dusdAddress });
+      expect(response.status).to.equal(400);
+      expect(response.body.code).to.equal("RWA_TOKEN_NOT_ALLOWED");
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, wallet, tmpDir, startRpcServer, rpcProvider, relayerLib } = require("./helpers");
+
+const { loadKeystore, createRemoteSigner, connectRemoteSigner } = relayerLib("signers");
+
+describe("Relayer signers", function () {
+  const TOKEN = "signer-token";
+  let rpc, provider, key, signingServer, signerUrl, tamper;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+    key = wallet(14);
+
+    // Remote signing service holding `key`
+    signingServer = http.createServer(async (req, res) => {
+      let body = "";
+      for await (const chunk of req) body += chunk;
+      const reply = (status, payload) => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+      if (req.headers.authorization !== `Bearer ${TOKEN}`) return reply(401, { error: "Unauthorized" });
+      if (req.method === "GET" && req.url === "/address") return reply(200, { address: key.address });
+      if (req.method === "POST" && req.url === "/sign-transaction") {
+        const tx = ethers.Transaction.from(JSON.parse(body).transaction);
+        if (tamper) tx.value = 1n;
+        return reply(200, { signedTransaction: await key.signTransaction(tx) });
+      }
+      reply(404, {});
+    });
+    await new Promise(resolve => signingServer.listen(0, "127.0.0.1", resolve));
+    signerUrl = `http://127.0.0.1:${signingServer.address().port}/`;
+  });
+
+  after(async function () {
+    signingServer.close();
+    provider.destroy();
+    await rpc.close();
+  });
+
+  beforeEach(function () {
+    tamper = false;
+  });
+
+  it("should decrypt a JSON keystore and reject a wrong passphrase", async function () {
+    const file = path.join(tmpDir(), "keystore.json");
+    fs.writeFileSync(file, ethers.encryptKeystoreJsonSync({ address: key.address, privateKey: key.privateKey }, "correct horse", { scrypt: { N: 1024 } }));
+
+    expect((await loadKeystore(file, "correct horse")).address).to.equal(key.address);
+    const error = await loadKeystore(file, "wrong").catch(error => error);
+    expect(error.message).to.match(/incorrect password/);
+  });
+
+  it("should send transactions signed by the remote service", async function () {
+    const signer = await connectRemoteSigner({ url: signerUrl, authToken: TOKEN, provider });
+    expect(signer.address).to.equal(key.address);
+
+    const response = await signer.sendTransaction({ to: key.address, value: 1n });
+    const receipt = await response.wait();
+    expect(receipt.status).to.equal(1);
+    expect(response.from).to.equal(key.address);
+  });
+
+  it("should refuse a service that signs for another address", async function () {
+    const error = await connectRemoteSigner({ url: signerUrl, address: wallet(15).address, authToken: TOKEN, provider }).catch(error => error);
+    expect(error.code).to.equal("REMOTE_SIGNER_MISMATCH");
+  });
+
+  it("should reject a transaction the service altered", async function () {
+    tamper = true;
+    const signer = createRemoteSigner({ url: signerUrl, address: key.address, authToken: TOKEN, provider });
+    const error = await signer.signTransaction({ to: key.address, value: 0n }).catch(error => error);
+    expect(error.code).to.equal("REMOTE_SIGNER_MISMATCH");
+  });
+
+  it("should tell rejected requests from an unreachable service", async function () {
+    const unauthorized = createRemoteSigner({ url: signerUrl, address: key.address, authToken: "wrong", provider });
+    const rejected = await unauthorized.remoteAddress().catch(error => error);
+    expect(rejected.code).to.equal("REMOTE_SIGNER_REJECTED");
+    expect(rejected.message).to.equal("Remote signer responded with HTTP 401: Unauthorized");
+
+    const unreachable = createRemoteSigner({ url: "http://127.0.0.1:1", address: key.address, authToken: TOKEN, provider });
+    expect((await unreachable.remoteAddress().catch(error => error)).code).to.equal("NETWORK_ERROR");
+  });
+});
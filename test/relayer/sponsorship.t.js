@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, tmpDir, relayerLib } = require("./helpers");
+
+const { createSponsorship } = relayerLib("sponsorship");
+
+describe("Relayer gas sponsorship", function () {
+  const alice = ethers.getAddress("0x" + "aa".repeat(20));
+  const bob = ethers.getAddress("0x" + "bb".repeat(20));
+  let filePath;
+
+  function sponsorship(options = {}) {
+    return createSponsorship({
+      filePath,
+      defaultPolicy: { dailyGasBudget: 1000n, actionLimits: { deposit: 2, withdraw: 1 } },
+      policies: { [bob.toLowerCase()]: { dailyGasBudget: 5000n, actionLimits: { withdraw: 5 } } },
+      globalDailyGasCap: 3000n,
+      ...options
+    });
+  }
+
+  beforeEach(function () {
+    filePath = path.join(tmpDir(), "sponsorship.json");
+  });
+
+  it("should estimate the cost of an action from the fee data", function () {
+    const quotas = sponsorship();
+    expect(quotas.estimateCost("deposit", { maxFeePerGas: 2n, gasPrice: 1n })).to.equal(300000n);
+    expect(quotas.estimateCost("unknown", { gasPrice: 1n })).to.equal(300000n);
+  });
+
+  it("should enforce the per-action daily limit", function () {
+    const quotas = sponsorship();
+    quotas.reserve("job-1", alice, "withdraw", 10n);
+
+    const rejection = quotas.check(alice, "withdraw", 10n);
+    expect(rejection).to.include({ status: 429, code: "ACTION_QUOTA_EXCEEDED" });
+    expect(rejection.details).to.include({ action: "withdraw", limit: 1, used: 1 });
+    expect(quotas.check(alice, "rwa-mint", 10n).code).to.equal("ACTION_QUOTA_EXCEEDED");
+    expect(quotas.check(bob, "withdraw", 10n)).to.equal(null);
+  });
+
+  it("should count reservations and settled costs against the gas budget", function () {
+    const quotas = sponsorship();
+    quotas.reserve("job-1", alice, "deposit", 600n);
+    expect(quotas.check(alice, "deposit", 500n).code).to.equal("GAS_BUDGET_EXCEEDED");
+
+    // The receipt cost less than reserved
+    quotas.settle("job-1", 300n);
+    expect(quotas.check(alice, "deposit", 500n)).to.equal(null);
+    expect(quotas.quota(alice).gas).to.deep.equal({ budget: "1000", spent: "300", reserved: "0", remaining: "700" });
+    expect(quotas.quota(alice).actions.deposit).to.deep.equal({ limit: 2, used: 1, remaining: 1 });
+  });
+
+  it("should enforce the global daily cap across owners", function () {
+    const quotas = sponsorship();
+    quotas.reserve("job-1", bob, "withdraw", 2800n);
+    const rejection = quotas.check(alice, "deposit", 300n);
+    expect(rejection).to.include({ status: 503, code: "GLOBAL_GAS_CAP_REACHED" });
+    expect(quotas.stats()).to.include({ globalSpent: "0", globalReserved: "2800", globalDailyGasCap: "3000" });
+  });
+
+  it("should keep usage and reservations across a restart", function () {
+    const first = sponsorship();
+    first.reserve("job-1", alice, "deposit", 400n);
+    first.reserve("job-2", alice, "deposit", 100n);
+    first.settle("job-1", 400n);
+
+    const second = sponsorship();
+    expect(second.quota(alice).gas).to.include({ spent: "400", reserved: "100" });
+    expect(second.check(alice, "deposit", 10n).code).to.equal("ACTION_QUOTA_EXCEEDED");
+
+    // job-2 finished while the relayer was down
+    second.reconcile(jobId => jobId !== "job-2");
+    expect(second.quota(alice).gas.reserved).to.equal("0");
+  });
+
+  it("should reset daily usage but keep reservations after UTC midnight", function () {
+    const first = sponsorship();
+    first.reserve("job-1", alice, "deposit", 400n);
+    first.reserve("job-2", alice, "deposit", 100n);
+    first.settle("job-1", 400n);
+
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    fs.writeFileSync(filePath, JSON.stringify({ ...saved, day: "2000-01-01" }));
+
+    const quotas = sponsorship();
+    expect(quotas.quota(alice).gas).to.include({ spent: "0", reserved: "100" });
+    expect(quotas.quota(alice).actions.deposit.used).to.equal(0);
+  });
+});
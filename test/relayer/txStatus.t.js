@@ -0,0 +1,102 @@
+const path = require("path");
+const { EventEmitter } = require("events");
+const { expect } = require("chai");
+const { tmpDir, waitFor, relayerLib } = require("./helpers");
+
+const { createJobQueue } = relayerLib("jobQueue");
+const { createTxStatusTracker } = relayerLib("txStatus");
+
+// Provider stub: emits 'block' on demand and counts its listeners
+function stubProvider(blockNumber = 100) {
+  const provider = new EventEmitter();
+  provider.blockNumber = blockNumber;
+  provider.getBlockNumber = async () => provider.blockNumber;
+  return provider;
+}
+
+describe("Relayer transaction status", function () {
+  let jobQueue, provider, chain, tracker;
+
+  beforeEach(function () {
+    // Every job is mined in block 100
+    jobQueue = createJobQueue({
+      filePath: path.join(tmpDir(), "jobs.json"),
+      awaitConfirmation: true,
+      idleIntervalMs: 10,
+      handler: async () => ({ txHash: "0x01", blockNumber: 100, blockHash: "0x02" })
+    });
+    provider = stubProvider();
+    chain = { chainId: 31337, provider, requiredConfirmations: 3 };
+    tracker = createTxStatusTracker({ jobQueue, chainOf: () => chain });
+  });
+
+  afterEach(function () {
+    jobQueue.stop();
+  });
+
+  async function minedJob() {
+    const { id } = jobQueue.enqueue({ action: "deposit", owner: "0xA", nonce: "0" });
+    jobQueue.start();
+    return waitFor(() => jobQueue.get(id).status === "mined" && jobQueue.get(id));
+  }
+
+  it("should describe a queued job and a held one as pending approval", async function () {
+    const queued = jobQueue.enqueue({ action: "deposit", owner: "0xA", nonce: "0" });
+    const held = jobQueue.enqueue({ action: "withdraw", owner: "0xB", nonce: "0", approvalId: "a-1" }, { hold: true });
+
+    expect(await tracker.get(queued.id)).to.include({ status: "queued", txHash: null, confirmations: 0, requiredConfirmations: 3, chainId: 31337 });
+    expect(await tracker.get(held.id)).to.include({ status: "pending_approval", approvalId: "a-1" });
+    expect(await tracker.get("missing")).to.equal(null);
+  });
+
+  it("should count confirmations of a mined job from the chain head", async function () {
+    provider.blockNumber = 102;
+    const job = await minedJob();
+    expect(await tracker.get(job.id)).to.include({ status: "mined", txHash: "0x01", blockNumber: 100, confirmations: 3 });
+    expect(tracker.isFinal(tracker.view(job))).to.equal(false);
+  });
+
+  it("should notify subscribers of job events and new blocks until unsubscribed", async function () {
+    const job = jobQueue.enqueue({ action: "deposit", owner: "0xA", nonce: "0" });
+    const seen = [];
+    const unsubscribe = await tracker.subscribe(job.id, status => seen.push([status.status, status.confirmations]));
+    expect(provider.listenerCount("block")).to.equal(1);
+
+    jobQueue.start();
+    await waitFor(() => seen.length === 1);
+    provider.emit("block", 101);
+    expect(seen).to.deep.equal([["mined", 1], ["mined", 2]]);
+
+    unsubscribe();
+    provider.emit("block", 102);
+    expect(seen).to.have.length(2);
+    expect(provider.listenerCount("block")).to.equal(0);
+  });
+
+  it("should leave nothing subscribed when the chain head cannot be read", async function () {
+    const job = jobQueue.enqueue({ action: "deposit" });
+    provider.getBlockNumber = async () => { throw new Error("RPC unavailable"); };
+
+    const error = await tracker.subscribe(job.id, () => {}).catch(error => error);
+    expect(error.message).to.equal("RPC unavailable");
+    expect(provider.listenerCount("block")).to.equal(0);
+
+    // A later subscriber still gets a block watch of its own
+    provider.getBlockNumber = async () => 100;
+    const unsubscribe = await tracker.subscribe(job.id, () => {});
+    expect(provider.listenerCount("block")).to.equal(1);
+    unsubscribe();
+    expect(provider.listenerCount("block")).to.equal(0);
+  });
+
+  it("should share one block listener per chain across subscribers", async function () {
+    const first = await tracker.subscribe(jobQueue.enqueue({ action: "deposit" }).id, () => {});
+    const second = await tracker.subscribe(jobQueue.enqueue({ action: "withdraw" }).id, () => {});
+    expect(provider.listenerCount("block")).to.equal(1);
+
+    first();
+    expect(provider.listenerCount("block")).to.equal(1);
+    second();
+    expect(provider.listenerCount("block")).to.equal(0);
+  });
+});
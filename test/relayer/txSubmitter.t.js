@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers, wallet, waitFor, startRpcServer, rpcProvider, mine, setAutomine, relayerLib } = require("./helpers");
+
+const { createTxSubmitter, isTransientError } = relayerLib("txSubmitter");
+const { createNonceManager } = relayerLib("nonceManager");
+
+describe("Relayer transaction submitter", function () {
+  let rpc, provider, relayer, recipient;
+
+  before(async function () {
+    rpc = await startRpcServer();
+    provider = rpcProvider(rpc.url);
+    relayer = wallet(10, provider);
+    recipient = wallet(11, provider);
+  });
+
+  after(async function () {
+    provider.destroy();
+    await rpc.close();
+  });
+
+  afterEach(async function () {
+    await setAutomine(true);
+    await mine();
+  });
+
+  // Submitter for the relayer wallet; `signer` may wrap it
+  function submitter(options = {}, signer = relayer) {
+    const nonceManager = createNonceManager({ provider, getAddress: () => signer.address });
+    return createTxSubmitter({
+      provider,
+      getSigner: () => signer,
+      nonceManager,
+      stuckTimeoutMs: 100,
+      pollIntervalMs: 20,
+      ...options
+    });
+  }
+
+  // A job object updated the way the job queue does it
+  function relayJob() {
+    const job = { id: "job-1", request: { to: recipient.address, data: "0x" } };
+    const events = [];
+    const update = (changes, eventName) => {
+      Object.assign(job, changes);
+      if (eventName) events.push(eventName);
+    };
+    return { job, events, update };
+  }
+
+  it("should broadcast a job and resolve with its receipt", async function () {
+    const { job, events, update } = relayJob();
+    const result = await submitter().processJob(job, { update });
+
+    const receipt = await provider.getTransactionReceipt(result.txHash);
+    expect(receipt.status).to.equal(1);
+    expect(result.blockNumber).to.equal(receipt.blockNumber);
+    expect(result.blockHash).to.equal(receipt.blockHash);
+    expect(job.txHashes).to.deep.equal([result.txHash]);
+    expect(job.from).to.equal(relayer.address);
+    expect(events).to.deep.equal(["submitted"]);
+  });
+
+  it("should replace a stuck transaction with bumped fees", async function () {
+    await setAutomine(false);
+    const { job, events, update } = relayJob();
+    const done = submitter({ stuckTimeoutMs: 300, maxFeeBumps: 1, feeBumpPercent: 20 }).processJob(job, { update });
+
+    // The node drops the original from its pool once it is replaced
+    await waitFor(() => job.txHashes?.length === 1);
+    const original = await provider.getTransaction(job.txHashes[0]);
+    await waitFor(() => job.txHashes.length === 2);
+    const replacement = await provider.getTransaction(job.txHashes[1]);
+    expect(replacement.nonce).to.equal(original.nonce);
+    expect(replacement.maxFeePerGas).to.be.at.least(original.maxFeePerGas * 120n / 100n);
+    expect(events).to.deep.equal(["submitted", "replaced"]);
+
+    await mine();
+    const result = await done;
+    expect(result.txHash).to.equal(replacement.hash);
+    expect(job.feeBumps).to.equal(1);
+  });
+
+  it("should keep waiting when the original is mined just before its replacement", async function () {
+    await setAutomine(false);
+    // The first broadcast stays pending; the original is mined right before
+    // the replacement reaches the node, which answers "nonce too low"
+    let sends = 0;
+    const racingSigner = {
+      address: relayer.address,
+      estimateGas: (tx) => relayer.estimateGas(tx),
+      sendTransaction: async (tx) => {
+        if (sends++ > 0) await mine();
+        return relayer.sendTransaction(tx);
+      }
+    };
+    const { job, update } = relayJob();
+    const result = await submitter({ maxFeeBumps: 1 }, racingSigner).processJob(job, { update });
+
+    expect(sends).to.equal(2);
+    expect(job.txHashes).to.have.length(1);
+    expect(result.txHash).to.equal(job.txHashes[0]);
+    expect((await provider.getTransactionReceipt(result.txHash)).status).to.equal(1);
+  });
+
+  it("should resume waiting for a job broadcast before a restart", async function () {
+    await setAutomine(false);
+    const { job, update } = relayJob();
+    const first = submitter({ stuckTimeoutMs: 60 * 1000 });
+    const abandoned = first.processJob(job, { update });
+    await waitFor(() => job.txHashes?.length === 1);
+
+    // A new process picks the persisted job up while its transaction is pending
+    const restored = { ...job };
+    const resumed = submitter({ stuckTimeoutMs: 60 * 1000 }).processJob(restored, { update: changes => Object.assign(restored, changes) });
+    await mine();
+    const [result] = await Promise.all([resumed, abandoned]);
+    expect(result.txHash).to.equal(job.txHashes[0]);
+    expect(restored.txHashes).to.have.length(1);
+  });
+
+  it("should fail with NONCE_CONSUMED when another transaction took the nonce", async function () {
+    await setAutomine(false);
+    const { job, update } = relayJob();
+    const done = submitter({ stuckTimeoutMs: 60 * 1000 }).processJob(job, { update });
+    await waitFor(() => job.txHashes?.length === 1);
+
+    // Same nonce, higher fees, sent around the relayer's submitter
+    const pending = await provider.getTransaction(job.txHashes[0]);
+    await relayer.sendTransaction({
+      to: relayer.address,
+      nonce: pending.nonce,
+      maxFeePerGas: pending.maxFeePerGas * 2n,
+      maxPriorityFeePerGas: pending.maxPriorityFeePerGas * 2n
+    });
+    await mine();
+
+    const error = await done.then(() => null, error => error);
+    expect(error.code).to.equal("NONCE_CONSUMED");
+    expect(error.transient).to.equal(undefined);
+  });
+
+  it("should fail without a signer", async function () {
+    const { job, update } = relayJob();
+    const error = await submitter({}, null).processJob(job, { update }).catch(error => error);
+    expect(error.code).to.equal("RELAYER_NOT_CONFIGURED");
+  });
+
+  it("should tell network failures from permanent errors", function () {
+    expect(isTransientError({ code: "NETWORK_ERROR", message: "" })).to.equal(true);
+    expect(isTransientError({ code: "UNKNOWN_ERROR", message: "connect ECONNREFUSED 127.0.0.1:8545" })).to.equal(true);
+    expect(isTransientError({ code: "CALL_EXCEPTION", message: "execution reverted" })).to.equal(false);
+    expect(isTransientError(ethers.makeError("nonce has already been used", "NONCE_EXPIRED"))).to.equal(false);
+  });
+});
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { expect } = require("chai");
+const { tmpDir, waitFor, relayerLib } = require("./helpers");
+
+const { createWebhookService } = relayerLib("webhooks");
+
+describe("Relayer webhooks", function () {
+  let server, url, received, statuses, dataDir, webhooks;
+
+  before(async function () {
+    server = http.createServer(async (req, res) => {
+      let body = "";
+      for await (const chunk of req) body += chunk;
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  beforeEach(function () {
+    received = [];
+    statuses = [];
+    dataDir = tmpDir();
+    webhooks = createWebhookService({ dataDir, maxAttempts: 3 });
+  });
+
+  afterEach(function () {
+    webhooks.stop();
+  });
+
+  it("should validate subscriptions", function () {
+    expect(webhooks.subscribe({ url: "ftp://example.com", events: ["*"] }).error).to.equal("Webhook URL must use http or https");
+    expect(webhooks.subscribe({ url: "not a url", events: ["*"] }).error).to.equal("Invalid webhook URL");
+    expect(webhooks.subscribe({ url, events: ["tx.confirmed"] }).error).to.match(/^events must be/);
+    expect(webhooks.subscribe({ url, events: [] }).error).to.match(/^events must be/);
+  });
+
+  it("should deliver signed events to matching subscriptions", async function () {
+    const { subscription } = webhooks.subscribe({ url, events: ["TX_CONFIRMED"] });
+    webhooks.subscribe({ url: `${url}/other`, events: ["TX_FAILED"] });
+    webhooks.start();
+
+    webhooks.publish("TX_CONFIRMED", { jobId: "job-1" });
+    await waitFor(() => received.length === 1);
+
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac("sha256", subscription.secret).update(`${headers["x-webhook-timestamp"]}.${body}`).digest("hex");
+    expect(headers["x-webhook-signature"]).to.equal(expected);
+    expect(headers["x-webhook-event"]).to.equal("TX_CONFIRMED");
+    expect(JSON.parse(body)).to.include({ type: "TX_CONFIRMED" });
+    expect(JSON.parse(body).data).to.deep.equal({ jobId: "job-1" });
+
+    await waitFor(async () => (await webhooks.deliveryHistory(subscription.id, { status: "delivered" })).length === 1);
+    expect(webhooks.get(subscription.id)).to.not.have.property("secret");
+  });
+
+  it("should leave access logs out of wildcard subscriptions", async function () {
+    webhooks.subscribe({ url, events: ["*"] });
+    webhooks.start();
+    webhooks.publish("API_ACCESS", { path: "/health" });
+    webhooks.publish("RELAYER_PAUSED", {});
+
+    await waitFor(() => received.length === 1);
+    expect(received[0].headers["x-webhook-event"]).to.equal("RELAYER_PAUSED");
+  });
+
+  it("should retry server errors but not other rejections", async function () {
+    this.timeout(15000);
+    const { subscription } = webhooks.subscribe({ url, events: ["TX_FAILED", "TX_CONFIRMED"] });
+    webhooks.start();
+
+    statuses.push(400);
+    webhooks.publish("TX_FAILED", {});
+    const [rejected] = await waitFor(() => webhooks.deliveryHistory(subscription.id, { status: "failed" }).then(entries => entries.length && entries));
+    expect(rejected.responseStatus).to.equal(400);
+    expect(rejected.attempt).to.equal(1);
+
+    statuses.push(503);
+    webhooks.publish("TX_CONFIRMED", {});
+    await waitFor(async () => (await webhooks.deliveryHistory(subscription.id, { status: "delivered" })).length === 1, { timeoutMs: 12000 });
+    const attempts = await webhooks.deliveryHistory(subscription.id, { type: "TX_CONFIRMED" });
+    expect(attempts.map(entry => [entry.attempt, entry.status])).to.deep.equal([[1, "retrying"], [2, "delivered"]]);
+  });
+
+  it("should drop pending deliveries of a removed subscription", function () {
+    const { subscription } = webhooks.subscribe({ url, events: ["TX_FAILED"] });
+    webhooks.publish("TX_FAILED", {});
+    expect(webhooks.get(subscription.id).pendingDeliveries).to.equal(1);
+
+    expect(webhooks.unsubscribe(subscription.id)).to.equal(true);
+    expect(webhooks.unsubscribe(subscription.id)).to.equal(false);
+    expect(webhooks.stats().queue.counts.failed).to.equal(1);
+  });
+
+  it("should keep finished deliveries only in the delivery log", async function () {
+    const { subscription } = webhooks.subscribe({ url, events: ["TX_CONFIRMED"] });
+    webhooks.start();
+    webhooks.publish("TX_CONFIRMED", { jobId: "job-1" });
+    await waitFor(async () => (await webhooks.deliveryHistory(subscription.id, { status: "delivered" })).length === 1);
+
+    webhooks.stop();
+    expect(JSON.parse(fs.readFileSync(path.join(dataDir, "webhook-queue.json"), "utf8"))).to.deep.equal([]);
+    expect(webhooks.get(subscription.id).pendingDeliveries).to.equal(0);
+  });
+});